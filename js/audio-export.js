@@ -0,0 +1,192 @@
+// ============================================================================
+// Audio Export - Render the audio tab offline and download it as WAV
+// ============================================================================
+// Each audio backend renders faster than real time, from time 0 for exports:
+// - GLSL: mainSound in the audio worker, at the chosen sample rate
+// - WGSL (audio_gpu): audio_main block by block at the compiled SAMPLE_RATE,
+//   then resampled by an OfflineAudioContext when the chosen rate differs
+// - AudioWorklet: a fresh processor in an OfflineAudioContext
+// Playback keeps running; nothing here touches the live audio graph.
+
+import { state, logStatus } from './core.js';
+import * as audioGlsl from './backends/audio-glsl.js';
+import * as audioWorklet from './backends/audio-worklet.js';
+import * as webgpu from './backends/webgpu.js';
+import { downloadBlob } from './recording.js';
+
+export const EXPORT_SAMPLE_RATES = [22050, 44100, 48000, 96000];
+export const EXPORT_BIT_DEPTHS = {
+    16: '16-bit',
+    24: '24-bit',
+    32: '32-bit float'
+};
+export const MAX_EXPORT_SECONDS = 600;
+
+let exporting = false;
+
+/**
+ * Audio tab that would be exported, or null when the shader has none
+ * @returns {string|null} 'audio_glsl', 'audio_gpu' or 'audio_worklet'
+ */
+export function getExportSource() {
+    return ['audio_glsl', 'audio_gpu', 'audio_worklet'].find(tab => state.activeTabs.includes(tab)) || null;
+}
+
+export function isExporting() {
+    return exporting;
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+async function resample(channels, fromRate, toRate) {
+    if (fromRate === toRate) return channels;
+    const length = channels[0].length;
+    const source = new AudioBuffer({ numberOfChannels: channels.length, length, sampleRate: fromRate });
+    channels.forEach((data, ch) => source.copyToChannel(data, ch));
+
+    const context = new OfflineAudioContext(channels.length, Math.round(length * toRate / fromRate), toRate);
+    const node = context.createBufferSource();
+    node.buffer = source;
+    node.connect(context.destination);
+    node.start();
+    const rendered = await context.startRendering();
+    return channels.map((_, ch) => rendered.getChannelData(ch));
+}
+
+/**
+ * Render an audio tab offline (also used for the audio track of recordings)
+ * @param {string} tabName - 'audio_glsl', 'audio_gpu' or 'audio_worklet'
+ * @param {Object} options
+ * @param {number} options.seconds - Length to render
+ * @param {number} options.sampleRate - Output sample rate
+ * @param {number} [options.startTime=0] - Shader time of the first sample
+ * @param {Function} [options.onProgress] - Called with 0-1 while rendering
+ * @returns {Promise<Float32Array[]>} [left, right]
+ */
+export async function renderSource(tabName, { seconds, sampleRate, startTime = 0, onProgress }) {
+    if (tabName === 'audio_glsl') {
+        return audioGlsl.renderOffline(seconds, sampleRate, onProgress, startTime);
+    }
+    if (tabName === 'audio_gpu') {
+        const gpu = await webgpu.renderAudioOffline(seconds, onProgress, startTime);
+        return resample(gpu.channels, gpu.sampleRate, sampleRate);
+    }
+    return audioWorklet.renderOffline(seconds, sampleRate, startTime);
+}
+
+// ============================================================================
+// WAV Encoding
+// ============================================================================
+
+/**
+ * Interleave channels into a RIFF WAVE file
+ * @param {Float32Array[]} channels - One array per channel, equal length, -1..1
+ * @param {number} sampleRate
+ * @param {number} bitDepth - 16 or 24 (PCM) or 32 (IEEE float)
+ * @returns {Blob}
+ */
+export function encodeWAV(channels, sampleRate, bitDepth) {
+    const numChannels = channels.length;
+    const numFrames = channels[0].length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, bitDepth === 32 ? 3 : 1, true);  // 3 = IEEE float, 1 = PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < numFrames; i++) {
+        for (let ch = 0; ch < numChannels; ch++) {
+            const raw = channels[ch][i];
+            const sample = Number.isFinite(raw) ? Math.max(-1, Math.min(1, raw)) : 0;
+            if (bitDepth === 32) {
+                view.setFloat32(offset, sample, true);
+            } else if (bitDepth === 24) {
+                const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+                view.setUint8(offset, value & 0xFF);
+                view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            } else {
+                view.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7FFF), true);
+            }
+            offset += bytesPerSample;
+        }
+    }
+    return new Blob([view.buffer], { type: 'audio/wav' });
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Render the shader's audio tab from time 0 and download it as a WAV file
+ * @param {Object} options
+ * @param {number} options.seconds - Length, 0-MAX_EXPORT_SECONDS
+ * @param {number} options.sampleRate - Output sample rate
+ * @param {number} options.bitDepth - 16, 24 or 32
+ * @returns {Promise<boolean>} true when a file was downloaded
+ */
+export async function exportAudio({ seconds, sampleRate, bitDepth }) {
+    if (exporting) return false;
+
+    const source = getExportSource();
+    if (!source) {
+        logStatus('✗ This shader has no audio tab to export', 'error');
+        return false;
+    }
+    if (!(seconds > 0 && seconds <= MAX_EXPORT_SECONDS)) {
+        logStatus(`✗ Export length must be between 0 and ${MAX_EXPORT_SECONDS} seconds`, 'error');
+        return false;
+    }
+
+    exporting = true;
+    window.dispatchEvent(new CustomEvent('audio-export-changed'));
+    let lastPercent = -1;
+    const onProgress = (fraction) => {
+        const percent = Math.floor(fraction * 100);
+        if (percent !== lastPercent) {
+            lastPercent = percent;
+            logStatus(`Rendering audio… ${percent}%`, 'info');
+        }
+    };
+
+    try {
+        logStatus('Rendering audio…', 'info');
+        const started = performance.now();
+        const channels = await renderSource(source, { seconds, sampleRate, onProgress });
+        const blob = encodeWAV(channels, sampleRate, bitDepth);
+        const filename = `shader-audio-${new Date().toISOString().replace(/[:.]/g, '-')}.wav`;
+        downloadBlob(blob, filename);
+
+        const elapsed = (performance.now() - started) / 1000;
+        console.log(`✓ Exported ${seconds}s of audio in ${elapsed.toFixed(2)}s (${sampleRate} Hz, ${EXPORT_BIT_DEPTHS[bitDepth]})`);
+        logStatus(`✓ Saved ${seconds}s of audio to ${filename}`, 'success');
+        return true;
+    } catch (err) {
+        console.error('Audio export failed:', err);
+        logStatus(`✗ Audio export failed: ${err.message}`, 'error');
+        return false;
+    } finally {
+        exporting = false;
+        window.dispatchEvent(new CustomEvent('audio-export-changed'));
+    }
+}
@@ -131,6 +131,8 @@ export async function createAudioAnalyser(audioPath, mode = 'shadertoy') {
         audio.crossOrigin = 'anonymous';
         audio.loop = true;
         audio.preload = 'auto';
+        // Play at the transport's rate (loading resets playbackRate to the default)
+        audio.defaultPlaybackRate = state.playbackRate;
         
         // Create analyser node
         const analyser = audioContext.createAnalyser();
@@ -202,28 +204,27 @@ export async function createAudioAnalyser(audioPath, mode = 'shadertoy') {
 }
 
 /**
- * Update audio texture with current analysis data
- * Routes to appropriate update function based on mode
- * @param {WebGL2RenderingContext} gl - WebGL context
- * @param {WebGLTexture} texture - Texture to update
+ * Compute audio texture pixels from current analysis data
+ * Shared by the WebGL upload path and the WebGPU channel mirror
  * @param {AnalyserNode} analyser - Web Audio analyser node
  * @param {number} width - Texture width
  * @param {number} height - Texture height
  * @param {string} mode - Texture mode (optional, defaults to standard 2-row mode)
  * @param {Float32Array} previousFrame - Previous frame data for delta (chromagram only)
  * @param {Float32Array} temporalAverage - Temporal average data (chromagram only)
+ * @returns {Object|null} { data, width, height, components } (components: 1=R8, 3=RGB8)
  */
-export function updateAudioTexture(gl, texture, analyser, width, height, mode = 'shadertoy', previousFrame = null, temporalAverage = null) {
-    if (!analyser) return;
+export function getAudioTextureData(analyser, width, height, mode = 'shadertoy', previousFrame = null, temporalAverage = null) {
+    if (!analyser) return null;
     
     // Route to chromagram processor for 12×12 mode
     if (mode.startsWith('chromagram') || (width === 12 && height === 12)) {
-        updateChromagramTexture(gl, texture, analyser, previousFrame, temporalAverage);
-        return;
+        const data = computeChromagramData(analyser, previousFrame, temporalAverage);
+        return { data, width: 12, height: 12, components: 3 };
     }
     
     // Standard mode: 2-row texture (frequency + waveform)
-    if (height !== 2) return;
+    if (height !== 2) return null;
     
     // Shadertoy uses the default fftSize of 2048, giving frequencyBinCount of 1024
     // But their texture is only 512 pixels wide
@@ -242,39 +243,75 @@ export function updateAudioTexture(gl, texture, analyser, width, height, mode =
     
     // For Shadertoy compatibility: just use the first 'width' samples
     // Don't skip samples - just truncate to texture width
-    const frequencyData = fullFrequencyData.slice(0, width);
-    const waveformData = fullWaveformData.slice(0, width);
+    // Row 0: Frequency spectrum (FFT) - SHADERTOY HAS FREQUENCY ON ROW 0!
+    // Row 1: Waveform (time domain) - SHADERTOY HAS WAVEFORM ON ROW 1!
+    const data = new Uint8Array(width * 2);
+    data.set(fullFrequencyData.subarray(0, width), 0);
+    data.set(fullWaveformData.subarray(0, width), width);
     
-    // Update texture
-    gl.bindTexture(gl.TEXTURE_2D, texture);
+    return { data, width, height: 2, components: 1 };
+}
+
+/**
+ * Update audio texture with current analysis data
+ * Routes to appropriate update function based on mode
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {WebGLTexture} texture - Texture to update
+ * @param {AnalyserNode} analyser - Web Audio analyser node
+ * @param {number} width - Texture width
+ * @param {number} height - Texture height
+ * @param {string} mode - Texture mode (optional, defaults to standard 2-row mode)
+ * @param {Float32Array} previousFrame - Previous frame data for delta (chromagram only)
+ * @param {Float32Array} temporalAverage - Temporal average data (chromagram only)
+ */
+export function updateAudioTexture(gl, texture, analyser, width, height, mode = 'shadertoy', previousFrame = null, temporalAverage = null) {
+    const result = getAudioTextureData(analyser, width, height, mode, previousFrame, temporalAverage);
+    if (!result) return;
     
-    // Row 0: Frequency spectrum (FFT) - SHADERTOY HAS FREQUENCY ON ROW 0!
+    const format = result.components === 3 ? gl.RGB : gl.RED;
+    
+    gl.bindTexture(gl.TEXTURE_2D, texture);
     gl.texSubImage2D(
         gl.TEXTURE_2D,
         0,
         0, 0,           // x, y offset
-        width, 1,       // width, height
-        gl.RED,
+        result.width, result.height,
+        format,
         gl.UNSIGNED_BYTE,
-        frequencyData
+        result.data
     );
+    gl.bindTexture(gl.TEXTURE_2D, null);
+}
+
+/**
+ * Update chromagram texture with musical note analysis
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {WebGLTexture} texture - Texture to update
+ * @param {AnalyserNode} analyser - Web Audio analyser node
+ * @param {Float32Array} previousFrame - Previous frame data for delta calculation
+ * @param {Float32Array} temporalAverage - Running average for temporal smoothing
+ */
+export function updateChromagramTexture(gl, texture, analyser, previousFrame, temporalAverage) {
+    if (!analyser) return;
     
-    // Row 1: Waveform (time domain) - SHADERTOY HAS WAVEFORM ON ROW 1!
+    const textureData = computeChromagramData(analyser, previousFrame, temporalAverage);
+    
+    // Upload to GPU
+    gl.bindTexture(gl.TEXTURE_2D, texture);
     gl.texSubImage2D(
         gl.TEXTURE_2D,
         0,
-        0, 1,           // x, y offset
-        width, 1,       // width, height
-        gl.RED,
+        0, 0,           // x, y offset
+        12, 12,         // width, height
+        gl.RGB,         // 3-channel format
         gl.UNSIGNED_BYTE,
-        waveformData
+        textureData
     );
-    
     gl.bindTexture(gl.TEXTURE_2D, null);
 }
 
 /**
- * Update chromagram texture with musical note analysis
+ * Compute chromagram pixels (12×12 RGB) from musical note analysis
  * Creates a 12×12 grid mapping FFT data to musical notes
  * 
  * Layout:
@@ -289,15 +326,12 @@ export function updateAudioTexture(gl, texture, analyser, width, height, mode =
  *   Green: Positive delta (energy increase) - great for beat detection!
  *   Blue: Temporal average (smoothed over time) - shows sustained notes
  * 
- * @param {WebGL2RenderingContext} gl - WebGL context
- * @param {WebGLTexture} texture - Texture to update
  * @param {AnalyserNode} analyser - Web Audio analyser node
  * @param {Float32Array} previousFrame - Previous frame data for delta calculation
  * @param {Float32Array} temporalAverage - Running average for temporal smoothing
+ * @returns {Uint8Array} RGB texture data (144 × 3)
  */
-export function updateChromagramTexture(gl, texture, analyser, previousFrame, temporalAverage) {
-    if (!analyser) return;
-    
+function computeChromagramData(analyser, previousFrame, temporalAverage) {
     // Get FFT data
     const frequencyBinCount = analyser.frequencyBinCount;
     const frequencyData = new Uint8Array(frequencyBinCount);
@@ -493,18 +527,7 @@ export function updateChromagramTexture(gl, texture, analyser, previousFrame, te
         textureData[i * 3 + 2] = Math.floor(Math.min(1.0, blueSquared) * 255);
     }
     
-    // Upload to GPU
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    gl.texSubImage2D(
-        gl.TEXTURE_2D,
-        0,
-        0, 0,           // x, y offset
-        12, 12,         // width, height
-        gl.RGB,         // 3-channel format
-        gl.UNSIGNED_BYTE,
-        textureData
-    );
-    gl.bindTexture(gl.TEXTURE_2D, null);
+    return textureData;
 }
 
 /**
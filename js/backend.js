@@ -745,6 +745,126 @@ export async function deleteShader(shaderId) {
     }
 }
 
+// ============================================================================
+// Shader Libraries
+// ============================================================================
+
+/**
+ * Publish a new version of a library (the database assigns the version number)
+ * @param {Object} libraryData - { name, language, code, description, visibility }
+ * @returns {Object} { success, library, error }
+ */
+export async function publishLibrary(libraryData) {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not initialized' };
+    }
+
+    if (!isSignedIn()) {
+        return { success: false, error: 'Must be signed in to publish' };
+    }
+
+    try {
+        const result = await supabase
+            .from('shader_libraries')
+            .insert({
+                user_id: state.currentUser.id,
+                name: libraryData.name,
+                // Placeholder - replaced by the version trigger
+                version: 0,
+                language: libraryData.language || 'glsl',
+                code: libraryData.code,
+                description: libraryData.description || null,
+                visibility: libraryData.visibility || 'published',
+                creator_name: state.userDisplayName || 'Anonymous'
+            })
+            .select()
+            .single();
+
+        if (result.error) throw result.error;
+
+        console.log(`✓ Library published: ${result.data.name}@${result.data.version}`);
+        return { success: true, library: result.data };
+
+    } catch (error) {
+        console.error('Publish library error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Load a library version
+ * @param {string} name - Library name
+ * @param {number|null} version - Version number, or null for the latest
+ * @returns {Object} { success, library, error }
+ */
+export async function loadLibrary(name, version = null) {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not initialized' };
+    }
+
+    try {
+        let query = supabase
+            .from('shader_libraries')
+            .select('*')
+            .eq('name', name);
+
+        query = version === null
+            ? query.order('version', { ascending: false }).limit(1)
+            : query.eq('version', version);
+
+        const result = await query.maybeSingle();
+
+        if (result.error) throw result.error;
+        if (!result.data) {
+            const label = version === null ? name : `${name}@${version}`;
+            return { success: false, error: `Library "${label}" not found` };
+        }
+
+        const estimatedBytes = JSON.stringify(result.data).length;
+        trackBandwidth('api', estimatedBytes);
+
+        return { success: true, library: result.data };
+
+    } catch (error) {
+        console.error('Load library error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Load the current user's libraries (every version, newest first)
+ * @returns {Object} { success, libraries, error }
+ */
+export async function loadMyLibraries() {
+    if (!supabase) {
+        return { success: false, error: 'Supabase not initialized' };
+    }
+
+    if (!isSignedIn()) {
+        return { success: false, error: 'Must be signed in' };
+    }
+
+    try {
+        const result = await supabase
+            .from('shader_libraries')
+            .select('id, name, version, language, description, visibility, created_at')
+            .eq('user_id', state.currentUser.id)
+            .order('name', { ascending: true })
+            .order('version', { ascending: false });
+
+        if (result.error) throw result.error;
+
+        const estimatedBytes = JSON.stringify(result.data).length;
+        trackBandwidth('api', estimatedBytes);
+
+        return { success: true, libraries: result.data };
+
+    } catch (error) {
+        console.error('Load my libraries error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 // ============================================================================
 // Thumbnail Upload
 // ============================================================================
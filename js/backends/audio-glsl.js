@@ -19,9 +19,17 @@
 //
 // 3. RUNTIME BUFFER CONTROL: bufferAheadTime and batchDuration are now
 //    configurable at runtime via setter functions, exposed in the UI.
+//
+// CHANNEL INPUTS: iChannelN referenced by the sound shader is uploaded into the
+// worker's own WebGL context (image and volume channels as-is, 2D buffers as a
+// float snapshot). The worker can't see the main context's textures.
 
 import { state, AUDIO_MODES, logStatus } from '../core.js';
 import * as waveformPanel from '../ui/audio-waveform-panel.js';
+import * as channels from '../channels.js';
+import * as volumeInput from '../volume-input.js';
+import * as mediaLoader from '../media-loader.js';
+import * as webgl from './webgl.js';
 
 // ============================================================================
 // State
@@ -38,6 +46,9 @@ let scheduledSources = [];
 let maxTextureSize = 4096;
 let generating = false;
 let animationFrameId = null;
+let bufferInputs = [];          // Buffer channel numbers read by the sound shader
+let bufferSnapshotFrame = -1;   // Visual frame at load time (-1 = snapshot up to date)
+let offlineRequest = null;      // { resolve, reject } for the block being rendered by renderOffline()
 
 // Configurable buffer parameters (can be changed at runtime)
 let bufferAheadTime = 0.5;    // How far ahead to buffer audio (seconds) - default 500ms
@@ -73,6 +84,12 @@ export async function load(shaderCode) {
     const codeLines = shaderCode.split('\n').length;
     
     try {
+        const channelResult = await collectChannelInputs(shaderCode);
+        if (channelResult.error) {
+            return { success: false, errors: [{ lineNum: 1, message: channelResult.error }] };
+        }
+        const channelDecls = buildChannelDeclarations(channelResult.inputs);
+        
         // Stop any existing playback
         stop();
         
@@ -81,6 +98,8 @@ export async function load(shaderCode) {
             renderWorker.terminate();
             renderWorker = null;
         }
+        offlineRequest?.reject(new Error('Audio shader was recompiled during export'));
+        offlineRequest = null;
         
         workerReady = false;
         
@@ -108,10 +127,14 @@ export async function load(shaderCode) {
                         state.audioMode = AUDIO_MODES.GLSL;
                         
                         // Initialize waveform panel
+                        // (its worker has no channel textures - samplers are declared unbound and read black)
                         const container = document.getElementById('audioWaveformContainer');
                         if (container) {
                             waveformPanel.mountPanel(container);
-                            waveformPanel.onAudioShaderLoaded(shaderCode);
+                            const waveformCode = channelDecls
+                                ? `uniform vec3 iChannelResolution[16]; ${channelDecls}\n${shaderCode}`
+                                : shaderCode;
+                            waveformPanel.onAudioShaderLoaded(waveformCode);
                         }
                         
                         resolve({ success: true });
@@ -121,9 +144,14 @@ export async function load(shaderCode) {
                 } else if (e.data.type === 'audioData') {
                     generating = false;
                     onAudioDataGenerated(e.data.audioData, e.data.numSamples);
+                } else if (e.data.type === 'offlineAudioData') {
+                    offlineRequest?.resolve(e.data.audioData);
+                    offlineRequest = null;
                 } else if (e.data.type === 'error') {
                     console.error('GLSL Audio shader error:', e.data.error);
                     generating = false;
+                    offlineRequest?.reject(new Error(e.data.error));
+                    offlineRequest = null;
                     
                     if (!resolved) {
                         resolved = true;
@@ -143,8 +171,14 @@ export async function load(shaderCode) {
             renderWorker.postMessage({
                 type: 'init',
                 canvas: offscreen,
-                shaderCode
-            }, [offscreen]);
+                shaderCode,
+                channelDecls,
+                channelInputs: channelResult.inputs
+            }, [offscreen, ...channelResult.transfer]);
+            
+            // Buffers are re-read once graphics has rendered a frame with the new program
+            bufferInputs = channelResult.inputs.filter(input => input.kind === 'buffer').map(input => input.number);
+            bufferSnapshotFrame = bufferInputs.length > 0 ? state.visualFrame : -1;
             
             // Timeout if worker doesn't respond
             setTimeout(() => {
@@ -168,6 +202,107 @@ export async function load(shaderCode) {
     }
 }
 
+// ============================================================================
+// Channel Inputs
+// ============================================================================
+
+/**
+ * Gather the channels the sound shader samples, as transferable upload data
+ * @param {string} shaderCode - Sound shader source (incl. common code)
+ * @returns {Promise<{inputs: Object[], transfer: Transferable[]}|{error: string}>}
+ */
+async function collectChannelInputs(shaderCode) {
+    const inputs = [];
+    const transfer = [];
+    
+    for (const chNum of channels.parseChannelUsage(shaderCode)) {
+        const channel = channels.getChannel(chNum);
+        if (!channel) {
+            return { error: `Sound shader uses iChannel${chNum} but this channel doesn't exist. Add using the '+Add Pass' button.` };
+        }
+        
+        const input = await readChannelInput(channel);
+        if (!input) {
+            return { error: `iChannel${chNum} (${channel.type}) can't be used by GLSL audio - only image, volume and buffer channels are supported` };
+        }
+        
+        inputs.push(input);
+        transfer.push(input.bitmap || input.data.buffer);
+    }
+    
+    return { inputs, transfer };
+}
+
+/**
+ * Build the upload descriptor for one channel
+ * @param {Object} channel - Channel object
+ * @returns {Promise<Object|null>} Descriptor, or null if the type can't be used
+ */
+async function readChannelInput(channel) {
+    const base = { number: channel.number };
+    
+    if (channel.type === 'image') {
+        if (!channel.mediaPath) {
+            const size = 256;
+            return { ...base, kind: 'image', data: mediaLoader.createCheckerboardData(size), width: size, height: size, wrap: channel.wrap, filter: channel.filter };
+        }
+        // ImageBitmap uploads ignore UNPACK_FLIP_Y_WEBGL, so flip while decoding instead
+        const response = await fetch(channel.mediaPath);
+        const bitmap = await createImageBitmap(await response.blob(), channel.vflip !== false ? { imageOrientation: 'flipY' } : {});
+        return { ...base, kind: 'image', bitmap, width: bitmap.width, height: bitmap.height, wrap: channel.wrap, filter: channel.filter };
+    }
+    
+    if (channel.type === 'volume' && channel.volumeData) {
+        const { volumeId, width, height, depth, wrap } = channel.volumeData;
+        // Copy - the loader caches the original array and transferring would detach it
+        const data = (await volumeInput.loadVolumeData(volumeId)).slice();
+        return { ...base, kind: 'volume', data, width, height, depth, components: channel.volumeData.channels, wrap: wrap || 'clamp' };
+    }
+    
+    if (channel.type === 'buffer' && !channel.isCubemap) {
+        return readBufferInput(channel);
+    }
+    
+    return null;
+}
+
+function readBufferInput(channel) {
+    const snapshot = webgl.readBufferPixels(channel.number);
+    if (snapshot) {
+        return { number: channel.number, kind: 'buffer', ...snapshot };
+    }
+    // Not rendered yet - start from black, refreshed after the first graphics frame
+    const width = channel.resolution?.width || 1;
+    const height = channel.resolution?.height || 1;
+    return { number: channel.number, kind: 'buffer', data: new Float32Array(width * height * 4), width, height };
+}
+
+/**
+ * Sampler declarations for the wrapper, kept on one line so error line offsets don't move
+ */
+function buildChannelDeclarations(inputs) {
+    return inputs.map(input => {
+        const samplerType = input.kind === 'volume' ? 'highp sampler3D' : 'sampler2D';
+        return `uniform ${samplerType} iChannel${input.number};`;
+    }).join(' ');
+}
+
+/**
+ * Re-send buffer snapshots once graphics has rendered past the load frame
+ */
+function refreshBufferSnapshots() {
+    if (bufferSnapshotFrame < 0 || state.visualFrame <= bufferSnapshotFrame || !renderWorker) return;
+    bufferSnapshotFrame = -1;
+    
+    const inputs = bufferInputs
+        .map(chNum => channels.getChannel(chNum))
+        .filter(channel => channel?.type === 'buffer')
+        .map(readBufferInput);
+    if (inputs.length === 0) return;
+    
+    renderWorker.postMessage({ type: 'updateChannels', channelInputs: inputs }, inputs.map(input => input.data.buffer));
+}
+
 // ============================================================================
 // Parse Shader Errors
 // ============================================================================
@@ -218,6 +353,8 @@ let framebuffer = null;
 let texture = null;
 let maxTextureSize = 4096;
 let currentWidth = 0;
+let channelDecls = '';
+let channelTextures = new Map();  // channel number -> { texture, unit, width, height, depth }
 
 // Uniform locations
 let uniformLocs = {
@@ -233,13 +370,18 @@ let uniformLocs = {
 
 self.onmessage = async (e) => {
     if (e.data.type === 'init') {
-        const { canvas, shaderCode } = e.data;
-        setupWebGL(canvas, shaderCode);
-    } else if (e.data.type === 'render') {
+        const { canvas, shaderCode, channelInputs } = e.data;
+        channelDecls = e.data.channelDecls || '';
+        setupWebGL(canvas, shaderCode, channelInputs || []);
+    } else if (e.data.type === 'updateChannels') {
+        e.data.channelInputs.forEach(uploadChannel);
+        applyChannelUniforms();
+    } else if (e.data.type === 'render' || e.data.type === 'renderOffline') {
         const { numSamples, sampleRate, sampleOffset, uniforms } = e.data;
         const audioData = generateAudio(numSamples, sampleRate, sampleOffset, uniforms);
         if (audioData) {
-            self.postMessage({ type: 'audioData', audioData, numSamples }, [audioData.buffer]);
+            const type = e.data.type === 'render' ? 'audioData' : 'offlineAudioData';
+            self.postMessage({ type, audioData, numSamples }, [audioData.buffer]);
         } else {
             self.postMessage({ type: 'error', error: 'Generation failed' });
         }
@@ -249,7 +391,7 @@ self.onmessage = async (e) => {
     }
 };
 
-function setupWebGL(canvas, shaderCode) {
+function setupWebGL(canvas, shaderCode, channelInputs) {
     gl = canvas.getContext('webgl2', {
         alpha: false,
         depth: false,
@@ -272,6 +414,9 @@ function setupWebGL(canvas, shaderCode) {
     maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
     self.postMessage({ type: 'maxTextureSize', size: maxTextureSize });
     
+    // Upload before compiling so the program can bind its samplers straight away
+    channelInputs.forEach(uploadChannel);
+    
     updateShader(shaderCode);
     
     const buffer = gl.createBuffer();
@@ -331,7 +476,7 @@ function updateShader(shaderCode) {
         \${customIntDecls}
         \${customBoolDecls}
         
-        out vec4 fragColor;
+        out vec4 fragColor; uniform vec3 iChannelResolution[16]; \${channelDecls}
         
         // User's shader code (must define mainSound)
         \${shaderCode}
@@ -399,9 +544,96 @@ function updateShader(shaderCode) {
         uniformLocs.customBools[i] = gl.getUniformLocation(program, 'u_customBool' + i);
     }
     
+    applyChannelUniforms();
+    
     self.postMessage({ type: 'ready' });
 }
 
+// Texture unit 0 is left to the output texture, channels use 1..N
+function uploadChannel(input) {
+    const existing = channelTextures.get(input.number);
+    if (existing) gl.deleteTexture(existing.texture);
+    const unit = existing ? existing.unit : channelTextures.size + 1;
+    
+    const texture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    
+    if (input.kind === 'volume') {
+        const formats = {
+            1: [gl.R8, gl.RED],
+            2: [gl.RG8, gl.RG],
+            3: [gl.RGB8, gl.RGB],
+            4: [gl.RGBA8, gl.RGBA]
+        };
+        const [internalFormat, format] = formats[input.components] || formats[4];
+        gl.bindTexture(gl.TEXTURE_3D, texture);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+        gl.texImage3D(gl.TEXTURE_3D, 0, internalFormat, input.width, input.height, input.depth, 0, format, gl.UNSIGNED_BYTE, input.data);
+        gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+        const wrap = getWrapMode(input.wrap);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_S, wrap);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_T, wrap);
+        gl.texParameteri(gl.TEXTURE_3D, gl.TEXTURE_WRAP_R, wrap);
+    } else if (input.kind === 'buffer') {
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, input.width, input.height, 0, gl.RGBA, gl.FLOAT, input.data);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    } else {
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        if (input.bitmap) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, input.bitmap);
+            input.bitmap.close();
+        } else {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, input.width, input.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, input.data);
+        }
+        const wrap = getWrapMode(input.wrap);
+        const useMipmaps = input.filter === 'mipmap';
+        if (useMipmaps) gl.generateMipmap(gl.TEXTURE_2D);
+        const minFilter = useMipmaps ? gl.LINEAR_MIPMAP_LINEAR : (input.filter === 'nearest' ? gl.NEAREST : gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, minFilter);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, input.filter === 'nearest' ? gl.NEAREST : gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
+    }
+    
+    gl.activeTexture(gl.TEXTURE0);
+    channelTextures.set(input.number, {
+        texture,
+        unit,
+        width: input.width,
+        height: input.height,
+        depth: input.depth || 1
+    });
+}
+
+function getWrapMode(wrap) {
+    if (wrap === 'repeat') return gl.REPEAT;
+    if (wrap === 'mirror') return gl.MIRRORED_REPEAT;
+    return gl.CLAMP_TO_EDGE;
+}
+
+function applyChannelUniforms() {
+    if (!program) return;
+    gl.useProgram(program);
+    const resolution = new Float32Array(16 * 3);
+    channelTextures.forEach((info, chNum) => {
+        const loc = gl.getUniformLocation(program, 'iChannel' + chNum);
+        if (loc) gl.uniform1i(loc, info.unit);
+        if (chNum < 16) {
+            resolution[chNum * 3] = info.width;
+            resolution[chNum * 3 + 1] = info.height;
+            resolution[chNum * 3 + 2] = info.depth;
+        }
+    });
+    const resLoc = gl.getUniformLocation(program, 'iChannelResolution');
+    if (resLoc) gl.uniform3fv(resLoc, resolution);
+}
+
 function compileShader(type, source) {
     const shader = gl.createShader(type);
     gl.shaderSource(shader, source);
@@ -530,6 +762,10 @@ function generationLoop() {
     const now = audioContext.currentTime;
     const bufferedTime = scheduledUntil - now;
     
+    if (workerReady) {
+        refreshBufferSnapshots();
+    }
+    
     // Request more audio if buffer is low and not already generating
     if (bufferedTime < bufferAheadTime && workerReady && !generating) {
         generating = true;
@@ -599,6 +835,57 @@ function onAudioDataGenerated(audioData, numSamples) {
     };
 }
 
+// ============================================================================
+// Offline Rendering
+// ============================================================================
+
+function requestOfflineBlock(numSamples, sampleRate, sampleOffset, uniforms) {
+    return new Promise((resolve, reject) => {
+        offlineRequest = { resolve, reject };
+        renderWorker.postMessage({ type: 'renderOffline', numSamples, sampleRate, sampleOffset, uniforms });
+    });
+}
+
+/**
+ * Render mainSound as fast as the worker allows (independent of playback)
+ * Custom uniforms and mouse are the current values; iTime is the start time of each block.
+ * @param {number} seconds - Length to render
+ * @param {number} sampleRate - Output sample rate (passed to the shader as iSampleRate)
+ * @param {Function} [onProgress] - Called with 0-1 after each block
+ * @param {number} [startTime=0] - Shader time of the first sample
+ * @returns {Promise<Float32Array[]>} [left, right]
+ */
+export async function renderOffline(seconds, sampleRate, onProgress, startTime = 0) {
+    if (!renderWorker || !workerReady) {
+        throw new Error('GLSL audio is not compiled');
+    }
+    if (offlineRequest) {
+        throw new Error('An audio export is already running');
+    }
+    
+    const totalSamples = Math.round(seconds * sampleRate);
+    const left = new Float32Array(totalSamples);
+    const right = new Float32Array(totalSamples);
+    const uniforms = state.uniformBuilder ? state.uniformBuilder.getAudioUniforms() : {};
+    const firstSample = Math.round(startTime * sampleRate);
+    
+    let offset = 0;
+    while (offset < totalSamples) {
+        const numSamples = Math.min(maxTextureSize, totalSamples - offset);
+        const audioData = await requestOfflineBlock(numSamples, sampleRate, firstSample + offset, {
+            ...uniforms,
+            time: (firstSample + offset) / sampleRate
+        });
+        for (let i = 0; i < numSamples; i++) {
+            left[offset + i] = audioData[i * 2];
+            right[offset + i] = audioData[i * 2 + 1];
+        }
+        offset += numSamples;
+        onProgress?.(offset / totalSamples);
+    }
+    return [left, right];
+}
+
 // ============================================================================
 // Playback Control
 // ============================================================================
@@ -695,8 +982,12 @@ export function cleanup() {
         renderWorker.terminate();
         renderWorker = null;
     }
+    offlineRequest?.reject(new Error('GLSL audio was unloaded during export'));
+    offlineRequest = null;
     
     workerReady = false;
+    bufferInputs = [];
+    bufferSnapshotFrame = -1;
     state.audioMode = AUDIO_MODES.NONE;
     
     // Cleanup waveform panel
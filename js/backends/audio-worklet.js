@@ -4,6 +4,12 @@
 
 import { state, AUDIO_MODES } from '../core.js';
 
+let loadedCode = null;  // Last code that loaded, for offline rendering
+
+// Longest lead-in renderOffline() renders and drops to reach a later start time;
+// beyond it the lead-in alone would hold minutes of audio in memory
+const MAX_OFFLINE_LEAD_IN_SECONDS = 60;
+
 // ============================================================================
 // Initialization
 // ============================================================================
@@ -20,32 +26,12 @@ export async function init(audioContext, gainNode) {
 }
 
 // ============================================================================
-// Load AudioWorklet Code
+// Processor Wrapper
 // ============================================================================
 
-export async function load(audioCode) {
-    if (!state.audioContext) {
-        return { 
-            success: false, 
-            errors: [{ lineNum: 1, message: 'AudioContext not initialized' }] 
-        };
-    }
-    
-    const codeLines = audioCode.split('\n').length;
-    
-    try {
-        // Disconnect and remove old worklet if exists
-        if (state.audioWorkletNode) {
-            state.audioWorkletNode.disconnect();
-            state.audioWorkletNode = null;
-        }
-        
-        // Generate unique processor name for each reload to avoid registration conflicts
-        const processorName = 'user-audio-' + Date.now();
-        
-        // Wrap user code in AudioWorkletProcessor boilerplate
-        // User code should define: const audioProcessor = { init() {...}, userProcess() {...}, receiveMessage() {...} }
-        const wrappedCode = `
+// User code should define: const audioProcessor = { init() {...}, userProcess() {...}, receiveMessage() {...} }
+function wrapProcessorCode(audioCode, processorName) {
+    return `
 // User code defines audioProcessor object
 ${audioCode}
 
@@ -89,6 +75,34 @@ class AudioProcessor extends AudioWorkletProcessor {
 }
 registerProcessor('${processorName}', AudioProcessor);
 `;
+}
+
+// ============================================================================
+// Load AudioWorklet Code
+// ============================================================================
+
+export async function load(audioCode) {
+    if (!state.audioContext) {
+        return { 
+            success: false, 
+            errors: [{ lineNum: 1, message: 'AudioContext not initialized' }] 
+        };
+    }
+    
+    const codeLines = audioCode.split('\n').length;
+    
+    try {
+        // Disconnect and remove old worklet if exists
+        if (state.audioWorkletNode) {
+            state.audioWorkletNode.disconnect();
+            state.audioWorkletNode = null;
+        }
+        
+        // Generate unique processor name for each reload to avoid registration conflicts
+        const processorName = 'user-audio-' + Date.now();
+        
+        // Wrap user code in AudioWorkletProcessor boilerplate
+        const wrappedCode = wrapProcessorCode(audioCode, processorName);
         
         // Create blob URL with the wrapped audio code
         const blob = new Blob([wrappedCode], { type: 'application/javascript' });
@@ -108,6 +122,7 @@ registerProcessor('${processorName}', AudioProcessor);
         };
         
         state.audioMode = AUDIO_MODES.WORKLET;
+        loadedCode = audioCode;
         return { success: true, node: state.audioWorkletNode };
     } catch (err) {
         console.error('AudioWorklet loading error:', err);
@@ -169,6 +184,48 @@ export function setParam(name, value) {
     }
 }
 
+// ============================================================================
+// Offline Rendering
+// ============================================================================
+
+/**
+ * Run the loaded processor in an OfflineAudioContext, faster than real time
+ * The offline processor is a fresh instance: it gets no messages or parameter changes.
+ * It has no clock to seek, so a later start renders from 0 and drops the lead-in;
+ * past MAX_OFFLINE_LEAD_IN_SECONDS the audio starts from the processor's time 0 instead.
+ * @param {number} seconds - Length to render
+ * @param {number} sampleRate - Output sample rate (the processor's sampleRate)
+ * @param {number} [startTime=0] - Time of the first returned sample (see above)
+ * @returns {Promise<Float32Array[]>} [left, right]
+ */
+export async function renderOffline(seconds, sampleRate, startTime = 0) {
+    if (!loadedCode) {
+        throw new Error('AudioWorklet code is not compiled');
+    }
+    
+    let leadIn = Math.max(0, startTime);
+    if (leadIn > MAX_OFFLINE_LEAD_IN_SECONDS) {
+        console.warn(`⚠ Start time ${startTime.toFixed(1)}s is past the ${MAX_OFFLINE_LEAD_IN_SECONDS}s AudioWorklet lead-in limit - rendering its audio from 0`);
+        leadIn = 0;
+    }
+    const skip = Math.round(leadIn * sampleRate);
+    const offlineContext = new OfflineAudioContext(2, skip + Math.round(seconds * sampleRate), sampleRate);
+    const processorName = 'user-audio-offline-' + Date.now();
+    const blob = new Blob([wrapProcessorCode(loadedCode, processorName)], { type: 'application/javascript' });
+    const url = URL.createObjectURL(blob);
+    try {
+        await offlineContext.audioWorklet.addModule(url);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+    
+    const node = new AudioWorkletNode(offlineContext, processorName, { outputChannelCount: [2] });
+    node.connect(offlineContext.destination);
+    const rendered = await offlineContext.startRendering();
+    // Copies, so the lead-in can be freed
+    return [rendered.getChannelData(0).slice(skip), rendered.getChannelData(1).slice(skip)];
+}
+
 // ============================================================================
 // Cleanup
 // ============================================================================
@@ -179,6 +236,7 @@ export function cleanup() {
         state.audioWorkletNode.disconnect();
         state.audioWorkletNode = null;
     }
+    loadedCode = null;
     
     state.audioMode = AUDIO_MODES.NONE;
 }
@@ -4,6 +4,9 @@
 
 import { state, CONFIG, DERIVED } from '../core.js';
 import * as channels from '../channels.js';
+import { CHANNEL_UNIFORM_COUNT } from '../glsl-boilerplate.js';
+import * as gpuTiming from '../gpu-timing.js';
+import * as channelView from '../channel-view.js';
 
 // ============================================================================
 // Initialization
@@ -34,6 +37,22 @@ export async function init(canvas) {
         gl.disable(gl.CULL_FACE);
         gl.disable(gl.BLEND);
         
+        // Programs from a previous context can't be used with this one
+        clearProgramCache(null);
+        
+        // Non-blocking compile status queries (see compileProgram)
+        if (gl.getExtension('KHR_parallel_shader_compile')) {
+            console.log('✓ KHR_parallel_shader_compile enabled');
+        }
+        
+        // Per-pass GPU timing (often missing on software rasterisers)
+        timerExt = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+        pendingTimerQueries.length = 0;
+        gpuTiming.setGpuTimingSupport('webgl', !!timerExt);
+        
+        // Blending into RGBA32F targets (vertex passes) needs its own extension
+        floatBlendSupported = !!gl.getExtension('EXT_float_blend');
+        
         // Enable float texture rendering extension (required for RGBA32F framebuffers)
         const floatExt = gl.getExtension('EXT_color_buffer_float');
         if (floatExt) {
@@ -99,6 +118,43 @@ export function initBufferResources() {
 // Supports linear colorspace mode (gamma correction) for compute.toys compatibility
 let displayProgram = null;
 let displayProgramLocs = null;
+let historyFramebuffer = null;  // Draw target for copying finished frames into history rings
+
+// Shader debug values in false colour: one component through the turbo map, two or
+// three as RGB over the range. Shared by the display and channel viewer programs.
+const FALSE_COLOR_GLSL = `
+        // Turbo colormap, polynomial approximation
+        vec3 turbo(float x) {
+            const vec4 kRed4 = vec4(0.13572138, 4.61539260, -42.66032258, 132.13108234);
+            const vec4 kGreen4 = vec4(0.09140261, 2.19418839, 4.84296658, -14.18503333);
+            const vec4 kBlue4 = vec4(0.10667330, 12.64194608, -60.58204836, 110.36276771);
+            const vec2 kRed2 = vec2(-152.94239396, 59.28637943);
+            const vec2 kGreen2 = vec2(4.27729857, 2.82956604);
+            const vec2 kBlue2 = vec2(-89.90310912, 27.34824973);
+            x = clamp(x, 0.0, 1.0);
+            vec4 v4 = vec4(1.0, x, x * x, x * x * x);
+            vec2 v2 = v4.zw * v4.z;
+            return vec3(
+                dot(v4, kRed4) + dot(v2, kRed2),
+                dot(v4, kGreen4) + dot(v2, kGreen2),
+                dot(v4, kBlue4) + dot(v2, kBlue2)
+            );
+        }
+        
+        vec3 falseColor(vec4 value, int components, vec2 range) {
+            // Pixels that never ran the watched line: grey checkerboard
+            if (components < 4 && value.a == 0.0) {
+                vec2 cell = floor(gl_FragCoord.xy / 8.0);
+                return vec3(0.2 + 0.1 * mod(cell.x + cell.y, 2.0));
+            }
+            vec3 v = components == 1 ? value.xxx : (components == 2 ? vec3(value.xy, range.x) : value.xyz);
+            if (any(isnan(v)) || any(isinf(v))) {
+                return vec3(1.0, 0.0, 1.0);
+            }
+            vec3 t = (v - range.x) / max(range.y - range.x, 1e-20);
+            return components == 1 ? turbo(t.x) : clamp(t, 0.0, 1.0);
+        }
+`;
 
 function createDisplayProgram(gl) {
     const vsSource = `#version 300 es
@@ -117,14 +173,21 @@ function createDisplayProgram(gl) {
         out vec4 fragColor;
         uniform sampler2D u_texture;
         uniform int u_linearMode;  // 0 = sRGB (default), 1 = linear (apply gamma)
+        uniform int u_falseColor;  // 0 = off, else components of the watched debug value
+        uniform vec2 u_range;      // Debug value mapped to 0-1
         
         // sRGB to linear conversion (what compute.toys expects as input)
         vec3 applyGamma(vec3 c) {
             return pow(c, vec3(1.0 / 2.2));
         }
         
+        ${FALSE_COLOR_GLSL}
         void main() {
             vec4 col = texture(u_texture, v_uv);
+            if (u_falseColor > 0) {
+                fragColor = vec4(falseColor(col, u_falseColor, u_range), 1.0);
+                return;
+            }
             vec3 rgb = col.rgb;
             
             // In linear mode, apply gamma correction to simulate compute.toys behavior
@@ -155,7 +218,9 @@ function createDisplayProgram(gl) {
     displayProgramLocs = {
         a_position: gl.getAttribLocation(displayProgram, 'a_position'),
         u_texture: gl.getUniformLocation(displayProgram, 'u_texture'),
-        u_linearMode: gl.getUniformLocation(displayProgram, 'u_linearMode')
+        u_linearMode: gl.getUniformLocation(displayProgram, 'u_linearMode'),
+        u_falseColor: gl.getUniformLocation(displayProgram, 'u_falseColor'),
+        u_range: gl.getUniformLocation(displayProgram, 'u_range')
     };
 }
 
@@ -163,7 +228,148 @@ function createDisplayProgram(gl) {
 // Shader Compilation
 // ============================================================================
 
-export async function compileProgram(fragmentSource) {
+// Linked programs keyed by a hash of the complete shader sources (boilerplate +
+// channel uniforms + common + pass code). A recompile only compiles passes whose
+// source changed; the cache owns its programs and frees them on eviction.
+const PROGRAM_CACHE_LIMIT = 48;
+const programCache = new Map();  // hash -> { source, program, uniforms } (oldest first)
+const programBatches = new Set();  // { gl, programs } of compiles whose passes aren't in use yet
+
+const VERTEX_SOURCE = `#version 300 es
+        in vec2 a_position;
+        
+        void main() {
+            gl_Position = vec4(a_position, 0.0, 1.0);
+        }`;
+
+// 53-bit string hash (cyrb53); hits are confirmed against the stored source
+function hashSource(source) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < source.length; i++) {
+        const ch = source.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36) + ':' + source.length;
+}
+
+function isCachedProgram(program) {
+    for (const entry of programCache.values()) {
+        if (entry.program === program) return true;
+    }
+    return false;
+}
+
+// Evict least recently used programs, never one a current pass is drawing with
+// or one a compile still in progress has handed out
+function trimProgramCache(gl) {
+    if (programCache.size <= PROGRAM_CACHE_LIMIT) return;
+    const inUse = new Set((state.webglPasses || []).flatMap(pass => [pass.program, pass.update?.program]));
+    programBatches.forEach(batch => batch.programs.forEach(program => inUse.add(program)));
+    for (const [hash, entry] of programCache) {
+        if (programCache.size <= PROGRAM_CACHE_LIMIT) break;
+        if (inUse.has(entry.program)) continue;
+        gl.deleteProgram(entry.program);
+        programCache.delete(hash);
+    }
+}
+
+/**
+ * Keep the programs of a compile from being evicted until its passes are adopted or disposed
+ * @returns {Object} Batch to pass to compileProgram(), then to endProgramBatch()
+ */
+export function beginProgramBatch() {
+    const batch = { gl: state.glContext, programs: new Set() };
+    programBatches.add(batch);
+    return batch;
+}
+
+/**
+ * Release a batch from beginProgramBatch(). If the context changed meanwhile, nothing
+ * can use its programs any more, so they are deleted on the context that made them.
+ * @param {Object|null} batch
+ */
+export function endProgramBatch(batch) {
+    if (!batch) return;
+    programBatches.delete(batch);
+    if (batch.gl && batch.gl !== state.glContext) {
+        batch.programs.forEach(program => batch.gl.deleteProgram(program));
+    }
+}
+
+function clearProgramCache(gl) {
+    if (gl) {
+        programCache.forEach(entry => gl.deleteProgram(entry.program));
+    }
+    programCache.clear();
+}
+
+// Yield to the browser until the driver finishes linking (KHR_parallel_shader_compile).
+// Without the extension the status queries below simply block as before.
+async function waitForProgramLink(gl, program) {
+    const ext = gl.getExtension('KHR_parallel_shader_compile');
+    if (!ext) return;
+    while (!gl.getProgramParameter(program, ext.COMPLETION_STATUS_KHR)) {
+        await new Promise(resolve => setTimeout(resolve, 4));
+        if (gl.isContextLost()) return;
+    }
+}
+
+function getProgramUniforms(gl, program) {
+    // Get uniform locations for built-in uniforms
+    const uniforms = {
+        u_time: gl.getUniformLocation(program, 'u_time'),
+        u_resolution: gl.getUniformLocation(program, 'u_resolution'),
+        u_mouse: gl.getUniformLocation(program, 'u_mouse'),
+        u_click: gl.getUniformLocation(program, 'u_click'),
+        u_hover: gl.getUniformLocation(program, 'u_hover'),
+        u_frame: gl.getUniformLocation(program, 'u_frame'),
+        u_pixel: gl.getUniformLocation(program, 'u_pixel'),
+        u_date: gl.getUniformLocation(program, 'u_date'),
+        u_timeDelta: gl.getUniformLocation(program, 'u_timeDelta'),
+        u_frameRate: gl.getUniformLocation(program, 'u_frameRate'),
+        u_sampleRate: gl.getUniformLocation(program, 'u_sampleRate'),
+        u_channelResolution: gl.getUniformLocation(program, 'u_channelResolution'),
+        u_channelTime: gl.getUniformLocation(program, 'u_channelTime'),
+        u_cubeFace: gl.getUniformLocation(program, 'u_cubeFace'),
+        u_vertexCount: gl.getUniformLocation(program, 'u_vertexCount'),
+        u_particleReset: gl.getUniformLocation(program, 'u_particleReset'),
+    };
+
+    // Get custom uniform locations (u_custom0 through u_custom84)
+    for (let i = 0; i < 85; i++) {
+        uniforms[`u_custom${i}`] = gl.getUniformLocation(program, `u_custom${i}`);
+    }
+    
+    // Get custom int uniform locations (u_customInt0 through u_customInt9)
+    for (let i = 0; i < 10; i++) {
+        uniforms[`u_customInt${i}`] = gl.getUniformLocation(program, `u_customInt${i}`);
+    }
+    
+    // Get custom bool uniform locations (u_customBool0 through u_customBool4)
+    for (let i = 0; i < 5; i++) {
+        uniforms[`u_customBool${i}`] = gl.getUniformLocation(program, `u_customBool${i}`);
+    }
+
+    return uniforms;
+}
+
+/**
+ * Compile and link a program, reusing a cached one for identical source
+ * Shaders are submitted before the first await, so several calls started back to back
+ * compile in parallel on drivers with KHR_parallel_shader_compile
+ * @param {string} fragmentSource - Complete fragment shader source
+ * @param {string} [vertexSource] - Complete vertex shader source (vertex passes); defaults to the fullscreen quad
+ * @param {Object} [options]
+ * @param {string[]} [options.feedbackVaryings] - Vertex outputs captured by transform feedback (interleaved)
+ * @param {string} [options.vertexStageName='vertex'] - Stage named in vertex shader error messages
+ * @param {Object} [options.batch] - From beginProgramBatch(); protects the program from eviction
+ * @returns {Promise<Object>} { success, program, uniforms, cached } or { success: false, errors }
+ */
+export async function compileProgram(fragmentSource, vertexSource = VERTEX_SOURCE, { feedbackVaryings = null, vertexStageName = 'vertex', batch = null } = {}) {
     const gl = state.glContext;
     if (!gl) {
         return {
@@ -172,84 +378,73 @@ export async function compileProgram(fragmentSource) {
         };
     }
 
-    try {
-        // Default vertex shader (fullscreen quad)
-        const vertexSource = `#version 300 es
-        in vec2 a_position;
-        
-        void main() {
-            gl_Position = vec4(a_position, 0.0, 1.0);
-        }`;
+    const cacheSource = vertexSource + '\0' + fragmentSource + (feedbackVaryings ? '\0' + feedbackVaryings.join(',') : '');
+    const hash = hashSource(cacheSource);
+    const cachedEntry = programCache.get(hash);
+    if (cachedEntry && cachedEntry.source === cacheSource) {
+        // Re-insert to mark as most recently used
+        programCache.delete(hash);
+        programCache.set(hash, cachedEntry);
+        batch?.programs.add(cachedEntry.program);
+        return { success: true, program: cachedEntry.program, uniforms: cachedEntry.uniforms, cached: true };
+    }
 
-        // Compile vertex shader
-        const vertexShader = compileShader(gl, gl.VERTEX_SHADER, vertexSource);
-        if (!vertexShader) {
-            return {
-                success: false,
-                errors: [{ lineNum: 1, message: 'Vertex shader compilation failed' }]
-            };
-        }
+    try {
+        // Submit both shaders and the link without querying status (queries would block)
+        const vertexShader = gl.createShader(gl.VERTEX_SHADER);
+        gl.shaderSource(vertexShader, vertexSource);
+        gl.compileShader(vertexShader);
 
-        // Compile fragment shader with error handling
         const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
         gl.shaderSource(fragmentShader, fragmentSource);
         gl.compileShader(fragmentShader);
-        
-        if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
-            const error = gl.getShaderInfoLog(fragmentShader);
-            const errors = parseGLSLErrors(error, fragmentSource);
-            gl.deleteShader(fragmentShader);
-            gl.deleteShader(vertexShader);
-            return { success: false, errors };
-        }
 
-        // Link program
         const program = gl.createProgram();
         gl.attachShader(program, vertexShader);
         gl.attachShader(program, fragmentShader);
+        if (feedbackVaryings) {
+            gl.transformFeedbackVaryings(program, feedbackVaryings, gl.INTERLEAVED_ATTRIBS);
+        }
         gl.linkProgram(program);
 
-        // Clean up shaders (program retains them)
-        gl.deleteShader(vertexShader);
-        gl.deleteShader(fragmentShader);
+        await waitForProgramLink(gl, program);
+        if (state.glContext !== gl) {
+            // Context replaced while compiling - free what was created on the old one
+            gl.deleteShader(vertexShader);
+            gl.deleteShader(fragmentShader);
+            gl.deleteProgram(program);
+            return { success: false, errors: [{ lineNum: 1, message: 'WebGL context changed during compilation' }] };
+        }
 
         if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-            const error = gl.getProgramInfoLog(program);
+            let errors;
+            if (!gl.getShaderParameter(fragmentShader, gl.COMPILE_STATUS)) {
+                errors = parseGLSLErrors(gl.getShaderInfoLog(fragmentShader), fragmentSource);
+            } else if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS) && vertexSource !== VERTEX_SOURCE) {
+                errors = parseGLSLErrors(gl.getShaderInfoLog(vertexShader), vertexSource)
+                    .map(err => ({ ...err, message: `(${vertexStageName} stage) ${err.message}` }));
+            } else if (!gl.getShaderParameter(vertexShader, gl.COMPILE_STATUS)) {
+                console.error('Shader compilation error:', gl.getShaderInfoLog(vertexShader));
+                errors = [{ lineNum: 1, message: 'Vertex shader compilation failed' }];
+            } else {
+                errors = [{ lineNum: 1, message: 'Program link error: ' + gl.getProgramInfoLog(program) }];
+            }
+            gl.deleteShader(vertexShader);
+            gl.deleteShader(fragmentShader);
             gl.deleteProgram(program);
-            return {
-                success: false,
-                errors: [{ lineNum: 1, message: 'Program link error: ' + error }]
-            };
-        }
-
-        // Get uniform locations for built-in uniforms
-        const uniforms = {
-            u_time: gl.getUniformLocation(program, 'u_time'),
-            u_resolution: gl.getUniformLocation(program, 'u_resolution'),
-            u_mouse: gl.getUniformLocation(program, 'u_mouse'),
-            u_click: gl.getUniformLocation(program, 'u_click'),
-            u_hover: gl.getUniformLocation(program, 'u_hover'),
-            u_frame: gl.getUniformLocation(program, 'u_frame'),
-            u_pixel: gl.getUniformLocation(program, 'u_pixel'),
-            u_date: gl.getUniformLocation(program, 'u_date'),
-        };
-
-        // Get custom uniform locations (u_custom0 through u_custom84)
-        for (let i = 0; i < 85; i++) {
-            uniforms[`u_custom${i}`] = gl.getUniformLocation(program, `u_custom${i}`);
-        }
-        
-        // Get custom int uniform locations (u_customInt0 through u_customInt9)
-        for (let i = 0; i < 10; i++) {
-            uniforms[`u_customInt${i}`] = gl.getUniformLocation(program, `u_customInt${i}`);
-        }
-        
-        // Get custom bool uniform locations (u_customBool0 through u_customBool4)
-        for (let i = 0; i < 5; i++) {
-            uniforms[`u_customBool${i}`] = gl.getUniformLocation(program, `u_customBool${i}`);
+            return { success: false, errors };
         }
 
-        return { success: true, program, uniforms };
+        // Clean up shaders (program retains them)
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+
+        const uniforms = getProgramUniforms(gl, program);
+        programCache.set(hash, { source: cacheSource, program, uniforms });
+        batch?.programs.add(program);
+        trimProgramCache(gl);
+
+        return { success: true, program, uniforms, cached: false };
     } catch (err) {
         return {
             success: false,
@@ -258,21 +453,6 @@ export async function compileProgram(fragmentSource) {
     }
 }
 
-function compileShader(gl, type, source) {
-    const shader = gl.createShader(type);
-    gl.shaderSource(shader, source);
-    gl.compileShader(shader);
-
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-        const error = gl.getShaderInfoLog(shader);
-        console.error('Shader compilation error:', error);
-        gl.deleteShader(shader);
-        return null;
-    }
-
-    return shader;
-}
-
 function parseGLSLErrors(infoLog, source) {
     const errors = [];
     const lines = infoLog.split('\n');
@@ -301,6 +481,49 @@ function parseGLSLErrors(infoLog, source) {
     return errors;
 }
 
+// ============================================================================
+// Pass Timing (EXT_disjoint_timer_query_webgl2)
+// ============================================================================
+
+let timerExt = null;
+const pendingTimerQueries = [];  // { query, key, label, order } in submission order
+const MAX_PENDING_TIMER_QUERIES = 64;
+
+function beginPassTimer(gl, pass, order) {
+    if (!timerExt || !gpuTiming.isGpuTimingEnabled() || pendingTimerQueries.length >= MAX_PENDING_TIMER_QUERIES) {
+        return null;
+    }
+    const query = gl.createQuery();
+    gl.beginQuery(timerExt.TIME_ELAPSED_EXT, query);
+    return { query, key: pass.channelNumber, label: pass.label, order };
+}
+
+function endPassTimer(gl, timer) {
+    if (!timer) return;
+    gl.endQuery(timerExt.TIME_ELAPSED_EXT);
+    pendingTimerQueries.push(timer);
+}
+
+// Results arrive a few frames later; collect the ones that are ready
+function collectPassTimers(gl) {
+    if (!timerExt || pendingTimerQueries.length === 0) return;
+    
+    // A disjoint event (e.g. GPU clock change) invalidates every query in flight
+    const disjoint = gl.getParameter(timerExt.GPU_DISJOINT_EXT);
+    while (pendingTimerQueries.length > 0) {
+        const timer = pendingTimerQueries[0];
+        if (!disjoint && !gl.getQueryParameter(timer.query, gl.QUERY_RESULT_AVAILABLE)) {
+            break;
+        }
+        pendingTimerQueries.shift();
+        if (!disjoint) {
+            const ns = gl.getQueryParameter(timer.query, gl.QUERY_RESULT);
+            gpuTiming.recordPassTime(timer.key, timer.label, ns / 1e6, timer.order);
+        }
+        gl.deleteQuery(timer.query);
+    }
+}
+
 // ============================================================================
 // Rendering
 // ============================================================================
@@ -312,14 +535,14 @@ export function renderFrame(uniformBuilder) {
     }
     
     try {
+        collectPassTimers(gl);
         channels.ensureBufferTextures(0);
-        for (const pass of state.webglPasses) {
-            if (pass.type === 'buffer') {
-                renderBufferPass(gl, uniformBuilder, pass);
-            } else if (pass.type === 'main') {
-                renderBufferPass(gl, uniformBuilder, pass);
-            }
-        }
+        const channelUniforms = buildChannelUniforms(uniformBuilder.data.time);
+        orderPassesForFrame(state.webglPasses).forEach((pass, order) => {
+            const timer = beginPassTimer(gl, pass, order);
+            renderBufferPass(gl, uniformBuilder, pass, channelUniforms);
+            endPassTimer(gl, timer);
+        });
         displaySelectedChannel(gl);
     } catch (err) {
         console.error('WebGL multi-pass render error:', err);
@@ -327,7 +550,7 @@ export function renderFrame(uniformBuilder) {
     }
 }
 
-function renderBufferPass(gl, uniformBuilder, pass) {
+function renderBufferPass(gl, uniformBuilder, pass, channelUniforms) {
     const channel = channels.getChannel(pass.channelNumber);
     if (!channel) {
         return;
@@ -341,6 +564,17 @@ function renderBufferPass(gl, uniformBuilder, pass) {
     const readTexture = channel.textures[channel.currentPing];
     const writeTexture = channel.textures[1 - channel.currentPing];
     
+    if (channel.isCubemap) {
+        renderCubemapFaces(gl, uniformBuilder, pass, channel, readTexture, writeTexture, channelUniforms);
+        channel.currentPing = 1 - channel.currentPing;
+        return;
+    }
+    
+    if (pass.isVertex && channel.vertex) {
+        renderVertexPass(gl, uniformBuilder, pass, channel, readTexture, writeTexture, channelUniforms);
+        return;
+    }
+    
     gl.bindFramebuffer(gl.FRAMEBUFFER, state.glFramebuffer);
     gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, writeTexture, 0);
     
@@ -355,14 +589,334 @@ function renderBufferPass(gl, uniformBuilder, pass) {
     gl.viewport(0, 0, channel.resolution.width, channel.resolution.height);
     
     bindChannelTextures(gl, pass, readTexture);
-    applyPassUniforms(gl, pass, uniformBuilder, channel.resolution);
+    applyPassUniforms(gl, pass, uniformBuilder, channel.resolution, channelUniforms);
     drawFullscreenQuad(gl, pass.program);
     
+    pushHistoryFrame(gl, channel);
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     
     channel.currentPing = 1 - channel.currentPing;
 }
 
+/**
+ * Copy the frame just written (still attached to glFramebuffer) into the next layer of the
+ * channel's history ring and advance its head
+ */
+function pushHistoryFrame(gl, channel) {
+    if (!channel.historyTexture) {
+        return;
+    }
+    if (!historyFramebuffer) {
+        historyFramebuffer = gl.createFramebuffer();
+    }
+    
+    const { width, height } = channel.resolution;
+    const layer = (channel.historyHead + 1) % channel.history;
+    
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, state.glFramebuffer);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, historyFramebuffer);
+    gl.framebufferTextureLayer(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, channel.historyTexture, 0, layer);
+    gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+    
+    channel.historyHead = layer;
+}
+
+/**
+ * Render a cubemap buffer pass: one draw per face into the write cubemap
+ * All faces read the previous frame's cubemap, so feedback stays consistent across faces
+ */
+function renderCubemapFaces(gl, uniformBuilder, pass, channel, readTexture, writeTexture, channelUniforms) {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, state.glFramebuffer);
+    gl.useProgram(pass.program);
+    gl.viewport(0, 0, channel.resolution.width, channel.resolution.height);
+    
+    bindChannelTextures(gl, pass, readTexture);
+    applyPassUniforms(gl, pass, uniformBuilder, channel.resolution, channelUniforms);
+    
+    for (let face = 0; face < 6; face++) {
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_CUBE_MAP_POSITIVE_X + face, writeTexture, 0);
+        
+        if (face === 0) {
+            const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+            if (status !== gl.FRAMEBUFFER_COMPLETE) {
+                console.error('Cubemap framebuffer incomplete:', status);
+                break;
+            }
+        }
+        
+        if (pass.uniforms.u_cubeFace) {
+            gl.uniform1i(pass.uniforms.u_cubeFace, face);
+        }
+        drawFullscreenQuad(gl, pass.program);
+    }
+    
+    // Detach the cube face so the 2D buffer path doesn't inherit it
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, null, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+}
+
+// ============================================================================
+// Vertex Passes
+// ============================================================================
+
+const VERTEX_PRIMITIVE_MODES = {
+    points: 'POINTS',
+    lines: 'LINES',
+    line_strip: 'LINE_STRIP',
+    triangles: 'TRIANGLES',
+    triangle_strip: 'TRIANGLE_STRIP'
+};
+
+let floatBlendSupported = false;  // EXT_float_blend, set in init()
+let vertexDepthBuffer = null;     // { renderbuffer, width, height } shared by depth-tested vertex passes
+let vertexCopyFramebuffer = null; // Read side when carrying a vertex buffer's previous frame over
+const vertexPassWarnings = new Set();
+
+function warnVertexPassOnce(key, message) {
+    if (vertexPassWarnings.has(key)) return;
+    vertexPassWarnings.add(key);
+    console.warn(message);
+}
+
+function isMainImageVertexPass(pass) {
+    return pass.isVertex && channels.getChannel(pass.channelNumber)?.vertex?.target === 'main';
+}
+
+// Vertex passes drawing onto the main image run after it. The target is a live channel
+// setting, so this is decided per frame rather than in the compiled pass order.
+function orderPassesForFrame(passes) {
+    if (!passes.some(isMainImageVertexPass)) return passes;
+    return [
+        ...passes.filter(pass => !isMainImageVertexPass(pass)),
+        ...passes.filter(isMainImageVertexPass)
+    ];
+}
+
+function getVertexDepthBuffer(gl, width, height) {
+    if (vertexDepthBuffer?.width === width && vertexDepthBuffer.height === height) {
+        return vertexDepthBuffer.renderbuffer;
+    }
+    if (vertexDepthBuffer) {
+        gl.deleteRenderbuffer(vertexDepthBuffer.renderbuffer);
+    }
+    const renderbuffer = gl.createRenderbuffer();
+    gl.bindRenderbuffer(gl.RENDERBUFFER, renderbuffer);
+    gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, width, height);
+    gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+    vertexDepthBuffer = { renderbuffer, width, height };
+    return renderbuffer;
+}
+
+/**
+ * Copy the previous frame into the write texture (attached to glFramebuffer), for vertex
+ * passes that draw over their last frame instead of clearing
+ */
+function carryOverVertexFrame(gl, readTexture, width, height) {
+    if (!vertexCopyFramebuffer) {
+        vertexCopyFramebuffer = gl.createFramebuffer();
+    }
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, vertexCopyFramebuffer);
+    gl.framebufferTexture2D(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, readTexture, 0);
+    gl.blitFramebuffer(0, 0, width, height, 0, 0, width, height, gl.COLOR_BUFFER_BIT, gl.NEAREST);
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+}
+
+// Float targets only blend with EXT_float_blend (RGBA32F) - drawing would fail otherwise
+function canBlendInto(gl, channel) {
+    const format = channel.format || 'rgba32f';
+    return format !== 'rgba32f' || floatBlendSupported || !gl.getExtension('EXT_color_buffer_float');
+}
+
+function applyVertexBlend(gl, blend) {
+    gl.enable(gl.BLEND);
+    if (blend === 'add') {
+        gl.blendFunc(gl.ONE, gl.ONE);
+    } else {
+        gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+}
+
+function applyVertexCountUniforms(gl, uniforms, channel, vertexCount) {
+    if (uniforms.u_vertexCount) {
+        gl.uniform1i(uniforms.u_vertexCount, vertexCount);
+    }
+    if (uniforms.u_particleReset) {
+        gl.uniform1i(uniforms.u_particleReset, channel.particleReset ? 1 : 0);
+    }
+}
+
+// ============================================================================
+// Particle Passes (transform feedback)
+// ============================================================================
+
+let particleVertexArray = null;  // Attribute bindings for particle state (the quad keeps the default one)
+let particleFeedback = null;     // Transform feedback object the update step writes through
+
+/**
+ * Point the program's particle attributes at a state buffer (interleaved, in layout order)
+ * Attributes the program doesn't use are skipped
+ * @returns {number[]} Enabled attribute locations, for unbindParticleAttributes()
+ */
+function bindParticleAttributes(gl, program, attributes, buffer) {
+    if (!particleVertexArray) {
+        particleVertexArray = gl.createVertexArray();
+    }
+    gl.bindVertexArray(particleVertexArray);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    
+    const stride = attributes.reduce((sum, a) => sum + a.size, 0) * 4;
+    const enabled = [];
+    let offset = 0;
+    attributes.forEach(({ name, size }) => {
+        const location = gl.getAttribLocation(program, name);
+        if (location >= 0) {
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset);
+            enabled.push(location);
+        }
+        offset += size * 4;
+    });
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    return enabled;
+}
+
+// Disabled so a buffer never stays attached as an attribute while transform feedback writes it
+function unbindParticleAttributes(gl, locations) {
+    locations.forEach(location => gl.disableVertexAttribArray(location));
+    gl.bindVertexArray(null);
+}
+
+/**
+ * Run a particle pass's update program over every particle, writing the next state
+ * through transform feedback into the other state buffer
+ * @returns {boolean} False if the state buffers couldn't be set up
+ */
+function updateParticles(gl, uniformBuilder, pass, channel, readTexture, resolution, channelUniforms) {
+    if (!pass.update || !channels.ensureParticleBuffers(channel, pass.particleAttributes)) {
+        return false;
+    }
+    
+    const count = channel.particles.count;
+    const source = channel.particleBuffers[channel.particleRead];
+    const destination = channel.particleBuffers[1 - channel.particleRead];
+    
+    gl.useProgram(pass.update.program);
+    bindChannelTextures(gl, pass.update, readTexture);
+    applyPassUniforms(gl, pass.update, uniformBuilder, resolution, channelUniforms);
+    applyVertexCountUniforms(gl, pass.update.uniforms, channel, count);
+    const attributes = bindParticleAttributes(gl, pass.update.program, pass.particleAttributes, source);
+    
+    if (!particleFeedback) {
+        particleFeedback = gl.createTransformFeedback();
+    }
+    gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, particleFeedback);
+    gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, destination);
+    gl.enable(gl.RASTERIZER_DISCARD);
+    gl.beginTransformFeedback(gl.POINTS);
+    gl.drawArrays(gl.POINTS, 0, count);
+    gl.endTransformFeedback();
+    gl.disable(gl.RASTERIZER_DISCARD);
+    gl.bindBufferBase(gl.TRANSFORM_FEEDBACK_BUFFER, 0, null);
+    gl.bindTransformFeedback(gl.TRANSFORM_FEEDBACK, null);
+    
+    unbindParticleAttributes(gl, attributes);
+    channel.particleRead = 1 - channel.particleRead;
+    return true;
+}
+
+/**
+ * Render a vertex pass: u_vertexCount vertices drawn as the channel's primitive, into its own
+ * buffer (ping-pong like any buffer) or straight onto the frame the main pass just wrote.
+ * Drawing onto the main image happens after ch0's history frame was taken.
+ * Particle passes update their state first and draw one vertex per particle from it.
+ */
+function renderVertexPass(gl, uniformBuilder, pass, channel, readTexture, writeTexture, channelUniforms) {
+    const options = channel.vertex;
+    const toMain = options.target === 'main';
+    const target = toMain ? channels.getChannel(0) : channel;
+    if (!target?.textures) {
+        return;
+    }
+    if (toMain && pass.requiredChannels.includes(0)) {
+        warnVertexPassOnce(`main-feedback-${pass.channelNumber}`, `⚠ ${pass.label}: can't read iChannel0 while drawing onto the main image - pass skipped`);
+        return;
+    }
+    
+    const isParticlePass = !!pass.particleAttributes;
+    if (isParticlePass && !updateParticles(gl, uniformBuilder, pass, channel, readTexture, target.resolution, channelUniforms)) {
+        return;
+    }
+    const vertexCount = isParticlePass ? channel.particles.count : options.vertexCount;
+    
+    const drawTexture = toMain ? target.textures[target.currentPing] : writeTexture;
+    const { width, height } = target.resolution;
+    
+    gl.bindFramebuffer(gl.FRAMEBUFFER, state.glFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, drawTexture, 0);
+    const depthBuffer = options.depthTest ? getVertexDepthBuffer(gl, width, height) : null;
+    gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+    
+    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+    if (status !== gl.FRAMEBUFFER_COMPLETE) {
+        console.error('Vertex pass framebuffer incomplete:', status);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return;
+    }
+    
+    gl.viewport(0, 0, width, height);
+    let clearBits = depthBuffer ? gl.DEPTH_BUFFER_BIT : 0;
+    if (!toMain && options.clear) {
+        gl.clearColor(0, 0, 0, 0);
+        clearBits |= gl.COLOR_BUFFER_BIT;
+    } else if (!toMain) {
+        carryOverVertexFrame(gl, readTexture, width, height);
+    }
+    if (clearBits) {
+        gl.clear(clearBits);
+    }
+    
+    if (depthBuffer) {
+        gl.enable(gl.DEPTH_TEST);
+        gl.depthFunc(gl.LESS);
+    }
+    if (options.blend !== 'none') {
+        if (canBlendInto(gl, target)) {
+            applyVertexBlend(gl, options.blend);
+        } else {
+            warnVertexPassOnce(`blend-${pass.channelNumber}`, `⚠ ${pass.label}: blending into RGBA32F needs EXT_float_blend - drawing without blending`);
+        }
+    }
+    
+    gl.useProgram(pass.program);
+    bindChannelTextures(gl, pass, readTexture);
+    applyPassUniforms(gl, pass, uniformBuilder, target.resolution, channelUniforms);
+    applyVertexCountUniforms(gl, pass.uniforms, channel, vertexCount);
+    if (isParticlePass) {
+        const attributes = bindParticleAttributes(gl, pass.program, pass.particleAttributes, channel.particleBuffers[channel.particleRead]);
+        gl.drawArrays(gl[VERTEX_PRIMITIVE_MODES[options.primitive]], 0, vertexCount);
+        unbindParticleAttributes(gl, attributes);
+        channel.particleReset = false;
+    } else {
+        gl.drawArrays(gl[VERTEX_PRIMITIVE_MODES[options.primitive]], 0, vertexCount);
+    }
+    
+    // Back to the state every other pass assumes
+    gl.disable(gl.BLEND);
+    gl.disable(gl.DEPTH_TEST);
+    if (depthBuffer) {
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, null);
+    }
+    
+    if (!toMain) {
+        pushHistoryFrame(gl, channel);
+        channel.currentPing = 1 - channel.currentPing;
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+}
+
 function bindChannelTextures(gl, pass, readTexture) {
     pass.requiredChannels.forEach(chNum => {
         const textureInfo = getChannelTexture(chNum, pass, readTexture);
@@ -380,16 +934,31 @@ function bindChannelTextures(gl, pass, readTexture) {
         }
         gl.uniform1i(loc, chNum);
     });
+    
+    // History rings sit on the units after the regular channels (CHANNEL_UNIFORM_COUNT + N)
+    pass.historyChannels?.forEach(chNum => {
+        const channel = channels.getChannel(chNum);
+        const locs = pass.historyUniformLocations[chNum];
+        if (!channel?.historyTexture || !locs?.sampler) {
+            return;
+        }
+        const unit = CHANNEL_UNIFORM_COUNT + chNum;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D_ARRAY, channel.historyTexture);
+        gl.uniform1i(locs.sampler, unit);
+        if (locs.head) gl.uniform1i(locs.head, channel.historyHead);
+        if (locs.length) gl.uniform1i(locs.length, channel.history);
+    });
 }
 
 function getChannelTexture(channelNumber, pass, readTexture) {
-    if (channelNumber === pass.channelNumber && readTexture) {
-        return { texture: readTexture, is3D: false };
-    }
-    
     const channel = channels.getChannel(channelNumber);
     if (!channel) return null;
     
+    if (channelNumber === pass.channelNumber && readTexture) {
+        return { texture: readTexture, is3D: false, isCubemap: !!channel.isCubemap };
+    }
+    
     if (channel.type === 'image' || channel.type === 'video' || channel.type === 'audio' ||
         channel.type === 'mic' || channel.type === 'webcam' || channel.type === 'keyboard') {
         return { texture: channel.texture || null, is3D: false, isCubemap: false };
@@ -399,22 +968,22 @@ function getChannelTexture(channelNumber, pass, readTexture) {
         return { texture: channel.texture || null, is3D: true, isCubemap: false };
     }
     
-    if (channel.type === 'cubemap' || channel.isCubemap) {
-        return { texture: channel.texture || null, is3D: false, isCubemap: true };
-    }
-    
     if (channel.type === 'buffer') {
         channels.ensureBufferTextures(channel.number);
         if (!channel.textures) {
             return null;
         }
-        return { texture: channel.textures[channel.currentPing], is3D: false };
+        return { texture: channel.textures[channel.currentPing], is3D: false, isCubemap: !!channel.isCubemap };
+    }
+    
+    if (channel.type === 'cubemap' || channel.isCubemap) {
+        return { texture: channel.texture || null, is3D: false, isCubemap: true };
     }
     
     return null;
 }
 
-function applyPassUniforms(gl, pass, uniformBuilder, resolution) {
+function applyPassUniforms(gl, pass, uniformBuilder, resolution, channelUniforms) {
     uniformBuilder.applyWebGL(gl, pass.uniforms);
     
     if (pass.uniforms.u_resolution && resolution) {
@@ -424,6 +993,49 @@ function applyPassUniforms(gl, pass, uniformBuilder, resolution) {
     if (pass.uniforms.u_frame) {
         gl.uniform1i(pass.uniforms.u_frame, state.visualFrame);
     }
+    
+    if (channelUniforms) {
+        if (pass.uniforms.u_channelResolution) {
+            gl.uniform3fv(pass.uniforms.u_channelResolution, channelUniforms.resolution);
+        }
+        if (pass.uniforms.u_channelTime) {
+            gl.uniform1fv(pass.uniforms.u_channelTime, channelUniforms.time);
+        }
+    }
+}
+
+/**
+ * Per-channel resolution and playback time (iChannelResolution[] / iChannelTime[])
+ * Index = channel number. Media channels report their element's playback position,
+ * everything else follows the shader clock.
+ * @param {number} time - Current shader time in seconds
+ * @returns {{resolution: Float32Array, time: Float32Array}}
+ */
+function buildChannelUniforms(time) {
+    const resolution = new Float32Array(CHANNEL_UNIFORM_COUNT * 3);
+    const channelTime = new Float32Array(CHANNEL_UNIFORM_COUNT);
+    
+    channels.getChannels().forEach(channel => {
+        const n = channel.number;
+        if (n >= CHANNEL_UNIFORM_COUNT) return;
+        
+        const res = channel.resolution;
+        if (res) {
+            resolution[n * 3] = res.width || 0;
+            resolution[n * 3 + 1] = res.height || 0;
+            resolution[n * 3 + 2] = res.depth || 1;
+        }
+        
+        if (channel.type === 'video' && channel.videoData?.video) {
+            channelTime[n] = channel.videoData.video.currentTime;
+        } else if (channel.type === 'audio' && channel.audioData?.audio) {
+            channelTime[n] = channel.audioData.audio.currentTime;
+        } else {
+            channelTime[n] = time;
+        }
+    });
+    
+    return { resolution, time: channelTime };
 }
 
 function drawFullscreenQuad(gl, program) {
@@ -442,6 +1054,12 @@ function drawFullscreenQuad(gl, program) {
 }
 
 function displaySelectedChannel(gl) {
+    const view = channelView.getChannelView();
+    if (view) {
+        displayChannelView(gl, view);
+        return;
+    }
+    
     const selected = channels.getSelectedOutputChannel();
     let channel = channels.getChannel(selected) || channels.getChannel(0);
     
@@ -479,6 +1097,14 @@ function displaySelectedChannel(gl) {
     gl.uniform1i(displayProgramLocs.u_texture, 0);
     gl.uniform1i(displayProgramLocs.u_linearMode, state.linearColorspace ? 1 : 0);
     
+    // A watched shader debug value is shown in false colour
+    const watch = state.shaderDebug;
+    const isWatched = watch && watch.channelNumber === channel.number;
+    gl.uniform1i(displayProgramLocs.u_falseColor, isWatched ? watch.components : 0);
+    if (isWatched) {
+        gl.uniform2f(displayProgramLocs.u_range, watch.rangeMin, watch.rangeMax);
+    }
+    
     gl.bindBuffer(gl.ARRAY_BUFFER, state.glQuadBuffer);
     gl.enableVertexAttribArray(displayProgramLocs.a_position);
     gl.vertexAttribPointer(displayProgramLocs.a_position, 2, gl.FLOAT, false, 0, 0);
@@ -486,6 +1112,346 @@ function displaySelectedChannel(gl) {
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
 }
 
+// ============================================================================
+// Channel Viewer
+// ============================================================================
+// Draws the selected channel with the settings from channel-view.js. A NEAREST
+// sampler object overrides each texture's own filtering while it's bound.
+
+const VIEWER_SAMPLE_SIZE = 128;  // Raw samples for the histogram are VIEWER_SAMPLE_SIZE²
+
+let viewerProgram = null;
+let viewerLocs = null;
+let viewerSampler = null;
+let viewerSampleTarget = null;  // { framebuffer, texture } for sampleChannelView()
+
+function createViewerProgram(gl) {
+    const vsSource = `#version 300 es
+        in vec2 a_position;
+        out vec2 v_uv;
+        void main() {
+            v_uv = a_position * 0.5 + 0.5;
+            gl_Position = vec4(a_position, 0.0, 1.0);
+        }
+    `;
+    
+    const fsSource = `#version 300 es
+        precision highp float;
+        precision highp sampler3D;
+        in vec2 v_uv;
+        out vec4 fragColor;
+        uniform sampler2D u_texture2D;
+        uniform sampler3D u_texture3D;
+        uniform samplerCube u_textureCube;
+        uniform int u_kind;         // 0 = 2D, 1 = volume slice, 2 = cubemap
+        uniform float u_slice;      // Volume depth coordinate
+        uniform vec2 u_center;
+        uniform vec2 u_viewScale;
+        uniform int u_component;    // 0 = RGB, 1-4 = R, G, B or A alone
+        uniform vec2 u_range;
+        uniform int u_raw;          // 1 = unmapped values covering the whole channel
+        uniform int u_falseColor;   // 0 = off, else components of the watched debug value
+        uniform vec2 u_watchRange;  // Debug value mapped to 0-1
+        ${FALSE_COLOR_GLSL}
+        // Face direction for face-local coordinates, sc/tc as in the cubemap spec (tc runs down)
+        vec3 faceDirection(int face, float sc, float tc) {
+            if (face == 0) return vec3(1.0, -tc, -sc);
+            if (face == 1) return vec3(-1.0, -tc, sc);
+            if (face == 2) return vec3(sc, 1.0, tc);
+            if (face == 3) return vec3(sc, -1.0, -tc);
+            if (face == 4) return vec3(sc, -tc, 1.0);
+            return vec3(-sc, -tc, -1.0);
+        }
+        
+        // Horizontal cross: -X +Z +X -Z in the middle row, +Y above and -Y below +Z
+        int crossFace(vec2 cell) {
+            if (cell.y == 1.0) {
+                return cell.x == 0.0 ? 1 : (cell.x == 1.0 ? 4 : (cell.x == 2.0 ? 0 : 5));
+            }
+            if (cell.x == 1.0) return cell.y == 2.0 ? 2 : 3;
+            return -1;
+        }
+        
+        vec3 background() {
+            vec2 cell = floor(gl_FragCoord.xy / 8.0);
+            return vec3(0.1 + 0.05 * mod(cell.x + cell.y, 2.0));
+        }
+        
+        void main() {
+            vec2 uv = u_raw == 1 ? v_uv : u_center + (v_uv - 0.5) * u_viewScale;
+            if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0)))) {
+                fragColor = vec4(background(), 1.0);
+                return;
+            }
+            
+            vec4 value;
+            if (u_kind == 1) {
+                value = texture(u_texture3D, vec3(uv, u_slice));
+            } else if (u_kind == 2) {
+                // Raw samples tile the six faces 3 × 2 so every sample is inside a face
+                vec2 grid = u_raw == 1 ? vec2(3.0, 2.0) : vec2(4.0, 3.0);
+                vec2 cell = min(floor(uv * grid), grid - 1.0);
+                vec2 f = uv * grid - cell;
+                int face = u_raw == 1 ? int(cell.x + cell.y * 3.0) : crossFace(cell);
+                if (face < 0) {
+                    fragColor = vec4(background(), 1.0);
+                    return;
+                }
+                value = texture(u_textureCube, faceDirection(face, f.x * 2.0 - 1.0, 1.0 - f.y * 2.0));
+            } else {
+                value = texture(u_texture2D, uv);
+            }
+            
+            if (u_raw == 1) {
+                fragColor = value;
+                return;
+            }
+            if (u_falseColor > 0) {
+                fragColor = vec4(falseColor(value, u_falseColor, u_watchRange), 1.0);
+                return;
+            }
+            vec4 t = (value - u_range.x) / max(u_range.y - u_range.x, 1e-20);
+            vec3 rgb = u_component == 0 ? t.rgb : vec3(t[u_component - 1]);
+            fragColor = vec4(clamp(rgb, 0.0, 1.0), 1.0);
+        }
+    `;
+    
+    const vs = gl.createShader(gl.VERTEX_SHADER);
+    gl.shaderSource(vs, vsSource);
+    gl.compileShader(vs);
+    
+    const fs = gl.createShader(gl.FRAGMENT_SHADER);
+    gl.shaderSource(fs, fsSource);
+    gl.compileShader(fs);
+    
+    viewerProgram = gl.createProgram();
+    gl.attachShader(viewerProgram, vs);
+    gl.attachShader(viewerProgram, fs);
+    gl.linkProgram(viewerProgram);
+    
+    gl.deleteShader(vs);
+    gl.deleteShader(fs);
+    
+    if (!gl.getProgramParameter(viewerProgram, gl.LINK_STATUS)) {
+        console.error('Channel viewer program failed to link:', gl.getProgramInfoLog(viewerProgram));
+        gl.deleteProgram(viewerProgram);
+        viewerProgram = null;
+        return;
+    }
+    
+    viewerLocs = { a_position: gl.getAttribLocation(viewerProgram, 'a_position') };
+    ['u_texture2D', 'u_texture3D', 'u_textureCube', 'u_kind', 'u_slice', 'u_center',
+        'u_viewScale', 'u_component', 'u_range', 'u_raw', 'u_falseColor', 'u_watchRange'].forEach(name => {
+        viewerLocs[name] = gl.getUniformLocation(viewerProgram, name);
+    });
+    
+    viewerSampler = gl.createSampler();
+    gl.samplerParameteri(viewerSampler, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.samplerParameteri(viewerSampler, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    ['TEXTURE_WRAP_S', 'TEXTURE_WRAP_T', 'TEXTURE_WRAP_R'].forEach(wrap => {
+        gl.samplerParameteri(viewerSampler, gl[wrap], gl.CLAMP_TO_EDGE);
+    });
+}
+
+/**
+ * Texture and layout kind the viewer uses for a channel
+ * @returns {{texture: WebGLTexture, kind: number, target: number}|null}
+ */
+function getViewerTexture(gl, channel) {
+    if (channel.type === 'volume') {
+        return channel.texture ? { texture: channel.texture, kind: 1, target: gl.TEXTURE_3D } : null;
+    }
+    if (channel.isCubemap && channel.type === 'buffer') {
+        channels.ensureBufferTextures(channel.number);
+        const texture = channel.textures?.[channel.currentPing];
+        return texture ? { texture, kind: 2, target: gl.TEXTURE_CUBE_MAP } : null;
+    }
+    if (channel.type === 'cubemap' || channel.isCubemap) {
+        return channel.texture ? { texture: channel.texture, kind: 2, target: gl.TEXTURE_CUBE_MAP } : null;
+    }
+    const texture = channels.getChannelTextureForDisplay(channel.number);
+    return texture ? { texture, kind: 0, target: gl.TEXTURE_2D } : null;
+}
+
+/**
+ * Draw a channel through the viewer program into the bound framebuffer
+ * @param {boolean} raw - Unmapped values over the whole channel (for sampling)
+ */
+function drawChannelView(gl, channel, view, raw, width, height) {
+    if (!viewerProgram) createViewerProgram(gl);
+    if (!viewerProgram) return false;
+    
+    const source = getViewerTexture(gl, channel);
+    if (!source) return false;
+    
+    gl.viewport(0, 0, width, height);
+    gl.disable(gl.BLEND);
+    gl.useProgram(viewerProgram);
+    
+    // Each sampler type gets its own unit; only the one in use has a texture bound
+    const unit = source.kind;
+    gl.activeTexture(gl.TEXTURE0 + unit);
+    gl.bindTexture(source.target, source.texture);
+    gl.bindSampler(unit, viewerSampler);
+    gl.uniform1i(viewerLocs.u_texture2D, 0);
+    gl.uniform1i(viewerLocs.u_texture3D, 1);
+    gl.uniform1i(viewerLocs.u_textureCube, 2);
+    gl.uniform1i(viewerLocs.u_kind, source.kind);
+    
+    const depth = channel.resolution?.depth || 1;
+    const sliceIndex = Math.min(depth - 1, Math.max(0, Math.round(view.slice)));
+    gl.uniform1f(viewerLocs.u_slice, (sliceIndex + 0.5) / depth);
+    
+    const scale = channelView.getViewScale(channel, width, height);
+    gl.uniform2f(viewerLocs.u_center, view.centerX, view.centerY);
+    gl.uniform2f(viewerLocs.u_viewScale, scale.x, scale.y);
+    gl.uniform1i(viewerLocs.u_component, channelView.COMPONENTS.indexOf(view.component));
+    gl.uniform2f(viewerLocs.u_range, view.rangeMin, view.rangeMax);
+    gl.uniform1i(viewerLocs.u_raw, raw ? 1 : 0);
+    
+    // A watched shader debug value keeps its false colour and range, as in displaySelectedChannel()
+    const watch = state.shaderDebug;
+    const isWatched = watch && watch.channelNumber === channel.number;
+    gl.uniform1i(viewerLocs.u_falseColor, isWatched ? watch.components : 0);
+    if (isWatched) {
+        gl.uniform2f(viewerLocs.u_watchRange, watch.rangeMin, watch.rangeMax);
+    }
+    
+    gl.bindBuffer(gl.ARRAY_BUFFER, state.glQuadBuffer);
+    gl.enableVertexAttribArray(viewerLocs.a_position);
+    gl.vertexAttribPointer(viewerLocs.a_position, 2, gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    
+    // Passes rely on their textures' own filtering
+    gl.bindSampler(unit, null);
+    return true;
+}
+
+function displayChannelView(gl, view) {
+    const channel = channels.getChannel(channels.getSelectedOutputChannel()) || channels.getChannel(0);
+    if (!channel) return;
+    
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    if (!drawChannelView(gl, channel, view, false, gl.canvas.width, gl.canvas.height) && channel.number !== 0) {
+        drawChannelView(gl, channels.getChannel(0), view, false, gl.canvas.width, gl.canvas.height);
+    }
+}
+
+/**
+ * Unmapped samples spread over the whole selected channel (a volume's current slice,
+ * all six cubemap faces), for the viewer's histogram
+ * @returns {Float32Array|null} RGBA samples, or null if the channel can't be sampled
+ */
+export function sampleChannelView() {
+    const gl = state.glContext;
+    const view = channelView.getChannelView();
+    const channel = channels.getChannel(channels.getSelectedOutputChannel());
+    if (!gl || !view || !channel) return null;
+    
+    if (!viewerSampleTarget) {
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texStorage2D(gl.TEXTURE_2D, 1, gl.RGBA32F, VIEWER_SAMPLE_SIZE, VIEWER_SAMPLE_SIZE);
+        const framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        viewerSampleTarget = { framebuffer, texture };
+    }
+    
+    gl.bindFramebuffer(gl.FRAMEBUFFER, viewerSampleTarget.framebuffer);
+    let samples = null;
+    // RGBA32F is only renderable with EXT_color_buffer_float
+    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE &&
+        drawChannelView(gl, channel, view, true, VIEWER_SAMPLE_SIZE, VIEWER_SAMPLE_SIZE)) {
+        samples = new Float32Array(VIEWER_SAMPLE_SIZE * VIEWER_SAMPLE_SIZE * 4);
+        gl.readPixels(0, 0, VIEWER_SAMPLE_SIZE, VIEWER_SAMPLE_SIZE, gl.RGBA, gl.FLOAT, samples);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return samples;
+}
+
+/**
+ * Draw the selected channel to the canvas again without rendering the passes
+ * (view changes while paused)
+ */
+export function redrawDisplay() {
+    const gl = state.glContext;
+    if (!gl || !state.glQuadBuffer) return;
+    displaySelectedChannel(gl);
+}
+
+// ============================================================================
+// Readback
+// ============================================================================
+
+/**
+ * Read the current contents of a 2D buffer channel as RGBA floats
+ * Used to hand buffer snapshots to other contexts (e.g. the GLSL audio worker)
+ * @param {number} channelNumber - Buffer channel to read
+ * @returns {{data: Float32Array, width: number, height: number}|null}
+ */
+export function readBufferPixels(channelNumber) {
+    const gl = state.glContext;
+    const channel = channels.getChannel(channelNumber);
+    if (!gl || !state.glFramebuffer || channel?.type !== 'buffer' || channel.isCubemap || !channel.textures) {
+        return null;
+    }
+    
+    const { width, height } = channel.resolution;
+    let data = new Float32Array(width * height * 4);
+    
+    gl.bindFramebuffer(gl.FRAMEBUFFER, state.glFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, channel.textures[channel.currentPing], 0);
+    if (channel.format === 'rgba8') {
+        // Normalized targets can only be read back as bytes
+        const bytes = new Uint8Array(width * height * 4);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, bytes);
+        data = Float32Array.from(bytes, v => v / 255);
+    } else {
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.FLOAT, data);
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    
+    return { data, width, height };
+}
+
+/**
+ * Read one texel of a channel as shown by the channel viewer
+ * Float buffers come back unquantised; 8-bit buffers and media textures are scaled to 0-1
+ * @param {number} channelNumber - Channel to read
+ * @param {number} x - Texel column (0 = left)
+ * @param {number} y - Texel row (0 = bottom)
+ * @returns {Float32Array|null} RGBA, or null if the channel can't be read
+ */
+export function readChannelPixel(channelNumber, x, y) {
+    const gl = state.glContext;
+    const channel = channels.getChannel(channelNumber);
+    if (!gl || !state.glFramebuffer || !channel || channel.is3D || channel.type === 'volume') {
+        return null;
+    }
+
+    const texture = channels.getChannelTextureForDisplay(channelNumber);
+    if (!texture) return null;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, state.glFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+    let value = null;
+    if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE) {
+        if (channel.type === 'buffer' && channel.format !== 'rgba8') {
+            value = new Float32Array(4);
+            gl.readPixels(x, y, 1, 1, gl.RGBA, gl.FLOAT, value);
+        } else {
+            const bytes = new Uint8Array(4);
+            gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, bytes);
+            value = Float32Array.from(bytes, v => v / 255);
+        }
+    }
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    return value;
+}
+
 // ============================================================================
 // Cleanup
 // ============================================================================
@@ -494,9 +1460,12 @@ export function disposePassPrograms(passList = state.webglPasses) {
     const gl = state.glContext;
     if (!gl || !passList) return;
     passList.forEach(pass => {
-        if (pass?.program) {
-            gl.deleteProgram(pass.program);
-        }
+        // Cached programs stay alive for the next recompile; the cache frees them
+        [pass?.program, pass?.update?.program].forEach(program => {
+            if (program && !isCachedProgram(program)) {
+                gl.deleteProgram(program);
+            }
+        });
     });
 }
 
@@ -505,6 +1474,7 @@ export function cleanup() {
     if (!gl) return;
 
     disposePassPrograms(state.webglPasses);
+    clearProgramCache(gl);
     state.webglPasses = [];
     state.glProgram = null;
 
@@ -517,6 +1487,45 @@ export function cleanup() {
         gl.deleteFramebuffer(state.glFramebuffer);
         state.glFramebuffer = null;
     }
+    
+    if (historyFramebuffer) {
+        gl.deleteFramebuffer(historyFramebuffer);
+        historyFramebuffer = null;
+    }
+    
+    if (vertexCopyFramebuffer) {
+        gl.deleteFramebuffer(vertexCopyFramebuffer);
+        vertexCopyFramebuffer = null;
+    }
+    if (vertexDepthBuffer) {
+        gl.deleteRenderbuffer(vertexDepthBuffer.renderbuffer);
+        vertexDepthBuffer = null;
+    }
+    vertexPassWarnings.clear();
+    if (particleVertexArray) {
+        gl.deleteVertexArray(particleVertexArray);
+        particleVertexArray = null;
+    }
+    if (particleFeedback) {
+        gl.deleteTransformFeedback(particleFeedback);
+        particleFeedback = null;
+    }
+    
+    if (viewerProgram) {
+        gl.deleteProgram(viewerProgram);
+        gl.deleteSampler(viewerSampler);
+        viewerProgram = null;
+        viewerSampler = null;
+    }
+    if (viewerSampleTarget) {
+        gl.deleteFramebuffer(viewerSampleTarget.framebuffer);
+        gl.deleteTexture(viewerSampleTarget.texture);
+        viewerSampleTarget = null;
+    }
+    
+    pendingTimerQueries.forEach(timer => gl.deleteQuery(timer.query));
+    pendingTimerQueries.length = 0;
+    timerExt = null;
 
     state.glUniforms = null;
     state.glContext = null;
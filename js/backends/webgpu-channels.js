@@ -0,0 +1,552 @@
+// ============================================================================
+// WebGPU Channels - Input channels (image, video, audio, ...) for WGSL passes
+// ============================================================================
+// channels.js owns the channel objects and their WebGL textures. This module
+// mirrors every non-buffer channel as a GPUTexture, uploading from the same
+// sources (images, video elements, analysers, keyboard state, volume data,
+// cubemap faces). Buffer channels are rendered by webgpu.js directly.
+
+import * as mediaLoader from '../media-loader.js';
+import * as audioInput from '../audio-input.js';
+import * as keyboardInput from '../keyboard-input.js';
+import * as webcamInput from '../webcam-input.js';
+import * as volumeInput from '../volume-input.js';
+import * as cubemapInput from '../cubemap-input.js';
+
+// Map<channelNumber, { key, texture, view, format }>
+const mirrors = new Map();
+const samplers = new Map();
+const mipmapPipelines = new Map();
+let mirrorDevice = null;
+
+const VOLUME_FORMATS = { 1: 'r8unorm', 2: 'rg8unorm', 4: 'rgba8unorm' };
+
+// @group(1) layout: iChannelN at binding N, iChannelNSampler at binding OFFSET + N
+export const CHANNEL_SAMPLER_BINDING_OFFSET = 100;
+
+const MIPMAP_SHADER = `
+struct VertexOutput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) uv: vec2<f32>
+}
+
+@vertex
+fn vs_main(@builtin(vertex_index) idx: u32) -> VertexOutput {
+    var out: VertexOutput;
+    let tc = vec2<f32>(f32(i32(idx) / 2) * 2.0, f32(i32(idx) & 1) * 2.0);
+    out.position = vec4<f32>(tc.x * 2.0 - 1.0, 1.0 - tc.y * 2.0, 0.0, 1.0);
+    out.uv = tc;
+    return out;
+}
+
+@group(0) @binding(0) var srcTexture: texture_2d<f32>;
+@group(0) @binding(1) var srcSampler: sampler;
+
+@fragment
+fn fs_main(in: VertexOutput) -> @location(0) vec4<f32> {
+    return textureSample(srcTexture, srcSampler, in.uv);
+}
+`;
+
+// ============================================================================
+// Channel Types
+// ============================================================================
+
+/**
+ * Texture view dimension used to bind a channel
+ * @param {Object} channel - Channel object from channels.js
+ * @returns {string} '2d' | '3d' | 'cube'
+ */
+export function getViewDimension(channel) {
+    if (channel?.type === 'volume') return '3d';
+    if (channel?.type === 'cubemap' || channel?.isCubemap) return 'cube';
+    return '2d';
+}
+
+/**
+ * WGSL texture type for a channel declaration
+ * @param {Object} channel - Channel object from channels.js
+ * @returns {string} e.g. 'texture_2d<f32>'
+ */
+export function getWGSLTextureType(channel) {
+    switch (getViewDimension(channel)) {
+        case '3d': return 'texture_3d<f32>';
+        case 'cube': return 'texture_cube<f32>';
+        default: return 'texture_2d<f32>';
+    }
+}
+
+// ============================================================================
+// Samplers
+// ============================================================================
+
+function getSamplerOptions(channel) {
+    switch (channel.type) {
+        case 'image':
+            return { wrap: channel.wrap, filter: channel.filter, anisotropic: channel.anisotropic };
+        case 'volume':
+            return { wrap: channel.volumeData?.wrap || 'clamp', filter: 'linear' };
+        case 'cubemap':
+            return { wrap: 'clamp', filter: channel.filter === 'mipmap' ? 'mipmap' : 'linear' };
+        case 'buffer':
+        default:
+            // Video, webcam, audio, mic and keyboard use nearest/clamp (same as WebGL)
+            return { wrap: 'clamp', filter: 'nearest' };
+    }
+}
+
+function getAddressMode(wrap) {
+    switch (wrap) {
+        case 'repeat': return 'repeat';
+        case 'mirror': return 'mirror-repeat';
+        case 'clamp':
+        default: return 'clamp-to-edge';
+    }
+}
+
+/**
+ * Get (cached) sampler honouring a channel's wrap/filter/anisotropic options
+ * @param {GPUDevice} device - WebGPU device
+ * @param {Object} channel - Channel object from channels.js
+ * @returns {GPUSampler}
+ */
+export function getChannelSampler(device, channel) {
+    resetIfDeviceChanged(device);
+
+    const { wrap = 'repeat', filter = 'mipmap', anisotropic = false } = getSamplerOptions(channel);
+    const key = `${wrap}|${filter}|${anisotropic}`;
+    if (samplers.has(key)) {
+        return samplers.get(key);
+    }
+
+    const addressMode = getAddressMode(wrap);
+    const linear = filter !== 'nearest';
+    const sampler = device.createSampler({
+        addressModeU: addressMode,
+        addressModeV: addressMode,
+        addressModeW: addressMode,
+        magFilter: linear ? 'linear' : 'nearest',
+        minFilter: linear ? 'linear' : 'nearest',
+        mipmapFilter: filter === 'mipmap' ? 'linear' : 'nearest',
+        // Anisotropy requires all filters to be linear
+        maxAnisotropy: (anisotropic && filter === 'mipmap') ? 16 : 1,
+    });
+    samplers.set(key, sampler);
+    return sampler;
+}
+
+// ============================================================================
+// Texture Mirrors
+// ============================================================================
+
+function resetIfDeviceChanged(device) {
+    if (mirrorDevice === device) return;
+    clearChannelTextures();
+    samplers.clear();
+    mipmapPipelines.clear();
+    mirrorDevice = device;
+}
+
+/**
+ * Key describing what a mirror was built from - a change means rebuild
+ */
+function getMirrorKey(channel) {
+    switch (channel.type) {
+        case 'image':
+            return `image|${channel.mediaId ? channel.mediaPath : 'fallback'}|${channel.vflip}|${channel.filter}`;
+        case 'video': {
+            const video = channel.videoData;
+            return video ? `video|${channel.mediaId}|${video.width}x${video.height}` : 'video|fallback';
+        }
+        case 'webcam': {
+            const webcam = channel.webcamData;
+            return webcam?.active ? `webcam|${webcam.width}x${webcam.height}` : 'webcam|fallback';
+        }
+        case 'audio':
+        case 'mic':
+            return `${channel.type}|${channel.audioMode}|${channel.resolution?.width}x${channel.resolution?.height}`;
+        case 'volume':
+            return `volume|${channel.volumeData?.volumeId}`;
+        case 'cubemap':
+            return `cubemap|${channel.mediaId}|${channel.filter}`;
+        default:
+            return channel.type;
+    }
+}
+
+function createMirrorTexture(device, mirror, { width, height, depth = 1, layers = 1, format = 'rgba8unorm', mipLevelCount = 1, dimension = '2d' }) {
+    mirror.texture?.destroy();
+    mirror.texture = device.createTexture({
+        size: { width, height, depthOrArrayLayers: dimension === '3d' ? depth : layers },
+        dimension: dimension === '3d' ? '3d' : '2d',
+        format,
+        mipLevelCount,
+        // RENDER_ATTACHMENT is needed for external image copies and mipmap generation
+        usage: dimension === '3d'
+            ? GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST
+            : GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST | GPUTextureUsage.RENDER_ATTACHMENT,
+    });
+    mirror.view = mirror.texture.createView({ dimension: mirror.dimension });
+    mirror.format = format;
+    mirror.width = width;
+    mirror.height = height;
+}
+
+function createMirror(device, channel, key) {
+    const dimension = getViewDimension(channel);
+    const mirror = { key, dimension, texture: null, view: null };
+
+    // Placeholder until the real contents arrive (keeps the binding valid)
+    if (dimension === 'cube') {
+        createMirrorTexture(device, mirror, { width: 1, height: 1, layers: 6 });
+        const grey = new Uint8Array([128, 128, 128, 255]);
+        for (let layer = 0; layer < 6; layer++) {
+            device.queue.writeTexture({ texture: mirror.texture, origin: [0, 0, layer] }, grey, { bytesPerRow: 4 }, [1, 1]);
+        }
+    } else if (dimension === '3d') {
+        createMirrorTexture(device, mirror, { width: 1, height: 1, depth: 1, dimension: '3d' });
+    } else {
+        createMirrorTexture(device, mirror, { width: 1, height: 1 });
+    }
+
+    switch (channel.type) {
+        case 'image':
+            loadImageMirror(device, channel, mirror);
+            break;
+        case 'video':
+            if (channel.videoData) {
+                createMirrorTexture(device, mirror, { width: channel.videoData.width, height: channel.videoData.height });
+            } else {
+                writeCheckerboard(device, mirror);
+            }
+            break;
+        case 'webcam':
+            if (channel.webcamData?.active) {
+                createMirrorTexture(device, mirror, { width: channel.webcamData.width, height: channel.webcamData.height });
+            } else {
+                writeCheckerboard(device, mirror);
+            }
+            break;
+        case 'audio':
+        case 'mic': {
+            const isChromagram = (channel.audioMode || '').startsWith('chromagram');
+            createMirrorTexture(device, mirror, {
+                width: channel.resolution?.width || 512,
+                height: channel.resolution?.height || 2,
+                format: isChromagram ? 'rgba8unorm' : 'r8unorm'
+            });
+            break;
+        }
+        case 'keyboard':
+            createMirrorTexture(device, mirror, { width: 256, height: 3 });
+            break;
+        case 'volume':
+            loadVolumeMirror(device, channel, mirror);
+            break;
+        case 'cubemap':
+            loadCubemapMirror(device, channel, mirror);
+            break;
+    }
+
+    return mirror;
+}
+
+function writeCheckerboard(device, mirror) {
+    const size = 256;
+    createMirrorTexture(device, mirror, { width: size, height: size });
+    device.queue.writeTexture({ texture: mirror.texture }, mediaLoader.createCheckerboardData(size), { bytesPerRow: size * 4 }, [size, size]);
+}
+
+function getMipLevelCount(width, height) {
+    return Math.floor(Math.log2(Math.max(width, height))) + 1;
+}
+
+// WebGL flips on upload so (0,0) is the bottom-left texel. WGSL passes use a
+// top-left origin, so "vflip on" means upright here, i.e. no flip on upload.
+function shouldFlipY(channel) {
+    return channel.vflip === false;
+}
+
+async function loadImageMirror(device, channel, mirror) {
+    if (!channel.mediaId || !channel.mediaPath) {
+        writeCheckerboard(device, mirror);
+        return;
+    }
+
+    try {
+        const response = await fetch(channel.mediaPath);
+        const bitmap = await createImageBitmap(await response.blob());
+        if (mirrors.get(channel.number) !== mirror) return;  // Superseded while loading
+
+        const useMipmaps = channel.filter === 'mipmap';
+        createMirrorTexture(device, mirror, {
+            width: bitmap.width,
+            height: bitmap.height,
+            mipLevelCount: useMipmaps ? getMipLevelCount(bitmap.width, bitmap.height) : 1
+        });
+        device.queue.copyExternalImageToTexture(
+            { source: bitmap, flipY: shouldFlipY(channel) },
+            { texture: mirror.texture },
+            [bitmap.width, bitmap.height]
+        );
+        if (useMipmaps) {
+            generateMipmaps(device, mirror.texture, 1);
+        }
+        console.log(`✓ WebGPU image channel ready: ch${channel.number} (${bitmap.width}×${bitmap.height})`);
+    } catch (error) {
+        console.error(`Failed to load image for WebGPU ch${channel.number}:`, error);
+        writeCheckerboard(device, mirror);
+    }
+}
+
+async function loadVolumeMirror(device, channel, mirror) {
+    const volumeData = channel.volumeData;
+    if (!volumeData) return;
+
+    try {
+        let data = await volumeInput.loadVolumeData(volumeData.volumeId);
+        if (mirrors.get(channel.number) !== mirror) return;
+
+        const { width, height, depth } = volumeData;
+        let components = volumeData.channels;
+        if (!VOLUME_FORMATS[components]) {
+            // No 3-channel 8-bit format in WebGPU - expand to RGBA
+            data = expandToRGBA(data, components);
+            components = 4;
+        }
+
+        createMirrorTexture(device, mirror, { width, height, depth, dimension: '3d', format: VOLUME_FORMATS[components] });
+        device.queue.writeTexture(
+            { texture: mirror.texture },
+            data,
+            { bytesPerRow: width * components, rowsPerImage: height },
+            [width, height, depth]
+        );
+        console.log(`✓ WebGPU volume channel ready: ch${channel.number} (${volumeData.volumeId})`);
+    } catch (error) {
+        console.error(`Failed to load volume for WebGPU ch${channel.number}:`, error);
+    }
+}
+
+async function loadCubemapMirror(device, channel, mirror) {
+    if (!channel.mediaId) return;  // Keep grey fallback
+
+    const images = await cubemapInput.loadCubemapImages(channel.mediaId);
+    if (!images || mirrors.get(channel.number) !== mirror) return;
+
+    const size = images[0].width;
+    const useMipmaps = channel.filter === 'mipmap';
+    createMirrorTexture(device, mirror, {
+        width: size,
+        height: size,
+        layers: 6,
+        mipLevelCount: useMipmaps ? getMipLevelCount(size, size) : 1
+    });
+    images.forEach((image, layer) => {
+        device.queue.copyExternalImageToTexture(
+            { source: image },
+            { texture: mirror.texture, origin: [0, 0, layer] },
+            [size, size]
+        );
+    });
+    if (useMipmaps) {
+        generateMipmaps(device, mirror.texture, 6);
+    }
+    console.log(`✓ WebGPU cubemap channel ready: ch${channel.number} (${channel.mediaId})`);
+}
+
+function expandToRGBA(data, components) {
+    const pixelCount = Math.floor(data.length / components);
+    const rgba = new Uint8Array(pixelCount * 4);
+    for (let i = 0; i < pixelCount; i++) {
+        for (let c = 0; c < 4; c++) {
+            rgba[i * 4 + c] = c < components ? data[i * components + c] : 255;
+        }
+    }
+    return rgba;
+}
+
+// ============================================================================
+// Per-frame Uploads
+// ============================================================================
+
+function writeAudioData(device, mirror, result) {
+    if (!result) return;
+    const data = result.components === 3 ? expandToRGBA(result.data, 3) : result.data;
+    const bytesPerPixel = result.components === 3 ? 4 : 1;
+    device.queue.writeTexture(
+        { texture: mirror.texture },
+        data,
+        { bytesPerRow: result.width * bytesPerPixel },
+        [result.width, result.height]
+    );
+}
+
+function uploadDynamicContents(device, channel, mirror) {
+    switch (channel.type) {
+        case 'video': {
+            const videoData = channel.videoData;
+            if (!videoData?.video) return;
+            // First frame is uploaded even while paused (matches WebGL's loadeddata upload)
+            if ((videoData.playing || !mirror.hasFrame) && videoData.video.readyState >= videoData.video.HAVE_CURRENT_DATA) {
+                device.queue.copyExternalImageToTexture(
+                    { source: videoData.video, flipY: shouldFlipY(channel) },
+                    { texture: mirror.texture },
+                    [mirror.width, mirror.height]
+                );
+                mirror.hasFrame = true;
+            }
+            break;
+        }
+        case 'webcam': {
+            const canvas = webcamInput.drawWebcamFrame(channel.webcamData);
+            if (canvas && canvas.width === mirror.width && canvas.height === mirror.height) {
+                device.queue.copyExternalImageToTexture(
+                    { source: canvas, flipY: shouldFlipY(channel) },
+                    { texture: mirror.texture },
+                    [mirror.width, mirror.height]
+                );
+            }
+            break;
+        }
+        case 'audio': {
+            const audioData = channel.audioData;
+            if (!audioData?.playing) return;
+            writeAudioData(device, mirror, audioInput.getAudioTextureData(
+                audioData.analyser,
+                mirror.width,
+                mirror.height,
+                channel.audioMode || 'shadertoy',
+                audioData.previousFrame,
+                audioData.temporalAverage
+            ));
+            break;
+        }
+        case 'mic': {
+            const micData = channel.micData;
+            if (!micData?.active) return;
+            writeAudioData(device, mirror, audioInput.getAudioTextureData(
+                micData.analyser,
+                micData.width,
+                micData.height,
+                micData.mode,
+                micData.previousFrame,
+                micData.temporalAverage
+            ));
+            break;
+        }
+        case 'keyboard':
+            if (!channel.keyboardData?.active) return;
+            device.queue.writeTexture(
+                { texture: mirror.texture },
+                keyboardInput.getKeyboardTextureData(),
+                { bytesPerRow: 256 * 4 },
+                [256, 3]
+            );
+            break;
+    }
+}
+
+/**
+ * Bring channel mirrors up to date for this frame (call once per frame)
+ * @param {GPUDevice} device - WebGPU device
+ * @param {Object[]} channelList - Non-buffer channels read by any pass
+ */
+export function updateChannelTextures(device, channelList) {
+    resetIfDeviceChanged(device);
+
+    channelList.forEach(channel => {
+        const key = getMirrorKey(channel);
+        let mirror = mirrors.get(channel.number);
+        if (!mirror || mirror.key !== key) {
+            mirror?.texture?.destroy();
+            mirror = createMirror(device, channel, key);
+            mirrors.set(channel.number, mirror);
+        }
+        uploadDynamicContents(device, channel, mirror);
+    });
+
+    // Drop mirrors of deleted / unused channels
+    const live = new Set(channelList.map(channel => channel.number));
+    mirrors.forEach((mirror, channelNumber) => {
+        if (!live.has(channelNumber)) {
+            mirror.texture?.destroy();
+            mirrors.delete(channelNumber);
+        }
+    });
+}
+
+/**
+ * Get the texture view bound for a channel (after updateChannelTextures)
+ * @param {number} channelNumber - Channel number
+ * @returns {GPUTextureView|null}
+ */
+export function getChannelTextureView(channelNumber) {
+    return mirrors.get(channelNumber)?.view || null;
+}
+
+/**
+ * Destroy all mirrored channel textures
+ */
+export function clearChannelTextures() {
+    mirrors.forEach(mirror => mirror.texture?.destroy());
+    mirrors.clear();
+}
+
+// ============================================================================
+// Mipmaps
+// ============================================================================
+
+function getMipmapPipeline(device, format) {
+    if (mipmapPipelines.has(format)) {
+        return mipmapPipelines.get(format);
+    }
+
+    const module = device.createShaderModule({ code: MIPMAP_SHADER });
+    const pipeline = device.createRenderPipeline({
+        layout: 'auto',
+        vertex: { module, entryPoint: 'vs_main' },
+        fragment: { module, entryPoint: 'fs_main', targets: [{ format }] },
+        primitive: { topology: 'triangle-list' },
+    });
+    const entry = { pipeline, sampler: device.createSampler({ minFilter: 'linear', magFilter: 'linear' }) };
+    mipmapPipelines.set(format, entry);
+    return entry;
+}
+
+/**
+ * Fill mip levels 1..n by repeatedly downsampling the previous level
+ * @param {GPUDevice} device - WebGPU device
+ * @param {GPUTexture} texture - Texture with level 0 uploaded
+ * @param {number} layerCount - Array layers (6 for cubemaps)
+ */
+function generateMipmaps(device, texture, layerCount) {
+    const { pipeline, sampler } = getMipmapPipeline(device, texture.format);
+    const encoder = device.createCommandEncoder();
+
+    for (let layer = 0; layer < layerCount; layer++) {
+        for (let level = 1; level < texture.mipLevelCount; level++) {
+            const srcView = texture.createView({
+                dimension: '2d', baseMipLevel: level - 1, mipLevelCount: 1, baseArrayLayer: layer, arrayLayerCount: 1
+            });
+            const dstView = texture.createView({
+                dimension: '2d', baseMipLevel: level, mipLevelCount: 1, baseArrayLayer: layer, arrayLayerCount: 1
+            });
+            const pass = encoder.beginRenderPass({
+                colorAttachments: [{ view: dstView, loadOp: 'clear', storeOp: 'store' }]
+            });
+            pass.setPipeline(pipeline);
+            pass.setBindGroup(0, device.createBindGroup({
+                layout: pipeline.getBindGroupLayout(0),
+                entries: [
+                    { binding: 0, resource: srcView },
+                    { binding: 1, resource: sampler },
+                ],
+            }));
+            pass.draw(3, 1, 0, 0);
+            pass.end();
+        }
+    }
+
+    device.queue.submit([encoder.finish()]);
+}
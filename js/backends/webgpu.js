@@ -2,7 +2,34 @@
 // WebGPU Backend - WGSL Graphics + Audio
 // ============================================================================
 
-import { state, CONFIG, DERIVED, AUDIO_MODES } from '../core.js';
+import { state, CONFIG, DERIVED, AUDIO_MODES, UNIFORM_STRUCT } from '../core.js';
+import * as channels from '../channels.js';
+import * as webgpuChannels from './webgpu-channels.js';
+import * as gpuTiming from '../gpu-timing.js';
+import * as keyboardInput from '../keyboard-input.js';
+import {
+    TOYS_TIME_BINDING, TOYS_MOUSE_BINDING, TOYS_CUSTOM_BINDING, TOYS_DISPATCH_BINDING, TOYS_KEYBOARD_BINDING,
+    TOYS_PASS_IN_BINDING, TOYS_PASS_OUT_BINDING, TOYS_CHANNEL_BINDING_START, TOYS_SAMPLER_BINDING_START,
+    TOYS_STORAGE_BINDING_START, TOYS_SAMPLERS, TOYS_CHANNEL_COUNT, TOYS_PASS_COUNT
+} from '../wgsl-preprocess.js';
+
+// Ping-pong storage textures per channel (ch0 = main image, others = buffer passes)
+// Map<channelNumber, { textures, views, blitBindGroups, currentPing, width, height }>
+const channelTargets = new Map();
+
+// #storage buffers by name, shared by every pass that declares them; they keep
+// their contents across frames and recompiles, and are zeroed on restart
+// Map<name, { buffer, size }>
+const storageBuffers = new Map();
+
+// Resources behind #include <std>: uniforms, samplers, the dispatch.id slots
+// (one per #dispatch_count iteration, bound with a dynamic offset) and pass_in/pass_out
+let toysResources = null;  // { timeBuffer, mouseBuffer, customBuffer, keyboardBuffer, dispatchBuffer, dispatchSlots, samplers, emptyView, passTextures }
+const DISPATCH_SLOT_BYTES = 256;
+const CUSTOM_BUFFER_BYTES = 512;  // room for all 85 float sliders
+
+// "channelNumber:entryPoint" of #dispatch_once entry points that already ran
+const dispatchedOnce = new Set();
 
 // Blit shader for copying intermediate texture to canvas with optional gamma correction
 const BLIT_SHADER = `
@@ -65,8 +92,10 @@ export async function init(canvas) {
             return { success: false, error: 'WebGPU adapter not available' };
         }
 
+        // Timestamp queries give per-pass GPU times; optional, so only requested when offered
+        const hasTimestamps = adapter.features.has('timestamp-query');
         const device = await adapter.requestDevice({
-            requiredFeatures: ['bgra8unorm-storage'],
+            requiredFeatures: hasTimestamps ? ['bgra8unorm-storage', 'timestamp-query'] : ['bgra8unorm-storage'],
             requiredLimits: {
                 maxBufferSize: Math.pow(2, 30),
                 maxStorageBufferBindingSize: Math.pow(2, 30),
@@ -82,9 +111,12 @@ export async function init(canvas) {
         });
 
         // Clear old resources from previous device (if any)
-        state.intermediateTexture = null;
-        state.intermediateTextureView = null;
-        state.blitBindGroup = null;
+        channelTargets.clear();
+        storageBuffers.clear();
+        toysResources = null;
+        dispatchedOnce.clear();
+        passTimer = null;
+        gpuTiming.setGpuTimingSupport('webgpu', hasTimestamps);
 
         // Store in state
         state.gpuDevice = device;
@@ -153,32 +185,216 @@ function createGPUResources(device) {
     });
 }
 
-// Create intermediate texture for compute shader output
+// Create (or resize) the ping-pong pair a pass renders into
 // Uses rgba16float for high precision (avoids banding during gamma correction)
-function createIntermediateTexture(device, width, height) {
-    // Destroy old texture if it exists
-    if (state.intermediateTexture) {
-        state.intermediateTexture.destroy();
+function ensureChannelTarget(device, channelNumber, width, height) {
+    const existing = channelTargets.get(channelNumber);
+    if (existing && existing.width === width && existing.height === height) {
+        return existing;
     }
     
-    state.intermediateTexture = device.createTexture({
+    if (existing) {
+        existing.textures.forEach(tex => tex.destroy());
+    }
+    
+    const textures = [0, 1].map(() => device.createTexture({
         size: { width, height, depthOrArrayLayers: 1 },
         format: 'rgba16float',  // High precision to avoid banding
         usage: GPUTextureUsage.STORAGE_BINDING | GPUTextureUsage.TEXTURE_BINDING,
-    });
+    }));
+    const views = textures.map(tex => tex.createView());
     
-    state.intermediateTextureView = state.intermediateTexture.createView();
+    // Blit bind groups for displaying either side of the pair
+    const blitBindGroups = state.blitBindGroupLayout ? views.map(view => device.createBindGroup({
+        layout: state.blitBindGroupLayout,
+        entries: [
+            { binding: 0, resource: view },
+            { binding: 1, resource: state.blitSampler },
+        ],
+    })) : [null, null];
     
-    // Recreate blit bind group with new texture
-    if (state.blitBindGroupLayout) {
-        state.blitBindGroup = device.createBindGroup({
-            layout: state.blitBindGroupLayout,
-            entries: [
-                { binding: 0, resource: state.intermediateTextureView },
-                { binding: 1, resource: state.blitSampler },
-            ],
-        });
+    const target = { textures, views, blitBindGroups, currentPing: 0, width, height };
+    channelTargets.set(channelNumber, target);
+    return target;
+}
+
+/**
+ * Destroy all pass render targets, #storage buffers and pass_in/pass_out (they are recreated lazily, zero-filled)
+ * Called on restart so buffer feedback starts from a clean state
+ */
+export function clearChannelTargets() {
+    channelTargets.forEach(target => target.textures.forEach(tex => tex.destroy()));
+    channelTargets.clear();
+    storageBuffers.forEach(entry => entry.buffer.destroy());
+    storageBuffers.clear();
+    if (toysResources?.passTextures) {
+        toysResources.passTextures.textures.forEach(tex => tex.destroy());
+        toysResources.passTextures = null;
+    }
+    dispatchedOnce.clear();
+}
+
+// Create (or resize) a #storage buffer; a changed size starts it from zero
+function ensureStorageBuffer(device, name, size) {
+    const existing = storageBuffers.get(name);
+    if (existing && existing.size === size) {
+        return existing.buffer;
+    }
+    existing?.buffer.destroy();
+    const buffer = device.createBuffer({
+        label: `#storage ${name}`,
+        size,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+    });
+    storageBuffers.set(name, { buffer, size });
+    return buffer;
+}
+
+function ensureToysResources(device) {
+    if (toysResources) return toysResources;
+    const uniformBuffer = size => device.createBuffer({ size, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    const repeat = { addressModeU: 'repeat', addressModeV: 'repeat' };
+    const samplerOptions = {
+        nearest: {},
+        bilinear: { magFilter: 'linear', minFilter: 'linear' },
+        trilinear: { magFilter: 'linear', minFilter: 'linear', mipmapFilter: 'linear' },
+    };
+    const emptyTexture = device.createTexture({
+        label: 'compute.toys empty channel',
+        size: [1, 1],
+        format: 'rgba8unorm',
+        usage: GPUTextureUsage.TEXTURE_BINDING,
+    });
+    toysResources = {
+        timeBuffer: uniformBuffer(16),
+        mouseBuffer: uniformBuffer(16),
+        customBuffer: uniformBuffer(CUSTOM_BUFFER_BYTES),
+        keyboardBuffer: uniformBuffer(32),
+        dispatchBuffer: null,
+        dispatchSlots: 0,
+        samplers: TOYS_SAMPLERS.map(name => device.createSampler({
+            label: name,
+            ...samplerOptions[name.replace('_repeat', '')],
+            ...(name.endsWith('_repeat') ? repeat : {})
+        })),
+        emptyView: emptyTexture.createView(),
+        passTextures: null,
+    };
+    return toysResources;
+}
+
+// dispatch.id for iteration i lives at i * DISPATCH_SLOT_BYTES
+function ensureDispatchSlots(device, count) {
+    const resources = ensureToysResources(device);
+    if (resources.dispatchSlots >= count) return resources.dispatchBuffer;
+    resources.dispatchBuffer?.destroy();
+    resources.dispatchBuffer = device.createBuffer({
+        label: 'compute.toys dispatch',
+        size: count * DISPATCH_SLOT_BYTES,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    const ids = new Uint32Array(count * DISPATCH_SLOT_BYTES / 4);
+    for (let i = 0; i < count; i++) {
+        ids[i * DISPATCH_SLOT_BYTES / 4] = i;
     }
+    device.queue.writeBuffer(resources.dispatchBuffer, 0, ids);
+    resources.dispatchSlots = count;
+    return resources.dispatchBuffer;
+}
+
+// ============================================================================
+// compute.toys pass_in / pass_out
+// ============================================================================
+// Screen-sized arrays of TOYS_PASS_COUNT layers. Shaders write pass_out and read
+// pass_in; every dispatch of a pass that writes is followed by a copy, so the next
+// dispatch (or frame) reads what the previous one stored, as on compute.toys.
+
+const PASS_COPY_SHADER = `
+@group(0) @binding(0) var src: texture_2d_array<f32>;
+@group(0) @binding(1) var dst: texture_storage_2d_array<rgba16float, write>;
+
+@compute @workgroup_size(8, 8)
+fn main(@builtin(global_invocation_id) id: vec3u) {
+    let size = textureDimensions(dst);
+    if (id.x >= size.x || id.y >= size.y) {
+        return;
+    }
+    textureStore(dst, id.xy, id.z, textureLoad(src, id.xy, id.z, 0));
+}
+`;
+
+function ensurePassTextures(device, width, height) {
+    const resources = ensureToysResources(device);
+    const existing = resources.passTextures;
+    if (existing && existing.width === width && existing.height === height) {
+        return existing;
+    }
+    existing?.textures.forEach(tex => tex.destroy());
+
+    const textures = ['pass_in', 'pass_out'].map(label => device.createTexture({
+        label,
+        size: [width, height, TOYS_PASS_COUNT],
+        format: 'rgba16float',
+        usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.STORAGE_BINDING,
+    }));
+    const [inputView, outputView] = textures.map(tex => tex.createView({ dimension: '2d-array' }));
+    resources.copyPipeline ??= device.createComputePipeline({
+        label: 'pass_out to pass_in',
+        layout: 'auto',
+        compute: { module: device.createShaderModule({ code: PASS_COPY_SHADER }), entryPoint: 'main' },
+    });
+    // The copy reads pass_out and writes pass_in
+    const copyBindGroup = device.createBindGroup({
+        layout: resources.copyPipeline.getBindGroupLayout(0),
+        entries: [
+            { binding: 0, resource: outputView },
+            { binding: 1, resource: inputView },
+        ],
+    });
+    resources.passTextures = { width, height, textures, inputView, outputView, copyBindGroup };
+    return resources.passTextures;
+}
+
+function encodePassCopy(computePass, passTextures) {
+    computePass.setPipeline(toysResources.copyPipeline);
+    computePass.setBindGroup(0, passTextures.copyBindGroup);
+    computePass.dispatchWorkgroups(Math.ceil(passTextures.width / 8), Math.ceil(passTextures.height / 8), TOYS_PASS_COUNT);
+}
+
+// compute.toys Time { elapsed, delta, frame }, Mouse { pos, click } (render-target
+// pixels, y down like the screen texture), custom sliders and keyboard bits
+function writeToysUniforms(device, width, height, customFields) {
+    const { timeBuffer, mouseBuffer, customBuffer, keyboardBuffer } = ensureToysResources(device);
+    const builder = state.uniformBuilder;
+    const data = builder?.data || {};
+
+    const time = new ArrayBuffer(16);
+    new Float32Array(time, 0, 2).set([data.time || 0, data.timeDelta || 0]);
+    new Uint32Array(time, 8, 1)[0] = data.frame || 0;
+    device.queue.writeBuffer(timeBuffer, 0, time);
+
+    const mouseX = Number.isFinite(state.mouseX) ? state.mouseX : 0;
+    const mouseY = Number.isFinite(state.mouseY) ? state.mouseY : 0;
+    const mouse = new ArrayBuffer(16);
+    new Uint32Array(mouse, 0, 2).set([
+        Math.max(0, Math.min(width - 1, Math.floor(mouseX * width))),
+        Math.max(0, Math.min(height - 1, Math.floor((1 - mouseY) * height)))
+    ]);
+    new Int32Array(mouse, 8, 1)[0] = state.mouseIsDown ? 1 : 0;
+    device.queue.writeBuffer(mouseBuffer, 0, mouse);
+
+    // Custom sliders are float uniforms 7+ (see uniform-controls.js)
+    const custom = new Float32Array(CUSTOM_BUFFER_BYTES / 4);
+    (customFields || []).forEach((field, i) => {
+        custom[i] = builder ? builder.f32[7 + field.index] : 0;
+    });
+    device.queue.writeBuffer(customBuffer, 0, custom);
+
+    const keys = new Uint32Array(8);
+    keyboardInput.getKeyState().down.forEach(keyCode => {
+        if (keyCode >= 0 && keyCode < 256) keys[keyCode >> 5] |= 1 << (keyCode & 31);
+    });
+    device.queue.writeBuffer(keyboardBuffer, 0, keys);
 }
 
 // Create the blit pipeline for final output with optional gamma correction
@@ -233,7 +449,70 @@ function createBlitPipeline(device, presentationFormat) {
 // Shader Compilation
 // ============================================================================
 
-export async function compile(code, hasGraphics, hasAudioGpu) {
+/**
+ * Build the @group(1) layout for the channels a pass reads
+ * Binding N = iChannelN (previous frame for self-reads), OFFSET + N = its sampler
+ */
+function createChannelBindGroupLayout(device, requiredChannels) {
+    const entries = [];
+    requiredChannels.forEach(chNum => {
+        entries.push({
+            binding: chNum,
+            visibility: GPUShaderStage.COMPUTE,
+            texture: {
+                sampleType: 'float',
+                viewDimension: webgpuChannels.getViewDimension(channels.getChannel(chNum))
+            }
+        });
+        entries.push({
+            binding: webgpuChannels.CHANNEL_SAMPLER_BINDING_OFFSET + chNum,
+            visibility: GPUShaderStage.COMPUTE,
+            sampler: { type: 'filtering' }
+        });
+    });
+    return device.createBindGroupLayout({ entries });
+}
+
+/**
+ * Build the @group(2) layout for #include <std> uniforms and #storage buffers
+ */
+function createToysBindGroupLayout(device, pass) {
+    const entries = [];
+    const visibility = GPUShaderStage.COMPUTE;
+    if (pass.usesStd) {
+        entries.push(
+            { binding: TOYS_TIME_BINDING, visibility, buffer: { type: 'uniform' } },
+            { binding: TOYS_MOUSE_BINDING, visibility, buffer: { type: 'uniform' } },
+            { binding: TOYS_CUSTOM_BINDING, visibility, buffer: { type: 'uniform' } },
+            { binding: TOYS_DISPATCH_BINDING, visibility, buffer: { type: 'uniform', hasDynamicOffset: true } },
+            { binding: TOYS_KEYBOARD_BINDING, visibility, buffer: { type: 'uniform' } },
+            { binding: TOYS_PASS_IN_BINDING, visibility, texture: { sampleType: 'float', viewDimension: '2d-array' } },
+            { binding: TOYS_PASS_OUT_BINDING, visibility, storageTexture: { access: 'write-only', format: 'rgba16float', viewDimension: '2d-array' } }
+        );
+        for (let i = 0; i < TOYS_CHANNEL_COUNT; i++) {
+            entries.push({ binding: TOYS_CHANNEL_BINDING_START + i, visibility, texture: { sampleType: 'float' } });
+        }
+        TOYS_SAMPLERS.forEach((name, i) => {
+            entries.push({ binding: TOYS_SAMPLER_BINDING_START + i, visibility, sampler: { type: 'filtering' } });
+        });
+    }
+    pass.storage.forEach((entry, i) => {
+        entries.push({ binding: TOYS_STORAGE_BINDING_START + i, visibility, buffer: { type: 'storage' } });
+    });
+    return device.createBindGroupLayout({ entries });
+}
+
+/**
+ * Compile WGSL passes (buffers first, main last - same order as the WebGL pass plan)
+ * @param {Array} passes - [{ type, tabName, channelNumber, label, code, requiredChannels,
+ *                         entryPoints, storage, usesStd }]
+ *                         entryPoints: [{ name, workgroupSize, workgroupCount, once, count }] in source order
+ *                         The main pass module also carries the audio_main entry point
+ * @param {boolean} hasGraphics - Create a pipeline per entry point
+ * @param {boolean} hasAudioGpu - Create audio_main pipeline from the main pass module
+ * @returns {Object} { success, passes, audioPipeline } or { success: false, errors, pass }
+ */
+export async function compile(passes, hasGraphics, hasAudioGpu) {
     const device = state.gpuDevice;
     if (!device) {
         return { 
@@ -242,60 +521,109 @@ export async function compile(code, hasGraphics, hasAudioGpu) {
         };
     }
 
-    try {
-        // Compile shader module
-        const shaderModule = device.createShaderModule({ code });
-        const compilationInfo = await shaderModule.getCompilationInfo();
-        const errors = compilationInfo.messages.filter(m => m.type === 'error');
-        
-        if (errors.length > 0) {
-            return { success: false, errors };
-        }
-        
-        const pipelineLayout = device.createPipelineLayout({
-            bindGroupLayouts: [state.bindGroupLayout],
-        });
-        
-        // Create graphics pipeline if needed
-        let graphicsPipeline = null;
-        if (hasGraphics) {
-            graphicsPipeline = device.createComputePipeline({
-                layout: pipelineLayout,
-                compute: { module: shaderModule, entryPoint: 'graphics_main' },
-            });
-        }
-        
-        // Create audio pipeline if needed
-        let audioPipeline = null;
-        if (hasAudioGpu) {
-            audioPipeline = device.createComputePipeline({
-                layout: pipelineLayout,
-                compute: { module: shaderModule, entryPoint: 'audio_main' },
+    const compiledPasses = [];
+    let audioPipeline = null;
+    
+    for (const pass of passes) {
+        try {
+            // Compile shader module
+            const shaderModule = device.createShaderModule({ label: pass.label, code: pass.code });
+            const compilationInfo = await shaderModule.getCompilationInfo();
+            const errors = compilationInfo.messages.filter(m => m.type === 'error');
+            
+            if (errors.length > 0) {
+                return { success: false, errors, pass };
+            }
+            
+            const requiredChannels = pass.requiredChannels || [];
+            const storage = pass.storage || [];
+            const usesStd = !!pass.usesStd;
+            const channelLayout = requiredChannels.length > 0
+                ? createChannelBindGroupLayout(device, requiredChannels)
+                : null;
+            const toysLayout = usesStd || storage.length > 0
+                ? createToysBindGroupLayout(device, { usesStd, storage })
+                : null;
+            const bindGroupLayouts = [state.bindGroupLayout];
+            if (channelLayout || toysLayout) {
+                bindGroupLayouts.push(channelLayout || device.createBindGroupLayout({ entries: [] }));
+            }
+            if (toysLayout) {
+                bindGroupLayouts.push(toysLayout);
+            }
+            const pipelineLayout = device.createPipelineLayout({ bindGroupLayouts });
+            
+            // One pipeline per @compute entry point, dispatched in source order
+            let entryPoints = [];
+            if (hasGraphics) {
+                entryPoints = (pass.entryPoints || []).map(entry => ({
+                    ...entry,
+                    pipeline: device.createComputePipeline({
+                        layout: pipelineLayout,
+                        compute: { module: shaderModule, entryPoint: entry.name },
+                    })
+                }));
+            }
+            const pipeline = entryPoints[0]?.pipeline || null;
+            
+            // Create audio pipeline if needed (audio never reads channels, group 0 only)
+            if (hasAudioGpu && pass.type === 'main') {
+                audioPipeline = device.createComputePipeline({
+                    layout: device.createPipelineLayout({ bindGroupLayouts: [state.bindGroupLayout] }),
+                    compute: { module: shaderModule, entryPoint: 'audio_main' },
+                });
+            }
+            
+            compiledPasses.push({
+                ...pass, requiredChannels, storage, usesStd, entryPoints, pipeline,
+                channelLayout, emptyChannelGroup: !channelLayout && toysLayout ? bindGroupLayouts[1] : null, toysLayout
             });
+        } catch (err) {
+            return { 
+                success: false, 
+                errors: [{ lineNum: 1, message: err.message }],
+                pass
+            };
         }
+    }
+    
+    // Update state
+    if (hasGraphics) {
+        state.webgpuPasses = compiledPasses.filter(pass => pass.pipeline);
+        gpuTiming.clearPassTimes();
+        state.graphicsPipeline = compiledPasses.find(pass => pass.type === 'main')?.pipeline || null;
+        state.graphicsBackend = 'webgpu';
+        dispatchedOnce.clear();
         
-        // Update state
-        if (graphicsPipeline) {
-            state.graphicsPipeline = graphicsPipeline;
-            state.graphicsBackend = 'webgpu';
-        }
-        if (audioPipeline) {
-            state.audioPipeline = audioPipeline;
-            state.audioMode = AUDIO_MODES.GPU;
-            state.currentAudioType = 'gpu';
-        }
+        // Drop render targets of channels that no longer have a pass
+        const liveChannels = new Set(state.webgpuPasses.map(pass => pass.channelNumber));
+        channelTargets.forEach((target, chNum) => {
+            if (!liveChannels.has(chNum)) {
+                target.textures.forEach(tex => tex.destroy());
+                channelTargets.delete(chNum);
+            }
+        });
         
-        return { 
-            success: true,
-            graphicsPipeline, 
-            audioPipeline 
-        };
-    } catch (err) {
-        return { 
-            success: false, 
-            errors: [{ lineNum: 1, message: err.message }] 
-        };
+        // ...and #storage buffers no pass declares any more
+        const liveStorage = new Set(state.webgpuPasses.flatMap(pass => pass.storage.map(entry => entry.name)));
+        storageBuffers.forEach((entry, name) => {
+            if (!liveStorage.has(name)) {
+                entry.buffer.destroy();
+                storageBuffers.delete(name);
+            }
+        });
+    }
+    if (audioPipeline) {
+        state.audioPipeline = audioPipeline;
+        state.audioMode = AUDIO_MODES.GPU;
+        state.currentAudioType = 'gpu';
     }
+    
+    return { 
+        success: true,
+        passes: compiledPasses,
+        audioPipeline 
+    };
 }
 
 // ============================================================================
@@ -315,27 +643,11 @@ export function renderFrame(uniformData, audioContext) {
         // Write uniforms
         device.queue.writeBuffer(state.uniformBuffer, 0, uniformData);
 
-        // Ensure intermediate texture exists and is correct size
+        // Pass targets follow the render resolution
         const width = Math.ceil(state.canvasWidth / state.pixelScale);
         const height = Math.ceil(state.canvasHeight / state.pixelScale);
         
-        if (!state.intermediateTexture || 
-            state.intermediateTexture.width !== width || 
-            state.intermediateTexture.height !== height) {
-            createIntermediateTexture(device, width, height);
-        }
-
-        // Create bind group for compute pass (writes to intermediate texture)
-        const computeBindGroup = device.createBindGroup({
-            layout: state.bindGroupLayout,
-            entries: [
-                { binding: 0, resource: { buffer: state.uniformBuffer } },
-                { binding: 1, resource: { buffer: state.computeBuffer } },
-                { binding: 2, resource: { buffer: state.audioBufferGPU } },
-                { binding: 3, resource: state.intermediateTextureView },
-                { binding: 4, resource: { buffer: state.phaseStateBuffer } },
-            ],
-        });
+        const mainTarget = ensureChannelTarget(device, 0, width, height);
 
         // Check if we need to generate GPU audio THIS frame (only for GPU audio mode)
         const needsGPUAudio = state.isPlaying && 
@@ -346,13 +658,13 @@ export function renderFrame(uniformData, audioContext) {
 
         const encoder = device.createCommandEncoder();
         
-        // COMPUTE PASS - render to intermediate texture
+        // COMPUTE PASS - buffers then main, each into its own ping-pong target
         const computePass = encoder.beginComputePass();
         
         // AUDIO PASS FIRST - Only for GPU audio mode!
         if (needsGPUAudio) {
             computePass.setPipeline(state.audioPipeline);
-            computePass.setBindGroup(0, computeBindGroup);
+            computePass.setBindGroup(0, createPassBindGroup(device, mainTarget.views[1 - mainTarget.currentPing]));
             computePass.dispatchWorkgroups(
                 Math.ceil(DERIVED.samplesPerBlock / 128),
                 1,
@@ -360,20 +672,41 @@ export function renderFrame(uniformData, audioContext) {
             );
         }
         
-        // GRAPHICS PASS - Reads audio data from buffer
-        if (state.graphicsPipeline) {
-            computePass.setPipeline(state.graphicsPipeline);
-            computePass.setBindGroup(0, computeBindGroup);
-            computePass.dispatchWorkgroups(
-                Math.ceil(width / 8),
-                Math.ceil(height / 8),
-                1
-            );
+        // Upload input channels (image, video, audio, ...) read by any pass
+        webgpuChannels.updateChannelTextures(device, getInputChannels(state.webgpuPasses || []));
+        const stdPass = (state.webgpuPasses || []).find(pass => pass.usesStd);
+        if (stdPass) {
+            writeToysUniforms(device, width, height, stdPass.customFields);
         }
         
-        computePass.end();
+        // GRAPHICS PASSES - Read audio data from buffer
+        // When timing, each pass gets its own compute pass so it can carry timestamp writes
+        const graphicsPasses = state.webgpuPasses || [];
+        const timer = getPassTimer(device, graphicsPasses.length);
+        if (timer) {
+            computePass.end();
+            graphicsPasses.forEach((pass, i) => {
+                const timedPass = encoder.beginComputePass({
+                    timestampWrites: {
+                        querySet: timer.querySet,
+                        beginningOfPassWriteIndex: i * 2,
+                        endOfPassWriteIndex: i * 2 + 1
+                    }
+                });
+                encodeGraphicsPass(device, timedPass, pass, width, height);
+                timedPass.end();
+            });
+            encoder.resolveQuerySet(timer.querySet, 0, graphicsPasses.length * 2, timer.resolveBuffer, 0);
+            encoder.copyBufferToBuffer(timer.resolveBuffer, 0, timer.readBuffer, 0, graphicsPasses.length * 16);
+        } else {
+            for (const pass of graphicsPasses) {
+                encodeGraphicsPass(device, computePass, pass, width, height);
+            }
+            computePass.end();
+        }
         
-        // BLIT PASS - copy intermediate texture to canvas with optional gamma correction
+        // BLIT PASS - copy selected channel to canvas with optional gamma correction
+        const displayTarget = channelTargets.get(channels.getSelectedOutputChannel()) || mainTarget;
         const canvasTexture = state.gpuContext.getCurrentTexture();
         const blitPass = encoder.beginRenderPass({
             colorAttachments: [{
@@ -387,7 +720,7 @@ export function renderFrame(uniformData, audioContext) {
         // Choose pipeline based on colorspace mode
         const blitPipeline = state.linearColorspace ? state.blitPipelineLinear : state.blitPipelineSRGB;
         blitPass.setPipeline(blitPipeline);
-        blitPass.setBindGroup(0, state.blitBindGroup);
+        blitPass.setBindGroup(0, displayTarget.blitBindGroups[displayTarget.currentPing]);
         blitPass.draw(3, 1, 0, 0);  // Fullscreen triangle
         blitPass.end();
 
@@ -414,12 +747,167 @@ export function renderFrame(uniformData, audioContext) {
         } else {
             device.queue.submit([encoder.finish()]);
         }
+        
+        if (timer) {
+            readPassTimes(timer, graphicsPasses);
+        }
     } catch (err) {
         console.error('WebGPU render error:', err);
         console.error('Stack:', err.stack);
     }
 }
 
+function createPassBindGroup(device, outputView) {
+    return device.createBindGroup({
+        layout: state.bindGroupLayout,
+        entries: [
+            { binding: 0, resource: { buffer: state.uniformBuffer } },
+            { binding: 1, resource: { buffer: state.computeBuffer } },
+            { binding: 2, resource: { buffer: state.audioBufferGPU } },
+            { binding: 3, resource: outputView },
+            { binding: 4, resource: { buffer: state.phaseStateBuffer } },
+        ],
+    });
+}
+
+function encodeGraphicsPass(device, computePass, pass, canvasWidth, canvasHeight) {
+    // Buffer passes may run at half or fixed size; the storage format stays rgba16float
+    // because the WGSL header declares screenTexture with that format
+    const passChannel = channels.getChannel(pass.channelNumber);
+    const { width, height } = pass.type === 'buffer' && passChannel
+        ? channels.getBufferTargetSize(passChannel, canvasWidth, canvasHeight)
+        : { width: canvasWidth, height: canvasHeight };
+    const target = ensureChannelTarget(device, pass.channelNumber, width, height);
+    const readView = target.views[target.currentPing];
+    const writeView = target.views[1 - target.currentPing];
+    
+    const passGroup = createPassBindGroup(device, writeView);
+    let channelGroup = null;
+    if (pass.emptyChannelGroup) {
+        channelGroup = device.createBindGroup({ layout: pass.emptyChannelGroup, entries: [] });
+    }
+    if (pass.channelLayout) {
+        channelGroup = device.createBindGroup({
+            layout: pass.channelLayout,
+            entries: pass.requiredChannels.flatMap(chNum => {
+                const channel = channels.getChannel(chNum);
+                return [
+                    {
+                        binding: chNum,
+                        resource: chNum === pass.channelNumber
+                            ? readView
+                            : getChannelView(device, channel, canvasWidth, canvasHeight)
+                    },
+                    {
+                        binding: webgpuChannels.CHANNEL_SAMPLER_BINDING_OFFSET + chNum,
+                        resource: webgpuChannels.getChannelSampler(device, channel)
+                    }
+                ];
+            }),
+        });
+    }
+    const toysGroup = pass.toysLayout ? createToysBindGroup(device, pass, canvasWidth, canvasHeight) : null;
+    const passTextures = pass.writesPassTextures ? ensurePassTextures(device, canvasWidth, canvasHeight) : null;
+    
+
+    // Entry points run in source order and all write the same target
+    pass.entryPoints.forEach(entry => {
+        const onceKey = `${pass.channelNumber}:${entry.name}`;
+        if (entry.once) {
+            if (dispatchedOnce.has(onceKey)) return;
+            dispatchedOnce.add(onceKey);
+        }
+        // Default: one invocation per pixel of the target
+        const [x, y, z] = entry.workgroupCount || [
+            Math.ceil(width / entry.workgroupSize[0]),
+            Math.ceil(height / entry.workgroupSize[1]),
+            1
+        ];
+        for (let i = 0; i < entry.count; i++) {
+            // Re-bound every iteration: dispatch.id moves, and a pass copy replaces the pipeline
+            computePass.setPipeline(entry.pipeline);
+            computePass.setBindGroup(0, passGroup);
+            if (channelGroup) computePass.setBindGroup(1, channelGroup);
+            if (toysGroup) computePass.setBindGroup(2, toysGroup, pass.usesStd ? [i * DISPATCH_SLOT_BYTES] : []);
+            computePass.dispatchWorkgroups(x, y, z);
+            if (passTextures) encodePassCopy(computePass, passTextures);
+        }
+    });
+    
+    target.currentPing = 1 - target.currentPing;
+}
+
+function createToysBindGroup(device, pass, canvasWidth, canvasHeight) {
+    const entries = [];
+    if (pass.usesStd) {
+        const resources = ensureToysResources(device);
+        const dispatchBuffer = ensureDispatchSlots(device, Math.max(1, ...pass.entryPoints.map(entry => entry.count)));
+        const passTextures = ensurePassTextures(device, canvasWidth, canvasHeight);
+        const toysChannels = getToysChannels();
+        entries.push(
+            { binding: TOYS_TIME_BINDING, resource: { buffer: resources.timeBuffer } },
+            { binding: TOYS_MOUSE_BINDING, resource: { buffer: resources.mouseBuffer } },
+            { binding: TOYS_CUSTOM_BINDING, resource: { buffer: resources.customBuffer } },
+            { binding: TOYS_DISPATCH_BINDING, resource: { buffer: dispatchBuffer, size: 16 } },
+            { binding: TOYS_KEYBOARD_BINDING, resource: { buffer: resources.keyboardBuffer } },
+            { binding: TOYS_PASS_IN_BINDING, resource: passTextures.inputView },
+            { binding: TOYS_PASS_OUT_BINDING, resource: passTextures.outputView }
+        );
+        for (let i = 0; i < TOYS_CHANNEL_COUNT; i++) {
+            const channel = toysChannels[i];
+            entries.push({
+                binding: TOYS_CHANNEL_BINDING_START + i,
+                resource: (channel && webgpuChannels.getChannelTextureView(channel.number)) || resources.emptyView
+            });
+        }
+        resources.samplers.forEach((sampler, i) => {
+            entries.push({ binding: TOYS_SAMPLER_BINDING_START + i, resource: sampler });
+        });
+    }
+    pass.storage.forEach((entry, i) => {
+        entries.push({
+            binding: TOYS_STORAGE_BINDING_START + i,
+            resource: { buffer: ensureStorageBuffer(device, entry.name, entry.size) }
+        });
+    });
+    return device.createBindGroup({ layout: pass.toysLayout, entries });
+}
+
+// Buffers: latest written texture (passes that already ran this frame are current)
+// Inputs: the WebGPU mirror of the channel's media
+function getChannelView(device, channel, width, height) {
+    if (channel.type === 'buffer') {
+        const size = channel.number === 0 ? { width, height } : channels.getBufferTargetSize(channel, width, height);
+        const target = ensureChannelTarget(device, channel.number, size.width, size.height);
+        return target.views[target.currentPing];
+    }
+    return webgpuChannels.getChannelTextureView(channel.number);
+}
+
+// compute.toys channel0/channel1: the first two 2D media channels
+function getToysChannels() {
+    return channels.getChannels()
+        .filter(ch => ['image', 'video', 'webcam'].includes(ch.type) && webgpuChannels.getViewDimension(ch) === '2d')
+        .sort((a, b) => a.number - b.number)
+        .slice(0, TOYS_CHANNEL_COUNT);
+}
+
+function getInputChannels(passes) {
+    const inputs = new Map();
+    if (passes.some(pass => pass.usesStd)) {
+        getToysChannels().forEach(channel => inputs.set(channel.number, channel));
+    }
+    passes.forEach(pass => {
+        pass.requiredChannels.forEach(chNum => {
+            const channel = channels.getChannel(chNum);
+            if (channel && channel.type !== 'buffer') {
+                inputs.set(chNum, channel);
+            }
+        });
+    });
+    return [...inputs.values()];
+}
+
 function playAudioBlock(readbackBuffer, audioContext) {
     const audioData = new Float32Array(readbackBuffer.getMappedRange());
     
@@ -448,6 +936,157 @@ function playAudioBlock(readbackBuffer, audioContext) {
     state.audioFrame++;
 }
 
+// ============================================================================
+// Offline Audio
+// ============================================================================
+
+/**
+ * Run audio_main block after block, as fast as readback allows
+ * Uses its own uniform, audio, phase and compute buffers so live playback and
+ * graphics are untouched. Output is at the compiled SAMPLE_RATE.
+ * @param {number} seconds - Length to render
+ * @param {Function} [onProgress] - Called with 0-1 after each block
+ * @param {number} [startTime=0] - Audio clock of the first block (the phase buffer still starts at 0)
+ * @returns {Promise<{channels: Float32Array[], sampleRate: number}>}
+ */
+export async function renderAudioOffline(seconds, onProgress, startTime = 0) {
+    const device = state.gpuDevice;
+    const pipeline = state.audioPipeline;
+    if (!device || !pipeline) {
+        throw new Error('WGSL audio is not compiled');
+    }
+    
+    const uniformBuffer = device.createBuffer({ size: 512, usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST });
+    const audioBuffer = device.createBuffer({ size: DERIVED.audioBufferSize, usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC });
+    const readbackBuffer = device.createBuffer({ size: DERIVED.audioBufferSize, usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST });
+    const phaseBuffer = device.createBuffer({ size: 4, usage: GPUBufferUsage.STORAGE });
+    const computeBuffer = device.createBuffer({ size: CONFIG.computeBufferSize, usage: GPUBufferUsage.STORAGE });
+    const screen = device.createTexture({ size: [1, 1], format: 'rgba16float', usage: GPUTextureUsage.STORAGE_BINDING });
+    const bindGroup = device.createBindGroup({
+        layout: state.bindGroupLayout,
+        entries: [
+            { binding: 0, resource: { buffer: uniformBuffer } },
+            { binding: 1, resource: { buffer: computeBuffer } },
+            { binding: 2, resource: { buffer: audioBuffer } },
+            { binding: 3, resource: screen.createView() },
+            { binding: 4, resource: { buffer: phaseBuffer } },
+        ],
+    });
+    
+    // Custom uniforms keep their current values; the audio clock starts at startTime
+    const uniformData = state.uniformBuilder.buffer.slice(0);
+    const f32 = new Float32Array(uniformData);
+    const i32 = new Int32Array(uniformData);
+    
+    const blockSamples = DERIVED.samplesPerBlock;
+    const totalSamples = Math.round(seconds * DERIVED.sampleRate);
+    const output = [new Float32Array(totalSamples), new Float32Array(totalSamples)];
+    // startTime rarely falls on a block boundary: start at the block containing it and
+    // drop the samples before it, which may take one extra block. Counted in samples
+    // so a float quotient like 0.3 / 0.1 can't land in the previous block.
+    const startSample = Math.max(0, Math.round(startTime * DERIVED.sampleRate));
+    const firstBlock = Math.floor(startSample / blockSamples);
+    const skip = startSample - firstBlock * blockSamples;
+    
+    try {
+        for (let block = 0, offset = 0; offset < totalSamples; block++) {
+            if (state.audioPipeline !== pipeline) {
+                throw new Error('Audio shader was recompiled during export');
+            }
+            const time = (firstBlock + block) * CONFIG.audioBlockDuration;
+            f32[UNIFORM_STRUCT.time] = time;
+            f32[UNIFORM_STRUCT.audioCurrentTime] = time;
+            f32[UNIFORM_STRUCT.audioPlayTime] = time;
+            f32[UNIFORM_STRUCT.audioFractTime] = time % 1;
+            i32[UNIFORM_STRUCT.audioFrame] = firstBlock + block;
+            device.queue.writeBuffer(uniformBuffer, 0, uniformData);
+            
+            const encoder = device.createCommandEncoder();
+            const computePass = encoder.beginComputePass();
+            computePass.setPipeline(pipeline);
+            computePass.setBindGroup(0, bindGroup);
+            computePass.dispatchWorkgroups(Math.ceil(blockSamples / 128), 1, 1);
+            computePass.end();
+            encoder.copyBufferToBuffer(audioBuffer, 0, readbackBuffer, 0, DERIVED.audioBufferSize);
+            device.queue.submit([encoder.finish()]);
+            
+            await readbackBuffer.mapAsync(GPUMapMode.READ);
+            const audioData = new Float32Array(readbackBuffer.getMappedRange());
+            const start = block === 0 ? skip : 0;
+            const count = Math.min(blockSamples - start, totalSamples - offset);
+            for (let ch = 0; ch < CONFIG.channels; ch++) {
+                output[ch].set(audioData.subarray(ch * blockSamples + start, ch * blockSamples + start + count), offset);
+            }
+            readbackBuffer.unmap();
+            offset += count;
+            onProgress?.(Math.min(1, offset / totalSamples));
+        }
+    } finally {
+        [uniformBuffer, audioBuffer, readbackBuffer, phaseBuffer, computeBuffer].forEach(buffer => buffer.destroy());
+        screen.destroy();
+    }
+    
+    return { channels: output, sampleRate: DERIVED.sampleRate };
+}
+
+// ============================================================================
+// Pass Timing (timestamp-query)
+// ============================================================================
+
+let passTimer = null;  // { querySet, resolveBuffer, readBuffer, capacity, busy }
+
+// Query resources for this frame, or null when timing is off, unsupported or
+// the previous frame's results are still being read back
+function getPassTimer(device, passCount) {
+    if (!gpuTiming.isGpuTimingEnabled() || !device.features.has('timestamp-query') || passCount === 0) {
+        return null;
+    }
+    if (passTimer?.busy) {
+        return null;
+    }
+    if (!passTimer || passTimer.capacity < passCount) {
+        passTimer?.querySet.destroy();
+        passTimer?.resolveBuffer.destroy();
+        passTimer?.readBuffer.destroy();
+        const capacity = Math.max(passCount, 8);
+        passTimer = {
+            querySet: device.createQuerySet({ type: 'timestamp', count: capacity * 2 }),
+            resolveBuffer: device.createBuffer({
+                size: capacity * 16,
+                usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC
+            }),
+            readBuffer: device.createBuffer({
+                size: capacity * 16,
+                usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+            }),
+            capacity,
+            busy: false
+        };
+    }
+    return passTimer;
+}
+
+function readPassTimes(timer, passes) {
+    timer.busy = true;
+    const labels = passes.map(pass => ({ key: pass.channelNumber, label: pass.label }));
+    timer.readBuffer.mapAsync(GPUMapMode.READ, 0, labels.length * 16).then(() => {
+        const stamps = new BigUint64Array(timer.readBuffer.getMappedRange(0, labels.length * 16));
+        labels.forEach(({ key, label }, i) => {
+            const begin = stamps[i * 2];
+            const end = stamps[i * 2 + 1];
+            // Timestamps can be zero or out of order when the implementation quantises them
+            if (end > begin) {
+                gpuTiming.recordPassTime(key, label, Number(end - begin) / 1e6, i);
+            }
+        });
+        timer.readBuffer.unmap();
+        timer.busy = false;
+    }).catch(() => {
+        // Device lost or buffer destroyed by a resize of the timer - drop this sample
+        timer.busy = false;
+    });
+}
+
 // ============================================================================
 // Cleanup
 // ============================================================================
@@ -456,14 +1095,14 @@ export function cleanup() {
     // Destroy pipelines
     state.graphicsPipeline = null;
     state.audioPipeline = null;
+    state.webgpuPasses = [];
+    webgpuChannels.clearChannelTextures();
     
-    // Destroy intermediate texture (must be recreated with new device)
-    if (state.intermediateTexture) {
-        state.intermediateTexture.destroy();
-        state.intermediateTexture = null;
-        state.intermediateTextureView = null;
-    }
-    state.blitBindGroup = null;
+    // Destroy pass targets and #storage buffers (must be recreated with new device)
+    clearChannelTargets();
+    toysResources = null;
+    
+    passTimer = null;
     
     // Note: WebGPU buffers and resources are garbage collected
     // We just need to null out references
@@ -0,0 +1,147 @@
+// ============================================================================
+// Channel View - Zoom, pan, component and range settings for the channel viewer
+// ============================================================================
+// While the viewer is open, the WebGL backend draws the selected channel with
+// these settings instead of stretching it over the canvas: aspect-correct,
+// nearest-neighbour, optionally one component, remapped from [rangeMin, rangeMax].
+// Volumes show one depth slice and cubemaps an unfolded cross (4 × 3 faces).
+
+export const COMPONENTS = ['rgb', 'r', 'g', 'b', 'a'];
+
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 256;
+
+let view = null;  // null while the viewer is closed
+
+function createDefaultView() {
+    return {
+        zoom: 1,
+        centerX: 0.5,
+        centerY: 0.5,
+        component: 'rgb',
+        rangeMin: 0,
+        rangeMax: 1,
+        slice: 0.5
+    };
+}
+
+function notifyChanged() {
+    window.dispatchEvent(new CustomEvent('channel-view-changed'));
+}
+
+/**
+ * @returns {Object|null} Current settings, or null if the viewer is closed
+ */
+export function getChannelView() {
+    return view;
+}
+
+export function isChannelViewOpen() {
+    return view !== null;
+}
+
+export function setChannelViewOpen(open) {
+    if (open === isChannelViewOpen()) return;
+    view = open ? createDefaultView() : null;
+    notifyChanged();
+}
+
+/**
+ * Change view settings (zoom is clamped)
+ * @param {Object} changes - Any of the createDefaultView() fields
+ */
+export function updateChannelView(changes) {
+    if (!view) return;
+    Object.assign(view, changes);
+    view.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom));
+    notifyChanged();
+}
+
+export function resetChannelViewTransform() {
+    updateChannelView({ zoom: 1, centerX: 0.5, centerY: 0.5 });
+}
+
+// ============================================================================
+// Transform
+// ============================================================================
+
+/**
+ * Width / height of what the viewer lays out for a channel
+ * @param {Object} channel
+ * @returns {number}
+ */
+export function getContentAspect(channel) {
+    if (channel.type === 'cubemap' || channel.isCubemap) return 4 / 3;
+    const { width, height } = channel.resolution || {};
+    return width && height ? width / height : 1;
+}
+
+/**
+ * Content UV span covered by the whole canvas (shader uniform u_viewScale)
+ * At zoom 1 the content fits the canvas with letterboxing
+ * @returns {{x: number, y: number}}
+ */
+export function getViewScale(channel, canvasWidth, canvasHeight) {
+    const canvasAspect = canvasWidth / canvasHeight;
+    const contentAspect = getContentAspect(channel);
+    const zoom = view?.zoom ?? 1;
+    return canvasAspect > contentAspect
+        ? { x: canvasAspect / contentAspect / zoom, y: 1 / zoom }
+        : { x: 1 / zoom, y: contentAspect / canvasAspect / zoom };
+}
+
+/**
+ * Map a canvas position (0-1, y up) to content UV
+ * With the viewer closed the channel is stretched over the canvas, so this is the identity
+ * @returns {{u: number, v: number}|null} Null if the position is outside the content
+ */
+export function canvasToContentUV(channel, normX, normY, canvasWidth, canvasHeight) {
+    if (!view) return { u: normX, v: normY };
+    const scale = getViewScale(channel, canvasWidth, canvasHeight);
+    const u = view.centerX + (normX - 0.5) * scale.x;
+    const v = view.centerY + (normY - 0.5) * scale.y;
+    if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+    return { u, v };
+}
+
+/**
+ * Inverse of canvasToContentUV()
+ * @returns {{normX: number, normY: number}}
+ */
+export function contentToCanvasUV(channel, u, v, canvasWidth, canvasHeight) {
+    if (!view) return { normX: u, normY: v };
+    const scale = getViewScale(channel, canvasWidth, canvasHeight);
+    return {
+        normX: 0.5 + (u - view.centerX) / scale.x,
+        normY: 0.5 + (v - view.centerY) / scale.y
+    };
+}
+
+/**
+ * Zoom by a factor keeping the content under a canvas position in place
+ */
+export function zoomChannelViewAt(channel, factor, normX, normY, canvasWidth, canvasHeight) {
+    if (!view) return;
+    const before = getViewScale(channel, canvasWidth, canvasHeight);
+    const anchorU = view.centerX + (normX - 0.5) * before.x;
+    const anchorV = view.centerY + (normY - 0.5) * before.y;
+
+    view.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, view.zoom * factor));
+    const after = getViewScale(channel, canvasWidth, canvasHeight);
+    updateChannelView({
+        centerX: anchorU - (normX - 0.5) * after.x,
+        centerY: anchorV - (normY - 0.5) * after.y
+    });
+}
+
+/**
+ * Pan by a canvas-space delta (0-1 units)
+ */
+export function panChannelView(channel, deltaX, deltaY, canvasWidth, canvasHeight) {
+    if (!view) return;
+    const scale = getViewScale(channel, canvasWidth, canvasHeight);
+    updateChannelView({
+        centerX: view.centerX - deltaX * scale.x,
+        centerY: view.centerY - deltaY * scale.y
+    });
+}
@@ -19,31 +19,82 @@ const channelState = {
     selectedOutputChannel: 0 // Which channel to display
 };
 
+/**
+ * WebGL context for channel textures
+ * Channels keep WebGL textures even while WGSL is active (webgpu-channels.js mirrors them)
+ * @returns {WebGL2RenderingContext|null}
+ */
+function getChannelGL() {
+    return state.glContext || state.canvasWebGL?.getContext('webgl2') || null;
+}
+
 function emitChannelChangeEvent(detail = {}) {
     if (typeof window !== 'undefined' && window.dispatchEvent) {
         window.dispatchEvent(new CustomEvent('channels-changed', { detail }));
     }
 }
 
+// Buffer pass storage formats and sizing modes (per channel, saved with the shader)
+export const BUFFER_FORMATS = {
+    rgba8: 'RGBA8',
+    rgba16f: 'RGBA16F',
+    rgba32f: 'RGBA32F'
+};
+export const BUFFER_SIZE_MODES = {
+    canvas: 'Canvas',
+    half: 'Half canvas',
+    fixed: 'Fixed'
+};
+const DEFAULT_BUFFER_FORMAT = 'rgba32f';
+// Longest frame history ring a buffer can keep (iChannelHistoryN layers)
+export const MAX_BUFFER_HISTORY = 8;
+const DEFAULT_FIXED_BUFFER_SIZE = 256;
+const MAX_FIXED_BUFFER_SIZE = 4096;
+
+// Vertex pass draw settings (buffer channels with a `vertex` block, GLSL only)
+export const VERTEX_PRIMITIVES = {
+    points: 'Points',
+    lines: 'Lines',
+    line_strip: 'Line strip',
+    triangles: 'Triangles',
+    triangle_strip: 'Triangle strip'
+};
+export const VERTEX_BLEND_MODES = {
+    none: 'No blending',
+    alpha: 'Alpha blend',
+    add: 'Additive'
+};
+export const VERTEX_TARGETS = {
+    self: 'Own buffer',
+    main: 'Main image'
+};
+export const MAX_VERTEX_COUNT = 1000000;
+const DEFAULT_VERTEX_OPTIONS = {
+    vertexCount: 10000,
+    primitive: 'points',
+    blend: 'none',
+    depthTest: false,
+    clear: true,
+    target: 'self'
+};
+
 /**
  * Create a WebGL texture for buffer rendering
  * @param {WebGL2RenderingContext} gl - WebGL context
  * @param {number} width - Texture width
  * @param {number} height - Texture height
+ * @param {string} format - 'rgba8', 'rgba16f' or 'rgba32f'
  * @returns {WebGLTexture} Created texture
  */
-function createBufferTexture(gl, width, height) {
-    // Always try to enable float render targets (RGBA32F); fall back to RGBA16F if unavailable
-    const floatExt = gl.getExtension('EXT_color_buffer_float');
-    if (!floatExt) {
+function createBufferTexture(gl, width, height, format = DEFAULT_BUFFER_FORMAT) {
+    const { internalFormat, type } = getBufferStorageFormat(gl, format);
+    if (format === 'rgba32f' && internalFormat !== gl.RGBA32F) {
         console.warn('EXT_color_buffer_float not available - using RGBA16F for buffer textures');
     }
     
     const texture = gl.createTexture();
     gl.bindTexture(gl.TEXTURE_2D, texture);
-    
-    const internalFormat = floatExt ? gl.RGBA32F : gl.RGBA16F;
-    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, gl.RGBA, gl.FLOAT, null);
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, gl.RGBA, type, null);
     
     // Buffers are used primarily for data passing, so default to NEAREST filtering.
     // If users request smoother sampling (linear/mipmap/aniso), we'll revisit and
@@ -56,6 +107,311 @@ function createBufferTexture(gl, width, height) {
     return texture;
 }
 
+/**
+ * WebGL internal format for a buffer format name
+ * Float formats need EXT_color_buffer_float to be renderable; RGBA32F falls back to RGBA16F without it
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {string} format - 'rgba8', 'rgba16f' or 'rgba32f'
+ * @returns {{internalFormat: number, type: number}}
+ */
+function getBufferStorageFormat(gl, format = DEFAULT_BUFFER_FORMAT) {
+    if (format === 'rgba8') {
+        return { internalFormat: gl.RGBA8, type: gl.UNSIGNED_BYTE };
+    }
+    const floatExt = gl.getExtension('EXT_color_buffer_float');
+    return {
+        internalFormat: (format === 'rgba32f' && floatExt) ? gl.RGBA32F : gl.RGBA16F,
+        type: gl.FLOAT
+    };
+}
+
+/**
+ * Create the frame history ring for a buffer: a 2D array texture with one layer per kept frame
+ * Matches the buffer's size and format so frames can be blitted straight in
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {Object} channel - Buffer channel (uses resolution, format, history)
+ * @returns {WebGLTexture} Created texture
+ */
+function createHistoryTexture(gl, channel) {
+    const { width, height } = channel.resolution;
+    const { internalFormat } = getBufferStorageFormat(gl, channel.format);
+    
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, texture);
+    gl.texStorage3D(gl.TEXTURE_2D_ARRAY, 1, internalFormat, width, height, channel.history);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    
+    return texture;
+}
+
+/**
+ * Drop a buffer's history ring (recreated lazily at the buffer's current size)
+ * @param {Object} channel - Buffer channel
+ */
+function releaseHistoryTexture(channel) {
+    const gl = state.glContext;
+    if (channel.historyTexture && gl) {
+        gl.deleteTexture(channel.historyTexture);
+    }
+    channel.historyTexture = null;
+    channel.historyHead = 0;
+}
+
+// ============================================================================
+// Particle State Buffers
+// ============================================================================
+
+/**
+ * Ping-pong vertex buffers holding a particle pass's state (interleaved attributes)
+ * Recreated, zero-filled and flagged for reset when the count or layout changes
+ * @param {Object} channel - Particle buffer channel
+ * @param {Array<{name: string, size: number}>} attributes - Layout the pass was compiled with
+ * @returns {Object|null} The channel, or null without WebGL
+ */
+export function ensureParticleBuffers(channel, attributes) {
+    const gl = state.glContext;
+    if (!gl || !channel?.particles) {
+        return null;
+    }
+    
+    const stride = attributes.reduce((sum, a) => sum + a.size, 0) * 4;
+    const count = channel.particles.count;
+    if (channel.particleBuffers && channel.particleStride === stride && channel.particleCapacity === count) {
+        return channel;
+    }
+    
+    releaseParticleBuffers(channel);
+    channel.particleBuffers = [0, 1].map(() => {
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, count * stride, gl.DYNAMIC_COPY);
+        return buffer;
+    });
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+    channel.particleRead = 0;
+    channel.particleStride = stride;
+    channel.particleCapacity = count;
+    channel.particleReset = true;
+    console.log(`✓ Particle buffers created for ch${channel.number} (${count} × ${stride} bytes)`);
+    return channel;
+}
+
+function releaseParticleBuffers(channel) {
+    const gl = state.glContext;
+    if (channel.particleBuffers && gl) {
+        channel.particleBuffers.forEach(buffer => gl.deleteBuffer(buffer));
+    }
+    channel.particleBuffers = null;
+}
+
+/**
+ * Change a particle pass's count and/or state layout
+ * A new count applies on the next frame; a new layout once the shader is recompiled.
+ * Either way the particles start over (particleReset is true for one frame).
+ * @param {number} channelNumber - Particle buffer channel
+ * @param {Object} options - Any of {count, attributes}
+ * @returns {boolean} Success
+ */
+export function setParticleOptions(channelNumber, options) {
+    const channel = getChannel(channelNumber);
+    if (!channel?.particles) {
+        console.warn(`Particle options only apply to particle passes (ch${channelNumber})`);
+        return false;
+    }
+    const problem = options.attributes && validateParticleAttributes(options.attributes);
+    if (problem) {
+        console.warn(`Particle attributes for ch${channelNumber} not changed: ${problem}`);
+        return false;
+    }
+    
+    channel.particles = normalizeParticleOptions(options, channel.particles);
+    releaseParticleBuffers(channel);
+    
+    console.log(`✓ Particle pass ch${channelNumber}: ${channel.particles.count} particles (${channel.particles.attributes.map(a => `${a.name}:${a.size}`).join(', ')})`);
+    emitChannelChangeEvent({ action: 'update', channel });
+    return true;
+}
+
+/**
+ * Rebuild a buffer's history ring at its new resolution, scaling the kept frames across
+ * so temporal effects keep their memory when the canvas is resized
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {Object} channel - Buffer channel (resolution already updated)
+ * @param {{width: number, height: number}} oldSize - Size of the existing ring
+ */
+function resampleHistoryTexture(gl, channel, oldSize) {
+    const oldTexture = channel.historyTexture;
+    if (!oldTexture) return;
+    
+    const newTexture = createHistoryTexture(gl, channel);
+    const readFb = gl.createFramebuffer();
+    const drawFb = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, readFb);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, drawFb);
+    for (let layer = 0; layer < channel.history; layer++) {
+        gl.framebufferTextureLayer(gl.READ_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, oldTexture, 0, layer);
+        gl.framebufferTextureLayer(gl.DRAW_FRAMEBUFFER, gl.COLOR_ATTACHMENT0, newTexture, 0, layer);
+        gl.blitFramebuffer(
+            0, 0, oldSize.width, oldSize.height,
+            0, 0, channel.resolution.width, channel.resolution.height,
+            gl.COLOR_BUFFER_BIT, gl.NEAREST
+        );
+    }
+    gl.bindFramebuffer(gl.READ_FRAMEBUFFER, null);
+    gl.bindFramebuffer(gl.DRAW_FRAMEBUFFER, null);
+    gl.deleteFramebuffer(readFb);
+    gl.deleteFramebuffer(drawFb);
+    
+    gl.deleteTexture(oldTexture);
+    channel.historyTexture = newTexture;
+}
+
+function ensureHistoryTexture(gl, channel) {
+    if (!channel.history || channel.historyTexture || !channel.textures) {
+        return;
+    }
+    channel.historyTexture = createHistoryTexture(gl, channel);
+    channel.historyHead = 0;
+    console.log(`✓ History ring created for ch${channel.number} (${channel.history} frames)`);
+}
+
+/**
+ * Size a buffer channel should render at, given the current canvas (render) size
+ * @param {Object} channel - Buffer channel
+ * @param {number} width - Canvas render width
+ * @param {number} height - Canvas render height
+ * @returns {{width: number, height: number}}
+ */
+export function getBufferTargetSize(channel, width, height) {
+    if (channel?.sizeMode === 'fixed' && channel.fixedSize) {
+        return { width: channel.fixedSize.width, height: channel.fixedSize.height };
+    }
+    if (channel?.sizeMode === 'half') {
+        return { width: Math.max(1, Math.ceil(width / 2)), height: Math.max(1, Math.ceil(height / 2)) };
+    }
+    return { width, height };
+}
+
+function clampHistoryLength(value) {
+    const length = Math.round(Number(value));
+    if (!Number.isFinite(length) || length < 2) return 0;
+    return Math.min(length, MAX_BUFFER_HISTORY);
+}
+
+function clampFixedBufferSize(value) {
+    const size = Math.round(Number(value));
+    if (!Number.isFinite(size) || size < 1) return DEFAULT_FIXED_BUFFER_SIZE;
+    return Math.min(size, MAX_FIXED_BUFFER_SIZE);
+}
+
+/**
+ * Fill in and validate vertex pass settings
+ * @param {Object} [options] - Any of {vertexCount, primitive, blend, depthTest, clear, target}
+ * @param {Object} [base] - Settings to start from (defaults if omitted)
+ * @returns {Object} Complete settings
+ */
+function normalizeVertexOptions(options = {}, base = DEFAULT_VERTEX_OPTIONS) {
+    const count = Math.round(Number(options.vertexCount ?? base.vertexCount));
+    return {
+        vertexCount: Number.isFinite(count) ? Math.min(Math.max(count, 1), MAX_VERTEX_COUNT) : base.vertexCount,
+        primitive: VERTEX_PRIMITIVES[options.primitive] ? options.primitive : base.primitive,
+        blend: VERTEX_BLEND_MODES[options.blend] ? options.blend : base.blend,
+        depthTest: options.depthTest !== undefined ? !!options.depthTest : base.depthTest,
+        clear: options.clear !== undefined ? !!options.clear : base.clear,
+        target: VERTEX_TARGETS[options.target] ? options.target : base.target
+    };
+}
+
+// Particle passes: vertex passes whose vertices carry state from frame to frame
+export const MAX_PARTICLE_COUNT = 1000000;
+export const MAX_PARTICLE_ATTRIBUTES = 8;
+const DEFAULT_PARTICLE_OPTIONS = {
+    count: 10000,
+    attributes: [
+        { name: 'position', size: 4 },
+        { name: 'velocity', size: 4 }
+    ]
+};
+// Names the particle stage headers already declare
+const RESERVED_PARTICLE_NAMES = new Set([
+    'main', 'vertexId', 'vertexCount', 'particleId', 'particleCount', 'particleReset', 'v_color', 'fragColor'
+]);
+
+/**
+ * Check a particle state layout
+ * @param {Array<{name: string, size: number}>} attributes
+ * @returns {string|null} What's wrong with it, or null if it's usable
+ */
+export function validateParticleAttributes(attributes) {
+    if (!Array.isArray(attributes) || attributes.length === 0) {
+        return 'Particles need at least one attribute';
+    }
+    if (attributes.length > MAX_PARTICLE_ATTRIBUTES) {
+        return `Particles can have at most ${MAX_PARTICLE_ATTRIBUTES} attributes`;
+    }
+    const names = new Set();
+    for (const { name, size } of attributes) {
+        if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name || '') || name.startsWith('gl_') || name.includes('__')) {
+            return `'${name}' is not a valid GLSL name`;
+        }
+        if (RESERVED_PARTICLE_NAMES.has(name) || names.has(name)) {
+            return `Attribute name '${name}' is already used`;
+        }
+        if (!Number.isInteger(size) || size < 1 || size > 4) {
+            return `Attribute '${name}' must have 1 to 4 components`;
+        }
+        names.add(name);
+    }
+    return null;
+}
+
+/**
+ * Fill in and validate particle settings
+ * @param {Object} [options] - Any of {count, attributes}
+ * @param {Object} [base] - Settings to start from (defaults if omitted)
+ * @returns {Object} Complete settings
+ */
+function normalizeParticleOptions(options = {}, base = DEFAULT_PARTICLE_OPTIONS) {
+    const count = Math.round(Number(options.count ?? base.count));
+    const attributes = options.attributes?.map(({ name, size }) => ({ name: String(name), size: Number(size) }));
+    return {
+        count: Number.isFinite(count) ? Math.min(Math.max(count, 1), MAX_PARTICLE_COUNT) : base.count,
+        attributes: attributes && !validateParticleAttributes(attributes)
+            ? attributes
+            : base.attributes.map(a => ({ ...a }))
+    };
+}
+
+// Face size for cubemap buffer passes (matches Shadertoy's Cube A)
+const CUBEMAP_BUFFER_SIZE = 1024;
+
+/**
+ * Create a cubemap texture for cubemap buffer rendering (six RGBA16F faces)
+ * Half float keeps the ping-pong pair at ~100 MB for 1024² faces
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {number} size - Face width/height
+ * @returns {WebGLTexture} Created texture
+ */
+function createCubeBufferTexture(gl, size) {
+    gl.getExtension('EXT_color_buffer_float');
+    
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_CUBE_MAP, texture);
+    gl.texStorage2D(gl.TEXTURE_CUBE_MAP, 1, gl.RGBA16F, size, size);
+    
+    // Cubemap buffers are mostly sampled as environments, so filter linearly
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_CUBE_MAP, gl.TEXTURE_WRAP_R, gl.CLAMP_TO_EDGE);
+    
+    return texture;
+}
+
 function getBufferChannelsSortedLeftToRight() {
     const buffers = channelState.channels.filter(ch => ch.type === 'buffer' && ch.number !== 0);
     return buffers.sort((a, b) => {
@@ -76,19 +432,37 @@ function ensureChannelTexturesInternal(channel, width, height) {
         return null;
     }
     
-    const targetWidth = width || state.canvasWidth;
-    const targetHeight = height || state.canvasHeight;
+    if (channel.isCubemap) {
+        if (!channel.textures) {
+            const size = channel.resolution?.width || CUBEMAP_BUFFER_SIZE;
+            channel.textures = [
+                createCubeBufferTexture(gl, size),
+                createCubeBufferTexture(gl, size)
+            ];
+            channel.currentPing = 0;
+            channel.resolution = { width: size, height: size };
+            console.log(`✓ Cubemap buffer textures created for ch${channel.number} (6×${size}²)`);
+        }
+        return channel;
+    }
+    
+    const { width: targetWidth, height: targetHeight } = getBufferTargetSize(
+        channel,
+        width || state.canvasWidth,
+        height || state.canvasHeight
+    );
     
     if (!channel.textures) {
         channel.textures = [
-            createBufferTexture(gl, targetWidth, targetHeight),
-            createBufferTexture(gl, targetWidth, targetHeight)
+            createBufferTexture(gl, targetWidth, targetHeight, channel.format),
+            createBufferTexture(gl, targetWidth, targetHeight, channel.format)
         ];
         channel.currentPing = 0;
         channel.resolution = { width: targetWidth, height: targetHeight };
-        console.log(`✓ Buffer textures created for ch${channel.number} (${targetWidth}×${targetHeight})`);
+        console.log(`✓ Buffer textures created for ch${channel.number} (${targetWidth}×${targetHeight}, ${BUFFER_FORMATS[channel.format] || 'RGBA32F'})`);
     }
     
+    ensureHistoryTexture(gl, channel);
     return channel;
 }
 
@@ -108,7 +482,10 @@ export function init() {
         resolution: { width: state.canvasWidth, height: state.canvasHeight },
         textures: null, // Will be created by initMainBufferTextures()
         framebuffer: null, // Created in webgl.js
-        currentPing: 0
+        currentPing: 0,
+        history: 0,
+        historyTexture: null,
+        historyHead: 0
     });
     
     emitChannelChangeEvent();
@@ -341,10 +718,39 @@ export async function createChannel(type, data) {
             });
         }
     } else if (type === 'buffer') {
-        channel.resolution = { width: state.canvasWidth, height: state.canvasHeight };
+        if (data.cubemap) {
+            // Cubemap buffer: renders mainCubemap() into six faces, read back as samplerCube
+            channel.isCubemap = true;
+            channel.name = `CubeBuffer(ch${channelNumber})`;
+            channel.resolution = { width: CUBEMAP_BUFFER_SIZE, height: CUBEMAP_BUFFER_SIZE };
+        } else {
+            channel.format = BUFFER_FORMATS[data.format] ? data.format : DEFAULT_BUFFER_FORMAT;
+            channel.sizeMode = BUFFER_SIZE_MODES[data.sizeMode] ? data.sizeMode : 'canvas';
+            channel.fixedSize = {
+                width: clampFixedBufferSize(data.fixedSize?.width),
+                height: clampFixedBufferSize(data.fixedSize?.height)
+            };
+            channel.history = clampHistoryLength(data.history);
+            channel.historyTexture = null;
+            channel.historyHead = 0;
+            channel.resolution = getBufferTargetSize(channel, state.canvasWidth, state.canvasHeight);
+            if (data.vertex) {
+                // Vertex pass: draws primitives from a vertex shader instead of a fullscreen quad
+                channel.vertex = normalizeVertexOptions(data.vertex);
+                channel.name = `Vertex(ch${channelNumber})`;
+            }
+            if (data.particles) {
+                // Particle pass: a vertex pass whose vertices keep state in buffers between frames
+                channel.vertex = normalizeVertexOptions(data.vertex);
+                channel.particles = normalizeParticleOptions(data.particles);
+                channel.particleBuffers = null;
+                channel.name = `Particles(ch${channelNumber})`;
+            }
+        }
         channel.textures = null; // Created lazily when rendering
         channel.framebuffer = null;
-        console.log(`Buffer channel stub created: ch${channelNumber}`);
+        const kind = channel.isCubemap ? 'Cubemap buffer' : channel.particles ? 'Particle buffer' : channel.vertex ? 'Vertex buffer' : 'Buffer';
+        console.log(`${kind} channel stub created: ch${channelNumber}`);
     } else if (type === 'mic') {
         // Microphone input channel - doesn't auto-start, requires user interaction
         let gl = state.glContext;
@@ -547,6 +953,11 @@ export function deleteChannel(channelNumber) {
         channel.textures = null;
     }
     
+    if (channel.historyTexture) {
+        releaseHistoryTexture(channel);
+    }
+    releaseParticleBuffers(channel);
+    
     // Remove from array
     channelState.channels.splice(index, 1);
     if (channelState.selectedOutputChannel === channelNumber) {
@@ -780,6 +1191,26 @@ export function parseChannelUsage(glslCode) {
     return Array.from(channels).sort((a, b) => a - b);
 }
 
+/**
+ * Parse GLSL code for iChannelHistory usage (frame history rings)
+ * @param {string} glslCode - GLSL shader code
+ * @returns {Array<number>} Array of channel numbers whose history is read
+ */
+export function parseHistoryUsage(glslCode) {
+    const channels = new Set();
+    const regex = /(?:iChannelHistory|textureHistory)(\d+)/g;
+    let match;
+    
+    while ((match = regex.exec(glslCode)) !== null) {
+        const channelNum = parseInt(match[1]);
+        if (channelNum >= 0 && channelNum <= 15) {
+            channels.add(channelNum);
+        }
+    }
+    
+    return Array.from(channels).sort((a, b) => a - b);
+}
+
 /**
  * Get channel configuration for persistence
  * @returns {Object} Configuration object
@@ -800,6 +1231,29 @@ export function getChannelConfig() {
             if (ch.type === 'buffer') {
                 config.name = ch.name;
                 config.resolution = ch.resolution;
+                if (ch.isCubemap) {
+                    config.cubemap = true;
+                } else {
+                    if (ch.number !== 0) {
+                        config.format = ch.format || DEFAULT_BUFFER_FORMAT;
+                        config.sizeMode = ch.sizeMode || 'canvas';
+                        if (config.sizeMode === 'fixed') {
+                            config.fixedSize = ch.fixedSize;
+                        }
+                    }
+                    if (ch.history) {
+                        config.history = ch.history;
+                    }
+                    if (ch.vertex) {
+                        config.vertex = { ...ch.vertex };
+                    }
+                    if (ch.particles) {
+                        config.particles = {
+                            count: ch.particles.count,
+                            attributes: ch.particles.attributes.map(a => ({ ...a }))
+                        };
+                    }
+                }
             }
             
             // Media channels only need mediaId (name/path derived from catalog)
@@ -905,6 +1359,10 @@ export function resetChannels() {
                     });
                 }
             }
+            if (ch.historyTexture) {
+                releaseHistoryTexture(ch);
+            }
+            releaseParticleBuffers(ch);
         }
     });
     
@@ -912,6 +1370,13 @@ export function resetChannels() {
     channelState.channels = channelState.channels.filter(ch => ch.number === 0);
     channelState.nextChannelNumber = 1;
     channelState.selectedOutputChannel = 0;
+    
+    // New shaders start without main frame history
+    const ch0 = channelState.channels[0];
+    if (ch0) {
+        releaseHistoryTexture(ch0);
+        ch0.history = 0;
+    }
     console.log('✓ Channels reset');
     emitChannelChangeEvent({ action: 'reset' });
 }
@@ -946,10 +1411,12 @@ export function resizeMainBuffer(width, height) {
     gl.deleteTexture(ch0.textures[1]);
     
     // Create new textures at new size
+    const oldSize = ch0.resolution;
     ch0.textures[0] = createBufferTexture(gl, width, height);
     ch0.textures[1] = createBufferTexture(gl, width, height);
     ch0.resolution = { width, height };
     ch0.currentPing = 0; // Reset ping-pong
+    resampleHistoryTexture(gl, ch0, oldSize);
     
     console.log(`✓ Main buffer resized to ${width}×${height}`);
     return true;
@@ -958,19 +1425,130 @@ export function resizeMainBuffer(width, height) {
 export function resizeAllBufferChannels(width, height) {
     const gl = state.glContext;
     channelState.channels.forEach(ch => {
-        if (ch.type !== 'buffer' || ch.number === 0) {
+        // Cubemap buffers keep their fixed face size
+        if (ch.type !== 'buffer' || ch.number === 0 || ch.isCubemap) {
             return;
         }
         
-        ch.resolution = { width, height };
+        // Particles start over along with the buffer's image
+        if (ch.particles) {
+            ch.particleReset = true;
+        }
+        
+        // Fixed-size buffers are still recreated so a restart clears them
+        const size = getBufferTargetSize(ch, width, height);
+        const oldSize = ch.resolution;
+        ch.resolution = size;
         
         if (ch.textures && gl) {
             gl.deleteTexture(ch.textures[0]);
             gl.deleteTexture(ch.textures[1]);
-            ch.textures[0] = createBufferTexture(gl, width, height);
-            ch.textures[1] = createBufferTexture(gl, width, height);
+            ch.textures[0] = createBufferTexture(gl, size.width, size.height, ch.format);
+            ch.textures[1] = createBufferTexture(gl, size.width, size.height, ch.format);
             ch.currentPing = 0;
-            console.log(`✓ Buffer ch${ch.number} resized to ${width}×${height}`);
+            resampleHistoryTexture(gl, ch, oldSize);
+            console.log(`✓ Buffer ch${ch.number} resized to ${size.width}×${size.height}`);
+        }
+    });
+}
+
+/**
+ * Change a buffer channel's storage format and/or sizing
+ * Textures are dropped and recreated lazily, so the buffer's contents are cleared
+ * @param {number} channelNumber - Buffer channel
+ * @param {Object} options - {format, sizeMode, fixedSize: {width, height}}
+ * @returns {boolean} Success
+ */
+export function setBufferOptions(channelNumber, options) {
+    const channel = getChannel(channelNumber);
+    if (!channel || channel.type !== 'buffer' || channel.number === 0 || channel.isCubemap) {
+        console.warn(`Buffer options only apply to 2D buffer channels (ch${channelNumber})`);
+        return false;
+    }
+    
+    if (options.format !== undefined && BUFFER_FORMATS[options.format]) {
+        channel.format = options.format;
+    }
+    if (options.sizeMode !== undefined && BUFFER_SIZE_MODES[options.sizeMode]) {
+        channel.sizeMode = options.sizeMode;
+    }
+    if (options.fixedSize) {
+        channel.fixedSize = {
+            width: clampFixedBufferSize(options.fixedSize.width ?? channel.fixedSize?.width),
+            height: clampFixedBufferSize(options.fixedSize.height ?? channel.fixedSize?.height)
+        };
+    }
+    
+    const gl = state.glContext;
+    if (channel.textures && gl) {
+        channel.textures.forEach(tex => gl.deleteTexture(tex));
+    }
+    channel.textures = null;
+    channel.currentPing = 0;
+    releaseHistoryTexture(channel);
+    
+    const base = channelState.channels.find(ch => ch.number === 0)?.resolution
+        || { width: state.canvasWidth, height: state.canvasHeight };
+    channel.resolution = getBufferTargetSize(channel, base.width, base.height);
+    ensureChannelTexturesInternal(channel, base.width, base.height);
+    
+    console.log(`✓ Buffer ch${channelNumber} options: ${BUFFER_FORMATS[channel.format]}, ${channel.resolution.width}×${channel.resolution.height} (${channel.sizeMode})`);
+    emitChannelChangeEvent({ action: 'update', channel });
+    return true;
+}
+
+/**
+ * Set how many previous frames a buffer keeps in its history ring (0 = off)
+ * Works for the main buffer (ch0) too; cubemap buffers have no history
+ * @param {number} channelNumber - Buffer channel
+ * @param {number} length - Frames to keep (2..MAX_BUFFER_HISTORY, anything lower disables it)
+ * @returns {boolean} Success
+ */
+export function setBufferHistory(channelNumber, length) {
+    const channel = getChannel(channelNumber);
+    if (!channel || channel.type !== 'buffer' || channel.isCubemap) {
+        console.warn(`Frame history only applies to 2D buffer channels (ch${channelNumber})`);
+        return false;
+    }
+    
+    channel.history = clampHistoryLength(length);
+    releaseHistoryTexture(channel);
+    if (state.glContext) {
+        ensureHistoryTexture(state.glContext, channel);
+    }
+    
+    console.log(`✓ Buffer ch${channelNumber} history: ${channel.history || 'off'}`);
+    emitChannelChangeEvent({ action: 'update', channel });
+    return true;
+}
+
+/**
+ * Change a vertex pass's draw settings (take effect on the next frame, no recompile)
+ * @param {number} channelNumber - Vertex buffer channel
+ * @param {Object} options - Any of {vertexCount, primitive, blend, depthTest, clear, target}
+ * @returns {boolean} Success
+ */
+export function setVertexOptions(channelNumber, options) {
+    const channel = getChannel(channelNumber);
+    if (!channel?.vertex) {
+        console.warn(`Vertex options only apply to vertex passes (ch${channelNumber})`);
+        return false;
+    }
+    
+    channel.vertex = normalizeVertexOptions(options, channel.vertex);
+    const { vertexCount, primitive, target } = channel.vertex;
+    console.log(`✓ Vertex pass ch${channelNumber}: ${vertexCount} vertices as ${VERTEX_PRIMITIVES[primitive]} → ${VERTEX_TARGETS[target]}`);
+    emitChannelChangeEvent({ action: 'update', channel });
+    return true;
+}
+
+/**
+ * Empty every buffer's history ring (for restart)
+ */
+export function clearBufferHistory() {
+    channelState.channels.forEach(ch => {
+        if (ch.historyTexture) {
+            releaseHistoryTexture(ch);
         }
     });
 }
@@ -1067,6 +1645,10 @@ export async function loadChannelConfig(config) {
                     });
                 }
             }
+            if (ch.historyTexture) {
+                releaseHistoryTexture(ch);
+            }
+            releaseParticleBuffers(ch);
         }
     });
     
@@ -1099,6 +1681,13 @@ export async function loadChannelConfig(config) {
     }
     
     // Recreate channels (except main which is already created)
+    // Main keeps its textures; only its frame history setting comes from the config
+    const mainChannel = channelState.channels.find(ch => ch.number === 0);
+    if (mainChannel) {
+        releaseHistoryTexture(mainChannel);
+        mainChannel.history = clampHistoryLength(sortedChannels.find(ch => ch.number === 0)?.history);
+    }
+    
     for (const ch of sortedChannels) {
         if (ch.number === 0) continue; // Skip main
         
@@ -1335,16 +1924,40 @@ export async function loadChannelConfig(config) {
                 }
             }
         } else if (ch.type === 'buffer') {
-            channelState.channels.push({
+            const bufferChannel = {
                 number: ch.number,
                 type: 'buffer',
-                name: ch.name || `Buffer(ch${ch.number})`,
+                name: ch.name || `${ch.cubemap ? 'CubeBuffer' : ch.particles ? 'Particles' : ch.vertex ? 'Vertex' : 'Buffer'}(ch${ch.number})`,
                 tabName: ch.tabName || `buffer_ch${ch.number}`,
-                resolution: ch.resolution || { width: state.canvasWidth, height: state.canvasHeight },
+                resolution: null,
+                isCubemap: !!ch.cubemap,
                 textures: null,
                 framebuffer: null,
                 currentPing: 0
-            });
+            };
+            if (ch.cubemap) {
+                bufferChannel.resolution = ch.resolution || { width: CUBEMAP_BUFFER_SIZE, height: CUBEMAP_BUFFER_SIZE };
+            } else {
+                // Shaders saved before per-buffer options existed get RGBA32F at canvas size
+                bufferChannel.format = BUFFER_FORMATS[ch.format] ? ch.format : DEFAULT_BUFFER_FORMAT;
+                bufferChannel.sizeMode = BUFFER_SIZE_MODES[ch.sizeMode] ? ch.sizeMode : 'canvas';
+                bufferChannel.fixedSize = {
+                    width: clampFixedBufferSize(ch.fixedSize?.width),
+                    height: clampFixedBufferSize(ch.fixedSize?.height)
+                };
+                bufferChannel.history = clampHistoryLength(ch.history);
+                bufferChannel.historyTexture = null;
+                bufferChannel.historyHead = 0;
+                bufferChannel.resolution = getBufferTargetSize(bufferChannel, state.canvasWidth, state.canvasHeight);
+                if (ch.vertex || ch.particles) {
+                    bufferChannel.vertex = normalizeVertexOptions(ch.vertex);
+                }
+                if (ch.particles) {
+                    bufferChannel.particles = normalizeParticleOptions(ch.particles);
+                    bufferChannel.particleBuffers = null;
+                }
+            }
+            channelState.channels.push(bufferChannel);
             if (ch.tabName && !state.activeTabs.includes(ch.tabName)) {
                 state.activeTabs.push(ch.tabName);
             }
@@ -1428,10 +2041,16 @@ export function getSelectedOutputChannel() {
 }
 
 
-export function getAvailableViewerChannels() {
+/**
+ * Channels the output selector can show
+ * @param {Object} [options]
+ * @param {boolean} [options.all=false] - Include volume and cubemap channels (the channel viewer lays them out)
+ * @returns {Array<{number: number, type: string, label: string}>}
+ */
+export function getAvailableViewerChannels({ all = false } = {}) {
     return [...channelState.channels]
-        // Filter out volume and cubemap channels - they can't be displayed in 2D viewer
-        .filter(ch => ch.type !== 'volume' && ch.type !== 'cubemap')
+        // Volume and cubemap channels (incl. cubemap buffers) can't be blitted to the canvas
+        .filter(ch => all || (ch.type !== 'volume' && ch.type !== 'cubemap' && !ch.isCubemap))
         .sort((a, b) => a.number - b.number)
         .map(ch => ({
             number: ch.number,
@@ -1445,6 +2064,7 @@ export function getChannelTextureForDisplay(channelNumber) {
     if (!channel) return null;
     
     if (channel.type === 'buffer') {
+        if (channel.isCubemap) return null;
         ensureBufferTextures(channel.number);
         return channel.textures ? channel.textures[channel.currentPing] : null;
     }
@@ -1491,6 +2111,14 @@ export function hasAudioChannels() {
     return getAudioChannels().length > 0;
 }
 
+/**
+ * Output nodes of loaded audio channels (each carries its channel's sound, before the volume)
+ * @returns {AudioNode[]}
+ */
+export function getAudioChannelNodes() {
+    return getAudioChannels().map(ch => ch.audioData.analyser).filter(Boolean);
+}
+
 export function playAudioChannels() {
     const audioChannels = getAudioChannels();
     if (audioChannels.length === 0) {
@@ -1523,6 +2151,19 @@ export function restartAudioChannels(shouldPlay = state.isPlaying) {
     return Promise.resolve();
 }
 
+/**
+ * Move audio channels to a shader time
+ * @param {number} seconds
+ */
+export function seekAudioChannels(seconds) {
+    getAudioChannels().forEach(ch => {
+        const audio = ch.audioData.audio;
+        if (audio) {
+            audio.currentTime = videoInput.getMediaTime(audio, seconds);
+        }
+    });
+}
+
 /**
  * Update all video channel textures (called each frame)
  * @param {WebGL2RenderingContext} gl - WebGL context
@@ -1572,6 +2213,32 @@ export function restartVideoChannels(shouldPlay = state.isPlaying) {
     return Promise.resolve();
 }
 
+/**
+ * Move video channels to a shader time
+ * @param {number} seconds
+ */
+export function seekVideoChannels(seconds) {
+    getVideoChannels().forEach(ch => {
+        videoInput.seekVideoChannel(ch, seconds);
+    });
+}
+
+/**
+ * Play audio and video channels at the transport's playback rate
+ * Channels created later pick the rate up when their element is made (audio-input.js, video-input.js)
+ * @param {number} rate
+ */
+export function setMediaPlaybackRate(rate = state.playbackRate) {
+    const media = [
+        ...getAudioChannels().map(ch => ch.audioData.audio),
+        ...getVideoChannels().map(ch => ch.videoData.video)
+    ].filter(Boolean);
+    media.forEach(element => {
+        element.defaultPlaybackRate = rate;
+        element.playbackRate = rate;
+    });
+}
+
 export function hasMediaChannels() {
     return hasAudioChannels() || hasVideoChannels();
 }
@@ -1607,7 +2274,7 @@ export async function startMicChannel(channelNumber) {
         throw new Error(`Channel ${channelNumber} is not a mic channel`);
     }
     
-    const gl = state.glContext;
+    const gl = getChannelGL();
     if (!gl) {
         throw new Error('WebGL context not available');
     }
@@ -1707,7 +2374,7 @@ export async function startWebcamChannel(channelNumber) {
         throw new Error(`Channel ${channelNumber} is not a webcam channel`);
     }
     
-    const gl = state.glContext;
+    const gl = getChannelGL();
     if (!gl) {
         throw new Error('WebGL context not available');
     }
@@ -1839,7 +2506,7 @@ export async function changeVolumeTexture(channelNumber, volumeId) {
         return;
     }
     
-    const gl = state.glContext;
+    const gl = getChannelGL();
     if (!gl) {
         console.error('WebGL context not available');
         return;
@@ -1878,7 +2545,7 @@ export async function changeVolumeWrapMode(channelNumber, wrap) {
         return;
     }
     
-    const gl = state.glContext;
+    const gl = getChannelGL();
     if (!gl) {
         console.error('WebGL context not available');
         return;
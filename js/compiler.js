@@ -7,15 +7,24 @@
 
 import { state, CONFIG, DERIVED, AUDIO_MODES, logStatus } from './core.js';
 import * as webgpu from './backends/webgpu.js';
+import * as webgpuChannels from './backends/webgpu-channels.js';
 import * as webgl from './backends/webgl.js';
 import * as audioWorklet from './backends/audio-worklet.js';
 import * as audioGlsl from './backends/audio-glsl.js';
 import * as render from './render.js';
+import * as transport from './transport.js';
 import * as editor from './editor.js';
 import * as jsRuntime from './js-runtime.js';
 import { getBoilerplate, MINIMAL_JS } from './examples.js';
-import { getBoilerplateForTab, getBoilerplateLineCount } from './glsl-boilerplate.js';
+import { getBoilerplateForTab, getBoilerplateLineCount, CUBEMAP_BOILERPLATE, getCubemapBoilerplateLineCount, getHistoryDeclaration, getVertexPassHeaders, VERTEX_PASS_DEFAULT_FRAGMENT, PARTICLE_UPDATE_FRAGMENT } from './glsl-boilerplate.js';
 import * as aiAssist from './ai-assist.js';
+import { isLegacyGlsl, upgradeLegacyGlsl, getLegacyRawHeader } from './glsl-legacy.js';
+import { resolveIncludes, mapIncludeErrors } from './glsl-include.js';
+import { prepareLibraries } from './shader-libraries.js';
+import { preprocessWGSL, findComputeEntryPoints, resolveStorageSizes, buildToysDeclarations, getToysCustomFields } from './wgsl-preprocess.js';
+import { getUniformConfig } from './uniform-controls.js';
+import * as gpuTiming from './gpu-timing.js';
+import * as shaderDebug from './shader-debug.js';
 import * as channels from './channels.js';
 import { getActiveGlslTab, syncCurrentGraphicsTabCode } from './tabs.js';
 import { setCompileOverlay, setCompileTime } from './ui.js';
@@ -32,6 +41,10 @@ function buildPassPlan(currentGLSLTab) {
             type: 'buffer',
             tabName: ch.tabName,
             channelNumber: ch.number,
+            isCubemap: !!ch.isCubemap,
+            isVertex: !!ch.vertex,
+            // Particle state layout as compiled; the buffers follow it until the next compile
+            particleAttributes: ch.particles ? ch.particles.attributes.map(a => ({ ...a })) : null,
             label: ch.name || `Buffer(ch${ch.number})`
         });
     });
@@ -56,16 +69,228 @@ function getPassSource(pass) {
     return state.tabCodeCache[pass.tabName] ?? '';
 }
 
-function adjustGLSLErrors(errors, boilerplateLines, channelUniformLines) {
+// Stages of vertex and particle pass code, in order; each stage after the first starts at
+// a `#pragma <stage>` line
+const VERTEX_PASS_STAGES = ['vertex', 'fragment'];
+const PARTICLE_PASS_STAGES = ['update', 'draw', 'fragment'];
+
+/**
+ * Split vertex or particle pass code into its stages
+ * Lines that belong to other stages are left blank, so every stage keeps the editor's line numbers
+ * @param {string} source - Pass code (includes expanded)
+ * @param {string[]} stageNames - VERTEX_PASS_STAGES or PARTICLE_PASS_STAGES
+ * @returns {Object} Stage name -> source, or null for stages the code doesn't have
+ *   (a missing fragment stage gets the default one)
+ */
+function splitPassStages(source, stageNames) {
+    const lines = source.split('\n');
+    const found = new Set([stageNames[0]]);
+    let current = stageNames[0];
+    const lineStages = lines.map(line => {
+        const match = line.match(/^\s*#\s*pragma\s+(\w+)\b/);
+        if (match && stageNames.indexOf(match[1]) > 0) {
+            current = match[1];
+            found.add(current);
+            return null;
+        }
+        return current;
+    });
+    
+    const stages = {};
+    stageNames.forEach(name => {
+        stages[name] = found.has(name)
+            ? lines.map((line, i) => lineStages[i] === name ? line : '').join('\n')
+            : null;
+    });
+    stages.fragment ??= '\n'.repeat(lines.length) + VERTEX_PASS_DEFAULT_FRAGMENT;
+    return stages;
+}
+
+/**
+ * WGSL declarations for the channels a pass reads (bound at @group(1))
+ * @param {number[]} requiredChannels - Channel numbers from parseChannelUsage()
+ * @returns {string} Declarations to append after the pass source
+ */
+function buildWGSLChannelDeclarations(requiredChannels) {
+    if (!requiredChannels.length) return '';
+    let decls = '\n\n// === Channel Inputs (auto-generated) ===\n';
+    requiredChannels.forEach(chNum => {
+        const textureType = webgpuChannels.getWGSLTextureType(channels.getChannel(chNum));
+        const samplerBinding = webgpuChannels.CHANNEL_SAMPLER_BINDING_OFFSET + chNum;
+        decls += `@group(1) @binding(${chNum}) var iChannel${chNum}: ${textureType};\n`;
+        decls += `@group(1) @binding(${samplerBinding}) var iChannel${chNum}Sampler: sampler;\n`;
+    });
+    return decls;
+}
+
+/**
+ * Attribute compile errors to the pass source or common code, through their #include line maps
+ * @param {Array} errors - Errors with lines relative to the full compiled source
+ * @param {Object} layout - { prefixLines, commonStart, commonLineMap, passLineMap, watchInjection }
+ * @returns {Array} Errors with lines relative to the pass editor
+ */
+function attributeGLSLErrors(errors, layout) {
     if (!errors?.length) return errors;
-    const totalInjectedLines = (boilerplateLines || 0) + (channelUniformLines || 0);
-    if (totalInjectedLines === 0) {
-        return errors;
+    return errors.map(err => {
+        // Lines added for a shader debug watch sit above everything else
+        const injection = layout.watchInjection;
+        if (injection && err.lineNum > injection.injectedAt) {
+            err = { ...err, lineNum: Math.max(injection.injectedAt, err.lineNum - injection.injectedLines) };
+        }
+        const commonLine = err.lineNum - layout.commonStart;
+        if (layout.commonLineMap && commonLine >= 1 && commonLine <= layout.commonLineMap.length) {
+            // Common code lives in its own editor; report it in the message and on line 1 here
+            const [mapped] = mapIncludeErrors([{ ...err, lineNum: commonLine }], layout.commonLineMap, 'common');
+            return { ...mapped, lineNum: 1, message: `common:${mapped.lineNum}: ${mapped.message}` };
+        }
+        const [mapped] = mapIncludeErrors([{ ...err, lineNum: Math.max(1, err.lineNum - layout.prefixLines) }], layout.passLineMap);
+        return mapped;
+    });
+}
+
+/**
+ * Common code for one language
+ * The GLSL and WGSL common tabs share an editor, which holds WGSL only while the WGSL tab is open
+ * @param {string} language - 'glsl' or 'wgsl'
+ * @returns {string}
+ */
+function getCommonCode(language) {
+    const isWgsl = state.activeTabs.includes('common_wgsl');
+    if (isWgsl !== (language === 'wgsl')) return '';
+    return state.commonEditor?.getValue()?.trim() || '';
+}
+
+/**
+ * GLSL audio source: common code followed by the audio tab
+ * @returns {string}
+ */
+function getGlslAudioSource() {
+    const audioCode = state.audioEditor.getValue();
+    const commonCode = getCommonCode('glsl');
+    return commonCode
+        ? '// === Common Code ===\n' + commonCode + '\n\n' + audioCode
+        : audioCode;
+}
+
+/**
+ * Expand #includes in GLSL audio source (libraries must already be prepared)
+ * Falls back to the unexpanded code if an include can't be resolved, so the compiler reports it
+ * @param {string} source - From getGlslAudioSource()
+ * @returns {string}
+ */
+function expandGlslAudioIncludes(source) {
+    const resolved = resolveIncludes(source);
+    if (!resolved.success) {
+        console.warn('⚠ GLSL audio #include:', resolved.error.message);
+        return source;
+    }
+    return resolved.code;
+}
+
+/**
+ * Graphics entry points of a WGSL pass with their #workgroup_count / #dispatch_* options
+ * @param {string} code - Boilerplate and graphics or buffer code (includes expanded, audio excluded)
+ * @param {Object} dispatch - Dispatch options from preprocessWGSL()
+ * @returns {{entryPoints: Array, error?: {lineNum: number, message: string}}}
+ */
+function getWGSLEntryPoints(code, dispatch) {
+    const entryPoints = findComputeEntryPoints(code)
+        .filter(entry => entry.name !== 'audio_main')
+        .map(entry => ({ workgroupCount: null, once: false, count: 1, ...dispatch[entry.name], ...entry }));
+    
+    const unknown = Object.keys(dispatch).find(name => !entryPoints.some(entry => entry.name === name));
+    if (unknown) {
+        return { entryPoints, error: { lineNum: dispatch[unknown].lineNum, message: `No @compute entry point named "${unknown}"` } };
+    }
+    if (entryPoints.length === 0) {
+        return { entryPoints, error: { lineNum: 1, message: 'No @compute entry point found (expected graphics_main)' } };
     }
-    return errors.map(err => ({
-        ...err,
-        lineNum: Math.max(1, err.lineNum - totalInjectedLines)
-    }));
+    return { entryPoints };
+}
+
+/**
+ * Separate errors in a WGSL module's common section from the rest
+ * @param {Array} errors - Compilation messages (lineNum relative to the whole module)
+ * @param {Object|null} commonSection - { startLine, lineMap } of the common code in the module
+ * @returns {{commonErrors: Array, passErrors: Array}} commonErrors have lines relative to the common editor
+ */
+function splitWGSLCommonErrors(errors, commonSection) {
+    const commonErrors = [];
+    const passErrors = [];
+    errors.forEach(err => {
+        const commonLine = (err.lineNum || 1) - (commonSection?.startLine ?? Infinity) + 1;
+        if (commonLine >= 1) {
+            const plain = { lineNum: commonLine, linePos: err.linePos || 1, message: err.message };
+            commonErrors.push(...mapIncludeErrors([plain], commonSection.lineMap, 'common'));
+        } else {
+            passErrors.push(err);
+        }
+    });
+    return { commonErrors, passErrors };
+}
+
+/**
+ * Map WGSL errors from a module with expanded #includes onto the unexpanded code
+ * Errors inside a library land on its #include line, with "library:line" in the message
+ * @param {Array} errors - Compilation messages (lineNum relative to the whole module)
+ * @param {number} firstLine - Module line where the first section starts
+ * @param {Array<{lineMap: Array, lines: number}>} [sections] - Consecutive sections and their unexpanded line counts
+ * @returns {Array} Plain { lineNum, linePos, message } errors
+ */
+function rebaseWGSLIncludeErrors(errors, firstLine, sections) {
+    return errors.map(err => {
+        const plain = { lineNum: err.lineNum || 1, linePos: err.linePos || 1, message: err.message };
+        if (!sections || plain.lineNum < firstLine) return plain;
+        
+        let expandedStart = firstLine;
+        let originalStart = firstLine;
+        for (const section of sections) {
+            const local = plain.lineNum - expandedStart + 1;
+            if (local <= section.lineMap.length) {
+                const [mapped] = mapIncludeErrors([{ ...plain, lineNum: local }], section.lineMap);
+                return { ...mapped, lineNum: originalStart + mapped.lineNum - 1 };
+            }
+            expandedStart += section.lineMap.length;
+            originalStart += section.lines;
+        }
+        // Generated declarations after the user code just shift by the expansion
+        return { ...plain, lineNum: plain.lineNum - (expandedStart - originalStart) };
+    });
+}
+
+/**
+ * Program, uniforms and channel sampler locations a compiled pass draws with
+ * @param {Object} compileResult - Successful webgl.compileProgram() result
+ * @param {number[]} requiredChannels - Channels the pass samples
+ * @param {number[]} historyChannels - Channels whose history ring the pass samples
+ * @returns {Object}
+ */
+function getProgramBindings(compileResult, requiredChannels, historyChannels) {
+    const gl = state.glContext;
+    const program = compileResult.program;
+    
+    const channelUniformLocations = {};
+    requiredChannels.forEach(chNum => {
+        channelUniformLocations[chNum] = gl?.getUniformLocation(program, `iChannel${chNum}`);
+    });
+    
+    const historyUniformLocations = {};
+    historyChannels.forEach(chNum => {
+        historyUniformLocations[chNum] = {
+            sampler: gl?.getUniformLocation(program, `iChannelHistory${chNum}`),
+            head: gl?.getUniformLocation(program, `u_historyHead${chNum}`),
+            length: gl?.getUniformLocation(program, `u_historyLength${chNum}`)
+        };
+    });
+    
+    return {
+        program,
+        uniforms: compileResult.uniforms,
+        requiredChannels,
+        channelUniformLocations,
+        historyChannels,
+        historyUniformLocations
+    };
 }
 
 // ============================================================================
@@ -77,6 +302,7 @@ export async function compileGLSL(hasAudioWorklet, hasAudioGlsl, skipAudioReload
     state.isRecompiling = true;
     setCompileOverlay(true);
     await waitForNextFrame();
+    let programBatch = null;
     try {
         const currentCode = state.graphicsEditor ? state.graphicsEditor.getValue() : '';
         
@@ -137,13 +363,75 @@ export async function compileGLSL(hasAudioWorklet, hasAudioGlsl, skipAudioReload
             return false;
         }
         
-        const compiledPasses = [];
+        // Fetch user libraries the passes, common code and GLSL audio include
+        const librarySources = passPlan.map(getPassSource);
+        librarySources.push(getCommonCode('glsl'));
+        if (hasAudioGlsl && !skipAudioReload) {
+            librarySources.push(state.audioEditor.getValue());
+        }
+        const libraries = await prepareLibraries(librarySources, 'glsl');
+        if (!libraries.success) {
+            logStatus(`✗ #include: ${libraries.error}`, 'error');
+            return false;
+        }
+        
+        const pendingPasses = [];
+        programBatch = webgl.beginProgramBatch();
+        let watchedChannel = null;
         for (const pass of passPlan) {
-            const source = getPassSource(pass);
+            // Common code (shared across all GLSL passes) is expanded first, so
+            // libraries it includes aren't pasted again by the pass
+            const includedLibraries = new Set();
+            const commonIncludes = resolveIncludes(getCommonCode('glsl'), {
+                fileName: 'common',
+                included: includedLibraries
+            });
+            const watch = shaderDebug.getWatchForPass(pass);
+            const passSource = watch ? shaderDebug.insertWatch(getPassSource(pass), watch) : getPassSource(pass);
+            if (passSource === null) {
+                logStatus(`✗ ${pass.label}: watched line ${watch.line} no longer exists`, 'error');
+                return false;
+            }
+            const passIncludes = resolveIncludes(passSource, { included: includedLibraries });
+            const includeError = commonIncludes.error || passIncludes.error;
+            if (includeError) {
+                const file = commonIncludes.error ? 'Common' : pass.label;
+                logStatus(`✗ ${file}: Line ${includeError.lineNum}: ${includeError.message}`, 'error');
+                if (!commonIncludes.error && (pass.type === 'main' || state.currentTab === pass.tabName)) {
+                    editor.setGLSLErrors([{ ...includeError, linePos: 1 }]);
+                }
+                return false;
+            }
+            
+            const userSource = passIncludes.code;
+            // GLSL ES 1.0 passes are upgraded in place (same line count); vertex passes are always ES 3.00
+            const isLegacy = !pass.isVertex && isLegacyGlsl(userSource);
+            const source = isLegacy ? upgradeLegacyGlsl(userSource) : userSource;
             const requiredChannels = channels.parseChannelUsage(source);
+            const historyChannels = channels.parseHistoryUsage(source);
+            
+            // Cubemap buffers always use the mainCubemap wrapper and vertex passes their own
+            // two-stage headers, whatever the main tab mode
+            const vertexHeaders = pass.isVertex ? getVertexPassHeaders(pass.particleAttributes) : null;
+            const stages = pass.isVertex
+                ? splitPassStages(source, pass.particleAttributes ? PARTICLE_PASS_STAGES : VERTEX_PASS_STAGES)
+                : null;
+            if (pass.particleAttributes && stages.draw === null) {
+                logStatus(`✗ ${pass.label}: Particle passes need a '#pragma draw' line before the draw shader`, 'error');
+                return false;
+            }
+            let passBoilerplate = boilerplate;
+            let passBoilerplateLines = boilerplateLines;
+            if (pass.isCubemap) {
+                passBoilerplate = CUBEMAP_BOILERPLATE;
+                passBoilerplateLines = getCubemapBoilerplateLineCount();
+            } else if (vertexHeaders) {
+                passBoilerplate = vertexHeaders.fragment;
+                passBoilerplateLines = vertexHeaders.lineCount;
+            }
             
             // Check if all required channels exist (for non-raw modes)
-            if (boilerplate !== '') {
+            if (passBoilerplate !== '') {
                 const missingChannels = [];
                 requiredChannels.forEach(chNum => {
                     const channel = channels.getChannel(chNum);
@@ -158,18 +446,32 @@ export async function compileGLSL(hasAudioWorklet, hasAudioGlsl, skipAudioReload
                     logStatus(`✗ ${pass.label}: ${errorMsg}`, 'error');
                     return false;
                 }
+                
+                const withoutHistory = historyChannels.filter(chNum => !channels.getChannel(chNum)?.history);
+                if (withoutHistory.length > 0) {
+                    const channelList = withoutHistory.map(n => `iChannelHistory${n}`).join(', ');
+                    logStatus(`✗ ${pass.label}: Shader uses ${channelList} but frame history is off for that buffer. Set a History length on its tab.`, 'error');
+                    return false;
+                }
             }
             
-            // Get common code (shared across all GLSL passes)
-            const commonCode = state.commonEditor?.getValue()?.trim() || '';
+            const userCommonCode = commonIncludes.code;
+            const commonCode = isLegacyGlsl(userCommonCode) ? upgradeLegacyGlsl(userCommonCode) : userCommonCode;
             const commonCodeLines = commonCode ? commonCode.split('\n').length : 0;
             
             // Build full source
             let fullSource;
-            if (boilerplate === '') {
+            let vertexSource;
+            let updateSource = null;
+            let totalPrefixLines;
+            let commonStart;
+            if (passBoilerplate === '') {
                 // Raw GLSL mode: NO automatic additions, user must declare everything
-                // But still prepend common code if available
-                fullSource = commonCode ? commonCode + '\n\n' + source : source;
+                // But still prepend common code if available (and the ES 3.00 header for legacy code)
+                const legacyHeader = isLegacy ? getLegacyRawHeader(source) : '';
+                fullSource = legacyHeader + (commonCode ? commonCode + '\n\n' + source : source);
+                commonStart = legacyHeader.split('\n').length - 1;
+                totalPrefixLines = commonStart + (commonCode ? commonCodeLines + 1 : 0);
             } else {
                 // Regular/Stoy/Golf mode: add channel uniforms automatically
                 let channelUniforms = '';
@@ -183,16 +485,73 @@ export async function compileGLSL(hasAudioWorklet, hasAudioGlsl, skipAudioReload
                         channelUniforms += `uniform sampler2D iChannel${chNum};\n`;
                     }
                 });
+                historyChannels.forEach(chNum => {
+                    channelUniforms += getHistoryDeclaration(chNum);
+                });
                 // Common code goes after boilerplate+channels but before pass-specific code
                 const commonSection = commonCode ? '\n// === Common Code ===\n' + commonCode + '\n\n' : '';
-                fullSource = boilerplate + channelUniforms + commonSection + source;
+                if (stages) {
+                    const sharedSection = channelUniforms + commonSection;
+                    if (pass.particleAttributes) {
+                        updateSource = vertexHeaders.update + sharedSection + stages.update;
+                        vertexSource = vertexHeaders.draw + sharedSection + stages.draw;
+                    } else {
+                        vertexSource = vertexHeaders.vertex + sharedSection + stages.vertex;
+                    }
+                    fullSource = passBoilerplate + sharedSection + stages.fragment;
+                } else {
+                    fullSource = passBoilerplate + channelUniforms + commonSection + source;
+                }
+                commonStart = passBoilerplateLines + requiredChannels.length + historyChannels.length + 2; // blank line + comment
+                totalPrefixLines = commonStart - 2 + (commonCode ? commonCodeLines + 3 : 0); // +3 for comment and newlines
+            }
+            
+            let watchInjection = null;
+            if (watch) {
+                const outputName = passBoilerplate === '' ? shaderDebug.findOutputName(source) : 'fragColor';
+                if (!outputName) {
+                    logStatus(`✗ ${pass.label}: can't watch a value without an 'out vec4' fragment output`, 'error');
+                    return false;
+                }
+                watchInjection = shaderDebug.injectWatchOutput(fullSource, outputName);
+                fullSource = watchInjection.source;
+                watchedChannel = pass.channelNumber;
             }
             
-            const compileResult = await webgl.compileProgram(fullSource);
-            if (!compileResult.success) {
-                // Adjust for boilerplate lines + channel uniform lines + common code lines
-                const totalPrefixLines = boilerplateLines + requiredChannels.length + (commonCode ? commonCodeLines + 3 : 0); // +3 for comment and newlines
-                const adjustedErrors = adjustGLSLErrors(compileResult.errors, totalPrefixLines, 0);
+            // Start compiling now and collect the results below, so passes compile in parallel
+            // (with KHR_parallel_shader_compile) instead of one after another
+            pendingPasses.push({
+                pass,
+                requiredChannels,
+                historyChannels,
+                compile: webgl.compileProgram(fullSource, vertexSource, { batch: programBatch }),
+                updateCompile: updateSource && webgl.compileProgram(PARTICLE_UPDATE_FRAGMENT, updateSource, {
+                    batch: programBatch,
+                    feedbackVaryings: pass.particleAttributes.map(attribute => `${attribute.name}Out`),
+                    vertexStageName: 'update'
+                }),
+                errorLayout: {
+                    prefixLines: totalPrefixLines,
+                    commonStart,
+                    commonLineMap: commonCode ? commonIncludes.lineMap : null,
+                    passLineMap: passIncludes.lineMap,
+                    watchInjection
+                }
+            });
+        }
+        
+        const compiledPasses = [];
+        let cachedPassCount = 0;
+        for (const { pass, requiredChannels, historyChannels, compile, updateCompile, errorLayout } of pendingPasses) {
+            const compileResult = await compile;
+            const updateResult = updateCompile ? await updateCompile : null;
+            const failedResult = !compileResult.success ? compileResult
+                : updateResult && !updateResult.success ? updateResult
+                : null;
+            if (failedResult) {
+                // Adjust for boilerplate lines + channel uniform lines + common code lines,
+                // then through the include line maps back to the lines the user wrote
+                const adjustedErrors = attributeGLSLErrors(failedResult.errors, errorLayout);
                 const shouldShowInEditor = pass.type === 'main' || state.currentTab === pass.tabName;
                 if (shouldShowInEditor) {
                     editor.setGLSLErrors(adjustedErrors);
@@ -202,19 +561,23 @@ export async function compileGLSL(hasAudioWorklet, hasAudioGlsl, skipAudioReload
                 logStatus(`✗ ${pass.label} compilation failed:\n` + errorMsg, 'error');
                 return false;
             }
+            if (compileResult.cached) cachedPassCount++;
             
-            const channelUniformLocations = {};
-            requiredChannels.forEach(chNum => {
-                channelUniformLocations[chNum] = state.glContext?.getUniformLocation(compileResult.program, `iChannel${chNum}`);
-            });
-            
-            compiledPasses.push({
+            const compiledPass = {
                 ...pass,
-                program: compileResult.program,
-                uniforms: compileResult.uniforms,
-                requiredChannels,
-                channelUniformLocations
-            });
+                ...getProgramBindings(compileResult, requiredChannels, historyChannels)
+            };
+            if (updateResult) {
+                // Particle state update, bound like a pass of its own
+                compiledPass.update = {
+                    channelNumber: pass.channelNumber,
+                    ...getProgramBindings(updateResult, requiredChannels, historyChannels)
+                };
+            }
+            compiledPasses.push(compiledPass);
+        }
+        if (cachedPassCount > 0) {
+            console.log(`✓ Reused ${cachedPassCount}/${compiledPasses.length} cached GLSL programs`);
         }
         
         if (compileToken !== state.currentCompileToken) {
@@ -225,6 +588,8 @@ export async function compileGLSL(hasAudioWorklet, hasAudioGlsl, skipAudioReload
         
         webgl.disposePassPrograms(state.webglPasses);
         state.webglPasses = compiledPasses;
+        gpuTiming.clearPassTimes();
+        shaderDebug.setWatchedChannel(watchedChannel);
         state.graphicsBackend = 'webgl';
         state.glProgram = compiledPasses.find(pass => pass.type === 'main')?.program || null;
         
@@ -237,12 +602,7 @@ export async function compileGLSL(hasAudioWorklet, hasAudioGlsl, skipAudioReload
                 await audioGlsl.init(state.audioContext, state.gainNode);
                 
                 // Get audio code with common code prepended
-                const audioCode = state.audioEditor.getValue();
-                const commonCode = state.commonEditor?.getValue()?.trim() || '';
-                const fullAudioCode = commonCode 
-                    ? '// === Common Code ===\n' + commonCode + '\n\n' + audioCode 
-                    : audioCode;
-                const result = await audioGlsl.load(fullAudioCode);
+                const result = await audioGlsl.load(expandGlslAudioIncludes(getGlslAudioSource()));
                 if (!result.success) {
                     editor.setAudioWorkletErrors(result.errors); // Reuse error display
                     const errMsg = result.errors[0] ? `Line ${result.errors[0].lineNum || '?'}: ${result.errors[0].message}` : 'Unknown error';
@@ -301,7 +661,7 @@ export async function compileGLSL(hasAudioWorklet, hasAudioGlsl, skipAudioReload
         // Resume from current shader time to stay in sync
         if (glslAudioLoaded && state.isPlaying) {
             const currentTime = state.uniformBuilder?.data?.time || 0;
-            audioGlsl.start(currentTime);
+            transport.resumeGlslAudio(currentTime);
         }
         
         if (!state.isPlaying) {
@@ -316,6 +676,7 @@ export async function compileGLSL(hasAudioWorklet, hasAudioGlsl, skipAudioReload
         }
         return false;
     } finally {
+        webgl.endProgramBatch(programBatch);
         if (state.currentCompileToken === compileToken) {
             state.isRecompiling = false;
             setCompileOverlay(false);
@@ -394,12 +755,11 @@ export async function reloadShader(isResizeOnly = false) {
                 if (hasAudioGlsl) {
                     await audioGlsl.init(state.audioContext, state.gainNode);
                     // Get audio code with common code prepended
-                    const audioCode = state.audioEditor.getValue();
-                    const commonCode = state.commonEditor?.getValue()?.trim() || '';
-                    const fullAudioCode = commonCode 
-                        ? '// === Common Code ===\n' + commonCode + '\n\n' + audioCode 
-                        : audioCode;
-                    const result = await audioGlsl.load(fullAudioCode);
+                    const audioSource = getGlslAudioSource();
+                    const libraries = await prepareLibraries([audioSource], 'glsl');
+                    const result = libraries.success
+                        ? await audioGlsl.load(expandGlslAudioIncludes(audioSource))
+                        : { success: false, errors: [{ lineNum: 1, message: libraries.error }] };
                     if (!result.success) {
                         editor.setAudioWorkletErrors(result.errors);
                         logStatus(`✗ GLSL Audio error: ${result.errors[0].message}`, 'error');
@@ -440,7 +800,7 @@ export async function reloadShader(isResizeOnly = false) {
                 // Resume from current shader time to stay in sync
                 if (glslAudioLoaded && state.isPlaying) {
                     const currentTime = state.uniformBuilder?.data?.time || 0;
-                    audioGlsl.start(currentTime);
+                    transport.resumeGlslAudio(currentTime);
                 }
                 
                 return true;
@@ -472,10 +832,12 @@ export async function reloadShader(isResizeOnly = false) {
     state.canvasWebGPU.style.display = 'block';
     state.canvasWebGL.style.display = 'none';
     
-    const boilerplate = getBoilerplate();
-    const graphics = state.graphicsEditor.getValue();
+    // Boilerplate modes belong to the graphics tab; audio-only modules keep the raw declarations
+    const boilerplate = getBoilerplate(hasGraphicsWGSL ? state.wgslBoilerplateMode : 'raw');
+    syncCurrentGraphicsTabCode();
+    const graphics = hasGraphicsWGSL ? getPassSource({ type: 'main', tabName: 'graphics' }) : '';
     const audio = hasAudioGpu ? state.audioEditor.getValue() : '';
-    const code = boilerplate + '\n' + graphics + '\n' + audio;
+    const common = getCommonCode('wgsl');
     
     state.boilerplateEditor.setValue(boilerplate);
     
@@ -485,18 +847,161 @@ export async function reloadShader(isResizeOnly = false) {
         
         const startTotal = performance.now();
         
+        // Build WGSL passes (buffers + main, same order as the GLSL pass plan)
+        // The main module also carries the audio entry point
+        const passPlan = hasGraphicsWGSL
+            ? buildPassPlan('graphics')
+            : [{ type: 'main', tabName: null, channelNumber: 0, label: PASS_LABELS.main }];
+        
+        // compute.toys directives (#storage, #workgroup_count, #include <std>, ...) go before #include expansion
+        const preprocessed = passPlan.map(pass => preprocessWGSL(pass.type === 'main' ? graphics : getPassSource(pass)));
+        const failedDirective = preprocessed.findIndex(result => !result.success);
+        if (failedDirective !== -1) {
+            const { error } = preprocessed[failedDirective];
+            logStatus(`✗ ${passPlan[failedDirective].label}: Line ${error.lineNum}: ${error.message}`, 'error');
+            return false;
+        }
+        
+        const librarySources = passPlan.map((pass, i) => pass.type === 'main' ? preprocessed[i].code + '\n' + audio : preprocessed[i].code);
+        librarySources.push(common);
+        const libraries = await prepareLibraries(librarySources, 'wgsl');
+        if (!libraries.success) {
+            logStatus(`✗ #include: ${libraries.error}`, 'error');
+            return false;
+        }
+        
+        const wgslPasses = [];
+        const storageSizes = new Map();
+        // compute.toys `custom` uniforms come from the float sliders
+        const customFields = getToysCustomFields(getUniformConfig().sliders.filter(slider => slider.type === 'float'));
+        for (const [passIndex, pass] of passPlan.entries()) {
+            if (pass.isCubemap) {
+                logStatus(`✗ ${pass.label}: Cubemap buffer passes are only supported with GLSL graphics`, 'error');
+                return false;
+            }
+            if (pass.isVertex) {
+                logStatus(`✗ ${pass.label}: Vertex passes are only supported with GLSL graphics`, 'error');
+                return false;
+            }
+            
+            // Graphics and audio share the main module, so they share one set of included libraries
+            const included = new Set();
+            const includeOptions = { included, guards: false, builtins: false };
+            const directives = preprocessed[passIndex];
+            const originals = pass.type === 'main' ? [directives.code, audio] : [directives.code];
+            const sections = originals.map(code => resolveIncludes(code, includeOptions));
+            const failed = sections.find(section => !section.success);
+            if (failed) {
+                logStatus(`✗ ${pass.label}: Line ${failed.error.lineNum}: ${failed.error.message}`, 'error');
+                return false;
+            }
+            const includeSections = sections.map((section, i) => ({
+                lineMap: section.lineMap,
+                lines: originals[i].split('\n').length
+            }));
+            
+            // Common code goes into every module, after everything else (WGSL has no
+            // declaration order) so it doesn't move the pass's lines
+            const commonIncludes = resolveIncludes(common, { ...includeOptions, fileName: 'common' });
+            if (!commonIncludes.success) {
+                logStatus(`✗ Common (WGSL): Line ${commonIncludes.error.lineNum}: ${commonIncludes.error.message}`, 'error');
+                return false;
+            }
+            
+            const source = sections[0].code;
+            const requiredChannels = hasGraphicsWGSL ? channels.parseChannelUsage(source + '\n' + commonIncludes.code) : [];
+            
+            const missingChannels = requiredChannels.filter(chNum => !channels.getChannel(chNum));
+            if (missingChannels.length > 0) {
+                const channelList = missingChannels.map(n => `iChannel${n}`).join(', ');
+                logStatus(`✗ ${pass.label}: Shader uses ${channelList} but this channel(s) doesn't exist. Add using the '+Add Pass' button.`, 'error');
+                return false;
+            }
+            
+            // Channel declarations go after user code (WGSL has no declaration order),
+            // so editor line numbers stay aligned with the boilerplate offset
+            const body = sections.map(section => section.code).join('\n');
+            
+            // S-Toy mode's graphics_main lives in the boilerplate
+            const entryPoints = hasGraphicsWGSL
+                ? getWGSLEntryPoints(boilerplate + '\n' + sections[0].code, directives.dispatch)
+                : { entryPoints: [] };
+            const storage = resolveStorageSizes(directives.storage, body + '\n' + commonIncludes.code);
+            const wgslError = entryPoints.error || storage.error;
+            if (wgslError) {
+                logStatus(`✗ ${pass.label}: Line ${wgslError.lineNum}: ${wgslError.message}`, 'error');
+                return false;
+            }
+            // Passes declaring the same #storage name share one buffer
+            for (const entry of storage.storage) {
+                const size = storageSizes.get(entry.name) ?? entry.size;
+                if (size !== entry.size) {
+                    logStatus(`✗ ${pass.label}: Line ${entry.lineNum}: #storage ${entry.name} has a different size in another pass`, 'error');
+                    return false;
+                }
+                storageSizes.set(entry.name, size);
+            }
+            
+            let code = boilerplate + '\n' + body + buildWGSLChannelDeclarations(requiredChannels)
+                + buildToysDeclarations(directives.storage, directives.usesStd, customFields);
+            let commonSection = null;
+            if (common) {
+                code += '\n\n// === Common (WGSL) ===\n';
+                commonSection = { startLine: code.split('\n').length, lineMap: commonIncludes.lineMap };
+                code += commonIncludes.code;
+            }
+            
+            wgslPasses.push({
+                ...pass,
+                requiredChannels,
+                includeSections,
+                commonSection,
+                entryPoints: entryPoints.entryPoints,
+                storage: storage.storage,
+                usesStd: directives.usesStd,
+                customFields,
+                // Each dispatch of these is followed by a pass_out -> pass_in copy
+                writesPassTextures: directives.usesStd && /\b(passStore|pass_out)\b/.test(body + '\n' + commonIncludes.code),
+                code
+            });
+        }
+        
         // Compile WGSL
-        const compileResult = await webgpu.compile(code, hasGraphicsWGSL, hasAudioGpu);
+        const compileResult = await webgpu.compile(wgslPasses, hasGraphicsWGSL, hasAudioGpu);
         if (!compileResult.success) {
-            editor.setWGSLErrors(compileResult.errors);
+            const boilerplateLines = boilerplate.split('\n').length;
+            const failedPass = compileResult.pass;
+            
+            // Errors in the common code are shown in its own editor
+            const { commonErrors, passErrors } = splitWGSLCommonErrors(compileResult.errors, failedPass?.commonSection);
+            editor.setWGSLCommonErrors(commonErrors);
+            const commonMessages = commonErrors.map(e => `Common line ${e.lineNum}: ${e.message}`);
+            
+            // Undo #include expansion so lines match the unexpanded graphics/audio/buffer code
+            const errors = rebaseWGSLIncludeErrors(passErrors, boilerplateLines + 1, failedPass?.includeSections);
+            
+            if (failedPass && failedPass.type === 'buffer') {
+                // Buffer module is boilerplate + '\n' + buffer source
+                const adjustedErrors = errors.map(e => ({
+                    ...e,
+                    lineNum: Math.max(1, (e.lineNum || 1) - boilerplateLines)
+                }));
+                if (state.currentTab === failedPass.tabName) {
+                    editor.setWGSLPassErrors(adjustedErrors);
+                }
+                const errorMsg = [...commonMessages, ...adjustedErrors.map(e => `Line ${e.lineNum}: ${e.message}`)].join('\n');
+                logStatus(`✗ ${failedPass.label} compilation failed:\n` + errorMsg, 'error');
+                return false;
+            }
+            
+            editor.setWGSLErrors(errors, graphics);
             
             // Convert raw line numbers to user-friendly editor-relative line numbers
-            const boilerplateLines = state.boilerplateEditor.getValue().split('\n').length;
-            const graphicsLines = state.graphicsEditor.getValue().split('\n').length;
+            const graphicsLines = graphics.split('\n').length;
             const graphicsStartLine = boilerplateLines + 1;
             const audioStartLine = boilerplateLines + 1 + graphicsLines + 1;
             
-            const errorMsg = compileResult.errors.map(e => {
+            const passMessages = errors.map(e => {
                 const lineNum = e.lineNum || 1;
                 let editorName, editorLine;
                 
@@ -512,7 +1017,8 @@ export async function reloadShader(isResizeOnly = false) {
                 }
                 
                 return `${editorName} line ${editorLine}: ${e.message}`;
-            }).join('\n');
+            });
+            const errorMsg = [...commonMessages, ...passMessages].join('\n');
             
             logStatus('✗ Shader compilation failed:\n' + errorMsg, 'error');
             return false;
@@ -138,6 +138,7 @@ export const state = {
     gpuContext: null,
     bindGroupLayout: null,
     graphicsPipeline: null,
+    webgpuPasses: [],      // Compiled WGSL passes (buffers + main), same order as webglPasses
     audioPipeline: null,
     uniformBuffer: null,
     computeBuffer: null,
@@ -153,13 +154,17 @@ export const state = {
     resizeStartWidth: 0,
     resizeStartHeight: 0,
     
-    lastFrameTime: 0,
+    lastFrameTime: 0,      // Effective time of the previous frame (for iTimeDelta)
+    timeDelta: 1 / 60,     // Seconds between the last two frames
+    frameRate: 60,         // Smoothed frames per second (iFrameRate)
     visualFrame: 0,        // Visual frame counter (increments every render)
     audioFrame: 0,         // Audio frame counter (increments when audio generated)
     nextAudioTime: 0,
     startTime: 0,          // When animation started (for time offset)
     pausedTime: 0,         // Total time spent paused
     lastPauseTime: 0,      // When we last paused
+    playbackRate: 1,       // Shader seconds per real second (transport)
+    loopRange: null,       // { start, end, enabled } in seconds (saved with the shader)
     lastVirtualTime: 0,    // Last time value sent to shaders
     isRecording: false,
     recordingFrame: 0,
@@ -178,6 +183,9 @@ export const state = {
     // Colorspace (for compute.toys compatibility)
     linearColorspace: false,  // false=sRGB (Shadertoy), true=linear (compute.toys)
     
+    // WGSL graphics boilerplate (saved with the shader)
+    wgslBoilerplateMode: 'raw',  // 'raw' | 'regular' | 'stoy'
+    
     // Editor settings
     isVimMode: false,
     vimStatusNodes: [],  // Store vim mode handlers for each editor
@@ -209,6 +217,9 @@ export const state = {
     isForkMode: false,  // Track if we're creating a fork (new shader, not update)
     isInitializing: true,  // Prevent dirty marking during initial load
     currentDatabaseShader: null,  // Currently loaded database shader (Supabase)
+    libraryPins: {},  // Library name -> version for unversioned #includes (saved with the shader)
+    inputStream: null,  // Recorded per-frame input { version, resolution, frames, entries } (saved with the shader)
+    shaderDebug: null,  // Watched GLSL value { tabName, line, expression, components, rangeMin, rangeMax, channelNumber }
     isAnonymousGolfURL: false,  // Flag for read-only golf URLs (from #g:)
     
     // Authentication
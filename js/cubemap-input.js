@@ -97,6 +97,26 @@ export async function loadCubemapFromPaths(gl, basePath, ext, size, options = {}
     }
 }
 
+/**
+ * Load the 6 face images of a catalog cubemap (+X, -X, +Y, -Y, +Z, -Z)
+ * Used by the WebGPU channel mirror, which uploads faces as texture layers
+ * @param {string} cubemapId - Cubemap ID from catalog
+ * @returns {Promise<HTMLImageElement[]|null>} Face images, or null if unavailable
+ */
+export async function loadCubemapImages(cubemapId) {
+    const mediaInfo = mediaLoader.getMediaInfo(cubemapId);
+    if (!mediaInfo || mediaInfo.type !== 'cubemap') {
+        return null;
+    }
+    
+    try {
+        return await Promise.all(CUBE_FACES.map(face => loadImage(`${mediaInfo.path}${face.name}${mediaInfo.ext}`)));
+    } catch (error) {
+        console.error(`Failed to load cubemap faces: ${mediaInfo.path}`, error);
+        return null;
+    }
+}
+
 /**
  * Load a single image
  * @param {string} url - Image URL
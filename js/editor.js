@@ -204,10 +204,12 @@ const GLSL_MONARCH_TOKENS = {
 // ============================================================================
 // Shader Library (sl.) Autocomplete
 // ============================================================================
+// GLSL implementations live in glsl-include.js; 'include' is the library to #include
 
 const SHADER_LIBRARY = [
     {
         name: 'hash',
+        include: 'sl/hash',
         signature: 'float hash(vec2 p)',
         description: 'Simple 2D hash function. Returns pseudo-random value based on input coordinates.',
         insertText: 'hash(${1:p})',
@@ -215,6 +217,7 @@ const SHADER_LIBRARY = [
     },
     {
         name: 'hash',
+        include: 'sl/hash',
         signature: 'vec2 hash(vec3 p)',
         description: 'Simple 3D hash function. Returns pseudo-random vec2 based on input coordinates.',
         insertText: 'hash(${1:p})',
@@ -222,6 +225,7 @@ const SHADER_LIBRARY = [
     },
     {
         name: 'hsl2rgb',
+        include: 'sl/color',
         signature: 'vec3 hsl2rgb(vec3 hsl)',
         description: 'Converts HSL color to RGB. Input: (hue, saturation, lightness)',
         insertText: 'hsl2rgb(${1:hsl})',
@@ -229,6 +233,7 @@ const SHADER_LIBRARY = [
     },
     {
         name: 'rgb2hsl',
+        include: 'sl/color',
         signature: 'vec3 rgb2hsl(vec3 rgb)',
         description: 'Converts RGB color to HSL. Returns (hue, saturation, lightness)',
         insertText: 'rgb2hsl(${1:rgb})',
@@ -236,6 +241,7 @@ const SHADER_LIBRARY = [
     },
     {
         name: 'noise',
+        include: 'sl/noise',
         signature: 'float noise(vec2 p)',
         description: 'Smooth 2D noise function using interpolated hash values.',
         insertText: 'noise(${1:p})',
@@ -243,6 +249,7 @@ const SHADER_LIBRARY = [
     },
     {
         name: 'fbm',
+        include: 'sl/noise',
         signature: 'float fbm(vec2 p, int octaves)',
         description: 'Fractional Brownian Motion. Layered noise with decreasing amplitude.',
         insertText: 'fbm(${1:p}, ${2:octaves})',
@@ -250,6 +257,7 @@ const SHADER_LIBRARY = [
     },
     {
         name: 'rotate2D',
+        include: 'sl/transform',
         signature: 'vec2 rotate2D(vec2 p, float angle)',
         description: 'Rotates a 2D point around origin by angle (in radians).',
         insertText: 'rotate2D(${1:p}, ${2:angle})',
@@ -257,6 +265,7 @@ const SHADER_LIBRARY = [
     },
     {
         name: 'sdf_circle',
+        include: 'sl/sdf',
         signature: 'float sdf_circle(vec2 p, float r)',
         description: 'Signed distance function for a circle. Returns distance to circle edge.',
         insertText: 'sdf_circle(${1:p}, ${2:r})',
@@ -264,6 +273,7 @@ const SHADER_LIBRARY = [
     },
     {
         name: 'sdf_box',
+        include: 'sl/sdf',
         signature: 'float sdf_box(vec2 p, vec2 size)',
         description: 'Signed distance function for a box. Returns distance to box edge.',
         insertText: 'sdf_box(${1:p}, ${2:size})',
@@ -271,6 +281,7 @@ const SHADER_LIBRARY = [
     },
     {
         name: 'palette',
+        include: 'sl/color',
         signature: 'vec3 palette(float t, vec3 a, vec3 b, vec3 c, vec3 d)',
         description: 'Cosine palette generator. Creates smooth color gradients using cosine waves.',
         insertText: 'palette(${1:t}, ${2:a}, ${3:b}, ${4:c}, ${5:d})',
@@ -310,7 +321,7 @@ function registerShaderLibraryAutocomplete() {
                 kind: monaco.languages.CompletionItemKind.Function,
                 detail: func.detail,
                 documentation: {
-                    value: `**${func.signature}**\n\n${func.description}`
+                    value: `**${func.signature}**\n\n${func.description}\n\n\`#include "${func.include}"\``
                 },
                 insertText: func.insertText,
                 insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
@@ -339,7 +350,7 @@ function registerShaderLibraryAutocomplete() {
             
             // Build hover content with all overloads
             const contents = matches.map(func => ({
-                value: `**${func.signature}**\n\n${func.description}`
+                value: `**${func.signature}**\n\n${func.description}\n\n\`#include "${func.include}"\``
             }));
             
             return {
@@ -666,11 +677,13 @@ function setupEditorActions() {
 // Error Markers - WGSL
 // ============================================================================
 
-export function setWGSLErrors(errors) {
+export function setWGSLErrors(errors, graphicsCode) {
     // Calculate line offsets for each section
     // Code structure: boilerplate + '\n' + graphics + '\n' + audio
+    // graphicsCode is passed when the graphics editor may be showing a buffer tab
     const boilerplateLines = state.boilerplateEditor.getValue().split('\n').length;
-    const graphicsLines = state.graphicsEditor.getValue().split('\n').length;
+    const graphicsLines = (graphicsCode ?? state.graphicsEditor.getValue()).split('\n').length;
+    const showGraphicsMarkers = state.currentTab === 'graphics' || graphicsCode === undefined;
     
     // +1 for each '\n' separator
     const graphicsStartLine = boilerplateLines + 1;
@@ -719,14 +732,50 @@ export function setWGSLErrors(errors) {
     
     // Set markers in the appropriate editors
     monaco.editor.setModelMarkers(state.boilerplateEditor.getModel(), 'wgsl', boilerplateErrors);
-    monaco.editor.setModelMarkers(state.graphicsEditor.getModel(), 'wgsl', graphicsErrors);
+    if (showGraphicsMarkers) {
+        monaco.editor.setModelMarkers(state.graphicsEditor.getModel(), 'wgsl', graphicsErrors);
+    }
     monaco.editor.setModelMarkers(state.audioEditor.getModel(), 'wgsl', audioErrors);
 }
 
+/**
+ * Show WGSL buffer pass errors in the graphics editor (lines already relative to the pass source)
+ */
+export function setWGSLPassErrors(errors) {
+    const markers = errors.map(err => ({
+        severity: monaco.MarkerSeverity.Error,
+        startLineNumber: err.lineNum || 1,
+        startColumn: err.linePos || 1,
+        endLineNumber: err.lineNum || 1,
+        endColumn: 1000,
+        message: err.message
+    }));
+    monaco.editor.setModelMarkers(state.graphicsEditor.getModel(), 'wgsl', markers);
+}
+
+/**
+ * Show errors from the Common (WGSL) tab in the common editor (lines relative to the tab)
+ */
+export function setWGSLCommonErrors(errors) {
+    if (!state.commonEditor) return;
+    const markers = errors.map(err => ({
+        severity: monaco.MarkerSeverity.Error,
+        startLineNumber: err.lineNum || 1,
+        startColumn: err.linePos || 1,
+        endLineNumber: err.lineNum || 1,
+        endColumn: 1000,
+        message: err.message
+    }));
+    monaco.editor.setModelMarkers(state.commonEditor.getModel(), 'wgsl', markers);
+}
+
 export function clearWGSLErrors() {
     monaco.editor.setModelMarkers(state.boilerplateEditor.getModel(), 'wgsl', []);
     monaco.editor.setModelMarkers(state.graphicsEditor.getModel(), 'wgsl', []);
     monaco.editor.setModelMarkers(state.audioEditor.getModel(), 'wgsl', []);
+    if (state.commonEditor) {
+        monaco.editor.setModelMarkers(state.commonEditor.getModel(), 'wgsl', []);
+    }
     // Also clear JavaScript errors in audio editor (for AudioWorklet mode switching)
     monaco.editor.setModelMarkers(state.audioEditor.getModel(), 'javascript', []);
 }
@@ -5,9 +5,16 @@
 
 import { CONFIG, DERIVED, state } from './core.js';
 import { getThumbnailUrl } from './backend.js';
-
-export function getBoilerplate() {
-    return `// ============================================================================
+import { getWGSLModeDeclarations, normalizeWGSLBoilerplateMode } from './wgsl-boilerplate.js';
+
+/**
+ * WGSL boilerplate prepended to every WGSL module: shared constants, then the
+ * uniform struct and bindings of the graphics tab's boilerplate mode
+ * @param {string} [mode] - Key of WGSL_BOILERPLATE_MODES (defaults to the shader's mode)
+ * @returns {string}
+ */
+export function getBoilerplate(mode = state.wgslBoilerplateMode) {
+    const constants = `// ============================================================================
 // AUTO-GENERATED BOILERPLATE
 // This section is read-only and updates when settings change
 // ============================================================================
@@ -21,7 +28,13 @@ const SCREEN_SIZE = ${CONFIG.screenSize};  // Kept for backward compatibility
 const PI = 3.1415926535897932f;
 const TAU = 6.283185307179586f;
 
-struct Uniforms {
+`;
+    const declarations = normalizeWGSLBoilerplateMode(mode) === 'raw' ? RAW_DECLARATIONS : getWGSLModeDeclarations(mode);
+    return constants + declarations;
+}
+
+// Raw mode: the original declarations (its custom ints/bools predate UniformBuilder's layout)
+const RAW_DECLARATIONS = `struct Uniforms {
     time: f32,              // 0  - auto-set
     audioCurrentTime: f32,  // 1  - auto-set
     audioPlayTime: f32,     // 2  - auto-set
@@ -63,7 +76,6 @@ struct Uniforms {
 @binding(3) @group(0) var screenTexture: texture_storage_2d<rgba16float, write>;
 @binding(4) @group(0) var<storage, read_write> phaseState: array<f32>;
 `;
-}
 
 
 // Minimal starter code for when user adds a new tab
@@ -201,11 +213,81 @@ export const MINIMAL_GLSL_STOY = `void mainImage(out vec4 fragColor, in vec2 fra
     fragColor = vec4(col, 1.0);
 }`;
 
+export const MINIMAL_GLSL_CUBEMAP = `void mainCubemap(out vec4 fragColor, in vec2 fragCoord, in vec3 rayOri, in vec3 rayDir) {
+    // rayDir points from the cube centre through this texel of the current face
+    vec3 col = 0.5 + 0.5 * rayDir;
+    
+    // Animated bands so the faces are easy to tell apart
+    col *= 0.75 + 0.25 * sin(rayDir.y * 20.0 + iTime);
+    
+    fragColor = vec4(col, 1.0);
+}`;
+
+export const MINIMAL_GLSL_VERTEX = `// Runs once per vertex: vertexId counts from 0 to vertexCount - 1
+// Set gl_Position, gl_PointSize and v_color. Code after a '#pragma fragment'
+// line replaces the default fragment stage (fragColor = v_color).
+void main() {
+    float t = vertexId / vertexCount;
+    float angle = t * 80.0 + iTime * 0.5;
+    vec2 pos = vec2(cos(angle), sin(angle)) * t * 0.9;
+    pos.x *= iResolution.y / iResolution.x;
+    
+    gl_Position = vec4(pos, 0.0, 1.0);
+    gl_PointSize = 2.0 + 4.0 * t;
+    v_color = vec4(0.5 + 0.5 * cos(6.2831 * t + vec3(0.0, 2.0, 4.0)), 1.0);
+}`;
+
+export const MINIMAL_GLSL_PARTICLES = `// Update: runs once per particle, reads its state (position, velocity) and writes
+// the next one (positionOut, velocityOut). particleReset is true on the first frame
+// and after a restart - set every attribute then. Put helpers both stages need in Common.
+float hash(float n) { return fract(sin(n) * 43758.5453); }
+
+void main() {
+    vec4 p = position;
+    vec4 v = velocity;
+    if (particleReset) {
+        p = vec4(hash(particleId) * 2.0 - 1.0, hash(particleId + 0.5) * 2.0 - 1.0, 0.0, 1.0);
+        v = vec4(0.0);
+    }
+    
+    // Swirl towards the centre
+    vec2 toCentre = -p.xy;
+    v.xy += (vec2(-toCentre.y, toCentre.x) + toCentre * 0.5) * iTimeDelta;
+    v.xy *= 0.99;
+    p.xy += v.xy * iTimeDelta;
+    
+    positionOut = p;
+    velocityOut = v;
+}
+
+#pragma draw
+// Draw: one vertex per particle, reading the state the update just wrote
+void main() {
+    gl_Position = vec4(position.xy * vec2(iResolution.y / iResolution.x, 1.0), 0.0, 1.0);
+    gl_PointSize = 2.0;
+    v_color = vec4(0.5 + 0.5 * normalize(velocity.xy + 1e-4), 1.0, 1.0);
+}`;
+
 export const MINIMAL_GLSL_GOLF = `// Macros: M=main T=time R=resolution U=fragCoord O=fragColor F=float I=int
 // V2=vec2 V=vec3 V3=vec3 V4=vec4 D=dot S=sin C=cos H=tanh N=normalize L=length
 // A=abs X=mix Y=min Z=max M2=mat2 M3=mat3 M4=mat4 W=for J=ceil K=round P=floor Q=fract
 M{V2 u=U.xy/R;O=V4(u,S(T),1.);}`;
 
+export const MINIMAL_COMMON_WGSL = `// Common WGSL Code
+// Functions, structs and constants here are available in ALL WGSL modules:
+// - Graphics
+// - Buffer passes
+// - WGSL Audio
+
+// Example: shared utility function
+fn hash21(p: vec2f) -> f32 {
+    return fract(sin(dot(p, vec2f(127.1, 311.7))) * 43758.5453);
+}
+
+// Example: shared constant
+const EPSILON = 0.001;
+`;
+
 export const MINIMAL_COMMON = `// Common GLSL Code
 // Functions and definitions here are available in ALL GLSL passes:
 // - Main shader
@@ -14,6 +14,8 @@ import { TAB_CONFIG } from './tab-config.js';
 const CUSTOM_FLOAT_COUNT = 85;
 const CUSTOM_INT_COUNT = 10;
 const CUSTOM_BOOL_COUNT = 5;
+// Size of iChannelResolution[] / iChannelTime[] (channel N uses texture unit N, WebGL2 guarantees 16)
+const CHANNEL_UNIFORM_COUNT = 16;
 
 // ============================================================================
 // Generate Custom Uniform Declarations
@@ -73,7 +75,7 @@ out vec4 fragColor;
 
 `;
 
-export const STOY_BOILERPLATE = `#version 300 es
+const STOY_UNIFORMS = `#version 300 es
 precision highp float;
 
 // === SLEditor Native Uniforms (hidden from user) ===
@@ -85,19 +87,31 @@ uniform vec2 u_hover;
 uniform int u_frame;
 uniform float u_pixel;
 uniform vec4 u_date;
+uniform float u_timeDelta;
+uniform float u_frameRate;
+uniform float u_sampleRate;
+uniform vec3 u_channelResolution[${CHANNEL_UNIFORM_COUNT}];
+uniform float u_channelTime[${CHANNEL_UNIFORM_COUNT}];
 ${CUSTOM_UNIFORMS}
 // === Shadertoy Compatibility Layer ===
 #define iTime u_time
-#define iTimeDelta (1.0 / 60.0)
+#define iTimeDelta u_timeDelta
+#define iFrameRate u_frameRate
 #define iFrame u_frame
 #define iResolution vec3(u_resolution, u_pixel)
 #define iMouse vec4(u_mouse, u_click)
 #define iDate u_date
-#define iSampleRate 48000.0
+#define iSampleRate u_sampleRate
+#define iChannelResolution u_channelResolution
+#define iChannelTime u_channelTime
 #define HW_PERFORMANCE 1
-// === Output ===
+`;
+
+const STOY_HEADER = `${STOY_UNIFORMS}// === Output ===
 out vec4 fragColor;
+`;
 
+export const STOY_BOILERPLATE = `${STOY_HEADER}
 // User's mainImage function (defined below by user code)
 void mainImage(out vec4 fragColor, in vec2 fragCoord);
 
@@ -108,6 +122,66 @@ void main() {
 
 `;
 
+// Cubemap buffer passes render each face in turn (u_cubeFace = 0..5, GL face order +X,-X,+Y,-Y,+Z,-Z).
+// The face direction follows the GL cube map addressing rules so samplerCube lookups land on the same texel.
+export const CUBEMAP_BOILERPLATE = `${STOY_HEADER}uniform int u_cubeFace;
+
+// User's mainCubemap function (defined below by user code)
+void mainCubemap(out vec4 fragColor, in vec2 fragCoord, in vec3 rayOri, in vec3 rayDir);
+
+// Wrapper that builds the view ray for the current face
+void main() {
+    vec2 p = gl_FragCoord.xy / u_resolution * 2.0 - 1.0;
+    vec3 rd;
+    if (u_cubeFace == 0) rd = vec3(1.0, -p.y, -p.x);
+    else if (u_cubeFace == 1) rd = vec3(-1.0, -p.y, p.x);
+    else if (u_cubeFace == 2) rd = vec3(p.x, 1.0, p.y);
+    else if (u_cubeFace == 3) rd = vec3(p.x, -1.0, -p.y);
+    else if (u_cubeFace == 4) rd = vec3(p.x, -p.y, 1.0);
+    else rd = vec3(-p.x, -p.y, -1.0);
+    mainCubemap(fragColor, gl_FragCoord.xy, vec3(0.0), normalize(rd));
+}
+
+`;
+
+// Vertex passes draw u_vertexCount vertices with no attributes: the user's main() places
+// vertex vertexId and passes v_color on. Both stages share the uniforms (int precision is
+// raised so they match across stages) and have the same line count, so one error layout
+// serves both. The #defines are only expanded where used, so gl_VertexID never reaches
+// the fragment stage.
+function buildVertexPassHeader(varyings, particleDeclarations = null) {
+    const particleSection = particleDeclarations === null ? '' : `uniform int u_particleReset;
+#define particleId vertexId
+#define particleCount vertexCount
+#define particleReset (u_particleReset != 0)
+${particleDeclarations}
+`;
+    return `${STOY_UNIFORMS.replace('precision highp float;', 'precision highp float; precision highp int;')}uniform int u_vertexCount;
+#define vertexCount float(u_vertexCount)
+#define vertexId float(gl_VertexID)
+${particleSection}${varyings}
+`;
+}
+
+const VERTEX_PASS_HEADERS = {
+    vertex: buildVertexPassHeader('out vec4 v_color;'),
+    fragment: buildVertexPassHeader('in vec4 v_color; out vec4 fragColor;')
+};
+
+// Fragment stage for vertex passes without a `#pragma fragment` section
+export const VERTEX_PASS_DEFAULT_FRAGMENT = 'void main() { fragColor = v_color; }\n';
+
+// The update program only runs for its transform feedback outputs (rasterizer discard on)
+export const PARTICLE_UPDATE_FRAGMENT = `#version 300 es
+precision highp float;
+out vec4 fragColor;
+void main() { fragColor = vec4(0.0); }
+`;
+
+function getParticleAttributeType(size) {
+    return size === 1 ? 'float' : `vec${size}`;
+}
+
 export const GOLF_BOILERPLATE = `#version 300 es
 precision highp float;
 
@@ -193,6 +267,49 @@ export function getBoilerplateLineCount(tabName) {
     return boilerplate ? boilerplate.split('\n').length : 0;
 }
 
+/**
+ * Number of lines in the cubemap pass boilerplate (for error line adjustment)
+ * @returns {number}
+ */
+export function getCubemapBoilerplateLineCount() {
+    return CUBEMAP_BOILERPLATE.split('\n').length;
+}
+
+/**
+ * Stage headers for a vertex pass, all with the same line count (for error line adjustment).
+ * Particle passes get an update stage that reads each attribute as `name` and writes it
+ * as `nameOut`, and a draw stage that reads `name`; all on one line, however many there are.
+ * @param {Array<{name: string, size: number}>|null} [particleAttributes] - Particle state layout
+ * @returns {Object} { vertex, fragment, lineCount } or { update, draw, fragment, lineCount } for particles
+ */
+export function getVertexPassHeaders(particleAttributes = null) {
+    let headers = VERTEX_PASS_HEADERS;
+    if (particleAttributes) {
+        const inputs = particleAttributes.map(a => `in ${getParticleAttributeType(a.size)} ${a.name};`).join(' ');
+        const outputs = particleAttributes.map(a => `out ${getParticleAttributeType(a.size)} ${a.name}Out;`).join(' ');
+        headers = {
+            update: buildVertexPassHeader('', `${inputs} ${outputs}`),
+            draw: buildVertexPassHeader('out vec4 v_color;', inputs),
+            fragment: buildVertexPassHeader('in vec4 v_color; out vec4 fragColor;', '')
+        };
+    }
+    return { ...headers, lineCount: headers.fragment.split('\n').length };
+}
+
+/**
+ * Declarations for reading a buffer's frame history ring, kept on one line so error
+ * line adjustment only needs one extra line per channel.
+ * iChannelHistoryN is the raw ring (layer u_historyHeadN holds the latest frame);
+ * textureHistoryN(uv, age) samples by age, 0 = latest frame, clamped to the ring length.
+ * @param {number} chNum - Buffer channel number
+ * @returns {string} Declaration line
+ */
+export function getHistoryDeclaration(chNum) {
+    return `uniform highp sampler2DArray iChannelHistory${chNum}; uniform int u_historyHead${chNum}; uniform int u_historyLength${chNum}; ` +
+        `vec4 textureHistory${chNum}(vec2 uv, int age) { int n = max(u_historyLength${chNum}, 1); ` +
+        `return texture(iChannelHistory${chNum}, vec3(uv, float((u_historyHead${chNum} - clamp(age, 0, n - 1) + n) % n))); }\n`;
+}
+
 /**
  * Check if a tab type uses boilerplate injection
  * @param {string} tabName - The internal tab name
@@ -204,4 +321,4 @@ export function tabUsesBoilerplate(tabName) {
 }
 
 // Export counts for other modules
-export { CUSTOM_FLOAT_COUNT, CUSTOM_INT_COUNT, CUSTOM_BOOL_COUNT };
+export { CUSTOM_FLOAT_COUNT, CUSTOM_INT_COUNT, CUSTOM_BOOL_COUNT, CHANNEL_UNIFORM_COUNT };
@@ -0,0 +1,251 @@
+// ============================================================================
+// Includes - #include "sl/noise" resolution for built-in and user libraries
+// ============================================================================
+// Directives are expanded before boilerplate is added. Each library is pasted
+// at most once per program (later includes of the same name are dropped) and
+// wrapped in an #ifndef guard (GLSL only); cycles are reported with the include chain.
+// Expansion changes line numbers, so every output line keeps its origin in a
+// line map the compiler uses to attribute errors to the right file.
+
+// Built-in libraries (the functions the sl. autocomplete documents)
+const BUILTIN_LIBRARIES = {
+    'sl/hash': `float hash(vec2 p) {
+    p = fract(p * vec2(123.34, 456.21));
+    p += dot(p, p + 45.32);
+    return fract(p.x * p.y);
+}
+
+vec2 hash(vec3 p) {
+    p = fract(p * vec3(443.897, 441.423, 437.195));
+    p += dot(p, p.yzx + 19.19);
+    return fract((p.xx + p.yz) * p.zy);
+}`,
+
+    'sl/noise': `#include "sl/hash"
+
+float noise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    vec2 u = f * f * (3.0 - 2.0 * f);
+    return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), u.x),
+               mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), u.x), u.y);
+}
+
+float fbm(vec2 p, int octaves) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    for (int i = 0; i < octaves; i++) {
+        value += amplitude * noise(p);
+        p *= 2.0;
+        amplitude *= 0.5;
+    }
+    return value;
+}`,
+
+    'sl/color': `vec3 hsl2rgb(vec3 hsl) {
+    vec3 rgb = clamp(abs(mod(hsl.x * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+    return hsl.z + hsl.y * (rgb - 0.5) * (1.0 - abs(2.0 * hsl.z - 1.0));
+}
+
+vec3 rgb2hsl(vec3 rgb) {
+    float maxC = max(rgb.r, max(rgb.g, rgb.b));
+    float minC = min(rgb.r, min(rgb.g, rgb.b));
+    float l = (maxC + minC) * 0.5;
+    float d = maxC - minC;
+    if (d == 0.0) return vec3(0.0, 0.0, l);
+    float s = d / (1.0 - abs(2.0 * l - 1.0));
+    float h;
+    if (maxC == rgb.r) {
+        h = mod((rgb.g - rgb.b) / d, 6.0);
+    } else if (maxC == rgb.g) {
+        h = (rgb.b - rgb.r) / d + 2.0;
+    } else {
+        h = (rgb.r - rgb.g) / d + 4.0;
+    }
+    return vec3(h / 6.0, s, l);
+}
+
+vec3 palette(float t, vec3 a, vec3 b, vec3 c, vec3 d) {
+    return a + b * cos(6.28318530718 * (c * t + d));
+}`,
+
+    'sl/transform': `vec2 rotate2D(vec2 p, float angle) {
+    float c = cos(angle);
+    float s = sin(angle);
+    return mat2(c, s, -s, c) * p;
+}`,
+
+    'sl/sdf': `float sdf_circle(vec2 p, float r) {
+    return length(p) - r;
+}
+
+float sdf_box(vec2 p, vec2 size) {
+    vec2 d = abs(p) - size;
+    return length(max(d, 0.0)) + min(max(d.x, d.y), 0.0);
+}`,
+
+    'sl/all': `#include "sl/hash"
+#include "sl/noise"
+#include "sl/color"
+#include "sl/transform"
+#include "sl/sdf"`
+};
+
+// Sources registered at runtime (user libraries), looked up after the built-ins
+// name -> { source, key }; several names can share a key ("noise" and "noise@3")
+const registeredLibraries = new Map();
+
+const INCLUDE_DIRECTIVE = /^\s*#\s*include\s+(?:"([^"]+)"|<([^>]+)>)\s*(?:\/\/.*)?$/;
+
+/**
+ * Make a library available to #include under the given name
+ * @param {string} name - Include name, e.g. "user/mylib"
+ * @param {string} source - Library source
+ * @param {string} [key] - Identity used for dedupe and error messages (defaults to name)
+ */
+export function registerIncludeSource(name, source, key = name) {
+    registeredLibraries.set(name, { source, key });
+}
+
+/**
+ * Names that can currently be included
+ * @returns {string[]}
+ */
+export function getIncludeNames() {
+    return [...Object.keys(BUILTIN_LIBRARIES), ...registeredLibraries.keys()];
+}
+
+/**
+ * Check whether a name refers to a built-in library
+ * @param {string} name - Include name
+ * @returns {boolean}
+ */
+export function isBuiltinInclude(name) {
+    return Object.prototype.hasOwnProperty.call(BUILTIN_LIBRARIES, name);
+}
+
+/**
+ * Library names referenced by #include directives, in order of appearance
+ * @param {string} source - Source to scan
+ * @returns {string[]}
+ */
+export function findIncludeNames(source) {
+    const names = [];
+    for (const line of (source || '').split('\n')) {
+        const match = line.match(INCLUDE_DIRECTIVE);
+        if (match) names.push(match[1] || match[2]);
+    }
+    return names;
+}
+
+/**
+ * Check whether GLSL source contains any #include directives
+ * @param {string} source - GLSL source
+ * @returns {boolean}
+ */
+export function hasIncludes(source) {
+    return /^\s*#\s*include\b/m.test(source || '');
+}
+
+function lookupLibrary(name, builtins) {
+    if (builtins && isBuiltinInclude(name)) {
+        return { source: BUILTIN_LIBRARIES[name], key: name };
+    }
+    return registeredLibraries.get(name) ?? null;
+}
+
+function getGuardName(name) {
+    return 'SL_INCLUDE_' + name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+/**
+ * Expand #include directives
+ * @param {string} source - GLSL source
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Name used for the top-level file in error messages
+ * @param {Set<string>} [options.included] - Libraries already pasted into this program (updated in place)
+ * @param {boolean} [options.guards=true] - Wrap libraries in #ifndef guards (off for WGSL, which has no preprocessor)
+ * @param {boolean} [options.builtins=true] - Allow the built-in sl/ libraries (GLSL only)
+ * @returns {{success: boolean, code: string, lineMap: Array<{file: string|null, line: number, sourceLine: number}>, error?: {lineNum: number, message: string}}}
+ *   lineMap[i] is the origin of output line i+1: the file and line it came from, and
+ *   sourceLine, the line of the top-level source it belongs to (the #include for library lines)
+ */
+export function resolveIncludes(source, options = {}) {
+    const fileName = options.fileName ?? null;
+    const included = options.included ?? new Set();
+    const guards = options.guards ?? true;
+    const builtins = options.builtins ?? true;
+    const output = [];
+    const lineMap = [];
+
+    function expand(code, file, stack, sourceLine) {
+        const lines = code.split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            const line = i + 1;
+            const topLine = file === fileName ? line : sourceLine;
+            const match = lines[i].match(INCLUDE_DIRECTIVE);
+            if (!match) {
+                output.push(lines[i]);
+                lineMap.push({ file, line, sourceLine: topLine });
+                continue;
+            }
+
+            const name = match[1] || match[2];
+            const where = file ? `${file}:${line}: ` : '';
+            const library = lookupLibrary(name, builtins);
+            if (library === null) {
+                return { lineNum: topLine, message: `${where}unknown library "${name}" in #include` };
+            }
+            const { source: librarySource, key } = library;
+            if (stack.includes(key)) {
+                return { lineNum: topLine, message: `${where}circular #include: ${[...stack, key].join(' → ')}` };
+            }
+
+            // Keep the directive line (as a comment) so the output stays readable
+            output.push(`// #include "${name}"`);
+            lineMap.push({ file, line, sourceLine: topLine });
+            if (included.has(key)) continue;
+            included.add(key);
+
+            const guard = getGuardName(key);
+            if (guards) {
+                output.push(`#ifndef ${guard}`, `#define ${guard}`);
+                lineMap.push({ file: key, line: 0, sourceLine: topLine }, { file: key, line: 0, sourceLine: topLine });
+            }
+            const error = expand(librarySource, key, [...stack, key], topLine);
+            if (error) return error;
+            if (guards) {
+                output.push('#endif');
+                lineMap.push({ file: key, line: 0, sourceLine: topLine });
+            }
+        }
+        return null;
+    }
+
+    const error = expand(source, fileName, fileName ? [fileName] : [], 1);
+    if (error) {
+        return { success: false, code: source, lineMap: [], error };
+    }
+    return { success: true, code: output.join('\n'), lineMap };
+}
+
+/**
+ * Map compile errors from expanded source back to the top-level source
+ * Errors inside a library are reported on its #include line, prefixed with "library:line"
+ * @param {Array<{lineNum: number, message: string}>} errors - Errors with lines relative to the expanded source
+ * @param {Array} lineMap - lineMap from resolveIncludes()
+ * @param {string|null} fileName - Top-level file name passed to resolveIncludes()
+ * @returns {Array} Errors with remapped lineNum
+ */
+export function mapIncludeErrors(errors, lineMap, fileName = null) {
+    if (!errors?.length || !lineMap?.length) return errors;
+    return errors.map(err => {
+        const origin = lineMap[err.lineNum - 1];
+        if (!origin) return err;
+        if (origin.file === fileName) {
+            return { ...err, lineNum: origin.line };
+        }
+        const where = origin.line > 0 ? `${origin.file}:${origin.line}` : origin.file;
+        return { ...err, lineNum: origin.sourceLine, message: `${where}: ${err.message}` };
+    });
+}
@@ -0,0 +1,98 @@
+// ============================================================================
+// Legacy GLSL - GLSL ES 1.0 (WebGL1) to GLSL ES 3.00 source upgrade
+// ============================================================================
+// Lets GLSL Sandbox / early Shadertoy code run unmodified. Every rewrite is
+// done in place (never adding or removing lines), so compiler error line
+// numbers still point at the user's original lines. Only raw mode needs a
+// header, whose lines the compiler adds to its error offset.
+
+// ES 1.0 texture functions and their ES 3.00 replacements (longest names first)
+const TEXTURE_FUNCTIONS = [
+    ['texture2DProjLodEXT', 'textureProjLod'],
+    ['texture2DGradEXT', 'textureGrad'],
+    ['textureCubeGradEXT', 'textureGrad'],
+    ['texture2DLodEXT', 'textureLod'],
+    ['textureCubeLodEXT', 'textureLod'],
+    ['texture2DProjLod', 'textureProjLod'],
+    ['texture2DProj', 'textureProj'],
+    ['texture2DLod', 'textureLod'],
+    ['textureCubeLod', 'textureLod'],
+    ['texture2D', 'texture'],
+    ['textureCube', 'texture']
+];
+
+// Extensions that are core in ES 3.00 (their #extension lines would fail to compile)
+const CORE_EXTENSIONS = /^\s*#\s*extension\s+GL_(?:OES_standard_derivatives|EXT_shader_texture_lod|EXT_frag_depth|EXT_draw_buffers)\b.*$/gm;
+
+// GLSL Sandbox uniforms that map directly onto SLEditor's built-ins
+const SANDBOX_UNIFORMS = [
+    [/^\s*uniform\s+(?:(?:highp|mediump|lowp)\s+)?float\s+time\s*;/m, 'time', 'u_time'],
+    [/^\s*uniform\s+(?:(?:highp|mediump|lowp)\s+)?vec2\s+resolution\s*;/m, 'resolution', 'u_resolution']
+];
+
+function stripComments(code) {
+    return code
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\/\/.*$/gm, '');
+}
+
+/**
+ * Check whether GLSL source is written for GLSL ES 1.0 (WebGL1)
+ * @param {string} source - GLSL source
+ * @returns {boolean}
+ */
+export function isLegacyGlsl(source) {
+    const src = stripComments(source || '');
+    if (/^\s*#version\s+300\s+es\b/m.test(src)) {
+        return false;
+    }
+    return /^\s*#version\s+100\b/m.test(src) ||
+        /\bgl_Frag(?:Color|Data)\b/.test(src) ||
+        /\b(?:texture2D|textureCube)\w*\s*\(/.test(src) ||
+        /^\s*varying\s/m.test(src);
+}
+
+/**
+ * Rewrite GLSL ES 1.0 source as GLSL ES 3.00 without changing its line count
+ * The fragColor output comes from the mode's boilerplate (or getLegacyRawHeader() in raw mode)
+ * @param {string} source - Legacy GLSL source
+ * @returns {string} Upgraded source
+ */
+export function upgradeLegacyGlsl(source) {
+    let code = source
+        // #version 100 and core extensions: blank the line to keep numbering
+        .replace(/^\s*#\s*version\s+100\b.*$/gm, '')
+        .replace(CORE_EXTENSIONS, '')
+        // 'texture' is a built-in function in ES 3.00, so free the name first
+        .replace(/\btexture\b/g, 'sl_texture');
+
+    for (const [legacy, modern] of TEXTURE_FUNCTIONS) {
+        code = code.replace(new RegExp(`\\b${legacy}(?=\\s*\\()`, 'g'), modern);
+    }
+
+    return code
+        // The fullscreen vertex shader has no outputs, so varyings become plain globals
+        .replace(/^(\s*)varying\s+/gm, '$1')
+        .replace(/\bgl_FragData\s*\[\s*0\s*\]/g, 'fragColor')
+        .replace(/\bgl_FragColor\b/g, 'fragColor')
+        .replace(/\bgl_FragDepthEXT\b/g, 'gl_FragDepth')
+        .replace(/\biGlobalTime\b/g, 'iTime')
+        // Other modes run at highp; mediump floats visibly break most old shaders on desktop
+        .replace(/\bprecision\s+(?:lowp|mediump)\s+float\s*;/g, 'precision highp float;');
+}
+
+/**
+ * Header raw-mode legacy shaders need in front of everything else (including common code)
+ * @param {string} source - Legacy GLSL source (used to spot GLSL Sandbox uniforms)
+ * @returns {string} Header lines, each ending in a newline
+ */
+export function getLegacyRawHeader(source) {
+    const header = ['#version 300 es', 'out highp vec4 fragColor;'];
+    for (const [pattern, name, builtin] of SANDBOX_UNIFORMS) {
+        // The user's own 'uniform float time;' then declares u_time, which SLEditor sets every frame
+        if (pattern.test(source)) {
+            header.push(`#define ${name} ${builtin}`);
+        }
+    }
+    return header.map(line => line + '\n').join('');
+}
@@ -0,0 +1,105 @@
+// ============================================================================
+// GLSL Mode Detection
+// ============================================================================
+// Guesses which GLSL tab type a piece of code was written for, so pasted or
+// loaded code can land in the right mode instead of failing to compile:
+// - S-Toy: defines mainImage() and uses iTime/iResolution...
+// - Regular: defines main() and relies on the injected u_ uniforms / fragColor
+// - Golf: uses the golf macros (M{...}, O, U, R, T...) instead of main()
+// - Raw: brings its own #version, uniforms and output (or GLSL ES 1.0 gl_FragColor)
+
+import { GLSL_TAB_ORDER } from './tabs.js';
+
+const MODE_LABELS = {
+    glsl_stoy: 'S-Toy',
+    glsl_regular: 'Regular',
+    glsl_golf: 'Golf',
+    glsl_fragment: 'Raw'
+};
+
+// Golf macro tokens that rarely appear as bare identifiers in other modes
+const GOLF_TOKENS = /\b(?:O|U|R|T|V4|V2|F|S|C|N|L|H|X|Q|P|D)\b/g;
+
+function stripComments(code) {
+    return code
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/\/\/.*$/gm, '');
+}
+
+/**
+ * Analyse GLSL code and pick the tab type it was written for
+ * @param {string} code - GLSL source
+ * @returns {{tabName: string|null, confident: boolean, reason: string}}
+ *   tabName is one of GLSL_TAB_ORDER, or null when nothing fits
+ */
+export function detectGlslMode(code) {
+    const src = stripComments(code || '');
+    if (!src.trim()) {
+        return { tabName: null, confident: false, reason: 'empty' };
+    }
+
+    const hasVersion = /^\s*#version\b/m.test(src);
+    const hasMainImage = /\bvoid\s+mainImage\s*\(/.test(src);
+    const hasMain = /\bvoid\s+main\s*\(\s*(?:void\s*)?\)/.test(src);
+    const usesGlFragColor = /\bgl_FragColor\b/.test(src);
+    const declaresOutput = /^\s*(?:layout\s*\([^)]*\)\s*)?out\s+(?:(?:highp|mediump|lowp)\s+)?vec4\s+\w+/m.test(src);
+    const declaresNativeUniforms = /^\s*uniform\s+\w+\s+u_(?:time|resolution|mouse|frame)\b/m.test(src);
+    const usesShadertoyUniforms = /\bi(?:Time|Resolution|Mouse|Frame|Date|TimeDelta|ChannelResolution)\b/.test(src);
+    const usesNativeUniforms = /\bu_(?:time|resolution|mouse|hover|click|frame|pixel|date)\b/.test(src);
+    const hasGolfMain = /(?:^|[;}\s])M\s*\{/.test(src);
+    const golfTokenCount = (src.match(GOLF_TOKENS) || []).length;
+
+    if (hasMainImage && !hasMain) {
+        return { tabName: 'glsl_stoy', confident: true, reason: 'defines mainImage()' };
+    }
+
+    if (hasMain && (hasVersion || declaresOutput || declaresNativeUniforms)) {
+        return { tabName: 'glsl_fragment', confident: true, reason: hasVersion ? 'has its own #version' : 'declares its own uniforms/output' };
+    }
+
+    if (hasMain && usesGlFragColor) {
+        return { tabName: 'glsl_fragment', confident: true, reason: 'GLSL ES 1.0 (gl_FragColor)' };
+    }
+
+    if (hasMain && usesShadertoyUniforms) {
+        // Shadertoy uniforms with a hand-written main() - no mode supplies both
+        return { tabName: null, confident: false, reason: 'main() with Shadertoy uniforms' };
+    }
+
+    if (hasMain && (usesNativeUniforms || /\bfragColor\b/.test(src))) {
+        return { tabName: 'glsl_regular', confident: true, reason: 'uses main() with the built-in u_ uniforms' };
+    }
+
+    if (!hasMain && !hasMainImage && (hasGolfMain || golfTokenCount >= 4)) {
+        return { tabName: 'glsl_golf', confident: hasGolfMain, reason: 'uses golf macros' };
+    }
+
+    if (hasMain) {
+        return { tabName: 'glsl_regular', confident: false, reason: 'defines main()' };
+    }
+
+    return { tabName: null, confident: false, reason: 'no entry point found' };
+}
+
+/**
+ * Tab type to open code in: the detected mode when the analyser is sure, otherwise the fallback
+ * @param {string} code - GLSL source
+ * @param {string} fallback - Tab to use when detection is inconclusive
+ * @returns {string} Tab name from GLSL_TAB_ORDER
+ */
+export function pickGlslMode(code, fallback) {
+    const result = detectGlslMode(code);
+    if (result.confident && GLSL_TAB_ORDER.includes(result.tabName)) {
+        return result.tabName;
+    }
+    return fallback;
+}
+
+/**
+ * Human-readable mode name for messages
+ * @param {string} tabName - GLSL tab name
+ * @returns {string}
+ */
+export function getGlslModeLabel(tabName) {
+    return MODE_LABELS[tabName] || tabName;
+}
@@ -0,0 +1,77 @@
+// ============================================================================
+// GPU Timing - Rolling per-pass GPU times from timer/timestamp queries
+// ============================================================================
+// The backends measure each pass only while timing is enabled (the timing
+// panel is open), since queries add a little overhead and results arrive a
+// few frames late. Backends without query support report that instead, and
+// the panel says so rather than showing zeros.
+
+// Weight of the newest sample in the rolling average
+const SMOOTHING = 0.1;
+
+let enabled = false;
+let support = { webgl: null, webgpu: null };  // null = not checked yet, true/false once known
+const passTimes = new Map();  // pass key -> { label, ms, order }
+
+export function isGpuTimingEnabled() {
+    return enabled;
+}
+
+export function setGpuTimingEnabled(value) {
+    enabled = !!value;
+    if (!enabled) {
+        passTimes.clear();
+    }
+}
+
+/**
+ * Record whether a backend can time passes on this device
+ * @param {string} backend - 'webgl' or 'webgpu'
+ * @param {boolean} supported
+ */
+export function setGpuTimingSupport(backend, supported) {
+    support = { ...support, [backend]: supported };
+}
+
+/**
+ * @param {string} backend - 'webgl' or 'webgpu'
+ * @returns {boolean|null} null if the backend hasn't been initialised yet
+ */
+export function getGpuTimingSupport(backend) {
+    return support[backend];
+}
+
+/**
+ * Add a measurement for a pass
+ * @param {string} key - Stable pass identity (e.g. channel number)
+ * @param {string} label - Display name
+ * @param {number} ms - GPU time in milliseconds
+ * @param {number} order - Position in the frame, for sorting
+ */
+export function recordPassTime(key, label, ms, order) {
+    const entry = passTimes.get(key);
+    if (!entry) {
+        passTimes.set(key, { label, ms, order });
+        return;
+    }
+    entry.label = label;
+    entry.order = order;
+    entry.ms += (ms - entry.ms) * SMOOTHING;
+}
+
+/**
+ * Forget all measurements (after a recompile the pass list may change)
+ */
+export function clearPassTimes() {
+    passTimes.clear();
+}
+
+/**
+ * Current rolling times in frame order
+ * @returns {Array<{label: string, ms: number}>}
+ */
+export function getPassTimes() {
+    return [...passTimes.values()]
+        .sort((a, b) => a.order - b.order)
+        .map(({ label, ms }) => ({ label, ms }));
+}
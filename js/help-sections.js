@@ -226,6 +226,34 @@ fn main(@builtin(global_invocation_id) id: vec3<u32>) {
 
 ## Workgroup Sizes
 Automatically recalculated when canvas size changes to ensure full coverage.
+
+## Boilerplate Modes
+Pick a mode in the bar above the WGSL editor (it applies to every WGSL pass):
+- **Raw** - the original declarations
+- **Regular** - \`uniforms\` has every slot the JS API writes: \`custom0\`-\`custom84\`, \`customInt0\`-\`customInt9\`, \`customBool0\`-\`customBool4\`
+- **S-Toy** - Regular plus a generated \`graphics_main\`; write \`fn mainImage(fragCoord: vec2f) -> vec4f\` and use \`iResolution\`, \`iTime\`, \`iTimeDelta\`, \`iFrame\` and \`iMouse\` (zw = click position, as in GLSL)
+
+## Channels
+Any \`iChannelN\` you reference (buffer passes, images, video, audio, webcam, keyboard, volumes, cubemaps) is declared for you at \`@group(1)\`, together with an \`iChannelNSampler\` that follows the channel's wrap/filter settings. Compute shaders have no derivatives, so sample with an explicit level:
+\`\`\`wgsl
+let col = textureSampleLevel(iChannel1, iChannel1Sampler, uv, 0.0);
+\`\`\`
+Volumes are \`texture_3d<f32>\` and cubemaps are \`texture_cube<f32>\`.
+
+## compute.toys Shaders
+Every \`@compute\` function runs each frame in source order (except \`audio_main\`), one invocation per pixel unless a directive says otherwise:
+- \`#workgroup_count NAME X Y Z\` - fixed dispatch size
+- \`#dispatch_once NAME\` - only on the first frame after compiling or restarting
+- \`#dispatch_count NAME N\` - N times per frame; \`dispatch.id\` is the iteration (0 to N-1)
+- \`#storage NAME TYPE\` - read_write buffer that keeps its contents across frames (zeroed on restart)
+- \`#include <std>\` - the compute.toys prelude:
+  - type aliases \`int\`, \`uint\`, \`float\`, \`float2\`-\`float4\`, \`int2\`-\`int4\`, \`uint2\`-\`uint4\`, \`bool2\`-\`bool4\`, \`float2x2\`-\`float4x4\`
+  - \`time\` (elapsed, delta, frame), \`mouse\` (pos: uint2 in pixels, y down; click) and \`screen\`
+  - \`custom\` - one float per float slider, named after its title (e.g. a slider titled "Speed" is \`custom.Speed\`); recompile after renaming
+  - \`dispatch.id\` and \`keyDown(keycode)\`
+  - \`pass_in\`/\`pass_out\` with \`passLoad(pass, coord, lod)\`, \`passStore(pass, coord, value)\` and \`passSampleLevelBilinearRepeat(pass, uv, lod)\` - 4 screen-sized layers that keep their contents across frames
+  - \`channel0\`/\`channel1\` - the first two image, video or webcam channels
+  - samplers \`nearest\`, \`bilinear\`, \`trilinear\` and their \`_repeat\` versions
 `
     },
     wgsl_audio: {
@@ -253,6 +281,12 @@ fn main(@builtin(global_invocation_id) id: vec3<u32>) {
 
 ## Performance
 Capable of synthesizing thousands of oscillators in real-time!
+
+## Exporting to WAV
+The bar above the audio editor renders N seconds from time 0 and downloads a WAV file.
+\`audio_main\` runs block by block at the compiled \`SAMPLE_RATE\` (\`audioPlayTime\` and
+\`audioFrame\` count from 0), then the result is resampled to the chosen rate.
+The same bar exports GLSL \`mainSound\` shaders, rendered directly at the chosen rate.
 `
     },
     audioworklet: {
@@ -293,6 +327,10 @@ const audioProcessor = {
 ## Available Variables
 - \`sampleRate\` - Audio sample rate (usually 44100 or 48000)
 - \`this.port.postMessage(data)\` - Send messages to main thread via \`sendMessage()\`
+
+## Exporting to WAV
+Export runs a fresh copy of your processor in an \`OfflineAudioContext\`, faster than real time.
+It receives no messages, so anything set through \`receiveMessage()\` keeps its \`init()\` value.
 `
     },
     javascript: {
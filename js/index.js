@@ -32,6 +32,13 @@ import * as waveformPanel from './ui/audio-waveform-panel.js';
 import * as channels from './channels.js';
 import * as mediaLoader from './media-loader.js';
 import * as shadertoyBrowser from './ui/shadertoy-browser.js';
+import * as glslModeHint from './ui/glsl-mode-hint.js';
+import * as passTimingPanel from './ui/pass-timing-panel.js';
+import * as pixelInspector from './ui/pixel-inspector.js';
+import * as channelViewerPanel from './ui/channel-viewer-panel.js';
+import * as transportBar from './ui/transport-bar.js';
+import * as debugBar from './ui/debug-bar.js';
+import { pickGlslMode } from './glsl-mode-detect.js';
 
 // Expose modules globally for inline functions and backwards compatibility
 window.tabConfig = tabConfig;
@@ -1153,6 +1160,12 @@ async function init() {
     fullscreen.init();
     aiAssistSettings.init();
     
+    // FPS counter opens the per-pass GPU timing panel
+    passTimingPanel.init();
+    pixelInspector.init();
+    channelViewerPanel.init();
+    transportBar.init();
+    
     // Initialize Shadertoy Browser
     shadertoyBrowser.init();
     shadertoyBrowser.setImportCallback(handleShadertoyImport);
@@ -1192,6 +1205,12 @@ async function init() {
     shaderManagement.setupDirtyTracking(state.boilerplateEditor);
     // Help is read-only, no need to track
     
+    // Offer a mode switch when a whole shader is pasted into the wrong GLSL tab
+    glslModeHint.attachPasteDetection(state.graphicsEditor);
+    
+    // "Watch Value" action for the GLSL shader debugger
+    debugBar.init();
+    
     // Load vim library asynchronously after a short delay
     // This ensures Monaco has fully loaded all its language modules first
     setTimeout(() => {
@@ -1233,16 +1252,17 @@ async function init() {
         // Reset channels for new shader
         channels.resetChannels();
         
-        // Set up golf tab
-        state.activeTabs = ['glsl_golf'];
-        state.currentTab = 'glsl_golf';
+        // Set up golf tab (or whatever mode the URL code was actually written for)
+        const glslTab = pickGlslMode(code, 'glsl_golf');
+        state.activeTabs = [glslTab];
+        state.currentTab = glslTab;
         
         // Load the code
         state.graphicsEditor.setValue(code);
         
         // Update tabs and compile
         tabs.renderTabs();
-        tabs.switchTab('glsl_golf');
+        tabs.switchTab(glslTab);
         
         await compiler.reloadShader();
         
@@ -0,0 +1,243 @@
+// ============================================================================
+// Input Replay - Per-frame recording of mouse, keyboard and slider input
+// ============================================================================
+// Recording and replay both restart the shader and key every sample by iFrame,
+// so a replay feeds each frame exactly the input it had when recorded, however
+// fast frames are rendered (video export steps time at a fixed rate). The
+// stream stores only the fields that changed since the previous sample.
+// While replaying, live input is overwritten at the start of every frame.
+
+import { state, logStatus } from './core.js';
+import * as keyboardInput from './keyboard-input.js';
+import * as uniformControls from './uniform-controls.js';
+import * as ui from './ui.js';
+import { markDirty } from './shader-management.js';
+
+const STREAM_VERSION = 1;
+const MAX_FRAMES = 36000;  // 10 minutes at 60 fps
+
+// Short stream keys for the state.mouse* fields
+const MOUSE_FIELDS = {
+    x: 'mouseX',
+    y: 'mouseY',
+    hx: 'mouseHoverX',
+    hy: 'mouseHoverY',
+    dx: 'mouseDragX',
+    dy: 'mouseDragY',
+    lx: 'mouseLastDownX',
+    ly: 'mouseLastDownY',
+    cx: 'mouseClickX',
+    cy: 'mouseClickY',
+    down: 'mouseIsDown',
+    phase: 'mouseClickPhase'
+};
+
+// Pixel-space fields, rescaled when replaying at another canvas size
+const PIXEL_FIELDS_X = ['hx', 'dx', 'lx', 'cx'];
+const PIXEL_FIELDS_Y = ['hy', 'dy', 'ly', 'cy'];
+
+let mode = 'idle';       // 'idle' | 'recording' | 'replaying'
+let recording = null;    // { entries, last, lastFrame, resolution } while recording
+let replay = null;       // { cursor, current, frame } while replaying
+
+function notifyChanged() {
+    window.dispatchEvent(new CustomEvent('input-replay-changed'));
+}
+
+function getCanvasSize() {
+    const canvas = state.graphicsBackend === 'webgpu' ? state.canvasWebGPU : state.canvasWebGL;
+    return [canvas?.width || state.canvasWidth, canvas?.height || state.canvasHeight];
+}
+
+// ============================================================================
+// Snapshots
+// ============================================================================
+
+function roundPixel(value) {
+    return Number.isFinite(value) ? Math.round(value * 100) / 100 : 0;
+}
+
+function takeSnapshot() {
+    const snapshot = {};
+    Object.entries(MOUSE_FIELDS).forEach(([key, field]) => {
+        const value = state[field];
+        snapshot[key] = typeof value === 'number' ? roundPixel(value) : value;
+    });
+    const keys = keyboardInput.getKeyState();
+    snapshot.kd = keys.down;
+    snapshot.kh = keys.hit;
+    snapshot.kt = keys.toggle;
+    snapshot.u = uniformControls.getSliderValues();
+    return snapshot;
+}
+
+// Fields of `next` that differ from `previous` (everything if there is no previous)
+function diffSnapshot(previous, next) {
+    const changes = {};
+    Object.keys(next).forEach(key => {
+        if (!previous || JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+            changes[key] = next[key];
+        }
+    });
+    return changes;
+}
+
+function applySnapshot(snapshot, resolution) {
+    const [width, height] = getCanvasSize();
+    const scaleX = resolution ? width / resolution[0] : 1;
+    const scaleY = resolution ? height / resolution[1] : 1;
+
+    Object.entries(MOUSE_FIELDS).forEach(([key, field]) => {
+        if (!(key in snapshot)) return;
+        let value = snapshot[key];
+        if (PIXEL_FIELDS_X.includes(key)) value *= scaleX;
+        if (PIXEL_FIELDS_Y.includes(key)) value *= scaleY;
+        state[field] = value;
+    });
+    keyboardInput.setKeyState({ down: snapshot.kd, hit: snapshot.kh, toggle: snapshot.kt });
+    if (snapshot.u) {
+        uniformControls.setSliderValues(snapshot.u);
+    }
+}
+
+// ============================================================================
+// Per-frame Hook
+// ============================================================================
+
+/**
+ * Record or replay input for a frame, before it reads any input
+ * Called by the render loop and by single-frame renders (steps, seeks)
+ * @param {number} frame - iFrame of the frame about to render
+ */
+export function processFrame(frame) {
+    if (mode === 'recording') {
+        recordFrame(frame);
+    } else if (mode === 'replaying') {
+        replayFrame(frame);
+    }
+}
+
+function recordFrame(frame) {
+    if (frame < recording.lastFrame) {
+        stopInputRecording();
+        logStatus('⚠ Input recording stopped - time went backwards', 'error');
+        return;
+    }
+    if (frame >= MAX_FRAMES) {
+        stopInputRecording();
+        logStatus(`⚠ Input recording stopped at the ${MAX_FRAMES} frame limit`, 'error');
+        return;
+    }
+
+    const snapshot = takeSnapshot();
+    const changes = diffSnapshot(recording.last, snapshot);
+    recording.lastFrame = frame;
+    if (Object.keys(changes).length === 0) return;
+
+    // A frame rendered again while paused replaces its own sample
+    const lastEntry = recording.entries[recording.entries.length - 1];
+    if (lastEntry?.f === frame) {
+        Object.assign(lastEntry, changes);
+    } else {
+        recording.entries.push({ f: frame, ...changes });
+    }
+    recording.last = snapshot;
+}
+
+function replayFrame(frame) {
+    const stream = state.inputStream;
+    if (frame > stream.frames) {
+        stopInputReplay();
+        logStatus('✓ Input replay finished', 'success');
+        return;
+    }
+
+    // Seeking back replays the stream from its start
+    if (frame < replay.frame) {
+        replay.cursor = 0;
+        replay.current = {};
+    }
+    replay.frame = frame;
+
+    const entries = stream.entries;
+    while (replay.cursor < entries.length && entries[replay.cursor].f <= frame) {
+        const { f, ...changes } = entries[replay.cursor];
+        Object.assign(replay.current, changes);
+        replay.cursor++;
+    }
+    applySnapshot(replay.current, stream.resolution);
+}
+
+// ============================================================================
+// Controls
+// ============================================================================
+
+export function getInputReplayMode() {
+    return mode;
+}
+
+export function isReplaying() {
+    return mode === 'replaying';
+}
+
+/**
+ * Restart the shader and record input from frame 0
+ */
+export async function startInputRecording() {
+    if (!state.isRunning) return;
+    mode = 'idle';
+    await ui.restart();
+    recording = { entries: [], last: null, lastFrame: 0, resolution: getCanvasSize() };
+    mode = 'recording';
+    logStatus('⏺ Recording input');
+    notifyChanged();
+}
+
+/**
+ * Finish recording and keep the stream (saved with the shader)
+ */
+export function stopInputRecording() {
+    if (mode !== 'recording') return;
+    mode = 'idle';
+    state.inputStream = {
+        version: STREAM_VERSION,
+        resolution: recording.resolution,
+        frames: recording.lastFrame,
+        entries: recording.entries
+    };
+    recording = null;
+    markDirty();
+    logStatus(`✓ Recorded input for ${state.inputStream.frames} frames`, 'success');
+    notifyChanged();
+}
+
+/**
+ * Restart the shader and replay the stream from frame 0
+ */
+export async function startInputReplay() {
+    if (!state.inputStream || !state.isRunning) return;
+    mode = 'idle';
+    await ui.restart();
+    replay = { cursor: 0, current: {}, frame: 0 };
+    mode = 'replaying';
+    notifyChanged();
+}
+
+export function stopInputReplay() {
+    if (mode !== 'replaying') return;
+    mode = 'idle';
+    replay = null;
+    notifyChanged();
+}
+
+/**
+ * Set the stream, e.g. when loading a shader
+ * @param {Object|null} stream - Saved stream, or null for none
+ */
+export function loadInputStream(stream) {
+    mode = 'idle';
+    recording = null;
+    replay = null;
+    state.inputStream = stream?.version === STREAM_VERSION && Array.isArray(stream.entries) ? stream : null;
+    notifyChanged();
+}
@@ -209,14 +209,11 @@ function handleKeyUp(e) {
 // ============================================================================
 
 /**
- * Update the keyboard texture with current state
- * @param {WebGL2RenderingContext} gl - WebGL context
+ * Build keyboard texture data (256×3 RGBA) from current key state
+ * WebGPU uploads this directly (no WebGL texture in WGSL mode)
+ * @returns {Uint8Array} Texture data
  */
-export function updateKeyboardTexture(gl) {
-    if (!keyboardTexture || !gl) {
-        return;
-    }
-    
+export function getKeyboardTextureData() {
     // Build texture data
     // Row 0: keysDown
     // Row 1: keysHit
@@ -244,6 +241,20 @@ export function updateKeyboardTexture(gl) {
         textureData[idx2 + 3] = 255;
     }
     
+    return textureData;
+}
+
+/**
+ * Update the keyboard texture with current state
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ */
+export function updateKeyboardTexture(gl) {
+    if (!keyboardTexture || !gl) {
+        return;
+    }
+    
+    const data = getKeyboardTextureData();
+    
     // Upload to GPU
     gl.bindTexture(gl.TEXTURE_2D, keyboardTexture);
     gl.texSubImage2D(
@@ -253,7 +264,7 @@ export function updateKeyboardTexture(gl) {
         256, 3,
         gl.RGBA,
         gl.UNSIGNED_BYTE,
-        textureData
+        data
     );
     gl.bindTexture(gl.TEXTURE_2D, null);
 }
@@ -265,6 +276,43 @@ export function clearHitStates() {
     keysHit.fill(0);
 }
 
+// ============================================================================
+// Input Recording
+// ============================================================================
+
+function getSetKeys(keys) {
+    const codes = [];
+    keys.forEach((value, keyCode) => {
+        if (value) codes.push(keyCode);
+    });
+    return codes;
+}
+
+/**
+ * Key codes that are down, hit this frame and toggled on
+ * @returns {{down: number[], hit: number[], toggle: number[]}}
+ */
+export function getKeyState() {
+    return {
+        down: getSetKeys(keysDown),
+        hit: getSetKeys(keysHit),
+        toggle: getSetKeys(keysToggle)
+    };
+}
+
+/**
+ * Replace the key state with a recorded one (input replay)
+ * @param {{down: number[], hit: number[], toggle: number[]}} keyState
+ */
+export function setKeyState({ down = [], hit = [], toggle = [] }) {
+    [[keysDown, down], [keysHit, hit], [keysToggle, toggle]].forEach(([keys, codes]) => {
+        keys.fill(0);
+        codes.forEach(keyCode => {
+            if (keyCode >= 0 && keyCode < 256) keys[keyCode] = 1;
+        });
+    });
+}
+
 // ============================================================================
 // JS API
 // ============================================================================
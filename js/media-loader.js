@@ -201,13 +201,11 @@ export async function loadImageTexture(gl, imagePath, options = {}) {
 }
 
 /**
- * Create fallback checkerboard texture
- * @param {WebGLRenderingContext} gl - WebGL context
+ * Generate RGBA checkerboard pixels for fallback textures
  * @param {number} size - Texture size (default 256)
- * @returns {WebGLTexture} Checkerboard texture
+ * @returns {Uint8Array} RGBA data (size × size × 4)
  */
-export function createFallbackTexture(gl, size = 256) {
-    const texture = gl.createTexture();
+export function createCheckerboardData(size = 256) {
     const data = new Uint8Array(size * size * 4);
     
     // Generate checkerboard pattern
@@ -223,6 +221,19 @@ export function createFallbackTexture(gl, size = 256) {
         }
     }
     
+    return data;
+}
+
+/**
+ * Create fallback checkerboard texture
+ * @param {WebGLRenderingContext} gl - WebGL context
+ * @param {number} size - Texture size (default 256)
+ * @returns {WebGLTexture} Checkerboard texture
+ */
+export function createFallbackTexture(gl, size = 256) {
+    const texture = gl.createTexture();
+    const data = createCheckerboardData(size);
+    
     gl.bindTexture(gl.TEXTURE_2D, texture);
     gl.texImage2D(
         gl.TEXTURE_2D,
@@ -1,8 +1,20 @@
-import { state } from './core.js';
+import { state, AUDIO_MODES } from './core.js';
+import { getElapsedSeconds as getTransportSeconds } from './transport.js';
+import * as inputReplay from './input-replay.js';
+import * as channels from './channels.js';
+import { getExportSource, renderSource } from './audio-export.js';
 
 const RECORDING_FPS = 60;
 const RECORDING_BITRATE = 8_000_000;
 const DEFAULT_MUXER_PROFILE = '540p';
+const AUDIO_BITRATE = 192_000;
+const AUDIO_CHUNK_FRAMES = 4096;
+
+// Tried in order; the first the browser can encode at the AudioContext rate wins
+const AUDIO_CODECS = [
+    { muxer: 'aac', codec: 'mp4a.40.2', label: 'AAC' },
+    { muxer: 'opus', codec: 'opus', label: 'Opus' }
+];
 
 const H264_DEFAULTS = {
     fps: 60,
@@ -61,7 +73,7 @@ const MUXER_PROFILES = {
 };
 
 function getElapsedSeconds() {
-    return (performance.now() - state.startTime - state.pausedTime) * 0.001;
+    return getTransportSeconds(performance.now());
 }
 
 function resetRecordingTimeState(forceTime) {
@@ -82,6 +94,69 @@ function prepareRecordingTimeOverride(fps) {
     state.lastVirtualTime = baseline;
 }
 
+// ============================================================================
+// Recording Audio
+// ============================================================================
+// Generated audio (the GLSL, WGSL or AudioWorklet tab) follows the time override:
+// when the recording stops it is rendered offline from the override baseline for
+// the recorded length, so heavy shaders still get every frame. Live inputs (audio
+// file and mic channels) can only be captured in real time; while one is recorded,
+// frame k (shown at baseline + k/fps) waits until the capture clock reaches k/fps,
+// and frames are skipped, with a warning, when rendering falls behind.
+
+function getLivePacedRecorder() {
+    return isRecording && activeRecorder?.audioTap ? activeRecorder : null;
+}
+
+/**
+ * Whether the render loop should wait for live audio before rendering the next recording frame
+ * @returns {boolean}
+ */
+export function shouldHoldFrame() {
+    const recorder = getLivePacedRecorder();
+    if (!recorder) return false;
+    const fps = state.recordingFps || RECORDING_FPS;
+    return (state.recordingFrame || 0) > recorder.audioTap.getElapsedSeconds() * fps + 0.5;
+}
+
+/**
+ * Recording frame to render next: frameIndex, or later when rendering has fallen behind live audio
+ * @param {number} frameIndex - Next frame of the time override
+ * @returns {number}
+ */
+export function getPacedFrameIndex(frameIndex) {
+    const recorder = getLivePacedRecorder();
+    if (!recorder) return frameIndex;
+    const audioFrame = Math.round(recorder.audioTap.getElapsedSeconds() * (state.recordingFps || RECORDING_FPS));
+    if (audioFrame - frameIndex <= 1) return frameIndex;
+    framesSkipped += audioFrame - frameIndex;
+    return audioFrame;
+}
+
+/**
+ * Audio tab rendered offline into the recording, or null when there is none (or it didn't compile)
+ * @returns {string|null}
+ */
+function getGeneratedAudioSource() {
+    return state.audioMode !== AUDIO_MODES.NONE ? getExportSource() : null;
+}
+
+/**
+ * Live nodes captured in real time: audio file channels and microphones
+ * Microphones are recorded without being played (they aren't connected to the gain node).
+ * Video channels are always muted, so they contribute nothing.
+ * @returns {AudioNode[]}
+ */
+function getLiveAudioSources() {
+    if (!state.audioContext || state.audioContext.state !== 'running') {
+        return [];
+    }
+    const mics = channels.getMicChannels()
+        .map(channel => channel.micData?.source)
+        .filter(Boolean);
+    return [...channels.getAudioChannelNodes(), ...mics];
+}
+
 function finalizeRecordingTimeOverride() {
     resetRecordingTimeState();
 }
@@ -98,7 +173,8 @@ const METHOD_CONFIG = {
             new Mp4MuxerRecorder(canvas, {
                 fps: options.fps ?? RECORDING_FPS,
                 bitrate: options.bitrate ?? RECORDING_BITRATE,
-                codec: options.codec
+                codec: options.codec,
+                audio: options.audio
             })
     },
     ffmpeg: {
@@ -122,6 +198,7 @@ let currentMuxerProfile = DEFAULT_MUXER_PROFILE;
 let muxerSupportCheckToken = 0;
 let isRecording = false;
 let framesCaptured = 0;
+let framesSkipped = 0;  // Frames dropped to keep up with live audio
 let activeRecorder = null;
 let processingProgressToken = 0;
 let processingProgressHandle = null;
@@ -423,16 +500,24 @@ async function startRecording() {
         activeRecorder = config.createRecorder(canvas, {
             fps,
             bitrate: profile?.bitrate ?? RECORDING_BITRATE,
-            codec: profile?.codec
+            codec: profile?.codec,
+            audio: { generated: getGeneratedAudioSource(), liveSources: getLiveAudioSources() }
         });
         await activeRecorder.start();
+        // A running input replay starts over so the video covers the whole stream
+        if (inputReplay.isReplaying()) {
+            await inputReplay.startInputReplay();
+        }
         prepareRecordingTimeOverride(fps);
+        // Live audio time 0 is the time override's baseline
+        activeRecorder.audioTap?.begin();
         isRecording = true;
         framesCaptured = 0;
+        framesSkipped = 0;
         state.isRecording = true;
         recordingButton.disabled = false;
         recordingButton.textContent = 'Stop Recording';
-        const startMessage = 'Recording… 0 frames';
+        const startMessage = activeRecorder.audioCodec ? 'Recording… 0 frames (with audio)' : 'Recording… 0 frames';
         setRecordingText(startMessage);
     } catch (err) {
         console.error('Failed to start recording', err);
@@ -442,6 +527,8 @@ async function startRecording() {
         setRecordingText(msg);
         setDevStatus(msg);
         recordingButton.disabled = false;
+        // Releases the encoders and the audio tap if start() got that far
+        activeRecorder?.dispose?.();
         activeRecorder = null;
     }
 }
@@ -450,6 +537,7 @@ async function stopRecording() {
     if (!isRecording || !activeRecorder) return;
 
     const totalFrames = framesCaptured;
+    const skipped = framesSkipped;
     const wasRecording = state.isRecording;
     isRecording = false;
     state.isRecording = false;
@@ -462,12 +550,14 @@ async function stopRecording() {
     startProcessingProgress(activeRecorder);
 
     try {
-        const blob = await activeRecorder.stop();
+        // Generated audio is rendered from the baseline, which is reset after stopping
+        const blob = await activeRecorder.stop({ baseTime: state.recordingBaseTime });
         const filename = `shader-recording-${new Date().toISOString().replace(/[:.]/g, '-')}.mp4`;
         if (blob) {
             downloadBlob(blob, filename);
             setRecordingText(`Saved recording (${totalFrames} frame${totalFrames === 1 ? '' : 's'})`);
-            setDevStatus(`Saved ${totalFrames} frame${totalFrames === 1 ? '' : 's'} to ${filename}`);
+            const skippedNote = skipped > 0 ? ` (${skipped} skipped to keep up with live audio)` : '';
+            setDevStatus(`Saved ${totalFrames} frame${totalFrames === 1 ? '' : 's'} to ${filename}${skippedNote}`);
         } else {
             const noData = 'Recording stopped (no data)';
             setRecordingText(noData);
@@ -499,7 +589,7 @@ function stopRecordingInternal({ finalizeTime = false } = {}) {
     activeRecorder = null;
 }
 
-function downloadBlob(blob, filename) {
+export function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -513,10 +603,13 @@ function downloadBlob(blob, filename) {
 export function captureFrame(canvas) {
     if (!isRecording || !activeRecorder) return;
     try {
-        activeRecorder.captureFrame(canvas);
+        activeRecorder.captureFrame(canvas, getLivePacedRecorder() ? state.recordingFrame - 1 : undefined);
         framesCaptured++;
         const message = `Recording… ${framesCaptured} frame${framesCaptured === 1 ? '' : 's'}`;
         setRecordingText(message);
+        if (framesSkipped > 0) {
+            setDevStatus(`⚠ Rendering is slower than real time - skipped ${framesSkipped} frame${framesSkipped === 1 ? '' : 's'} to stay in sync with live audio (audio file / mic channels)`);
+        }
     } catch (err) {
         console.error('Failed to capture frame', err);
         const msg = err.message || 'Failed capturing frame';
@@ -541,7 +634,8 @@ function startProcessingProgress(recorder) {
         if (info && info.processing) {
             const percent = Math.round(info.progress * 100);
             const safePercent = Number.isFinite(percent) ? percent : 0;
-            setRecordingText(`Processing… ${safePercent}%`);
+            const label = info.stage === 'audio' ? 'Rendering audio' : 'Processing';
+            setRecordingText(`${label}… ${safePercent}%`);
             processingProgressHandle = requestAnimationFrame(update);
         } else if (info) {
             setRecordingText(`Processing… 100%`);
@@ -558,8 +652,218 @@ function stopProcessingProgress() {
     }
 }
 
+// ============================================================================
+// Audio Capture
+// ============================================================================
+
+// Copies its (stereo) input to the main thread with the context frame it started at.
+// It has no outputs, so nothing it taps is played twice.
+const AUDIO_TAP_PROCESSOR = `
+class RecordingTapProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.size = 4096;
+        this.left = new Float32Array(this.size);
+        this.right = new Float32Array(this.size);
+        this.filled = 0;
+        this.startFrame = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        const frames = input[0]?.length || 128;
+        if (this.filled === 0) this.startFrame = currentFrame;
+        if (input.length > 0) {
+            this.left.set(input[0], this.filled);
+            this.right.set(input[1] || input[0], this.filled);
+        } else {
+            // No active input this quantum - keep the track continuous with silence
+            this.left.fill(0, this.filled, this.filled + frames);
+            this.right.fill(0, this.filled, this.filled + frames);
+        }
+        this.filled += frames;
+        if (this.filled >= this.size) {
+            this.port.postMessage({ frame: this.startFrame, left: this.left, right: this.right }, [this.left.buffer, this.right.buffer]);
+            this.left = new Float32Array(this.size);
+            this.right = new Float32Array(this.size);
+            this.filled = 0;
+        }
+        return true;
+    }
+}
+registerProcessor('recording-tap', RecordingTapProcessor);
+`;
+
+let audioTapModule = null;  // { context, promise } - the processor is registered once per AudioContext
+
+function loadAudioTapModule(context) {
+    if (audioTapModule?.context !== context) {
+        const url = URL.createObjectURL(new Blob([AUDIO_TAP_PROCESSOR], { type: 'application/javascript' }));
+        const promise = context.audioWorklet.addModule(url).finally(() => URL.revokeObjectURL(url));
+        audioTapModule = { context, promise };
+    }
+    return audioTapModule.promise;
+}
+
+async function pickAudioCodec(sampleRate) {
+    if (typeof AudioEncoder === 'undefined' || typeof AudioEncoder.isConfigSupported !== 'function') {
+        return null;
+    }
+    for (const entry of AUDIO_CODECS) {
+        const config = { codec: entry.codec, sampleRate, numberOfChannels: 2, bitrate: AUDIO_BITRATE };
+        try {
+            const support = await AudioEncoder.isConfigSupported(config);
+            if (support?.supported) return { ...entry, config };
+        } catch (err) {
+            // Try the next codec
+        }
+    }
+    return null;
+}
+
+/**
+ * Encode a finished PCM track into the muxer, timestamped from 0
+ * Chunks reach the muxer only once the whole track has encoded, so a failure
+ * (which rejects) leaves the audio track empty rather than cut short.
+ * @param {Float32Array[]} channels - [left, right], equal length
+ * @param {number} sampleRate
+ * @param {Object} codec - Entry from pickAudioCodec()
+ * @param {Object} muxer
+ */
+async function encodeAudioTrack(channels, sampleRate, codec, muxer) {
+    const chunks = [];
+    const encoder = new AudioEncoder({
+        output: (chunk, meta) => chunks.push([chunk, meta]),
+        error: (e) => console.error('AudioEncoder error', e)
+    });
+    try {
+        encoder.configure(codec.config);
+        const [left, right] = channels;
+        for (let offset = 0; offset < left.length; offset += AUDIO_CHUNK_FRAMES) {
+            const length = Math.min(AUDIO_CHUNK_FRAMES, left.length - offset);
+            const planar = new Float32Array(length * 2);
+            planar.set(left.subarray(offset, offset + length), 0);
+            planar.set(right.subarray(offset, offset + length), length);
+            const data = new AudioData({
+                format: 'f32-planar',
+                sampleRate,
+                numberOfFrames: length,
+                numberOfChannels: 2,
+                timestamp: Math.round(offset / sampleRate * 1_000_000),
+                data: planar
+            });
+            encoder.encode(data);
+            data.close();
+        }
+        await encoder.flush();
+    } finally {
+        if (encoder.state !== 'closed') encoder.close();
+    }
+    chunks.forEach(([chunk, meta]) => muxer.addAudioChunk(chunk, meta));
+}
+
+/**
+ * Collects the sources' output from begin(), continuous from recording frame 0
+ */
+class AudioTap {
+    constructor(context, sources) {
+        this.context = context;
+        this.sources = sources;
+        this.node = null;
+        this.startFrame = null;
+        this.recordedFrames = 0;   // Frames stored since startFrame
+        this.left = [];
+        this.right = [];
+        this.earlyBlocks = [];     // Latest blocks from before begin(), which may overlap it
+    }
+
+    async start() {
+        await loadAudioTapModule(this.context);
+        this.node = new AudioWorkletNode(this.context, 'recording-tap', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+        this.node.port.onmessage = (e) => this.storeBlock(e.data);
+        this.sources.forEach(source => source.connect(this.node));
+    }
+
+    // Audio before this point is dropped; from here on it lines up with recording frame 0
+    begin() {
+        this.startFrame = Math.round(this.context.currentTime * this.context.sampleRate);
+        this.earlyBlocks.forEach(block => this.storeBlock(block));
+        this.earlyBlocks = [];
+    }
+
+    getElapsedSeconds() {
+        if (this.startFrame === null) return 0;
+        return Math.max(0, this.context.currentTime - this.startFrame / this.context.sampleRate);
+    }
+
+    storeBlock(block) {
+        if (this.startFrame === null) {
+            this.earlyBlocks = [...this.earlyBlocks.slice(-1), block];
+            return;
+        }
+
+        // The track must be continuous from 0: trim overlap, fill gaps with silence
+        const { frame, left, right } = block;
+        const relative = frame - this.startFrame;
+        if (relative > this.recordedFrames) {
+            const gap = relative - this.recordedFrames;
+            this.storeFrames(new Float32Array(gap), new Float32Array(gap));
+        }
+        const skip = Math.max(0, this.recordedFrames - relative);
+        if (skip < left.length) {
+            this.storeFrames(left.subarray(skip), right.subarray(skip));
+        }
+    }
+
+    storeFrames(left, right) {
+        this.left.push(left);
+        this.right.push(right);
+        this.recordedFrames += left.length;
+    }
+
+    /**
+     * Mix the recorded audio into a track, from recording frame 0
+     * @param {Float32Array[]} channels - [left, right], added to in place
+     */
+    mixInto(channels) {
+        [this.left, this.right].forEach((chunks, ch) => {
+            const out = channels[ch];
+            let offset = 0;
+            for (const chunk of chunks) {
+                if (offset >= out.length) break;
+                const count = Math.min(chunk.length, out.length - offset);
+                for (let i = 0; i < count; i++) out[offset + i] += chunk[i];
+                offset += count;
+            }
+        });
+    }
+
+    disconnect() {
+        if (!this.node) return;
+        this.sources.forEach(source => {
+            try {
+                source.disconnect(this.node);
+            } catch (e) {}
+        });
+        this.node.port.onmessage = null;
+        this.node = null;
+    }
+
+    dispose() {
+        this.disconnect();
+        this.left = [];
+        this.right = [];
+        this.earlyBlocks = [];
+    }
+}
+
 class Mp4MuxerRecorder {
-    constructor(canvas, { fps, bitrate, codec }) {
+    constructor(canvas, { fps, bitrate, codec, audio = {} }) {
         this.canvas = canvas;
         this.width = canvas.width;
         this.height = canvas.height;
@@ -576,6 +880,11 @@ class Mp4MuxerRecorder {
         this.target = null;
         this.processedFrames = 0;
         this.processing = false;
+        this.generatedAudio = audio.generated || null;   // Audio tab rendered offline at stop
+        this.liveAudioSources = audio.liveSources || [];  // Nodes tapped in real time
+        this.audioCodec = null;
+        this.audioTap = null;
+        this.audioProgress = null;  // 0-1 while the generated track renders
     }
 
     async start() {
@@ -586,6 +895,11 @@ class Mp4MuxerRecorder {
         const { Muxer, ArrayBufferTarget } = module;
         this.target = new ArrayBufferTarget();
         const muxerCodec = getMuxerCodecIdentifier(this.codec);
+
+        if (this.generatedAudio || this.liveAudioSources.length > 0) {
+            await this.startAudio();
+        }
+
         this.muxer = new Muxer({
             target: this.target,
             video: {
@@ -595,6 +909,11 @@ class Mp4MuxerRecorder {
                 bitrate: this.bitrate,
                 frameRate: this.fps
             },
+            audio: this.audioCodec ? {
+                codec: this.audioCodec.muxer,
+                numberOfChannels: 2,
+                sampleRate: this.audioCodec.config.sampleRate
+            } : undefined,
             fastStart: 'in-memory'
         });
         this.outputFrameIndex = 0;
@@ -682,8 +1001,72 @@ class Mp4MuxerRecorder {
         });
     }
 
-    captureFrame(canvas) {
+    // Falls back to a video-only recording when audio can't be encoded
+    async startAudio() {
+        const context = state.audioContext;
+        const sampleRate = context?.sampleRate || 48000;
+        const codec = await pickAudioCodec(sampleRate);
+        if (!codec) {
+            console.warn('⚠ No supported audio codec (AAC/Opus) - recording video only');
+            return;
+        }
+        if (this.liveAudioSources.length > 0) {
+            const tap = new AudioTap(context, this.liveAudioSources);
+            try {
+                await tap.start();
+                this.audioTap = tap;
+            } catch (err) {
+                console.warn('⚠ Live audio capture failed - recording without it', err);
+                tap.dispose();
+                if (!this.generatedAudio) return;
+            }
+        }
+        this.audioCodec = codec;
+        console.log(`✓ Recording audio as ${codec.label} at ${sampleRate} Hz`);
+    }
+
+    // Mixes the offline render of the audio tab with the live tap, for the captured frames
+    async encodeAudio(baseTime) {
+        const sampleRate = this.audioCodec.config.sampleRate;
+        const seconds = this.frameIndex / (this.fps || RECORDING_FPS);
+        const length = Math.round(seconds * sampleRate);
+        if (length === 0) return;
+        const track = [new Float32Array(length), new Float32Array(length)];
+
+        if (this.generatedAudio) {
+            this.audioProgress = 0;
+            try {
+                const rendered = await renderSource(this.generatedAudio, {
+                    seconds,
+                    sampleRate,
+                    startTime: baseTime,
+                    onProgress: (fraction) => { this.audioProgress = fraction; }
+                });
+                track.forEach((out, ch) => {
+                    const data = rendered[ch] || rendered[0];
+                    for (let i = 0, n = Math.min(length, data.length); i < n; i++) out[i] = data[i];
+                });
+            } catch (err) {
+                console.warn(`⚠ Rendering ${this.generatedAudio} for the recording failed - leaving it out`, err);
+            }
+            this.audioProgress = null;
+        }
+        this.audioTap?.mixInto(track);
+
+        // mp4-muxer leaves a track with no chunks out of the file, so this still finalizes
+        try {
+            await encodeAudioTrack(track, sampleRate, this.audioCodec, this.muxer);
+        } catch (err) {
+            console.warn('⚠ Audio encoding failed - saving the recording without audio', err);
+        }
+    }
+
+    captureFrame(canvas, frameIndex) {
         if (!this.encoder) return;
+        // Audio-paced recordings skip frames when rendering falls behind
+        if (Number.isInteger(frameIndex) && frameIndex > this.frameIndex) {
+            this.frameIndex = frameIndex;
+        }
         const timestamp = Math.round((this.frameIndex / (this.fps || RECORDING_FPS)) * 1_000_000);
         const frame = new VideoFrame(canvas, { timestamp });
         this.encoder.encode(frame);
@@ -698,14 +1081,27 @@ class Mp4MuxerRecorder {
         this.pendingFramesAtStop = Math.max(this.pendingFrames, 1);
     }
 
-    async stop() {
+    /**
+     * Finish encoding and build the file
+     * @param {Object} [options]
+     * @param {number} [options.baseTime=0] - Shader time of frame 0, where the audio tab render starts
+     * @returns {Promise<Blob|null>}
+     */
+    async stop({ baseTime = 0 } = {}) {
         if (!this.encoder) return null;
+        // The audio track ends with the last captured frame
+        this.audioTap?.disconnect();
         if (!this.processing) {
             this.beginProcessingPhase();
         }
         await this.encoder.flush();
         this.encoder.close();
         this.encoder = null;
+        if (this.audioCodec) {
+            await this.encodeAudio(baseTime);
+            this.audioTap?.dispose();
+            this.audioTap = null;
+        }
         this.muxer.finalize();
         const buffer = this.target.buffer;
         this.processing = false;
@@ -723,6 +1119,15 @@ class Mp4MuxerRecorder {
                 processing: false
             };
         }
+        if (this.audioProgress !== null) {
+            return {
+                processed: this.frameIndex,
+                total: this.frameIndex,
+                progress: this.audioProgress,
+                processing: true,
+                stage: 'audio'
+            };
+        }
         const total = Math.max(this.pendingFramesAtStop, 1);
         const remaining = Math.max(this.pendingFrames, 0);
         const processed = Math.min(total - remaining, total);
@@ -740,6 +1145,10 @@ class Mp4MuxerRecorder {
             this.encoder.close();
             this.encoder = null;
         }
+        if (this.audioTap) {
+            this.audioTap.dispose();
+            this.audioTap = null;
+        }
         this.muxer = null;
         this.target = null;
     }
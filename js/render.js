@@ -12,6 +12,8 @@ import * as jsRuntime from './js-runtime.js';
 import * as recording from './recording.js';
 import * as channels from './channels.js';
 import * as ui from './ui.js';
+import * as transport from './transport.js';
+import * as inputReplay from './input-replay.js';
 
 const DEFAULT_RECORDING_FPS = 60;
 
@@ -24,7 +26,9 @@ function getEffectiveTime(elapsedSec, advanceFrame = true) {
         }
         const fps = state.recordingFps || DEFAULT_RECORDING_FPS;
         const step = fps > 0 ? 1 / fps : 1 / DEFAULT_RECORDING_FPS;
-        const frameIndex = state.recordingFrame || 0;
+        const frameIndex = advanceFrame
+            ? recording.getPacedFrameIndex(state.recordingFrame || 0)
+            : state.recordingFrame || 0;
         const syntheticTime = baseTime + frameIndex * step;
         if (advanceFrame) {
             state.recordingFrame = frameIndex + 1;
@@ -44,6 +48,21 @@ function getEffectiveTime(elapsedSec, advanceFrame = true) {
     return elapsedSec;
 }
 
+// Per-frame delta and smoothed frame rate (iTimeDelta / iFrameRate)
+// Measured on effective time, so recordings get their fixed step
+function updateFrameTiming(effectiveTime) {
+    const delta = effectiveTime - state.lastFrameTime;
+    state.lastFrameTime = effectiveTime;
+    
+    // Ignore restarts, seeks and long stalls - keep the previous estimate
+    if (!(delta > 0 && delta < 1)) return;
+    
+    state.timeDelta = delta;
+    state.frameRate = state.frameRate > 0
+        ? state.frameRate * 0.9 + (1 / delta) * 0.1
+        : 1 / delta;
+}
+
 // ============================================================================
 // Main Render Loop
 // ============================================================================
@@ -62,6 +81,12 @@ export function render(rawTime) {
         requestAnimationFrame(render);
         return;
     }
+    
+    // A recording with audio waits until the audio has caught up with the next frame
+    if (recording.shouldHoldFrame()) {
+        requestAnimationFrame(render);
+        return;
+    }
 
     // Performance monitor disabled
     // perfMonitor.markFrameStart();
@@ -78,6 +103,12 @@ export function render(rawTime) {
     // Performance monitor disabled
     // perfMonitor.markJSStart();
     
+    // Wrap to the loop start before time is read for this frame
+    transport.applyLoop(rawTime);
+    
+    // Record or replay this frame's mouse, keyboard and slider input
+    inputReplay.processFrame(state.visualFrame + 1);
+    
     // Update audio, video, mic, and webcam textures (if any media channels are active)
     if (gl) {
         channels.updateAudioTextures(gl);
@@ -113,9 +144,9 @@ export function render(rawTime) {
 
 function renderNonGPUMode(rawTime) {
     // Calculate elapsed time
-    const elapsedMs = rawTime - state.startTime - state.pausedTime;
-    const elapsedSec = elapsedMs * 0.001;
+    const elapsedSec = transport.getElapsedSeconds(rawTime);
     const effectiveTime = getEffectiveTime(elapsedSec);
+    updateFrameTiming(effectiveTime);
     
     // Update counters
     state.visualFrame++;
@@ -144,10 +175,10 @@ function renderNonGPUMode(rawTime) {
 // ============================================================================
 
 function renderWebGLMode(rawTime, gl, ctx) {
-    // Calculate elapsed time (accounting for pauses)
-    const elapsedMs = rawTime - state.startTime - state.pausedTime;
-    const elapsedSec = elapsedMs * 0.001;
+    // Calculate elapsed time (accounting for pauses and playback rate)
+    const elapsedSec = transport.getElapsedSeconds(rawTime);
     const effectiveTime = getEffectiveTime(elapsedSec);
+    updateFrameTiming(effectiveTime);
     
     // Increment visual frame counter
     state.visualFrame++;
@@ -193,10 +224,10 @@ function renderWebGLMode(rawTime, gl, ctx) {
 // ============================================================================
 
 function renderGPUMode(rawTime, device, ctx) {
-    // Calculate elapsed time (accounting for pauses)
-    const elapsedMs = rawTime - state.startTime - state.pausedTime;
-    const elapsedSec = elapsedMs * 0.001;
+    // Calculate elapsed time (accounting for pauses and playback rate)
+    const elapsedSec = transport.getElapsedSeconds(rawTime);
     const effectiveTime = getEffectiveTime(elapsedSec);
+    updateFrameTiming(effectiveTime);
     
     // Increment visual frame counter
     state.visualFrame++;
@@ -244,6 +275,9 @@ function renderGPUMode(rawTime, device, ctx) {
 
 function updateExtendedUniforms(uniforms) {
     uniforms.setPixelSize(state.pixelScale || 1);
+    uniforms.setTimeDelta(state.timeDelta);
+    uniforms.setFrameRate(state.frameRate);
+    uniforms.setSampleRate(DERIVED.sampleRate || state.audioContext?.sampleRate || 48000);
 
     const dragX = state.mouseIsDown ? state.mouseDragX : state.mouseLastDownX;
     const dragY = state.mouseIsDown ? state.mouseDragY : state.mouseLastDownY;
@@ -400,9 +434,6 @@ export function renderOnce() {
     // Render a single frame at the current paused time
     if (!state.isRunning) return;
     
-    const device = state.gpuDevice;
-    const ctx = state.audioContext;
-    
     // Calculate current elapsed time (accounting for pauses)
     let rawTime;
     if (!state.isPlaying && state.lastPauseTime > 0) {
@@ -411,9 +442,30 @@ export function renderOnce() {
     } else {
         rawTime = performance.now();
     }
-    const elapsedMs = rawTime - state.startTime - state.pausedTime;
-    const elapsedSec = elapsedMs * 0.001;
-    const effectiveTime = getEffectiveTime(elapsedSec, false);
+    const elapsedSec = transport.getElapsedSeconds(rawTime);
+    renderFrameAt(getEffectiveTime(elapsedSec, false));
+}
+
+/**
+ * Render one frame at a given time without touching the frame counter
+ * Used by renderOnce() and by the transport when stepping or re-rendering buffers
+ * @param {number} effectiveTime - Shader time in seconds
+ * @param {Object} [options]
+ * @param {boolean} [options.capture=true] - Hand the frame to an active recording
+ */
+export function renderFrameAt(effectiveTime, { capture = true } = {}) {
+    if (!state.isRunning) return;
+    
+    const device = state.gpuDevice;
+    const ctx = state.audioContext;
+    
+    updateCounterDisplays(state.visualFrame, effectiveTime);
+    
+    // Input may have changed (or be replayed) since the last rendered frame
+    inputReplay.processFrame(state.visualFrame);
+    if (state.glContext) {
+        channels.updateKeyboardTextures(state.glContext);
+    }
     
     // Non-graphics mode
     if (!device && !state.glContext) {
@@ -441,10 +493,9 @@ export function renderOnce() {
     // Render with appropriate backend
     if (state.graphicsBackend === 'webgl' && state.glContext) {
         webgl.renderFrame(uniforms);
-        recording.captureFrame(state.canvasWebGL);
+        if (capture) recording.captureFrame(state.canvasWebGL);
     } else if (state.graphicsBackend === 'webgpu' && device) {
         webgpu.renderFrame(uniforms.getBuffer(), ctx);
-        recording.captureFrame(state.canvasWebGPU);
+        if (capture) recording.captureFrame(state.canvasWebGPU);
     }
 }
-
@@ -123,9 +123,11 @@ export async function handleHashChange() {
         const channels = await import('./channels.js');
         channels.resetChannels();
         
-        // Set up golf tab
-        state.activeTabs = ['glsl_golf'];
-        state.currentTab = 'glsl_golf';
+        // Set up golf tab (or whatever mode the URL code was actually written for)
+        const { pickGlslMode } = await import('./glsl-mode-detect.js');
+        const glslTab = pickGlslMode(code, 'glsl_golf');
+        state.activeTabs = [glslTab];
+        state.currentTab = glslTab;
         
         // Load the code
         if (state.graphicsEditor) {
@@ -135,7 +137,7 @@ export async function handleHashChange() {
         // Update tabs and compile
         const tabs = await import('./tabs.js');
         tabs.renderTabs();
-        tabs.switchTab('glsl_golf');
+        tabs.switchTab(glslTab);
         
         const compiler = await import('./compiler.js');
         await compiler.reloadShader();
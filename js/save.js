@@ -11,6 +11,10 @@ import * as channels from './channels.js';
 import { resetEditorState } from './shader-management.js';
 import * as ui from './ui.js';
 import * as waveformPanel from './ui/audio-waveform-panel.js';
+import { setLibraryPins } from './shader-libraries.js';
+import { loadLoopRange } from './transport.js';
+import { loadInputStream } from './input-replay.js';
+import { normalizeWGSLBoilerplateMode } from './wgsl-boilerplate.js';
 
 // ============================================================================
 // Thumbnail Capture
@@ -851,6 +855,33 @@ export async function loadDatabaseShader(shader) {
     resetEditorState();
     state.activeTabs = (shader.code_types || []).filter(t => t !== 'help' && t !== 'boilerplate');
     
+    // Library versions the shader was saved against
+    if (shader.code?.['_libraries']) {
+        try {
+            setLibraryPins(JSON.parse(shader.code['_libraries']));
+        } catch (e) {
+            console.warn('Failed to parse library pins:', e);
+        }
+    }
+    
+    // Recorded input stream for replay
+    if (shader.code?.['_input']) {
+        try {
+            loadInputStream(JSON.parse(shader.code['_input']));
+        } catch (e) {
+            console.warn('Failed to parse input stream:', e);
+        }
+    }
+    
+    // WGSL boilerplate mode (in _settings, parsed in full further down) - the boilerplate editor needs it first
+    let wgslMode = null;
+    try {
+        wgslMode = shader.code?.['_settings'] ? JSON.parse(shader.code['_settings']).wgslMode : null;
+    } catch (e) {
+        // Reported when the rest of the settings are loaded
+    }
+    state.wgslBoilerplateMode = normalizeWGSLBoilerplateMode(wgslMode);
+    
     // Load code into editors
     if (shader.code) {
         Object.keys(shader.code).forEach(dbKey => {
@@ -875,6 +906,8 @@ export async function loadDatabaseShader(shader) {
                 monaco.editor.setModelLanguage(editor.getModel(), 'wgsl');
             } else if (tabName === 'audio_glsl') {
                 monaco.editor.setModelLanguage(editor.getModel(), 'glsl');
+            } else if (tabName === 'common' || tabName === 'common_wgsl') {
+                monaco.editor.setModelLanguage(editor.getModel(), tabName === 'common' ? 'glsl' : 'wgsl');
             }
         }
         });
@@ -936,12 +969,13 @@ export async function loadDatabaseShader(shader) {
         uniformControls.loadUniformConfig(null);
     }
     
-    // Load render settings (colorspace, etc) - defaults to sRGB for older shaders
+    // Load render settings (colorspace, loop range) - defaults to sRGB for older shaders
     let linearColorspace = false;
     if (shader.code && shader.code['_settings']) {
         try {
             const settings = JSON.parse(shader.code['_settings']);
             linearColorspace = settings.linearColorspace || false;
+            loadLoopRange(settings.loopRange);
         } catch (e) {
             console.warn('Failed to parse settings:', e);
         }
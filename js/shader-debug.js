@@ -0,0 +1,347 @@
+// ============================================================================
+// Shader Debug - Watch a GLSL value through the channel viewer
+// ============================================================================
+// Brings the core of lab/shader-debugger and lab/breakpoint-debugger into the
+// editor. A watch names a line in one pass and an expression. When the pass is
+// compiled, the line gets a _slWatch(expression) call (on the same line, so
+// error lines don't move), main() is renamed through a #define, and a new
+// main() calls it and then writes the captured value to the pass output. The
+// channel viewer then shows that buffer in false colour over a value range.
+
+import { state, logStatus } from './core.js';
+import * as channels from './channels.js';
+import * as webgl from './backends/webgl.js';
+
+const TYPE_COMPONENTS = {
+    float: 1, int: 1, uint: 1, bool: 1,
+    vec2: 2, ivec2: 2, uvec2: 2, bvec2: 2,
+    vec3: 3, ivec3: 3, uvec3: 3, bvec3: 3,
+    vec4: 4, ivec4: 4, uvec4: 4, bvec4: 4
+};
+
+// Values are captured as vec4 with alpha 1, so pixels that never ran the line read alpha 0
+const WATCH_HELPERS = [
+    'precision highp float; precision highp int;',
+    'vec4 _slWatchValue = vec4(0.0);',
+    'void _slWatch(float v) { _slWatchValue = vec4(v, 0.0, 0.0, 1.0); }',
+    'void _slWatch(vec2 v) { _slWatchValue = vec4(v, 0.0, 1.0); }',
+    'void _slWatch(vec3 v) { _slWatchValue = vec4(v, 1.0); }',
+    'void _slWatch(vec4 v) { _slWatchValue = v; }',
+    ...['int', 'uint', 'bool'].map(t => `void _slWatch(${t} v) { _slWatch(float(v)); }`),
+    ...[2, 3, 4].flatMap(n => ['i', 'u', 'b'].map(p => `void _slWatch(${p}vec${n} v) { _slWatch(vec${n}(v)); }`))
+].join(' ');
+
+// Most samples used to fit the range (readback is full size, the scan is strided)
+const RANGE_SAMPLES = 65536;
+
+// ============================================================================
+// Source Rewriting
+// ============================================================================
+
+function splitLineComment(line) {
+    const index = line.indexOf('//');
+    return index === -1 ? [line, ''] : [line.slice(0, index), line.slice(index)];
+}
+
+/**
+ * Guess how many components an expression has, so the view starts in the right mode
+ * @param {string} expression - Watched expression
+ * @param {string} source - Pass source, searched for the variable's declaration
+ * @returns {number} 1-4
+ */
+export function guessComponents(expression, source) {
+    const swizzle = expression.match(/\.([xyzwrgbastpq]{1,4})$/);
+    if (swizzle) return swizzle[1].length;
+
+    const constructor = expression.match(/^([biu]?vec[234]|float|int|uint|bool)\s*\(/);
+    if (constructor) return TYPE_COMPONENTS[constructor[1]];
+
+    const name = expression.match(/^([A-Za-z_]\w*)\s*(?:\[[^\]]*\])?$/)?.[1];
+    if (name) {
+        const declaration = new RegExp(`\\b(float|int|uint|bool|[biu]?vec[234])\\s+${name}\\b`);
+        const match = source.match(declaration);
+        if (match) return TYPE_COMPONENTS[match[1]];
+    }
+    return 1;
+}
+
+/**
+ * Work out what to watch from the cursor line or the selection
+ * Without a selection: the variable assigned on the line, or the returned value
+ * @param {string} lineText - Text of the cursor line
+ * @param {string} selection - Selected text (may be empty)
+ * @returns {{expression: string}|{error: string}}
+ */
+export function getWatchExpression(lineText, selection) {
+    const selected = selection.trim().replace(/;$/, '');
+    if (selected) {
+        if (selected.includes('\n')) {
+            return { error: 'Select an expression on a single line' };
+        }
+        return { expression: selected };
+    }
+
+    const [code] = splitLineComment(lineText);
+    const returned = code.match(/^\s*return\s+(.+?);?\s*$/);
+    if (returned) {
+        return { expression: returned[1] };
+    }
+
+    const assigned = code.match(/^\s*(?:(?:const|highp|mediump|lowp)\s+)*(?:([A-Za-z_]\w*)\s+)?([A-Za-z_]\w*(?:\s*\[[^\]]*\])?(?:\.[xyzwrgbastpq]+)?)\s*[-+*/%]?=(?!=)/);
+    if (assigned && !['return', 'if', 'for', 'while'].includes(assigned[1])) {
+        return { expression: assigned[2].replace(/\s+/g, '') };
+    }
+
+    return { error: 'Select an expression, or put the cursor on an assignment or return' };
+}
+
+/**
+ * Add the capture call to the watched line without changing the line count
+ * Statements get the call after them; returns, block openers and partial lines get it before
+ * @param {string} source - Pass source as written in the editor
+ * @param {Object} watch - { line, expression }
+ * @returns {string|null} Null if the line no longer exists
+ */
+export function insertWatch(source, watch) {
+    const lines = source.split('\n');
+    const index = watch.line - 1;
+    if (index < 0 || index >= lines.length) return null;
+
+    const [code, comment] = splitLineComment(lines[index]);
+    const capture = `_slWatch(${watch.expression});`;
+    if (/^\s*return\b/.test(code) || !/;\s*$/.test(code)) {
+        const indent = code.match(/^\s*/)[0];
+        lines[index] = indent + capture + ' ' + code.slice(indent.length) + comment;
+    } else {
+        lines[index] = code.replace(/\s*$/, '') + ' ' + capture + comment;
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Find the fragment output a raw GLSL pass declares
+ * @param {string} source - Pass source
+ * @returns {string|null}
+ */
+export function findOutputName(source) {
+    return source.match(/\bout\s+(?:(?:highp|mediump|lowp)\s+)?vec4\s+([A-Za-z_]\w*)\s*;/)?.[1] || null;
+}
+
+/**
+ * Wrap a complete fragment shader so it outputs the captured value
+ * The rename and helpers go right after #version (and any #extension lines)
+ * @param {string} fullSource - Boilerplate, common code and pass source with the capture inserted
+ * @param {string} outputName - Fragment output variable
+ * @returns {{source: string, injectedAt: number, injectedLines: number}}
+ */
+export function injectWatchOutput(fullSource, outputName) {
+    const lines = fullSource.split('\n');
+    let injectedAt = lines.findIndex(line => /^\s*#version\b/.test(line)) + 1;
+    while (injectedAt > 0 && /^\s*#extension\b/.test(lines[injectedAt] || '')) {
+        injectedAt++;
+    }
+
+    lines.splice(injectedAt, 0, '#define main _slUserMain', WATCH_HELPERS);
+    lines.push(
+        '',
+        '#undef main',
+        'void main() {',
+        '    _slUserMain();',
+        `    ${outputName} = _slWatchValue;`,
+        '}'
+    );
+    return { source: lines.join('\n'), injectedAt, injectedLines: 2 };
+}
+
+/**
+ * The active watch if it belongs to this pass
+ * @param {Object} pass - Pass plan entry
+ * @returns {Object|null}
+ */
+export function getWatchForPass(pass) {
+    const watch = state.shaderDebug;
+    if (!watch || watch.tabName !== pass.tabName || pass.isCubemap || pass.isVertex) return null;
+    syncWatchLine();
+    return watch;
+}
+
+// ============================================================================
+// Line Tracking
+// ============================================================================
+// While the watched pass is in the graphics editor its line is a decoration, so
+// the watch follows edits above it. Switching passes replaces the editor content;
+// watch.line keeps the last tracked line until the pass is shown again.
+
+let lineDecoration = null;  // Decorations collection on the graphics editor
+
+function isWatchedPassShown(watch) {
+    return !!watch && state.currentTab === watch.tabName;
+}
+
+function placeLineDecoration() {
+    const editor = state.graphicsEditor;
+    if (!editor) return;
+    if (!lineDecoration) {
+        lineDecoration = editor.createDecorationsCollection();
+        editor.onDidChangeModelContent((e) => {
+            if (e.isFlush) {
+                placeLineDecoration();
+            } else {
+                syncWatchLine();
+            }
+        });
+    }
+
+    const watch = state.shaderDebug;
+    const model = editor.getModel();
+    if (!isWatchedPassShown(watch) || watch.line > model.getLineCount()) {
+        lineDecoration.clear();
+        return;
+    }
+    lineDecoration.set([{
+        range: new monaco.Range(watch.line, 1, watch.line, model.getLineMaxColumn(watch.line)),
+        options: {
+            isWholeLine: true,
+            stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+        }
+    }]);
+}
+
+function syncWatchLine() {
+    const watch = state.shaderDebug;
+    if (!lineDecoration || !isWatchedPassShown(watch)) return;
+    const range = lineDecoration.getRanges()[0];
+    if (range && range.startLineNumber !== watch.line) {
+        watch.line = range.startLineNumber;
+        notifyChanged();
+    }
+}
+
+// ============================================================================
+// Watch State
+// ============================================================================
+
+function notifyChanged() {
+    window.dispatchEvent(new CustomEvent('shader-debug-changed'));
+}
+
+/**
+ * Watch the selection, or the value on the cursor line, in the graphics editor
+ * @returns {Promise<boolean>} True if the shader recompiled with the watch
+ */
+export async function watchAtCursor() {
+    const editor = state.graphicsEditor;
+    if (!editor) return false;
+    if (state.activeTabs.includes('graphics')) {
+        logStatus('⚠ The shader debugger only supports GLSL passes', 'error');
+        return false;
+    }
+
+    const position = editor.getPosition();
+    const model = editor.getModel();
+    const target = getWatchExpression(
+        model.getLineContent(position.lineNumber),
+        model.getValueInRange(editor.getSelection())
+    );
+    if (target.error) {
+        logStatus('⚠ ' + target.error, 'error');
+        return false;
+    }
+
+    state.shaderDebug = {
+        tabName: state.currentTab,
+        line: position.lineNumber,
+        expression: target.expression,
+        components: guessComponents(target.expression, editor.getValue()),
+        rangeMin: 0,
+        rangeMax: 1,
+        channelNumber: null,
+        previousChannel: state.shaderDebug?.previousChannel ?? channels.getSelectedOutputChannel()
+    };
+    placeLineDecoration();
+    notifyChanged();
+
+    const success = await window.reloadShader();
+    const watch = state.shaderDebug;
+    if (!success || watch?.channelNumber === null || watch?.channelNumber === undefined) {
+        return false;
+    }
+
+    channels.setSelectedOutputChannel(watch.channelNumber);
+    logStatus(`✓ Watching ${watch.expression} (line ${watch.line})`, 'success');
+    // Fit once the watched pass has rendered
+    requestAnimationFrame(() => requestAnimationFrame(fitWatchRange));
+    return true;
+}
+
+/**
+ * Stop watching and recompile the unmodified shader
+ */
+export async function stopWatch() {
+    const watch = state.shaderDebug;
+    if (!watch) return;
+    clearWatch();
+    channels.setSelectedOutputChannel(watch.previousChannel ?? 0);
+    await window.reloadShader();
+}
+
+/**
+ * Forget the watch without recompiling (a different shader is being loaded)
+ */
+export function clearWatch() {
+    if (!state.shaderDebug) return;
+    state.shaderDebug = null;
+    lineDecoration?.clear();
+    notifyChanged();
+}
+
+/**
+ * Called by the compiler once the passes are installed
+ * @param {number|null} channelNumber - Channel the watched pass writes, or null if it wasn't compiled
+ */
+export function setWatchedChannel(channelNumber) {
+    if (!state.shaderDebug) return;
+    state.shaderDebug.channelNumber = channelNumber;
+    notifyChanged();
+}
+
+export function setWatchView(options) {
+    if (!state.shaderDebug) return;
+    Object.assign(state.shaderDebug, options);
+    notifyChanged();
+}
+
+/**
+ * Set the range to the min and max of the watched components over the pixels that reached the line
+ * @returns {boolean} False if the buffer couldn't be read or no pixel reached the line
+ */
+export function fitWatchRange() {
+    const watch = state.shaderDebug;
+    if (!watch || watch.channelNumber === null) return false;
+
+    const pixels = webgl.readBufferPixels(watch.channelNumber);
+    if (!pixels) return false;
+
+    const { data } = pixels;
+    const count = data.length / 4;
+    const stride = Math.max(1, Math.floor(count / RANGE_SAMPLES));
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < count; i += stride) {
+        const offset = i * 4;
+        if (watch.components < 4 && data[offset + 3] === 0) continue;
+        for (let c = 0; c < watch.components; c++) {
+            const v = data[offset + c];
+            if (!Number.isFinite(v)) continue;
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+    }
+
+    if (min > max) {
+        logStatus('⚠ No pixel reached the watched line', 'error');
+        return false;
+    }
+    setWatchView({ rangeMin: min, rangeMax: max > min ? max : min + 1 });
+    return true;
+}
@@ -0,0 +1,141 @@
+// ============================================================================
+// Shader Libraries - User libraries included by name or name@version
+// ============================================================================
+// Before each compile the include names in the shader are looked up in
+// Supabase (through backend.js), cached and registered with the include
+// resolver. A bare #include "name" resolves to the version pinned in
+// state.libraryPins, or to the latest version the first time it is seen;
+// that version is what gets pinned when the shader is saved.
+
+import { state } from './core.js';
+import * as backend from './backend.js';
+import { findIncludeNames, isBuiltinInclude, registerIncludeSource } from './glsl-include.js';
+
+const LIBRARY_REF = /^([a-z0-9][a-z0-9_-]*(?:\/[a-z0-9_-]+)*)(?:@(\d+))?$/;
+
+// Published versions never change, so a fetched version is cached for the session
+const versionCache = new Map();  // 'name@version' -> library row
+const latestVersions = new Map(); // name -> latest version seen this session
+
+// Versions the last prepareLibraries() call resolved bare names to
+let resolvedVersions = new Map();
+
+/**
+ * Split an include name into library name and optional version
+ * @param {string} ref - e.g. "noise" or "alice/noise@3"
+ * @returns {{name: string, version: number|null}|null} Null if it isn't a valid library name
+ */
+export function parseLibraryRef(ref) {
+    const match = (ref || '').match(LIBRARY_REF);
+    if (!match) return null;
+    return { name: match[1], version: match[2] ? parseInt(match[2], 10) : null };
+}
+
+async function fetchLibrary(name, version) {
+    if (version !== null && versionCache.has(`${name}@${version}`)) {
+        return { success: true, library: versionCache.get(`${name}@${version}`) };
+    }
+    if (version === null && latestVersions.has(name)) {
+        return fetchLibrary(name, latestVersions.get(name));
+    }
+
+    const result = await backend.loadLibrary(name, version);
+    if (!result.success) return result;
+
+    const library = result.library;
+    versionCache.set(`${library.name}@${library.version}`, library);
+    if (version === null) {
+        latestVersions.set(name, library.version);
+    }
+    return result;
+}
+
+/**
+ * Fetch and register every user library the given sources include (recursively)
+ * @param {string[]} sources - Shader sources that will go through resolveIncludes()
+ * @param {string} language - 'glsl' or 'wgsl'; libraries in the other language are rejected
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function prepareLibraries(sources, language) {
+    const pending = sources.flatMap(findIncludeNames);
+    const seen = new Set();
+    const versions = new Map();
+
+    while (pending.length > 0) {
+        const ref = pending.shift();
+        if (seen.has(ref)) continue;
+        seen.add(ref);
+        if (isBuiltinInclude(ref)) {
+            if (language === 'glsl') continue;
+            return { success: false, error: `"${ref}" is a built-in GLSL library` };
+        }
+
+        const parsed = parseLibraryRef(ref);
+        if (!parsed) {
+            return { success: false, error: `"${ref}" is not a valid library name` };
+        }
+
+        const version = parsed.version ?? state.libraryPins[parsed.name] ?? null;
+        const result = await fetchLibrary(parsed.name, version);
+        if (!result.success) {
+            return { success: false, error: result.error };
+        }
+
+        const library = result.library;
+        if (library.language !== language) {
+            return { success: false, error: `"${ref}" is a ${library.language.toUpperCase()} library` };
+        }
+
+        const key = `${library.name}@${library.version}`;
+        registerIncludeSource(ref, library.code, key);
+        if (parsed.version === null) {
+            versions.set(parsed.name, library.version);
+        }
+        pending.push(...findIncludeNames(library.code));
+    }
+
+    resolvedVersions = versions;
+    return { success: true };
+}
+
+/**
+ * Versions to pin when saving: every bare library name the last compile used
+ * @returns {Object|null} { name: version }, or null if no user libraries are used
+ */
+export function getLibraryPins() {
+    if (resolvedVersions.size === 0) return null;
+    return Object.fromEntries(resolvedVersions);
+}
+
+/**
+ * Replace the pins (when a shader is loaded or a new one is started)
+ * @param {Object|null} pins - { name: version }
+ */
+export function setLibraryPins(pins) {
+    state.libraryPins = { ...(pins || {}) };
+    resolvedVersions = new Map();
+}
+
+/**
+ * Publish the given code as a new library version
+ * A shader pinned to an older version of it moves to the new one
+ * @param {Object} libraryData - { name, language, code, description, visibility }
+ * @returns {Promise<Object>} { success, library, error }
+ */
+export async function publishLibrary(libraryData) {
+    const parsed = parseLibraryRef(libraryData.name);
+    if (!parsed || parsed.version !== null || libraryData.name.startsWith('sl/')) {
+        return { success: false, error: 'Library names use a-z, 0-9, _ and -, separated by / (sl/ is reserved)' };
+    }
+
+    const result = await backend.publishLibrary(libraryData);
+    if (result.success) {
+        const library = result.library;
+        versionCache.set(`${library.name}@${library.version}`, library);
+        latestVersions.set(library.name, library.version);
+        if (library.name in state.libraryPins) {
+            state.libraryPins[library.name] = library.version;
+        }
+    }
+    return result;
+}
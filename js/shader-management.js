@@ -16,6 +16,10 @@ import * as uniformControls from './uniform-controls.js';
 import * as channels from './channels.js';
 import { getTabConfig, getEditorForTab, isBufferChannel } from './tab-config.js';
 import * as webgl from './backends/webgl.js';
+import { getLibraryPins, setLibraryPins } from './shader-libraries.js';
+import { clearWatch } from './shader-debug.js';
+import { loadLoopRange } from './transport.js';
+import { loadInputStream } from './input-replay.js';
 
 // Window object will be set at end of file after all functions are defined
 
@@ -281,6 +285,11 @@ function resetEditorState() {
         state.audioEditor.setValue('');
     }
     webgl.disposePassPrograms();
+    setLibraryPins(null);
+    clearWatch();
+    loadLoopRange(null);
+    loadInputStream(null);
+    state.wgslBoilerplateMode = 'raw';
 }
 
 export { resetEditorState };
@@ -552,9 +561,23 @@ export async function saveOwnedShader() {
     
     // Collect render settings (colorspace, etc) - stored in code object like _channel_meta
     shaderData.code['_settings'] = JSON.stringify({
-        linearColorspace: state.linearColorspace || false
+        linearColorspace: state.linearColorspace || false,
+        loopRange: state.loopRange,
+        wgslMode: state.wgslBoilerplateMode
     });
     
+    // Pin the library versions bare #includes resolved to, so later publishes don't change this shader
+    const libraryPins = getLibraryPins();
+    if (libraryPins) {
+        shaderData.code['_libraries'] = JSON.stringify(libraryPins);
+        state.libraryPins = libraryPins;
+    }
+    
+    // Recorded mouse/keyboard/slider input for replay
+    if (state.inputStream) {
+        shaderData.code['_input'] = JSON.stringify(state.inputStream);
+    }
+    
     // Capture and upload thumbnail
     try {
         const blob = await backend.captureThumbnailBlob();
@@ -664,9 +687,23 @@ export async function saveShaderInline() {
     
     // Collect render settings (colorspace, etc) - stored in code object like _channel_meta
     shaderData.code['_settings'] = JSON.stringify({
-        linearColorspace: state.linearColorspace || false
+        linearColorspace: state.linearColorspace || false,
+        loopRange: state.loopRange,
+        wgslMode: state.wgslBoilerplateMode
     });
     
+    // Pin the library versions bare #includes resolved to, so later publishes don't change this shader
+    const libraryPins = getLibraryPins();
+    if (libraryPins) {
+        shaderData.code['_libraries'] = JSON.stringify(libraryPins);
+        state.libraryPins = libraryPins;
+    }
+    
+    // Recorded mouse/keyboard/slider input for replay
+    if (state.inputStream) {
+        shaderData.code['_input'] = JSON.stringify(state.inputStream);
+    }
+    
     // Capture and upload thumbnail
     try {
         logStatus('📸 Capturing thumbnail...');
@@ -3,6 +3,7 @@
 // ============================================================================
 
 import * as mediaLoader from './media-loader.js';
+import { detectGlslMode, getGlslModeLabel } from './glsl-mode-detect.js';
 
 // ============================================================================
 // Constants
@@ -16,6 +17,9 @@ const BUFFER_OUTPUT_MAP = {
     260: 'D'  // Buffer D
 };
 
+// Preview image Shadertoy reports for inputs that read the Cube A pass
+const CUBEMAP_BUFFER_PREVIZ = '/media/previz/cubemap';
+
 // ============================================================================
 // Validation
 // ============================================================================
@@ -33,20 +37,17 @@ export function validateShader(shader) {
     }
     
     const passes = shader.renderpass || [];
+    const cubemapPass = getCubemapPass(passes);
     
     // Check for unsupported features
     for (const pass of passes) {
-        const type = pass.type?.toLowerCase() || '';
-        
-        // CubeA buffer - not supported
-        if (type === 'cubemap') {
-            errors.push('CubeA buffer not supported');
-        }
-        
         // Check inputs for unsupported types
         for (const input of (pass.inputs || [])) {
             const inputType = input.type?.toLowerCase() || '';
             
+            // Cube A reads are wired to the cubemap buffer pass, not a catalog asset
+            if (isCubemapBufferInput(input, cubemapPass)) continue;
+            
             // Music stream (SoundCloud) - deprecated, use fallback audio
             if (inputType === 'musicstream') {
                 warnings.push('MusicStream (SoundCloud) deprecated - will use fallback audio');
@@ -71,30 +72,38 @@ export function validateShader(shader) {
         warnings.push(`High channel count: ${channelCount} channels (UI may be crowded)`);
     }
     
+    // Image passes are imported as S-Toy; flag code written for another mode
+    const imagePass = passes.find(p => p.type?.toLowerCase() === 'image');
+    const imageMode = imagePass?.code ? detectGlslMode(imagePass.code) : null;
+    if (imageMode?.confident && imageMode.tabName !== 'glsl_stoy') {
+        warnings.push(`Image pass looks like ${getGlslModeLabel(imageMode.tabName)} code (${imageMode.reason}) - it may not compile as S-Toy`);
+    }
+    
     // Add info about multi-buffer
     const bufferPasses = passes.filter(p => p.type?.toLowerCase() === 'buffer');
     if (bufferPasses.length > 0) {
         warnings.push(`Multi-buffer shader: ${bufferPasses.length} buffer pass(es)`);
     }
+    if (cubemapPass) {
+        warnings.push('Cube A pass will be imported as a cubemap buffer (GLSL only)');
+    }
     
-    // Check sound pass for inputs (not currently supported)
+    // Check sound pass inputs - the audio worker gets its own copies of static textures
+    // and a snapshot of 2D buffers, so anything that changes per frame can't be read
     const soundPass = passes.find(p => p.type?.toLowerCase() === 'sound');
     if (soundPass) {
         const soundInputs = soundPass.inputs || [];
-        if (soundInputs.length > 0) {
-            // Check what types of inputs
-            const hasBufferInput = soundInputs.some(i => i.type?.toLowerCase() === 'buffer');
-            const hasTextureInput = soundInputs.some(i => ['texture', 'video', 'cubemap'].includes(i.type?.toLowerCase()));
-            
-            if (hasBufferInput) {
-                errors.push('Sound pass with buffer inputs not supported (audio runs in separate thread)');
-            } else if (hasTextureInput) {
-                // Static textures could technically work but not implemented yet
-                errors.push('Sound pass with texture inputs not yet supported');
+        for (const input of soundInputs) {
+            const inputType = input.type?.toLowerCase() || '';
+            if (isCubemapBufferInput(input, cubemapPass)) {
+                errors.push('Sound pass reading the Cube A buffer not supported');
+            } else if (inputType === 'buffer') {
+                warnings.push('Sound pass buffer inputs are a one-off snapshot taken after audio compiles');
+            } else if (inputType !== 'texture') {
+                errors.push(`Sound pass with ${inputType} inputs not supported (audio runs in separate thread)`);
             }
-        } else {
-            warnings.push('Sound pass will be imported as GLSL audio');
         }
+        warnings.push('Sound pass will be imported as GLSL audio');
     }
     
     // Deduplicate errors
@@ -113,6 +122,25 @@ export function validateShader(shader) {
     return { canImport: true, reason: null, warnings: uniqueWarnings };
 }
 
+/**
+ * Find the Cube A render pass, if the shader has one
+ */
+function getCubemapPass(passes) {
+    return passes.find(p => p.type?.toLowerCase() === 'cubemap') || null;
+}
+
+/**
+ * Check if an input reads the Cube A pass (rather than a static cubemap asset)
+ * Matched by the pass output ID, falling back to Shadertoy's previz path
+ */
+function isCubemapBufferInput(input, cubemapPass) {
+    if (!cubemapPass || input.type?.toLowerCase() !== 'cubemap') return false;
+    const outputId = cubemapPass.outputs?.[0]?.id;
+    if (outputId !== undefined && String(input.id) === String(outputId)) return true;
+    const filepath = input.filepath || input.src || '';
+    return filepath.startsWith(CUBEMAP_BUFFER_PREVIZ);
+}
+
 /**
  * Find the Sleditor asset mapping for a Shadertoy input
  */
@@ -160,9 +188,12 @@ function findAssetMapping(input) {
  */
 function countRequiredChannels(shader) {
     const channelSignatures = new Set();
+    const cubemapPass = getCubemapPass(shader.renderpass || []);
     
     for (const pass of (shader.renderpass || [])) {
         for (const input of (pass.inputs || [])) {
+            if (isCubemapBufferInput(input, cubemapPass)) continue;
+            
             // Create a signature for deduplication
             const sig = createChannelSignature(input);
             if (sig) {
@@ -174,7 +205,7 @@ function countRequiredChannels(shader) {
     // Add buffer passes as they need channels too
     const bufferPasses = (shader.renderpass || []).filter(p => p.type?.toLowerCase() === 'buffer');
     
-    return channelSignatures.size + bufferPasses.length;
+    return channelSignatures.size + bufferPasses.length + (cubemapPass ? 1 : 0);
 }
 
 /**
@@ -218,6 +249,9 @@ export function convertShader(stShader) {
     // Find Buffer passes
     const bufferPasses = passes.filter(p => p.type?.toLowerCase() === 'buffer');
     
+    // Find Cube A pass if present
+    const cubemapPass = getCubemapPass(passes);
+    
     // Find Sound pass if present
     const soundPass = passes.find(p => p.type?.toLowerCase() === 'sound');
     
@@ -253,6 +287,11 @@ export function convertShader(stShader) {
         }
     }
     
+    // Cube A pass code - a cubemap buffer channel, stored like the other buffers
+    if (cubemapPass && channelAssignment.cubemapBuffer !== null) {
+        code[`buffer_ch${channelAssignment.cubemapBuffer}`] = transformPassCode(cubemapPass, channelAssignment);
+    }
+    
     // Sound pass code - convert to audio_glsl (also needs channel transformation)
     if (soundPass && soundPass.code) {
         code.audio_glsl = transformPassCode(soundPass, channelAssignment);
@@ -277,6 +316,10 @@ export function convertShader(stShader) {
             code_types.push(`buffer_ch${bufferChannelNum}`);
         }
     }
+    // Add cubemap buffer tab
+    if (cubemapPass && channelAssignment.cubemapBuffer !== null) {
+        code_types.push(`buffer_ch${channelAssignment.cubemapBuffer}`);
+    }
     // Add audio_glsl if sound pass present
     if (soundPass) {
         code_types.push('audio_glsl');
@@ -340,11 +383,12 @@ function getPassKey(pass) {
 
 /**
  * Build channel assignment map for the entire shader
- * Returns { buffers: { A: 1, B: 2, ... }, inputs: { sig: channelNum, ... }, passChannels: { passKey: { stChannel: sleditorChannel } } }
+ * Returns { buffers: { A: 1, B: 2, ... }, cubemapBuffer: channelNum|null, inputs: { sig: channelNum, ... }, passChannels: { passKey: { stChannel: sleditorChannel } } }
  */
 function buildChannelAssignment(stShader) {
     const passes = stShader.renderpass || [];
     const bufferPasses = passes.filter(p => p.type?.toLowerCase() === 'buffer');
+    const cubemapPass = getCubemapPass(passes);
     
     let nextChannel = 1; // Channel 0 is main buffer (reserved)
     
@@ -367,6 +411,9 @@ function buildChannelAssignment(stShader) {
         }
     }
     
+    // Cube A gets the next channel after the 2D buffers
+    const cubemapBuffer = cubemapPass ? nextChannel++ : null;
+    
     // Track unique inputs across all passes
     const inputs = {}; // signature -> channelNumber
     const passChannels = {}; // passKey -> { stChannel: sleditorChannel }
@@ -385,6 +432,8 @@ function buildChannelAssignment(stShader) {
                 if (bufferIdToChannel[bufferId] !== undefined) {
                     passChannels[passKey][stChannel] = bufferIdToChannel[bufferId];
                 }
+            } else if (isCubemapBufferInput(input, cubemapPass)) {
+                passChannels[passKey][stChannel] = cubemapBuffer;
             } else if (inputType === 'keyboard') {
                 const sig = 'keyboard';
                 if (!inputs[sig]) {
@@ -416,9 +465,9 @@ function buildChannelAssignment(stShader) {
         }
     }
     
-    console.log('[Shadertoy Import] Channel assignment:', { buffers, bufferIdToChannel, passChannels });
+    console.log('[Shadertoy Import] Channel assignment:', { buffers, bufferIdToChannel, cubemapBuffer, passChannels });
     
-    return { buffers, bufferIdToChannel, inputs, passChannels, nextChannel };
+    return { buffers, bufferIdToChannel, cubemapBuffer, inputs, passChannels, nextChannel };
 }
 
 /**
@@ -468,6 +517,7 @@ function buildChannelConfig(stShader, channelAssignment) {
     };
     
     const passes = stShader.renderpass || [];
+    const cubemapPass = getCubemapPass(passes);
     const processedSignatures = new Set();
     
     // Add buffer channels
@@ -481,6 +531,19 @@ function buildChannelConfig(stShader, channelAssignment) {
         });
     }
     
+    // Add Cube A as a cubemap buffer channel
+    if (channelAssignment.cubemapBuffer !== null) {
+        const channelNum = channelAssignment.cubemapBuffer;
+        config.channels.push({
+            number: channelNum,
+            type: 'buffer',
+            cubemap: true,
+            name: `Cube A (ch${channelNum})`,
+            tabName: `buffer_ch${channelNum}`,
+            resolution: null // Will use the default face size
+        });
+    }
+    
     // Add input channels from all passes
     for (const pass of passes) {
         for (const input of (pass.inputs || [])) {
@@ -488,7 +551,7 @@ function buildChannelConfig(stShader, channelAssignment) {
             const sig = createChannelSignature(input);
             
             // Skip buffers (handled above) and already processed inputs
-            if (inputType === 'buffer') continue;
+            if (inputType === 'buffer' || isCubemapBufferInput(input, cubemapPass)) continue;
             if (sig && processedSignatures.has(sig)) continue;
             if (sig) processedSignatures.add(sig);
             
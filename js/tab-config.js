@@ -84,6 +84,16 @@ export const TAB_CONFIG = {
         isCommon: true  // Special flag: code is prepended to all GLSL passes
     },
     
+    common_wgsl: {
+        label: 'Common (WGSL)',
+        icon: '📦',
+        dbKey: 'common_wgsl',
+        editor: 'common',
+        type: 'webgpu',
+        language: 'wgsl',
+        isCommon: true  // Added to every WGSL module (graphics, buffers, audio)
+    },
+    
     // ========================================================================
     // AUDIO TABS
     // ========================================================================
@@ -434,6 +444,12 @@ export function tabsAreMutuallyExclusive(tab1, tab2) {
         return true;
     }
     
+    // The GLSL and WGSL common tabs share one editor
+    const commonTabs = ['common', 'common_wgsl'];
+    if (commonTabs.includes(tab1) && commonTabs.includes(tab2) && tab1 !== tab2) {
+        return true;
+    }
+    
     return false;
 }
 
@@ -3,7 +3,7 @@
 // ============================================================================
 
 import { state, logStatus, saveSettings } from './core.js';
-import { MINIMAL_AUDIO_GPU, MINIMAL_AUDIO_WORKLET, MINIMAL_AUDIO_GLSL, MINIMAL_GLSL, MINIMAL_GLSL_REGULAR, MINIMAL_GLSL_STOY, MINIMAL_GLSL_GOLF, MINIMAL_COMMON } from './examples.js';
+import { MINIMAL_AUDIO_GPU, MINIMAL_AUDIO_WORKLET, MINIMAL_AUDIO_GLSL, MINIMAL_GLSL, MINIMAL_GLSL_REGULAR, MINIMAL_GLSL_STOY, MINIMAL_GLSL_GOLF, MINIMAL_GLSL_CUBEMAP, MINIMAL_GLSL_VERTEX, MINIMAL_GLSL_PARTICLES, MINIMAL_COMMON, MINIMAL_COMMON_WGSL, MINIMAL_WGSL } from './examples.js';
 import { getTabIcon, getTabLabel, tabRequiresWebGPU, tabsAreMutuallyExclusive, isImageChannel, isVideoChannel, isAudioChannel, isBufferChannel, isMicChannel, isWebcamChannel, isKeyboardChannel, isVolumeChannel, isCubemapChannel, isChannel, getChannelNumber, createImageChannelTabName, createVideoChannelTabName, createAudioChannelTabName, createBufferChannelTabName, createMicChannelTabName, createWebcamChannelTabName, createKeyboardChannelTabName, createVolumeChannelTabName, createCubemapChannelTabName } from './tab-config.js';
 import * as mediaSelector from './ui/media-selector.js';
 import * as audioSelector from './ui/audio-selector.js';
@@ -16,6 +16,13 @@ import * as cubemapSelector from './ui/cubemap-selector.js';
 import * as channels from './channels.js';
 import * as compiler from './compiler.js';
 import * as waveformPanel from './ui/audio-waveform-panel.js';
+import * as bufferOptions from './ui/buffer-options.js';
+import * as vertexOptions from './ui/vertex-options.js';
+import { updateLibraryBar } from './ui/library-bar.js';
+import { updateDebugBar } from './ui/debug-bar.js';
+import { updateWGSLModeBar } from './ui/wgsl-mode-bar.js';
+import { updateAudioExportBar } from './ui/audio-export-bar.js';
+import { hideGlslModeHint } from './ui/glsl-mode-hint.js';
 
 // ============================================================================
 // Tab Rendering
@@ -81,11 +88,24 @@ function getMinimalCodeForGlslTab(tabName) {
     }
 }
 
-function getDefaultBufferCode() {
+function getDefaultBufferCode(tabName) {
+    const channel = channels.getChannel(getChannelNumber(tabName));
+    if (channel?.isCubemap) {
+        return MINIMAL_GLSL_CUBEMAP;
+    }
+    if (channel?.particles) {
+        return MINIMAL_GLSL_PARTICLES;
+    }
+    if (channel?.vertex) {
+        return MINIMAL_GLSL_VERTEX;
+    }
     const baseTab = getActiveGlslTab();
     if (baseTab) {
         return getMinimalCodeForGlslTab(baseTab);
     }
+    if (state.activeTabs.includes('graphics')) {
+        return MINIMAL_WGSL;
+    }
     // Fallback if no GLSL tab is active
     return MINIMAL_GLSL_STOY;
 }
@@ -94,7 +114,7 @@ function loadGraphicsTabCode(tabName) {
     if (!state.graphicsEditor || !usesGraphicsEditor(tabName)) return;
     if (state.tabCodeCache[tabName] === undefined) {
         if (isBufferChannel(tabName)) {
-            state.tabCodeCache[tabName] = getDefaultBufferCode();
+            state.tabCodeCache[tabName] = getDefaultBufferCode(tabName);
         } else {
             // For built-in tabs, default to current editor content if cache missing
             state.tabCodeCache[tabName] = state.graphicsEditor.getValue();
@@ -117,6 +137,14 @@ export function renderTabs() {
     // Clear all tab buttons (action buttons are now in top bar)
     tabsContainer.innerHTML = '';
     
+    // Pass options (buffer format/size, frame history) follow the current tab
+    bufferOptions.updateBufferOptionsBar(state.currentTab);
+    updateLibraryBar(state.currentTab);
+    updateDebugBar(state.currentTab);
+    vertexOptions.updateVertexOptionsBar(state.currentTab);
+    updateWGSLModeBar(state.currentTab);
+    updateAudioExportBar(state.currentTab);
+    
     // Add tab buttons
     state.activeTabs.forEach(tabName => {
         const button = document.createElement('button');
@@ -128,6 +156,13 @@ export function renderTabs() {
             const code = state.graphicsEditor?.getValue() || '';
             const charCount = countCodeChars(code);
             button.innerHTML = `${getTabIcon(tabName)} ${getTabLabel(tabName)} <strong>[${charCount}c]</strong>`;
+        } else if (isBufferChannel(tabName) && channels.getChannel(getChannelNumber(tabName))?.isCubemap) {
+            // Cubemap buffers share buffer_chN tabs; label them from the channel
+            button.textContent = `🌐 CubeBuffer(ch${getChannelNumber(tabName)})`;
+        } else if (isBufferChannel(tabName) && channels.getChannel(getChannelNumber(tabName))?.particles) {
+            button.textContent = `✨ Particles(ch${getChannelNumber(tabName)})`;
+        } else if (isBufferChannel(tabName) && channels.getChannel(getChannelNumber(tabName))?.vertex) {
+            button.textContent = `🔺 Vertex(ch${getChannelNumber(tabName)})`;
         } else {
             button.textContent = `${getTabIcon(tabName)} ${getTabLabel(tabName)}`;
         }
@@ -190,6 +225,7 @@ export function switchTab(tabName) {
     saveCurrentGraphicsTabCode();
     
     state.currentTab = tabName;
+    hideGlslModeHint();
     
     // Handle channel tabs separately
     if (isImageChannel(tabName) || isVideoChannel(tabName) || isAudioChannel(tabName) || 
@@ -284,7 +320,8 @@ export function switchTab(tabName) {
         audio_worklet: document.getElementById('audioContainer'),  // All audio tabs use same container
         audio_glsl: document.getElementById('audioContainer'),     // GLSL audio also uses audio container
         js: document.getElementById('jsEditorContainer'),
-        common: document.getElementById('commonContainer')          // Common GLSL code
+        common: document.getElementById('commonContainer'),         // Common GLSL code
+        common_wgsl: document.getElementById('commonContainer')     // Common WGSL code shares the container
     };
     
     if (isBufferChannel(tabName)) {
@@ -301,7 +338,8 @@ export function switchTab(tabName) {
         audio_worklet: state.audioEditor,  // All audio tabs use same editor
         audio_glsl: state.audioEditor,     // GLSL audio also uses audio editor
         js: state.jsEditor,
-        common: state.commonEditor          // Common GLSL code
+        common: state.commonEditor,         // Common GLSL code
+        common_wgsl: state.commonEditor     // Common WGSL code shares the editor
     };
     
     if (isBufferChannel(tabName)) {
@@ -328,7 +366,8 @@ export function switchTab(tabName) {
     }
     
     // Update editor language mode based on tab
-    if (tabName === 'graphics' && state.graphicsEditor) {
+    if ((tabName === 'graphics' || (isBufferChannel(tabName) && !getActiveGlslTab() && state.activeTabs.includes('graphics'))) && state.graphicsEditor) {
+        // WGSL buffer passes share the graphics language
         monaco.editor.setModelLanguage(state.graphicsEditor.getModel(), 'wgsl');
     } else if (tabName === 'glsl_fragment' && state.graphicsEditor) {
         // Use custom GLSL language definition (registered in editor.js)
@@ -341,6 +380,8 @@ export function switchTab(tabName) {
         monaco.editor.setModelLanguage(state.audioEditor.getModel(), 'javascript');
     } else if (tabName === 'audio_glsl' && state.audioEditor) {
         monaco.editor.setModelLanguage(state.audioEditor.getModel(), 'glsl');
+    } else if ((tabName === 'common' || tabName === 'common_wgsl') && state.commonEditor) {
+        monaco.editor.setModelLanguage(state.commonEditor.getModel(), tabName === 'common' ? 'glsl' : 'wgsl');
     }
     
     if (usesGraphicsEditor(tabName)) {
@@ -410,6 +451,8 @@ export function addTab(tabName) {
     // Initialize common tab with starter code
     if (tabName === 'common' && state.commonEditor) {
         state.commonEditor.setValue(MINIMAL_COMMON);
+    } else if (tabName === 'common_wgsl' && state.commonEditor) {
+        state.commonEditor.setValue(MINIMAL_COMMON_WGSL);
     }
     
     switchTab(tabName);
@@ -516,8 +559,9 @@ export async function addVideoChannel() {
 
 export async function addBufferChannelTab() {
     const baseGlslTab = getActiveGlslTab();
-    if (!baseGlslTab) {
-        logStatus('Add a GLSL tab before creating buffer passes', 'error');
+    const hasWGSL = state.activeTabs.includes('graphics');
+    if (!baseGlslTab && !hasWGSL) {
+        logStatus('Add a GLSL or WGSL graphics tab before creating buffer passes', 'error');
         return;
     }
     
@@ -536,7 +580,7 @@ export async function addBufferChannelTab() {
         channel.tabName = tabName;
     }
     
-    state.tabCodeCache[tabName] = getMinimalCodeForGlslTab(baseGlslTab);
+    state.tabCodeCache[tabName] = baseGlslTab ? getMinimalCodeForGlslTab(baseGlslTab) : MINIMAL_WGSL;
     
     state.activeTabs.push(tabName);
     renderTabs();
@@ -545,6 +589,99 @@ export async function addBufferChannelTab() {
     console.log(`✓ Buffer channel tab added: ${tabName} (ch${channelNumber})`);
 }
 
+export async function addCubemapBufferChannelTab() {
+    if (!getActiveGlslTab()) {
+        logStatus('Add a GLSL graphics tab before creating cubemap buffer passes', 'error');
+        return;
+    }
+    
+    const channelNumber = await channels.createChannel('buffer', {
+        tabName: null,
+        cubemap: true
+    });
+    
+    if (channelNumber === -1) {
+        console.error('Failed to create cubemap buffer channel');
+        return;
+    }
+    
+    const tabName = createBufferChannelTabName(channelNumber);
+    const channel = channels.getChannel(channelNumber);
+    if (channel) {
+        channel.tabName = tabName;
+    }
+    
+    state.tabCodeCache[tabName] = MINIMAL_GLSL_CUBEMAP;
+    
+    state.activeTabs.push(tabName);
+    renderTabs();
+    switchTab(tabName);
+    
+    console.log(`✓ Cubemap buffer channel tab added: ${tabName} (ch${channelNumber})`);
+}
+
+export async function addVertexBufferChannelTab() {
+    if (!getActiveGlslTab()) {
+        logStatus('Add a GLSL graphics tab before creating vertex passes', 'error');
+        return;
+    }
+    
+    const channelNumber = await channels.createChannel('buffer', {
+        tabName: null,
+        vertex: {}
+    });
+    
+    if (channelNumber === -1) {
+        console.error('Failed to create vertex buffer channel');
+        return;
+    }
+    
+    const tabName = createBufferChannelTabName(channelNumber);
+    const channel = channels.getChannel(channelNumber);
+    if (channel) {
+        channel.tabName = tabName;
+    }
+    
+    state.tabCodeCache[tabName] = MINIMAL_GLSL_VERTEX;
+    
+    state.activeTabs.push(tabName);
+    renderTabs();
+    switchTab(tabName);
+    
+    console.log(`✓ Vertex pass tab added: ${tabName} (ch${channelNumber})`);
+}
+
+export async function addParticleBufferChannelTab() {
+    if (!getActiveGlslTab()) {
+        logStatus('Add a GLSL graphics tab before creating particle passes', 'error');
+        return;
+    }
+    
+    const channelNumber = await channels.createChannel('buffer', {
+        tabName: null,
+        particles: {}
+    });
+    
+    if (channelNumber === -1) {
+        console.error('Failed to create particle buffer channel');
+        return;
+    }
+    
+    const tabName = createBufferChannelTabName(channelNumber);
+    const channel = channels.getChannel(channelNumber);
+    if (channel) {
+        channel.tabName = tabName;
+    }
+    
+    state.tabCodeCache[tabName] = MINIMAL_GLSL_PARTICLES;
+    
+    state.activeTabs.push(tabName);
+    renderTabs();
+    switchTab(tabName);
+    
+    console.log(`✓ Particle pass tab added: ${tabName} (ch${channelNumber})`);
+}
+
 export async function addMicChannel() {
     // Create channel
     const channelNumber = await channels.createChannel('mic', {
@@ -764,6 +901,34 @@ export function removeTab(tabName) {
     renderTabs();
 }
 
+/**
+ * Change the main GLSL tab's mode (S-Toy, Regular, Golf, Raw) keeping the current code
+ * Buffer passes keep their code; they follow the new mode's boilerplate on the next compile
+ * @param {string} newTab - Target tab from GLSL_TAB_ORDER
+ */
+export function switchGlslMode(newTab) {
+    const oldTab = getActiveGlslTab();
+    if (!oldTab || oldTab === newTab || !GLSL_TAB_ORDER.includes(newTab)) {
+        return;
+    }
+    
+    saveCurrentGraphicsTabCode();
+    
+    state.activeTabs[state.activeTabs.indexOf(oldTab)] = newTab;
+    if (state.tabCodeCache[oldTab] !== undefined) {
+        state.tabCodeCache[newTab] = state.tabCodeCache[oldTab];
+        delete state.tabCodeCache[oldTab];
+    }
+    if (state.currentTab === oldTab) {
+        // Same editor and container, so only the tab identity changes
+        state.currentTab = newTab;
+    }
+    
+    renderTabs();
+    compiler.reloadShader();
+    console.log(`✓ GLSL mode switched: ${oldTab} → ${newTab}`);
+}
+
 // ============================================================================
 // Add Pass Menu
 // ============================================================================
@@ -792,6 +957,7 @@ export function showAddPassMenu() {
     // are only available in the "New Shader" menu, not here
     const availableTabs = [
         { name: 'common', label: '📦 Common (GLSL)' }, // Shared code for all GLSL passes
+        { name: 'common_wgsl', label: '📦 Common (WGSL)' }, // Shared code for all WGSL modules
         { name: 'audio_glsl', label: '🔊 Audio (GLSL)' },
         { name: 'audio_gpu', label: '🔊 Audio (WGSL)' },
         { name: 'audio_worklet', label: '🎵 Audio (Worklet)' },
@@ -804,7 +970,10 @@ export function showAddPassMenu() {
         { name: '_keyboard_channel', label: '⌨️ Keyboard Input' }, // Special action
         { name: '_volume_channel', label: '🧊 Volume (3D)' }, // Special action
         { name: '_cubemap_channel', label: '🌐 Cubemap (Skybox)' }, // Special action
-        { name: '_buffer_channel', label: '🎚️ Buffer Pass' }
+        { name: '_buffer_channel', label: '🎚️ Buffer Pass' },
+        { name: '_cubemap_buffer_channel', label: '🌐 Cubemap Buffer Pass' },
+        { name: '_vertex_buffer_channel', label: '🔺 Vertex Pass' },
+        { name: '_particle_buffer_channel', label: '✨ Particle Pass' }
     ];
     
     menu.innerHTML = '';
@@ -823,30 +992,26 @@ export function showAddPassMenu() {
         // Grey out incompatible tabs:
         // - Other audio tab if one is active (mutual exclusion between all audio types)
         // - WGSL audio if GLSL graphics is active (incompatible backends)
-        // - Channels not yet supported for WGSL
-        // - Buffer pass only available with GLSL
-        const isChannelTab = tab.name === '_image_channel' || tab.name === '_audio_channel' || 
-                            tab.name === '_video_channel' || tab.name === '_mic_channel' || 
-                            tab.name === '_webcam_channel' || tab.name === '_keyboard_channel' ||
-                            tab.name === '_volume_channel' || tab.name === '_cubemap_channel';
+        // - Buffer pass needs a GLSL or WGSL graphics tab
         const isAudioTab = tab.name === 'audio_gpu' || tab.name === 'audio_worklet' || tab.name === 'audio_glsl';
         const isCommonTab = tab.name === 'common';
+        const isWgslCommonTab = tab.name === 'common_wgsl';
         const isDisabled = (isAudioTab && hasAnyAudio && !isActive) ||  // Only one audio tab at a time
                           (tab.name === 'audio_gpu' && hasGLSL) ||       // WGSL audio incompatible with GLSL graphics
-                          (isChannelTab && hasWGSL) ||                   // Channels not supported for WGSL yet
-                          (tab.name === '_buffer_channel' && (!getActiveGlslTab() || hasWGSL)) ||
-                          (isCommonTab && (hasWGSL || !hasGLSL));        // Common only for GLSL shaders
+                          (tab.name === '_buffer_channel' && !getActiveGlslTab() && !hasWGSL) ||
+                          (tab.name === '_cubemap_buffer_channel' && !getActiveGlslTab()) ||
+                          ((tab.name === '_vertex_buffer_channel' || tab.name === '_particle_buffer_channel') && !getActiveGlslTab()) ||
+                          (isCommonTab && (hasWGSL || !hasGLSL)) ||      // Common only for GLSL shaders
+                          (isWgslCommonTab && !hasWGSL && !hasAudioGpu);  // ...and its WGSL twin for WGSL ones
         
         const option = document.createElement('div');
         
-        // Add hint text for disabled channel options when WGSL is active
+        // Add hint text for disabled options
         let labelText = tab.label + (isActive ? ' ✓' : '');
-        if (isDisabled && isChannelTab && hasWGSL) {
-            labelText += ' (GLSL only)';
-        } else if (isDisabled && tab.name === '_buffer_channel' && hasWGSL) {
-            labelText += ' (GLSL only)';
-        } else if (isDisabled && isCommonTab) {
+        if (isDisabled && isCommonTab) {
             labelText += ' (GLSL only)';
+        } else if (isDisabled && isWgslCommonTab) {
+            labelText += ' (WGSL only)';
         }
         
         option.textContent = labelText;
@@ -884,6 +1049,12 @@ export function showAddPassMenu() {
                 await addCubemapChannel();
             } else if (tab.name === '_buffer_channel') {
                 await addBufferChannelTab();
+            } else if (tab.name === '_cubemap_buffer_channel') {
+                await addCubemapBufferChannelTab();
+            } else if (tab.name === '_vertex_buffer_channel') {
+                await addVertexBufferChannelTab();
+            } else if (tab.name === '_particle_buffer_channel') {
+                await addParticleBufferChannelTab();
             } else {
                 addTab(tab.name);
             }
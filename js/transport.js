@@ -0,0 +1,282 @@
+// ============================================================================
+// Transport - Playback rate, loop range, seeking and frame stepping
+// ============================================================================
+// Shader time is (now - startTime - pausedTime) * playbackRate, so seeking and
+// rate changes only move startTime. Every jump also brings iFrame, buffer
+// feedback, video/audio channels and GLSL audio to the new time. Buffers can't
+// be rewound: going back in a shader with feedback resets them and re-renders
+// the frames up to the target at a fixed step. Loop wraps are the exception -
+// they only move the clock, so buffers carry over from the end of the loop.
+
+import { state, AUDIO_MODES, logStatus } from './core.js';
+import * as channels from './channels.js';
+import * as webgpu from './backends/webgpu.js';
+import * as audioGlsl from './backends/audio-glsl.js';
+import * as render from './render.js';
+
+export const PLAYBACK_RATES = [0.25, 0.5, 1, 2, 4];
+export const STEP_SECONDS = 1 / 60;
+
+// Upper bound on frames re-rendered for one seek (10 s at the step rate)
+const MAX_RESIMULATED_FRAMES = 600;
+
+let scrubOrigin = null;  // Time before a scrub started, until the scrub is committed
+
+function notifyChanged() {
+    window.dispatchEvent(new CustomEvent('transport-changed'));
+}
+
+// ============================================================================
+// Time
+// ============================================================================
+
+// Clock reading shader time is measured against (frozen while paused)
+function getReferenceTime() {
+    return !state.isPlaying && state.lastPauseTime > 0 ? state.lastPauseTime : performance.now();
+}
+
+/**
+ * Shader time in seconds for a performance.now() timestamp
+ * @param {number} rawTime
+ * @returns {number}
+ */
+export function getElapsedSeconds(rawTime) {
+    return (rawTime - state.startTime - state.pausedTime) * 0.001 * state.playbackRate;
+}
+
+/**
+ * Current shader time in seconds (the paused time while paused)
+ * @returns {number}
+ */
+export function getCurrentTime() {
+    return getElapsedSeconds(getReferenceTime());
+}
+
+function setTimeAnchor(seconds) {
+    state.startTime = getReferenceTime() - state.pausedTime - seconds * 1000 / state.playbackRate;
+}
+
+// ============================================================================
+// Frame State
+// ============================================================================
+
+/**
+ * Clear buffer feedback and history and go back to frame 0
+ */
+export function resetFrameState() {
+    state.visualFrame = 0;
+
+    if (state.glContext) {
+        channels.clearMainBuffer();
+        channels.resizeAllBufferChannels(state.canvasWidth, state.canvasHeight);
+        channels.clearBufferHistory();
+    }
+    if (state.gpuDevice) {
+        webgpu.clearChannelTargets();
+    }
+
+    if (state.userState && state.userInit) {
+        try {
+            state.userState = state.userInit();
+        } catch (e) {
+            console.error('Error re-initializing user state:', e);
+        }
+    }
+}
+
+// Whether rendered frames carry over into the next one (buffer passes, self-feedback, history, #storage)
+function hasFrameState() {
+    const passes = (state.graphicsBackend === 'webgpu' ? state.webgpuPasses : state.webglPasses) || [];
+    return passes.length > 1 || passes.some(pass =>
+        pass.requiredChannels?.includes(pass.channelNumber) || pass.historyChannels?.length > 0 || pass.storage?.length > 0
+    );
+}
+
+/**
+ * Bring iFrame and buffers from one time to another
+ * @returns {boolean} True if frames were rendered (the target frame is on screen)
+ */
+function rebuildFrameState(fromTime, toTime, resimulate) {
+    if (!hasFrameState()) {
+        state.visualFrame = Math.round(toTime / STEP_SECONDS);
+        return false;
+    }
+    if (!resimulate) return false;
+
+    let frames = Math.round((toTime - fromTime) / STEP_SECONDS);
+    if (toTime < fromTime) {
+        resetFrameState();
+        frames = Math.round(toTime / STEP_SECONDS);
+    }
+    if (frames <= 0) return false;
+
+    const rendered = Math.min(frames, MAX_RESIMULATED_FRAMES);
+    if (rendered < frames) {
+        logStatus(`⚠ Seek re-rendered only the last ${rendered} of ${frames} frames - buffers may differ from playback`);
+        state.visualFrame += frames - rendered;
+    }
+
+    const firstTime = toTime - rendered * STEP_SECONDS;
+    state.timeDelta = STEP_SECONDS;
+    for (let i = 1; i <= rendered; i++) {
+        state.visualFrame++;
+        render.renderFrameAt(firstTime + i * STEP_SECONDS, { capture: false });
+    }
+    return true;
+}
+
+// ============================================================================
+// Media
+// ============================================================================
+
+/**
+ * Start GLSL audio at a shader time, unless the rate is off 1× (it can't follow other rates)
+ * @param {number|null} fromTime
+ */
+export function resumeGlslAudio(fromTime = null) {
+    if (state.playbackRate !== 1) return;
+    audioGlsl.start(fromTime);
+}
+
+function syncGlslAudio(seconds) {
+    if (state.audioMode !== AUDIO_MODES.GLSL) return;
+    audioGlsl.stop();
+    if (state.isPlaying) {
+        resumeGlslAudio(seconds);
+    }
+}
+
+function syncMedia(seconds) {
+    if (seconds === 0) {
+        channels.restartVideoChannels(state.isPlaying).catch(err => console.warn('Video restart failed:', err));
+        channels.restartAudioChannels(state.isPlaying).catch(err => console.warn('Audio restart failed:', err));
+    } else {
+        channels.seekVideoChannels(seconds);
+        channels.seekAudioChannels(seconds);
+    }
+    syncGlslAudio(seconds);
+}
+
+// ============================================================================
+// Transport Controls
+// ============================================================================
+
+/**
+ * Jump to a shader time
+ * @param {number} seconds
+ * @param {Object} [options]
+ * @param {boolean} [options.scrubbing=false] - Defer re-rendering buffers until a
+ *   later seek without this flag (the timeline slider sets it while dragging)
+ */
+export function seekTo(seconds, { scrubbing = false } = {}) {
+    const target = Math.max(0, seconds);
+    const current = getCurrentTime();
+
+    let fromTime = current;
+    if (scrubbing) {
+        scrubOrigin ??= current;
+    } else if (scrubOrigin !== null) {
+        fromTime = scrubOrigin;
+        scrubOrigin = null;
+    }
+
+    setTimeAnchor(target);
+    const rendered = rebuildFrameState(fromTime, target, !scrubbing);
+    syncMedia(target);
+
+    if (!rendered && !state.isPlaying && state.isRunning) {
+        render.renderOnce();
+    }
+    notifyChanged();
+}
+
+/**
+ * Render one frame forward or back from the paused time
+ * @param {number} direction - 1 or -1
+ */
+export function stepFrame(direction) {
+    if (!state.isRunning || state.isPlaying) return;
+
+    const target = Math.max(0, getCurrentTime() + direction * STEP_SECONDS);
+    if (direction < 0 && hasFrameState()) {
+        seekTo(target);
+        return;
+    }
+
+    setTimeAnchor(target);
+    state.visualFrame = Math.max(0, state.visualFrame + direction);
+    state.timeDelta = STEP_SECONDS;
+    syncMedia(target);
+    render.renderFrameAt(target);
+    notifyChanged();
+}
+
+/**
+ * Change how fast shader time runs, keeping the current time
+ * @param {number} rate - One of PLAYBACK_RATES
+ */
+export function setPlaybackRate(rate) {
+    if (!(rate > 0) || rate === state.playbackRate) return;
+
+    const current = getCurrentTime();
+    state.playbackRate = rate;
+    setTimeAnchor(current);
+    channels.setMediaPlaybackRate(rate);
+    syncGlslAudio(current);
+
+    if (rate !== 1 && state.audioMode === AUDIO_MODES.GLSL) {
+        logStatus('GLSL audio is muted while the playback rate is not 1×');
+    }
+    notifyChanged();
+}
+
+// ============================================================================
+// Loop Range
+// ============================================================================
+
+/**
+ * Update the loop range (saved with the shader)
+ * @param {Object} changes - Any of { start, end, enabled }
+ */
+export function setLoopRange(changes) {
+    const loop = { start: 0, end: 0, enabled: false, ...state.loopRange, ...changes };
+    loop.start = Math.max(0, loop.start);
+    loop.end = Math.max(0, loop.end);
+    state.loopRange = loop;
+    notifyChanged();
+}
+
+/**
+ * Replace the loop range wholesale, e.g. when loading a shader
+ * @param {Object|null} loop - { start, end, enabled } or null for none
+ */
+export function loadLoopRange(loop) {
+    state.loopRange = loop && Number.isFinite(loop.start) && Number.isFinite(loop.end)
+        ? { start: loop.start, end: loop.end, enabled: !!loop.enabled }
+        : null;
+    notifyChanged();
+}
+
+/**
+ * Wrap back to the loop start once time reaches the loop end
+ * Called by the render loop before each frame; not while recording,
+ * which runs on its own fixed-step clock
+ * @param {number} rawTime - performance.now() timestamp of the frame
+ */
+export function applyLoop(rawTime) {
+    const loop = state.loopRange;
+    if (!loop?.enabled || state.isRecording || !(loop.end > loop.start)) return;
+    if (getElapsedSeconds(rawTime) >= loop.end) {
+        wrapToLoopStart(loop.start);
+    }
+}
+
+// Unlike seekTo(), a wrap never re-renders frames (it runs inside the render loop
+// on every cycle). Buffers, feedback and #storage keep their end-of-loop contents
+// and iFrame keeps counting when the shader has frame state.
+function wrapToLoopStart(start) {
+    setTimeAnchor(start);
+    rebuildFrameState(getCurrentTime(), start, false);
+    syncMedia(start);
+    notifyChanged();
+}
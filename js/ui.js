@@ -20,7 +20,9 @@ import * as comments from './comments.js';
 import * as channels from './channels.js';
 import * as webgl from './backends/webgl.js';
 import * as recording from './recording.js';
+import { isChannelViewOpen } from './channel-view.js';
 import * as audioGlsl from './backends/audio-glsl.js';
+import * as transport from './transport.js';
 
 let compileOverlay;
 let compileOverlayText;
@@ -255,14 +257,10 @@ export async function restart(userInitiated = false) {
     // Reset time counters
     state.startTime = performance.now();
     state.pausedTime = 0;
-    state.visualFrame = 0;
     state.audioFrame = 0;
     
-    // Clear main buffer feedback textures if WebGL is active
-    if (state.glContext) {
-        channels.clearMainBuffer();
-        channels.resizeAllBufferChannels(state.canvasWidth, state.canvasHeight);
-    }
+    // Clear buffer feedback, frame counter and user state
+    transport.resetFrameState();
     
     // If currently paused, set lastPauseTime to NOW so unpause timing works correctly
     if (!state.isPlaying) {
@@ -286,16 +284,7 @@ export async function restart(userInitiated = false) {
         audioGlsl.restart();
         // If playing, start it again (restart stops it)
         if (state.isPlaying) {
-            audioGlsl.start();
-        }
-    }
-    
-    // Reset user state
-    if (state.userState && state.userInit) {
-        try {
-            state.userState = state.userInit();
-        } catch (e) {
-            console.error('Error re-initializing user state:', e);
+            transport.resumeGlslAudio();
         }
     }
     
@@ -335,10 +324,10 @@ export function initTimeline() {
         timelineDragging = true;
     });
     
-    // Input event - fires while dragging
+    // Input event - fires while dragging (buffers catch up on release)
     timelineSlider.addEventListener('input', () => {
         if (timelineDragging) {
-            seekToTime(parseFloat(timelineSlider.value));
+            seekToTime(parseFloat(timelineSlider.value), true);
         }
     });
     
@@ -404,24 +393,20 @@ export function updateTimeline(currentTimeSeconds) {
 
 /**
  * Seek to a specific time in seconds
+ * @param {number} targetSeconds
+ * @param {boolean} scrubbing - Slider still being dragged
  */
-function seekToTime(targetSeconds) {
+function seekToTime(targetSeconds, scrubbing = false) {
     // Clamp to valid range
     targetSeconds = Math.max(0, Math.min(targetSeconds, timelineMaxSeconds));
     
-    // Adjust startTime to make elapsed time equal targetSeconds
-    const targetMs = targetSeconds * 1000;
-    state.startTime = performance.now() - state.pausedTime - targetMs;
+    // Moves shader time and brings frames, buffers and media along (renders if paused)
+    transport.seekTo(targetSeconds, { scrubbing });
     
     // Update current time label immediately
     if (timelineCurrent) {
         timelineCurrent.textContent = formatTime(targetSeconds);
     }
-    
-    // If paused, render a frame to show the new position
-    if (!state.isPlaying && state.isRunning) {
-        render.renderOnce();
-    }
 }
 
 /**
@@ -456,6 +441,7 @@ async function startPlayback() {
         state.mediaStartUnlocked = prevUnlocked;
         throw err;
     }
+    channels.setMediaPlaybackRate();
     hideAudioStartOverlay();
     
     state.isPlaying = true;
@@ -467,7 +453,7 @@ async function startPlayback() {
     // Start GLSL audio if active, resuming from current shader time
     if (state.audioMode === AUDIO_MODES.GLSL) {
         const currentTime = state.uniformBuilder?.data?.time || 0;
-        audioGlsl.start(currentTime);
+        transport.resumeGlslAudio(currentTime);
     }
     
     updatePlayPauseButton();
@@ -1061,6 +1047,7 @@ export function initChannelViewer() {
     
     channelViewerSelect.addEventListener('change', handleChannelViewerChange);
     window.addEventListener('channels-changed', refreshChannelViewerOptions);
+    window.addEventListener('channel-view-changed', refreshChannelViewerOptions);
     refreshChannelViewerOptions();
     recording.initUI();
 }
@@ -1068,7 +1055,7 @@ export function initChannelViewer() {
 function refreshChannelViewerOptions() {
     if (!channelViewerSelect) return;
     
-    const channelsList = channels.getAvailableViewerChannels();
+    const channelsList = channels.getAvailableViewerChannels({ all: isChannelViewOpen() });
     const currentSelection = channels.getSelectedOutputChannel();
     
     channelViewerSelect.innerHTML = '';
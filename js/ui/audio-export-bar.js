@@ -0,0 +1,110 @@
+// ============================================================================
+// Audio Export Bar - Render the audio tab to a WAV file
+// ============================================================================
+// Shown above the GLSL, WGSL and AudioWorklet audio editors. The length, rate
+// and bit depth are remembered for the session.
+
+import { state } from '../core.js';
+import * as audioExport from '../audio-export.js';
+
+const AUDIO_TABS = ['audio_glsl', 'audio_gpu', 'audio_worklet'];
+
+const CONTROL_STYLE = `
+    padding: 2px 4px;
+    border-radius: 4px;
+    border: 1px solid var(--border-color);
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    font-size: 11px;
+`;
+
+let bar = null;
+let secondsInput = null;
+let rateSelect = null;
+let depthSelect = null;
+let exportBtn = null;
+
+function createBar() {
+    bar = document.createElement('div');
+    bar.id = 'audioExportBar';
+    bar.style.cssText = `
+        display: none;
+        align-items: center;
+        gap: 6px;
+        padding: 4px 8px;
+        background: var(--bg-secondary);
+        border: 1px solid var(--border-color);
+        border-bottom: none;
+        flex-shrink: 0;
+    `;
+
+    const label = document.createElement('span');
+    label.style.cssText = 'font-size: 11px; color: var(--text-secondary);';
+    label.textContent = 'Export';
+
+    secondsInput = document.createElement('input');
+    secondsInput.type = 'number';
+    secondsInput.min = '0.1';
+    secondsInput.max = String(audioExport.MAX_EXPORT_SECONDS);
+    secondsInput.step = '0.1';
+    secondsInput.value = '30';
+    secondsInput.title = 'Length in seconds, rendered from time 0';
+    secondsInput.style.cssText = CONTROL_STYLE + 'width: 56px;';
+
+    const secondsUnit = document.createElement('span');
+    secondsUnit.style.cssText = 'font-size: 11px; color: var(--text-secondary);';
+    secondsUnit.textContent = 's';
+
+    rateSelect = document.createElement('select');
+    rateSelect.title = 'Sample rate';
+    rateSelect.style.cssText = CONTROL_STYLE;
+    audioExport.EXPORT_SAMPLE_RATES.forEach(rate => {
+        rateSelect.appendChild(new Option(`${rate / 1000} kHz`, String(rate)));
+    });
+    rateSelect.value = '48000';
+
+    depthSelect = document.createElement('select');
+    depthSelect.title = 'Bit depth';
+    depthSelect.style.cssText = CONTROL_STYLE;
+    Object.entries(audioExport.EXPORT_BIT_DEPTHS).forEach(([depth, text]) => {
+        depthSelect.appendChild(new Option(text, depth));
+    });
+    depthSelect.value = '16';
+
+    exportBtn = document.createElement('button');
+    exportBtn.className = 'uiBtn';
+    exportBtn.textContent = 'Export WAV';
+    exportBtn.title = 'Render the audio faster than real time and download it';
+    exportBtn.onclick = () => audioExport.exportAudio({
+        seconds: parseFloat(secondsInput.value),
+        sampleRate: Number(rateSelect.value),
+        bitDepth: Number(depthSelect.value)
+    });
+
+    bar.append(label, secondsInput, secondsUnit, rateSelect, depthSelect, exportBtn);
+
+    const audioContainer = document.getElementById('audioContainer');
+    audioContainer.parentNode.insertBefore(bar, audioContainer);
+
+    window.addEventListener('audio-export-changed', refresh);
+}
+
+function refresh() {
+    const busy = audioExport.isExporting();
+    exportBtn.disabled = busy;
+    exportBtn.textContent = busy ? 'Exporting…' : 'Export WAV';
+}
+
+/**
+ * Show the bar on audio tabs, hide it for everything else
+ * @param {string} tabName - Tab being shown
+ */
+export function updateAudioExportBar(tabName) {
+    if (!AUDIO_TABS.includes(tabName)) {
+        if (bar) bar.style.display = 'none';
+        return;
+    }
+    if (!bar) createBar();
+    bar.style.display = 'flex';
+    refresh();
+}
@@ -0,0 +1,180 @@
+// ============================================================================
+// Buffer Options - Format, resolution and frame history bar shown above pass editors
+// ============================================================================
+
+import * as channels from '../channels.js';
+import { state } from '../core.js';
+import { isBufferChannel, getChannelNumber } from '../tab-config.js';
+import { markDirty } from '../shader-management.js';
+
+let bar = null;
+let formatSelect = null;
+let sizeSelect = null;
+let widthInput = null;
+let heightInput = null;
+let timesLabel = null;
+let historySelect = null;
+let sizeControls = [];
+let sizeInfo = null;
+let channelNumber = null;
+
+const SELECT_STYLE = `
+    padding: 2px 4px;
+    border-radius: 4px;
+    border: 1px solid var(--border-color);
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    font-size: 11px;
+`;
+
+function createLabel(text) {
+    const label = document.createElement('span');
+    label.style.cssText = 'font-size: 11px; color: var(--text-secondary);';
+    label.textContent = text;
+    return label;
+}
+
+function createSizeInput() {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '1';
+    input.max = '4096';
+    input.style.cssText = SELECT_STYLE + 'width: 56px;';
+    input.addEventListener('change', () => applyOptions({
+        fixedSize: { width: widthInput.value, height: heightInput.value }
+    }));
+    return input;
+}
+
+function createBar() {
+    bar = document.createElement('div');
+    bar.id = 'bufferOptionsBar';
+    bar.style.cssText = `
+        display: none;
+        align-items: center;
+        gap: 6px;
+        padding: 4px 8px;
+        background: var(--bg-secondary);
+        border: 1px solid var(--border-color);
+        border-bottom: none;
+        flex-shrink: 0;
+    `;
+
+    formatSelect = document.createElement('select');
+    formatSelect.style.cssText = SELECT_STYLE;
+    Object.entries(channels.BUFFER_FORMATS).forEach(([value, label]) => {
+        formatSelect.appendChild(new Option(label, value));
+    });
+    formatSelect.addEventListener('change', () => applyOptions({ format: formatSelect.value }));
+
+    sizeSelect = document.createElement('select');
+    sizeSelect.style.cssText = SELECT_STYLE;
+    Object.entries(channels.BUFFER_SIZE_MODES).forEach(([value, label]) => {
+        sizeSelect.appendChild(new Option(label, value));
+    });
+    sizeSelect.addEventListener('change', () => applyOptions({ sizeMode: sizeSelect.value }));
+
+    widthInput = createSizeInput();
+    heightInput = createSizeInput();
+    timesLabel = createLabel('×');
+
+    historySelect = document.createElement('select');
+    historySelect.style.cssText = SELECT_STYLE;
+    historySelect.title = 'Keep previous frames for textureHistoryN(uv, age) / iChannelHistoryN (GLSL only)';
+    historySelect.appendChild(new Option('Off', '0'));
+    for (let n = 2; n <= channels.MAX_BUFFER_HISTORY; n++) {
+        historySelect.appendChild(new Option(`${n} frames`, String(n)));
+    }
+    historySelect.addEventListener('change', () => {
+        if (channelNumber === null) return;
+        if (channels.setBufferHistory(channelNumber, Number(historySelect.value))) {
+            markDirty();
+        }
+        refresh();
+    });
+
+    sizeInfo = document.createElement('span');
+    sizeInfo.style.cssText = 'font-size: 11px; color: var(--text-secondary); margin-left: auto;';
+
+    const formatLabel = createLabel('Format');
+    const sizeLabel = createLabel('Size');
+    sizeControls = [formatLabel, formatSelect, sizeLabel, sizeSelect];
+
+    bar.append(
+        formatLabel, formatSelect,
+        sizeLabel, sizeSelect,
+        widthInput, timesLabel, heightInput,
+        createLabel('History'), historySelect,
+        sizeInfo
+    );
+
+    const graphicsContainer = document.getElementById('graphicsContainer');
+    graphicsContainer.parentNode.insertBefore(bar, graphicsContainer);
+}
+
+function applyOptions(options) {
+    if (channelNumber === null) return;
+    if (channels.setBufferOptions(channelNumber, options)) {
+        markDirty();
+    }
+    refresh();
+}
+
+function refresh() {
+    const channel = channels.getChannel(channelNumber);
+    if (!channel) return;
+
+    // The main buffer always follows the canvas; only its history is configurable
+    const isMain = channel.number === 0;
+    sizeControls.forEach(el => {
+        el.style.display = isMain ? 'none' : '';
+    });
+    historySelect.value = String(channel.history || 0);
+
+    const isFixed = !isMain && channel.sizeMode === 'fixed';
+    formatSelect.value = channel.format || 'rgba32f';
+    sizeSelect.value = channel.sizeMode || 'canvas';
+    widthInput.value = channel.fixedSize?.width ?? 256;
+    heightInput.value = channel.fixedSize?.height ?? 256;
+    [widthInput, timesLabel, heightInput].forEach(el => {
+        el.style.display = isFixed ? '' : 'none';
+    });
+
+    // WGSL passes write through a storage texture whose format is fixed by the header
+    const isWgsl = state.activeTabs.includes('graphics');
+    formatSelect.disabled = isWgsl;
+    formatSelect.title = isWgsl ? 'WGSL buffer passes always use RGBA16F' : '';
+
+    const res = channel.resolution;
+    sizeInfo.textContent = res ? `iChannelResolution[${channel.number}] = ${res.width}×${res.height}` : '';
+}
+
+/**
+ * Show the options bar for 2D buffer tabs and the main GLSL tab (ch0), hide it for everything else
+ * @param {string} tabName - Tab being shown
+ */
+export function updateBufferOptionsBar(tabName) {
+    let channel = null;
+    if (isBufferChannel(tabName)) {
+        channel = channels.getChannel(getChannelNumber(tabName));
+    } else if (tabName?.startsWith('glsl_')) {
+        channel = channels.getChannel(0);
+    }
+
+    if (!channel || channel.isCubemap) {
+        channelNumber = null;
+        if (bar) bar.style.display = 'none';
+        return;
+    }
+
+    if (!bar) {
+        createBar();
+        window.addEventListener('channels-changed', () => {
+            if (channelNumber !== null) updateBufferOptionsBar(state.currentTab);
+        });
+    }
+
+    channelNumber = channel.number;
+    bar.style.display = 'flex';
+    refresh();
+}
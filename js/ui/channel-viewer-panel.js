@@ -0,0 +1,429 @@
+// ============================================================================
+// Channel Viewer Panel - Zoom/pan, component, range and histogram controls
+// ============================================================================
+// Opened with the 🔬 button. While open, the wheel zooms and dragging pans the
+// canvas instead of reaching the shader's iMouse; double-click resets the view.
+
+import { state } from '../core.js';
+import * as channels from '../channels.js';
+import * as channelView from '../channel-view.js';
+import * as webgl from '../backends/webgl.js';
+
+const HISTOGRAM_BINS = 64;
+const HISTOGRAM_INTERVAL_MS = 250;
+const COMPONENT_COLORS = { r: '#ff5555', g: '#55dd55', b: '#5588ff', a: '#cccccc' };
+const DRAG_THRESHOLD_PX = 3;
+
+let button = null;
+let panel = null;
+let zoomLabel = null;
+let componentButtons = {};
+let minInput = null;
+let maxInput = null;
+let sliceRow = null;
+let sliceInput = null;
+let sliceLabel = null;
+let histogramCanvas = null;
+let statsLine = null;
+let histogramTimer = null;
+let lastSamples = null;
+let drag = null;  // { pointerId, x, y, moved }
+let suppressClickUntil = 0;
+let isOpen = false;
+
+const INPUT_STYLE = `
+    padding: 1px 4px;
+    border-radius: 4px;
+    border: 1px solid rgba(255, 255, 255, 0.3);
+    background: rgba(0, 0, 0, 0.4);
+    color: #fff;
+    font-size: 11px;
+`;
+
+// ============================================================================
+// UI
+// ============================================================================
+
+function createPanel() {
+    panel = document.createElement('div');
+    panel.id = 'channelViewerPanel';
+    panel.style.cssText = `
+        display: none;
+        position: absolute;
+        top: 8px;
+        right: 8px;
+        z-index: 10;
+        width: 240px;
+        padding: 6px 8px;
+        background: rgba(0, 0, 0, 0.7);
+        border-radius: 4px;
+        font-family: monospace;
+        font-size: 11px;
+        color: #fff;
+        pointer-events: auto;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; margin-bottom: 4px; opacity: 0.8;';
+    const title = document.createElement('span');
+    title.textContent = 'Channel viewer';
+    zoomLabel = document.createElement('span');
+    zoomLabel.style.cssText = 'margin-left: auto; cursor: pointer;';
+    zoomLabel.title = 'Reset zoom and pan';
+    zoomLabel.onclick = () => channelView.resetChannelViewTransform();
+    const closeBtn = document.createElement('span');
+    closeBtn.textContent = '✕';
+    closeBtn.style.cursor = 'pointer';
+    closeBtn.onclick = () => channelView.setChannelViewOpen(false);
+    header.append(title, zoomLabel, closeBtn);
+
+    const componentRow = createRow();
+    channelView.COMPONENTS.forEach(component => {
+        const btn = document.createElement('span');
+        btn.textContent = component.toUpperCase();
+        btn.style.cssText = 'padding: 0 6px; border-radius: 3px; cursor: pointer; border: 1px solid rgba(255, 255, 255, 0.3);';
+        btn.onclick = () => channelView.updateChannelView({ component });
+        componentButtons[component] = btn;
+        componentRow.appendChild(btn);
+    });
+
+    const rangeRow = createRow();
+    minInput = createRangeInput('rangeMin');
+    maxInput = createRangeInput('rangeMax');
+    const fitBtn = createTextButton('Fit', 'Fit the range to the sampled values', fitRange);
+    const unitBtn = createTextButton('0–1', 'Reset the range to 0–1', () => {
+        channelView.updateChannelView({ rangeMin: 0, rangeMax: 1 });
+    });
+    rangeRow.append('Range', minInput, maxInput, fitBtn, unitBtn);
+
+    sliceRow = createRow();
+    sliceInput = document.createElement('input');
+    sliceInput.type = 'range';
+    sliceInput.min = '0';
+    sliceInput.step = '1';
+    sliceInput.style.cssText = 'flex: 1; min-width: 0;';
+    sliceInput.addEventListener('input', () => {
+        channelView.updateChannelView({ slice: Number(sliceInput.value) });
+    });
+    sliceLabel = document.createElement('span');
+    sliceRow.append('Slice', sliceInput, sliceLabel);
+
+    histogramCanvas = document.createElement('canvas');
+    histogramCanvas.width = 224;
+    histogramCanvas.height = 64;
+    histogramCanvas.style.cssText = 'display: block; width: 224px; height: 64px; margin-top: 4px; background: rgba(255, 255, 255, 0.05);';
+
+    statsLine = document.createElement('div');
+    statsLine.style.cssText = 'margin-top: 2px; opacity: 0.8; white-space: pre;';
+
+    const hint = document.createElement('div');
+    hint.style.cssText = 'margin-top: 2px; opacity: 0.5;';
+    hint.textContent = 'Wheel: zoom · Drag: pan · Double-click: reset';
+
+    panel.append(header, componentRow, rangeRow, sliceRow, histogramCanvas, statsLine, hint);
+    document.getElementById('canvasContainer').appendChild(panel);
+}
+
+function createRow() {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: center; gap: 4px; margin-top: 4px;';
+    return row;
+}
+
+function createTextButton(text, title, onClick) {
+    const btn = document.createElement('span');
+    btn.textContent = text;
+    btn.title = title;
+    btn.style.cssText = 'cursor: pointer; text-decoration: underline; opacity: 0.8;';
+    btn.onclick = onClick;
+    return btn;
+}
+
+function createRangeInput(key) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    input.style.cssText = INPUT_STYLE + 'width: 58px;';
+    input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) {
+            channelView.updateChannelView({ [key]: value });
+        }
+    });
+    return input;
+}
+
+function formatValue(value) {
+    if (!Number.isFinite(value)) return String(value);
+    const abs = Math.abs(value);
+    if (abs >= 1e4 || (abs > 0 && abs < 1e-3)) return value.toExponential(2);
+    return String(Number(value.toFixed(4)));
+}
+
+function refreshControls() {
+    const view = channelView.getChannelView();
+    if (!view || !panel) return;
+
+    zoomLabel.textContent = `${Math.round(view.zoom * 100)}%`;
+    Object.entries(componentButtons).forEach(([component, btn]) => {
+        btn.style.background = component === view.component ? 'rgba(255, 255, 255, 0.3)' : 'transparent';
+    });
+    if (document.activeElement !== minInput) minInput.value = formatValue(view.rangeMin);
+    if (document.activeElement !== maxInput) maxInput.value = formatValue(view.rangeMax);
+
+    const channel = channels.getChannel(channels.getSelectedOutputChannel());
+    const depth = channel?.type === 'volume' ? channel.resolution?.depth || 1 : 0;
+    sliceRow.style.display = depth > 1 ? 'flex' : 'none';
+    if (depth > 1) {
+        sliceInput.max = String(depth - 1);
+        sliceInput.value = String(Math.min(depth - 1, view.slice));
+        sliceLabel.textContent = `${sliceInput.value}/${depth - 1}`;
+    }
+}
+
+// ============================================================================
+// Histogram
+// ============================================================================
+
+function getShownComponents(view) {
+    return view.component === 'rgb' ? [0, 1, 2] : [channelView.COMPONENTS.indexOf(view.component) - 1];
+}
+
+function computeHistogram(samples, view) {
+    const components = getShownComponents(view);
+    const bins = components.map(() => new Uint32Array(HISTOGRAM_BINS));
+    const span = view.rangeMax - view.rangeMin || 1;
+    let min = Infinity;
+    let max = -Infinity;
+    let below = 0;
+    let above = 0;
+    let nonFinite = 0;
+    let total = 0;
+
+    for (let i = 0; i < samples.length; i += 4) {
+        components.forEach((c, index) => {
+            const v = samples[i + c];
+            total++;
+            if (!Number.isFinite(v)) {
+                nonFinite++;
+                return;
+            }
+            if (v < min) min = v;
+            if (v > max) max = v;
+            const t = (v - view.rangeMin) / span;
+            if (t < 0) below++;
+            else if (t > 1) above++;
+            else bins[index][Math.min(HISTOGRAM_BINS - 1, Math.floor(t * HISTOGRAM_BINS))]++;
+        });
+    }
+
+    return { components, bins, min, max, below, above, nonFinite, total };
+}
+
+function drawHistogram(histogram) {
+    const ctx = histogramCanvas.getContext('2d');
+    const { width, height } = histogramCanvas;
+    ctx.clearRect(0, 0, width, height);
+
+    // Square-root heights so small populations stay visible next to a dominant value
+    const peak = Math.sqrt(Math.max(1, ...histogram.bins.map(bins => Math.max(...bins))));
+    ctx.globalCompositeOperation = 'lighter';
+    histogram.components.forEach((c, index) => {
+        ctx.fillStyle = COMPONENT_COLORS['rgba'[c]];
+        ctx.globalAlpha = histogram.components.length > 1 ? 0.6 : 0.9;
+        histogram.bins[index].forEach((count, bin) => {
+            const barHeight = Math.sqrt(count) / peak * height;
+            const x = bin * width / HISTOGRAM_BINS;
+            ctx.fillRect(x, height - barHeight, width / HISTOGRAM_BINS, barHeight);
+        });
+    });
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+}
+
+function describeHistogram(histogram) {
+    if (histogram.min > histogram.max) {
+        return 'No finite values';
+    }
+    const percent = count => `${(count / histogram.total * 100).toFixed(1)}%`;
+    let text = `min ${formatValue(histogram.min)}  max ${formatValue(histogram.max)}`;
+    const outside = [];
+    if (histogram.below) outside.push(`${percent(histogram.below)} below`);
+    if (histogram.above) outside.push(`${percent(histogram.above)} above`);
+    if (histogram.nonFinite) outside.push(`${percent(histogram.nonFinite)} NaN/Inf`);
+    if (outside.length) text += '\n' + outside.join(', ');
+    return text;
+}
+
+function refreshHistogram() {
+    const view = channelView.getChannelView();
+    if (!view) return;
+
+    if (state.graphicsBackend === 'webgpu') {
+        lastSamples = null;
+        histogramCanvas.getContext('2d').clearRect(0, 0, histogramCanvas.width, histogramCanvas.height);
+        statsLine.textContent = 'Only available for GLSL (WebGL) shaders';
+        return;
+    }
+
+    lastSamples = webgl.sampleChannelView();
+    if (!lastSamples) {
+        statsLine.textContent = 'Channel can\'t be sampled';
+        return;
+    }
+    const histogram = computeHistogram(lastSamples, view);
+    drawHistogram(histogram);
+    statsLine.textContent = describeHistogram(histogram);
+}
+
+function fitRange() {
+    const view = channelView.getChannelView();
+    if (!view || !lastSamples) return;
+    const histogram = computeHistogram(lastSamples, view);
+    if (histogram.min > histogram.max) return;
+    channelView.updateChannelView({
+        rangeMin: histogram.min,
+        rangeMax: histogram.max > histogram.min ? histogram.max : histogram.min + 1
+    });
+}
+
+// ============================================================================
+// Canvas Interaction
+// ============================================================================
+
+function getViewedChannel() {
+    return channels.getChannel(channels.getSelectedOutputChannel()) || channels.getChannel(0);
+}
+
+function getCanvasPosition(event) {
+    const canvas = state.canvasWebGL;
+    const rect = canvas.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+    return {
+        normX: (event.clientX - rect.left) / rect.width,
+        normY: 1 - (event.clientY - rect.top) / rect.height,
+        width: canvas.width,
+        height: canvas.height
+    };
+}
+
+// Listeners sit on the container in the capture phase so they run before the
+// canvas's own iMouse handlers, which they stop while the viewer is open
+function isViewerEvent(event) {
+    return channelView.isChannelViewOpen() && event.target === state.canvasWebGL;
+}
+
+function handleWheel(event) {
+    if (!isViewerEvent(event)) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const pos = getCanvasPosition(event);
+    const channel = getViewedChannel();
+    if (!pos || !channel) return;
+    const factor = Math.pow(1.0015, -event.deltaY);
+    channelView.zoomChannelViewAt(channel, factor, pos.normX, pos.normY, pos.width, pos.height);
+}
+
+function handlePointerDown(event) {
+    if (!isViewerEvent(event) || event.button !== 0) return;
+    event.stopPropagation();
+    drag = { pointerId: event.pointerId, x: event.clientX, y: event.clientY, moved: false };
+    state.canvasWebGL.setPointerCapture(event.pointerId);
+}
+
+function handlePointerMove(event) {
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    event.stopPropagation();
+    const dx = event.clientX - drag.x;
+    const dy = event.clientY - drag.y;
+    if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+    drag.moved = true;
+
+    const rect = state.canvasWebGL.getBoundingClientRect();
+    const channel = getViewedChannel();
+    if (channel && rect.width && rect.height) {
+        channelView.panChannelView(channel, dx / rect.width, -dy / rect.height,
+            state.canvasWebGL.width, state.canvasWebGL.height);
+    }
+    drag.x = event.clientX;
+    drag.y = event.clientY;
+}
+
+function handlePointerUp(event) {
+    if (!drag || event.pointerId !== drag.pointerId) return;
+    event.stopPropagation();
+    state.canvasWebGL.releasePointerCapture(event.pointerId);
+    if (drag.moved) {
+        suppressClickUntil = performance.now() + 100;
+    }
+    drag = null;
+}
+
+// The click that ends a pan shouldn't reach the canvas (e.g. pin an inspector probe)
+function handleClick(event) {
+    if (performance.now() < suppressClickUntil) {
+        event.stopPropagation();
+    }
+}
+
+function handleDoubleClick(event) {
+    if (!isViewerEvent(event)) return;
+    event.stopPropagation();
+    channelView.resetChannelViewTransform();
+}
+
+// ============================================================================
+// Open / Close
+// ============================================================================
+
+function handleViewChanged() {
+    const open = channelView.isChannelViewOpen();
+    if (open !== isOpen) {
+        isOpen = open;
+        if (!panel) createPanel();
+        panel.style.display = open ? 'block' : 'none';
+        button?.classList.toggle('active', open);
+
+        clearInterval(histogramTimer);
+        histogramTimer = null;
+        if (open) {
+            refreshHistogram();
+            histogramTimer = setInterval(refreshHistogram, HISTOGRAM_INTERVAL_MS);
+        } else {
+            lastSamples = null;
+            drag = null;
+        }
+    }
+    refreshControls();
+
+    if (!state.isPlaying && state.graphicsBackend === 'webgl') {
+        webgl.redrawDisplay();
+    }
+}
+
+export function toggleChannelViewer() {
+    channelView.setChannelViewOpen(!channelView.isChannelViewOpen());
+}
+
+/**
+ * Hook up the toolbar button and canvas interaction
+ */
+export function init() {
+    button = document.getElementById('channelViewerBtn');
+    button?.addEventListener('click', toggleChannelViewer);
+
+    window.addEventListener('channel-view-changed', handleViewChanged);
+    window.addEventListener('channels-changed', () => {
+        if (channelView.isChannelViewOpen()) handleViewChanged();
+    });
+
+    const container = document.getElementById('canvasContainer');
+    if (!container) return;
+    container.addEventListener('wheel', handleWheel, { capture: true, passive: false });
+    container.addEventListener('pointerdown', handlePointerDown, true);
+    container.addEventListener('pointermove', handlePointerMove, true);
+    container.addEventListener('pointerup', handlePointerUp, true);
+    container.addEventListener('pointercancel', handlePointerUp, true);
+    container.addEventListener('click', handleClick, true);
+    container.addEventListener('dblclick', handleDoubleClick, true);
+}
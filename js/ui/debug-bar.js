@@ -0,0 +1,150 @@
+// ============================================================================
+// Debug Bar - Controls for the watched shader debug value
+// ============================================================================
+// Watches are started from the graphics editor's context menu ("Watch Value",
+// Ctrl+Shift+D). The bar shows above GLSL pass editors while a watch is active.
+
+import { state } from '../core.js';
+import * as shaderDebug from '../shader-debug.js';
+import { isBufferChannel } from '../tab-config.js';
+
+const VIEW_MODES = {
+    1: 'float → heatmap',
+    2: 'vec2 → RG',
+    3: 'vec3 → RGB',
+    4: 'vec4 → RGB'
+};
+
+const INPUT_STYLE = `
+    padding: 2px 4px;
+    border-radius: 4px;
+    border: 1px solid var(--border-color);
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    font-size: 11px;
+`;
+
+let bar = null;
+let watchInfo = null;
+let viewSelect = null;
+let minInput = null;
+let maxInput = null;
+
+function createLabel(text) {
+    const label = document.createElement('span');
+    label.style.cssText = 'font-size: 11px; color: var(--text-secondary);';
+    label.textContent = text;
+    return label;
+}
+
+function createRangeInput(key) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    input.style.cssText = INPUT_STYLE + 'width: 72px;';
+    input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) {
+            shaderDebug.setWatchView({ [key]: value });
+        }
+    });
+    return input;
+}
+
+function createBar() {
+    bar = document.createElement('div');
+    bar.id = 'debugBar';
+    bar.style.cssText = `
+        display: none;
+        align-items: center;
+        gap: 6px;
+        padding: 4px 8px;
+        background: var(--bg-secondary);
+        border: 1px solid var(--border-color);
+        border-bottom: none;
+        flex-shrink: 0;
+    `;
+
+    watchInfo = document.createElement('span');
+    watchInfo.style.cssText = 'font-size: 11px; font-family: monospace; color: var(--text-primary); overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+
+    viewSelect = document.createElement('select');
+    viewSelect.style.cssText = INPUT_STYLE;
+    Object.entries(VIEW_MODES).forEach(([value, label]) => {
+        viewSelect.appendChild(new Option(label, value));
+    });
+    viewSelect.addEventListener('change', () => {
+        shaderDebug.setWatchView({ components: Number(viewSelect.value) });
+    });
+
+    minInput = createRangeInput('rangeMin');
+    maxInput = createRangeInput('rangeMax');
+
+    const fitBtn = document.createElement('button');
+    fitBtn.className = 'uiBtn';
+    fitBtn.textContent = 'Fit';
+    fitBtn.title = 'Set the range to the min/max of the current frame';
+    fitBtn.onclick = () => shaderDebug.fitWatchRange();
+
+    const stopBtn = document.createElement('button');
+    stopBtn.className = 'uiBtn';
+    stopBtn.textContent = 'Stop';
+    stopBtn.style.marginLeft = 'auto';
+    stopBtn.onclick = () => shaderDebug.stopWatch();
+
+    bar.append(
+        createLabel('Watch'), watchInfo,
+        viewSelect,
+        createLabel('Range'), minInput, maxInput, fitBtn,
+        stopBtn
+    );
+
+    const graphicsContainer = document.getElementById('graphicsContainer');
+    graphicsContainer.parentNode.insertBefore(bar, graphicsContainer);
+}
+
+function refresh() {
+    const watch = state.shaderDebug;
+    const compiled = watch.channelNumber !== null;
+    watchInfo.textContent = `${watch.expression}  (line ${watch.line}${compiled ? `, ch${watch.channelNumber}` : ', not compiled'})`;
+    watchInfo.title = watch.tabName;
+    viewSelect.value = String(watch.components);
+    minInput.value = formatRange(watch.rangeMin);
+    maxInput.value = formatRange(watch.rangeMax);
+}
+
+function formatRange(value) {
+    return String(Number(value.toPrecision(6)));
+}
+
+/**
+ * Show the bar on GLSL pass tabs while a value is watched
+ * @param {string} tabName - Tab being shown
+ */
+export function updateDebugBar(tabName) {
+    const isGlslPass = tabName?.startsWith('glsl_') || isBufferChannel(tabName);
+    if (!state.shaderDebug || !isGlslPass) {
+        if (bar) bar.style.display = 'none';
+        return;
+    }
+
+    if (!bar) createBar();
+    bar.style.display = 'flex';
+    refresh();
+}
+
+/**
+ * Register the editor action and follow watch changes
+ */
+export function init() {
+    state.graphicsEditor?.addAction({
+        id: 'shader-debug-watch',
+        label: 'Watch Value (GLSL debugger)',
+        keybindings: [monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.KeyD],
+        contextMenuGroupId: 'navigation',
+        contextMenuOrder: 1.7,
+        run: () => shaderDebug.watchAtCursor()
+    });
+
+    window.addEventListener('shader-debug-changed', () => updateDebugBar(state.currentTab));
+}
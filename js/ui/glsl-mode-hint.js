@@ -0,0 +1,98 @@
+// ============================================================================
+// GLSL Mode Hint - Offers a one-click mode switch when pasted code doesn't fit the tab
+// ============================================================================
+
+import { state } from '../core.js';
+import { getActiveGlslTab, switchGlslMode } from '../tabs.js';
+import { detectGlslMode, getGlslModeLabel } from '../glsl-mode-detect.js';
+
+// Pastes smaller than this share of the document are edits, not whole shaders
+const WHOLE_SHADER_PASTE_RATIO = 0.8;
+
+let hint = null;
+let message = null;
+let switchBtn = null;
+let suggestedTab = null;
+
+function createHint() {
+    hint = document.createElement('div');
+    hint.id = 'glslModeHint';
+    hint.style.cssText = `
+        display: none;
+        align-items: center;
+        gap: 8px;
+        padding: 4px 8px;
+        background: var(--bg-secondary);
+        border: 1px solid var(--border-color);
+        border-bottom: none;
+        font-size: 11px;
+        color: var(--text-primary);
+        flex-shrink: 0;
+    `;
+
+    message = document.createElement('span');
+    message.style.cssText = 'flex: 1;';
+
+    switchBtn = document.createElement('button');
+    switchBtn.className = 'uiBtn';
+    switchBtn.onclick = () => {
+        const target = suggestedTab;
+        hideGlslModeHint();
+        if (target) switchGlslMode(target);
+    };
+
+    const dismissBtn = document.createElement('button');
+    dismissBtn.className = 'uiBtn';
+    dismissBtn.textContent = '✕';
+    dismissBtn.title = 'Keep the current mode';
+    dismissBtn.onclick = hideGlslModeHint;
+
+    hint.append(message, switchBtn, dismissBtn);
+
+    const graphicsContainer = document.getElementById('graphicsContainer');
+    graphicsContainer.parentNode.insertBefore(hint, graphicsContainer);
+}
+
+export function hideGlslModeHint() {
+    suggestedTab = null;
+    if (hint) hint.style.display = 'none';
+}
+
+/**
+ * Check code against the active GLSL mode and offer a switch if it was written for another one
+ * @param {string} code - Main pass GLSL code
+ * @returns {boolean} True if a switch was offered
+ */
+export function checkGlslMode(code) {
+    const activeTab = getActiveGlslTab();
+    const result = detectGlslMode(code);
+    if (!activeTab || !result.confident || !result.tabName || result.tabName === activeTab) {
+        hideGlslModeHint();
+        return false;
+    }
+
+    if (!hint) createHint();
+    suggestedTab = result.tabName;
+    message.textContent = `This looks like ${getGlslModeLabel(result.tabName)} code (${result.reason}), but the tab is ${getGlslModeLabel(activeTab)}.`;
+    switchBtn.textContent = `Switch to ${getGlslModeLabel(result.tabName)}`;
+    hint.style.display = 'flex';
+    return true;
+}
+
+/**
+ * Watch the graphics editor for whole-shader pastes into the main GLSL tab
+ * @param {Object} editor - Monaco editor (state.graphicsEditor)
+ */
+export function attachPasteDetection(editor) {
+    if (!editor?.onDidPaste) return;
+
+    editor.onDidPaste(e => {
+        if (state.currentTab !== getActiveGlslTab()) return;
+
+        const model = editor.getModel();
+        const pastedLength = model.getValueLengthInRange(e.range);
+        if (pastedLength < model.getValueLength() * WHOLE_SHADER_PASTE_RATIO) return;
+
+        checkGlslMode(model.getValue());
+    });
+}
@@ -0,0 +1,122 @@
+// ============================================================================
+// Library Bar - Publish a Common tab as a versioned library
+// ============================================================================
+
+import { state, logStatus } from '../core.js';
+import { publishLibrary, getLibraryPins } from '../shader-libraries.js';
+
+// Common tabs and the language their libraries are published as
+const COMMON_TAB_LANGUAGES = {
+    common: 'glsl',
+    common_wgsl: 'wgsl'
+};
+
+let bar = null;
+let currentTab = null;
+let nameInput = null;
+let publishBtn = null;
+let pinsInfo = null;
+
+function createBar() {
+    bar = document.createElement('div');
+    bar.id = 'libraryBar';
+    bar.style.cssText = `
+        display: none;
+        align-items: center;
+        gap: 6px;
+        padding: 4px 8px;
+        background: var(--bg-secondary);
+        border: 1px solid var(--border-color);
+        border-bottom: none;
+        flex-shrink: 0;
+    `;
+
+    const label = document.createElement('span');
+    label.style.cssText = 'font-size: 11px; color: var(--text-secondary);';
+    label.textContent = 'Library';
+
+    nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'name, e.g. alice/noise';
+    nameInput.title = 'Other shaders use it with #include "name" or #include "name@version"';
+    nameInput.style.cssText = `
+        width: 160px;
+        padding: 2px 4px;
+        border-radius: 4px;
+        border: 1px solid var(--border-color);
+        background: var(--bg-primary);
+        color: var(--text-primary);
+        font-size: 11px;
+    `;
+
+    publishBtn = document.createElement('button');
+    publishBtn.className = 'uiBtn';
+    publishBtn.textContent = 'Publish version';
+    publishBtn.onclick = publishCommonCode;
+
+    pinsInfo = document.createElement('span');
+    pinsInfo.style.cssText = 'font-size: 11px; color: var(--text-secondary); margin-left: auto;';
+
+    bar.append(label, nameInput, publishBtn, pinsInfo);
+
+    const commonContainer = document.getElementById('commonContainer');
+    commonContainer.parentNode.insertBefore(bar, commonContainer);
+}
+
+// Both Common tabs edit their code in state.commonEditor (only one is open at a time)
+function getCommonTabEditor(tabName) {
+    return tabName in COMMON_TAB_LANGUAGES ? state.commonEditor : null;
+}
+
+async function publishCommonCode() {
+    const tabName = currentTab;
+    const name = nameInput.value.trim();
+    const code = getCommonTabEditor(tabName)?.getValue() || '';
+    if (!name) {
+        logStatus('⚠ Enter a library name to publish', 'error');
+        nameInput.focus();
+        return;
+    }
+    if (!code.trim()) {
+        logStatus('⚠ Common tab is empty', 'error');
+        return;
+    }
+
+    publishBtn.disabled = true;
+    const result = await publishLibrary({
+        name,
+        language: COMMON_TAB_LANGUAGES[tabName],
+        code
+    });
+    publishBtn.disabled = false;
+
+    if (result.success) {
+        logStatus(`✓ Published ${result.library.name}@${result.library.version}`, 'success');
+    } else {
+        logStatus('✗ Failed to publish library: ' + result.error, 'error');
+    }
+    refresh();
+}
+
+function refresh() {
+    const pins = getLibraryPins();
+    pinsInfo.textContent = pins
+        ? 'Uses ' + Object.entries(pins).map(([name, version]) => `${name}@${version}`).join(', ')
+        : '';
+}
+
+/**
+ * Show the bar on the Common (GLSL) and Common (WGSL) tabs, hide it everywhere else
+ * @param {string} tabName - Tab being shown
+ */
+export function updateLibraryBar(tabName) {
+    if (!(tabName in COMMON_TAB_LANGUAGES)) {
+        if (bar) bar.style.display = 'none';
+        return;
+    }
+
+    currentTab = tabName;
+    if (!bar) createBar();
+    bar.style.display = 'flex';
+    refresh();
+}
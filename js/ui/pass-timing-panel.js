@@ -0,0 +1,118 @@
+// ============================================================================
+// Pass Timing Panel - Rolling per-pass GPU milliseconds over the canvas
+// ============================================================================
+// Opened by clicking the FPS counter. Timing queries only run while it is open.
+
+import { state } from '../core.js';
+import * as gpuTiming from '../gpu-timing.js';
+
+const REFRESH_INTERVAL_MS = 250;
+
+let panel = null;
+let rows = null;
+let refreshTimer = null;
+
+function createPanel() {
+    panel = document.createElement('div');
+    panel.id = 'passTimingPanel';
+    panel.style.cssText = `
+        display: none;
+        position: absolute;
+        top: 8px;
+        left: 8px;
+        z-index: 10;
+        min-width: 160px;
+        padding: 6px 8px;
+        background: rgba(0, 0, 0, 0.7);
+        border-radius: 4px;
+        font-family: monospace;
+        font-size: 11px;
+        color: #fff;
+        pointer-events: auto;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; margin-bottom: 4px; opacity: 0.8;';
+    const title = document.createElement('span');
+    title.textContent = 'GPU time / pass';
+    const closeBtn = document.createElement('span');
+    closeBtn.textContent = '✕';
+    closeBtn.style.cursor = 'pointer';
+    closeBtn.onclick = () => setPassTimingPanelVisible(false);
+    header.append(title, closeBtn);
+
+    rows = document.createElement('div');
+    panel.append(header, rows);
+
+    document.getElementById('canvasContainer').appendChild(panel);
+}
+
+function refresh() {
+    const backend = state.graphicsBackend === 'webgpu' ? 'webgpu' : 'webgl';
+    const supported = gpuTiming.getGpuTimingSupport(backend);
+    rows.innerHTML = '';
+
+    if (supported === false) {
+        rows.textContent = backend === 'webgpu'
+            ? 'timestamp-query not supported by this adapter'
+            : 'EXT_disjoint_timer_query_webgl2 not available';
+        return;
+    }
+
+    const times = gpuTiming.getPassTimes();
+    if (times.length === 0) {
+        rows.textContent = state.isPlaying ? 'Measuring…' : 'Paused';
+        return;
+    }
+
+    let total = 0;
+    times.forEach(({ label, ms }) => {
+        total += ms;
+        rows.appendChild(createRow(label, ms));
+    });
+    if (times.length > 1) {
+        const totalRow = createRow('Total', total);
+        totalRow.style.borderTop = '1px solid rgba(255, 255, 255, 0.3)';
+        totalRow.style.marginTop = '2px';
+        rows.appendChild(totalRow);
+    }
+}
+
+function createRow(label, ms) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; justify-content: space-between; gap: 12px;';
+    const name = document.createElement('span');
+    name.textContent = label;
+    const value = document.createElement('span');
+    value.textContent = ms.toFixed(2) + ' ms';
+    row.append(name, value);
+    return row;
+}
+
+export function setPassTimingPanelVisible(visible) {
+    if (!panel) createPanel();
+    panel.style.display = visible ? 'block' : 'none';
+    gpuTiming.setGpuTimingEnabled(visible);
+
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    if (visible) {
+        refresh();
+        refreshTimer = setInterval(refresh, REFRESH_INTERVAL_MS);
+    }
+}
+
+export function togglePassTimingPanel() {
+    setPassTimingPanelVisible(!gpuTiming.isGpuTimingEnabled());
+}
+
+/**
+ * Make the FPS counter open the panel
+ */
+export function init() {
+    const fpsRow = document.getElementById('fpsCounter')?.parentElement;
+    if (!fpsRow) return;
+    fpsRow.style.cursor = 'pointer';
+    fpsRow.title = 'Click for per-pass GPU timings';
+    fpsRow.addEventListener('click', togglePassTimingPanel);
+}
@@ -0,0 +1,301 @@
+// ============================================================================
+// Pixel Inspector - Numeric RGBA readout of the viewed channel
+// ============================================================================
+// While active, hovering the canvas shows the value under the cursor from the
+// channel selected in the channel viewer, and clicking pins a probe there.
+// Pinned probes keep their channel and texel and are re-read every frame; they
+// follow the channel viewer's zoom and pan. Each read is a synchronous 1x1
+// readPixels, so the loop only runs while the inspector is on.
+
+import { state } from '../core.js';
+import * as channels from '../channels.js';
+import * as channelView from '../channel-view.js';
+import * as webgl from '../backends/webgl.js';
+
+const MAX_PROBES = 8;
+
+let active = false;
+let button = null;
+let panel = null;
+let hoverRow = null;
+let probeList = null;
+let hover = null;         // { normX, normY } while the pointer is over the canvas
+let probes = [];          // { channel, u, v, row, marker } with u, v in channel UV
+let frameRequest = null;
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Map a channel UV onto the channel's texels
+ * @returns {{x: number, y: number, u: number, v: number}|null}
+ */
+function getTexel(channel, u, v) {
+    const { width, height } = channel.resolution || {};
+    if (!width || !height) return null;
+    const x = Math.min(width - 1, Math.floor(u * width));
+    const y = Math.min(height - 1, Math.floor(v * height));
+    // UV of the texel centre, as a pass writing this texel sees fragCoord / iResolution
+    return { x, y, u: (x + 0.5) / width, v: (y + 0.5) / height };
+}
+
+function formatValue(v) {
+    if (Number.isNaN(v)) return 'NaN';
+    if (!Number.isFinite(v)) return v > 0 ? '+Inf' : '-Inf';
+    const abs = Math.abs(v);
+    if (abs >= 1e4 || (abs > 0 && abs < 1e-3)) return v.toExponential(2);
+    return v.toFixed(4);
+}
+
+function describe(channelNumber, u, v) {
+    const channel = channels.getChannel(channelNumber);
+    const texel = channel && getTexel(channel, u, v);
+    if (!texel) {
+        return { text: `ch${channelNumber} unavailable`, value: null };
+    }
+
+    const position = `ch${channelNumber} (${texel.x}, ${texel.y}) uv ${texel.u.toFixed(3)}, ${texel.v.toFixed(3)}`;
+    const value = webgl.readChannelPixel(channelNumber, texel.x, texel.y);
+    if (!value) {
+        return { text: `${position}\nnot readable`, value: null };
+    }
+    return { text: `${position}\n${Array.from(value, formatValue).join('  ')}`, value };
+}
+
+// ============================================================================
+// UI
+// ============================================================================
+
+function createPanel() {
+    panel = document.createElement('div');
+    panel.id = 'pixelInspectorPanel';
+    panel.style.cssText = `
+        display: none;
+        position: absolute;
+        bottom: 8px;
+        left: 8px;
+        z-index: 10;
+        min-width: 220px;
+        padding: 6px 8px;
+        background: rgba(0, 0, 0, 0.7);
+        border-radius: 4px;
+        font-family: monospace;
+        font-size: 11px;
+        color: #fff;
+        pointer-events: auto;
+    `;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; margin-bottom: 4px; opacity: 0.8;';
+    const title = document.createElement('span');
+    title.textContent = 'Pixel inspector (click to pin)';
+    const closeBtn = document.createElement('span');
+    closeBtn.textContent = '✕';
+    closeBtn.style.cursor = 'pointer';
+    closeBtn.onclick = () => setPixelInspectorActive(false);
+    header.append(title, closeBtn);
+
+    hoverRow = createRow();
+    probeList = document.createElement('div');
+    panel.append(header, hoverRow.row, probeList);
+
+    document.getElementById('canvasContainer').appendChild(panel);
+}
+
+function createRow(onRemove) {
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; align-items: flex-start; gap: 6px; margin-top: 2px;';
+
+    const swatch = document.createElement('span');
+    swatch.style.cssText = 'flex-shrink: 0; width: 10px; height: 10px; margin-top: 2px; border: 1px solid rgba(255, 255, 255, 0.5);';
+
+    const text = document.createElement('span');
+    text.style.cssText = 'flex: 1; white-space: pre;';
+
+    row.append(swatch, text);
+    if (onRemove) {
+        const removeBtn = document.createElement('span');
+        removeBtn.textContent = '✕';
+        removeBtn.style.cssText = 'cursor: pointer; opacity: 0.7;';
+        removeBtn.onclick = onRemove;
+        row.appendChild(removeBtn);
+    }
+    return { row, swatch, text };
+}
+
+function updateRow(rowParts, { text, value }) {
+    rowParts.text.textContent = text;
+    rowParts.swatch.style.background = value
+        ? `rgb(${[0, 1, 2].map(i => Math.round(Math.min(1, Math.max(0, value[i])) * 255)).join(', ')})`
+        : 'transparent';
+}
+
+function createMarker(index) {
+    const marker = document.createElement('div');
+    marker.textContent = index;
+    marker.style.cssText = `
+        position: absolute;
+        z-index: 10;
+        width: 12px;
+        height: 12px;
+        margin: -7px 0 0 -7px;
+        border: 1px solid #fff;
+        border-radius: 50%;
+        background: rgba(0, 0, 0, 0.6);
+        font: 9px/12px monospace;
+        color: #fff;
+        text-align: center;
+        pointer-events: none;
+    `;
+    document.getElementById('canvasContainer').appendChild(marker);
+    return marker;
+}
+
+function positionMarker(marker, probe) {
+    const canvas = state.canvasWebGL;
+    const channel = channels.getChannel(probe.channel);
+    const { normX, normY } = channel
+        ? channelView.contentToCanvasUV(channel, probe.u, probe.v, canvas.width, canvas.height)
+        : { normX: -1, normY: -1 };
+    marker.style.display = normX >= 0 && normX <= 1 && normY >= 0 && normY <= 1 ? '' : 'none';
+
+    const container = canvas.parentElement.getBoundingClientRect();
+    const rect = canvas.getBoundingClientRect();
+    marker.style.left = `${rect.left - container.left + normX * rect.width}px`;
+    marker.style.top = `${rect.top - container.top + (1 - normY) * rect.height}px`;
+}
+
+function renumberProbes() {
+    probes.forEach((probe, i) => {
+        probe.marker.textContent = i + 1;
+        probe.row.row.title = `Probe ${i + 1}`;
+    });
+}
+
+function addProbe(channelNumber, u, v) {
+    if (probes.length >= MAX_PROBES) {
+        removeProbe(probes[0]);
+    }
+    const probe = { channel: channelNumber, u, v };
+    probe.row = createRow(() => removeProbe(probe));
+    probe.marker = createMarker(probes.length + 1);
+    probes.push(probe);
+    probeList.appendChild(probe.row.row);
+    renumberProbes();
+}
+
+function removeProbe(probe) {
+    probe.row.row.remove();
+    probe.marker.remove();
+    probes = probes.filter(p => p !== probe);
+    renumberProbes();
+}
+
+function clearProbes() {
+    probes.forEach(probe => {
+        probe.row.row.remove();
+        probe.marker.remove();
+    });
+    probes = [];
+}
+
+// ============================================================================
+// Update Loop
+// ============================================================================
+
+function update() {
+    frameRequest = requestAnimationFrame(update);
+
+    if (state.graphicsBackend === 'webgpu') {
+        updateRow(hoverRow, { text: 'Only available for GLSL (WebGL) shaders', value: null });
+        return;
+    }
+
+    const target = hover && getHoveredTexel(hover);
+    if (target) {
+        updateRow(hoverRow, describe(target.channel, target.u, target.v));
+    } else {
+        updateRow(hoverRow, { text: hover ? 'Outside the channel' : 'Hover the canvas to read a pixel', value: null });
+    }
+
+    probes.forEach((probe, i) => {
+        const reading = describe(probe.channel, probe.u, probe.v);
+        updateRow(probe.row, { ...reading, text: `#${i + 1} ${reading.text}` });
+        positionMarker(probe.marker, probe);
+    });
+}
+
+/**
+ * Channel and channel UV under a canvas position, through the channel viewer's zoom and pan
+ * @returns {{channel: number, u: number, v: number}|null}
+ */
+function getHoveredTexel({ normX, normY }) {
+    const channelNumber = channels.getSelectedOutputChannel();
+    const channel = channels.getChannel(channelNumber);
+    if (!channel) return null;
+    const canvas = state.canvasWebGL;
+    const uv = channelView.canvasToContentUV(channel, normX, normY, canvas.width, canvas.height);
+    return uv ? { channel: channelNumber, ...uv } : null;
+}
+
+function getNormalizedPosition(event) {
+    const rect = state.canvasWebGL.getBoundingClientRect();
+    if (!rect.width || !rect.height) return null;
+    return {
+        normX: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+        normY: Math.min(1, Math.max(0, 1 - (event.clientY - rect.top) / rect.height))
+    };
+}
+
+function handlePointerMove(event) {
+    if (active) hover = getNormalizedPosition(event);
+}
+
+function handlePointerLeave() {
+    hover = null;
+}
+
+function handleClick(event) {
+    if (!active || state.graphicsBackend === 'webgpu') return;
+    const pos = getNormalizedPosition(event);
+    const target = pos && getHoveredTexel(pos);
+    if (target) addProbe(target.channel, target.u, target.v);
+}
+
+export function setPixelInspectorActive(value) {
+    active = !!value;
+    if (!panel) createPanel();
+    panel.style.display = active ? 'block' : 'none';
+    button?.classList.toggle('active', active);
+    if (state.canvasWebGL) {
+        state.canvasWebGL.style.cursor = active ? 'crosshair' : '';
+    }
+
+    cancelAnimationFrame(frameRequest);
+    frameRequest = null;
+    if (active) {
+        update();
+    } else {
+        hover = null;
+        clearProbes();
+    }
+}
+
+export function togglePixelInspector() {
+    setPixelInspectorActive(!active);
+}
+
+/**
+ * Hook up the toolbar button and canvas listeners
+ */
+export function init() {
+    button = document.getElementById('pixelInspectorBtn');
+    button?.addEventListener('click', togglePixelInspector);
+
+    const canvas = state.canvasWebGL;
+    if (!canvas) return;
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerleave', handlePointerLeave);
+    canvas.addEventListener('click', handleClick);
+}
@@ -0,0 +1,183 @@
+// ============================================================================
+// Transport Bar - Frame stepping, playback rate and loop range
+// ============================================================================
+// Sits under the timeline slider. Stepping pauses playback first; loop points
+// are typed in or taken from the current time. The input buttons record and
+// replay mouse, keyboard and slider input (see input-replay.js).
+
+import { state } from '../core.js';
+import * as transport from '../transport.js';
+import * as ui from '../ui.js';
+import * as inputReplay from '../input-replay.js';
+
+const CONTROL_STYLE = `
+    padding: 1px 4px;
+    border-radius: 4px;
+    border: 1px solid var(--border-color);
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    font-size: 10px;
+`;
+
+let rateSelect = null;
+let loopToggle = null;
+let loopStartInput = null;
+let loopEndInput = null;
+let inputRecordBtn = null;
+let inputReplayBtn = null;
+let inputInfo = null;
+
+function createButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.title = title;
+    button.style.cssText = CONTROL_STYLE + 'cursor: pointer;';
+    button.onclick = onClick;
+    return button;
+}
+
+function createLoopInput(key) {
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '0.01';
+    input.style.cssText = CONTROL_STYLE + 'width: 52px;';
+    input.addEventListener('change', () => {
+        const value = parseFloat(input.value);
+        if (Number.isFinite(value)) {
+            transport.setLoopRange({ [key]: value });
+        }
+    });
+    return input;
+}
+
+function step(direction) {
+    if (state.isPlaying) {
+        ui.togglePlayPause();
+    }
+    transport.stepFrame(direction);
+}
+
+function setLoopPointHere(key) {
+    transport.setLoopRange({ [key]: Number(transport.getCurrentTime().toFixed(2)) });
+}
+
+function toggleInputRecording() {
+    if (inputReplay.getInputReplayMode() === 'recording') {
+        inputReplay.stopInputRecording();
+    } else {
+        inputReplay.startInputRecording();
+    }
+}
+
+function toggleInputReplay() {
+    if (inputReplay.isReplaying()) {
+        inputReplay.stopInputReplay();
+    } else {
+        inputReplay.startInputReplay();
+    }
+}
+
+function createBar() {
+    const bar = document.createElement('div');
+    bar.id = 'transportBar';
+    bar.style.cssText = `
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 4px;
+        margin-top: 4px;
+        font-size: 10px;
+        color: var(--text-secondary);
+    `;
+
+    rateSelect = document.createElement('select');
+    rateSelect.title = 'Playback rate';
+    rateSelect.style.cssText = CONTROL_STYLE;
+    transport.PLAYBACK_RATES.forEach(rate => {
+        rateSelect.appendChild(new Option(`${rate}×`, String(rate)));
+    });
+    rateSelect.addEventListener('change', () => transport.setPlaybackRate(Number(rateSelect.value)));
+
+    const loopLabel = document.createElement('label');
+    loopLabel.style.cssText = 'display: flex; align-items: center; gap: 2px; margin-left: auto; cursor: pointer;';
+    loopToggle = document.createElement('input');
+    loopToggle.type = 'checkbox';
+    loopToggle.addEventListener('change', () => transport.setLoopRange({ enabled: loopToggle.checked }));
+    loopLabel.append(loopToggle, 'Loop');
+
+    loopStartInput = createLoopInput('start');
+    loopEndInput = createLoopInput('end');
+
+    inputRecordBtn = createButton('⏺', '', toggleInputRecording);
+    inputRecordBtn.style.marginLeft = '8px';
+    inputReplayBtn = createButton('▶', '', toggleInputReplay);
+    inputInfo = document.createElement('span');
+
+    bar.append(
+        createButton('⏮', `Step back one frame (${(transport.STEP_SECONDS * 1000).toFixed(1)} ms)`, () => step(-1)),
+        createButton('⏭', 'Step forward one frame', () => step(1)),
+        rateSelect,
+        loopLabel,
+        loopStartInput,
+        createButton('⇤', 'Set loop start to the current time', () => setLoopPointHere('start')),
+        loopEndInput,
+        createButton('⇥', 'Set loop end to the current time', () => setLoopPointHere('end')),
+        inputRecordBtn,
+        inputReplayBtn,
+        inputInfo
+    );
+    return bar;
+}
+
+function refresh() {
+    rateSelect.value = String(state.playbackRate);
+
+    const loop = state.loopRange;
+    loopToggle.checked = !!loop?.enabled;
+    loopStartInput.value = loop ? String(loop.start) : '';
+    loopEndInput.value = loop ? String(loop.end) : '';
+
+    const invalid = loop?.enabled && !(loop.end > loop.start);
+    loopEndInput.style.borderColor = invalid ? '#e55' : 'var(--border-color)';
+    loopEndInput.title = invalid ? 'Loop end must be after the start' : 'Loop end (seconds)';
+    loopStartInput.title = 'Loop start (seconds)';
+
+    // The render loop doesn't run while paused, so follow seeks and steps here
+    if (!state.isPlaying) {
+        ui.updateTimeline(transport.getCurrentTime());
+    }
+}
+
+function refreshInput() {
+    const mode = inputReplay.getInputReplayMode();
+    const stream = state.inputStream;
+
+    inputRecordBtn.textContent = mode === 'recording' ? '⏹' : '⏺';
+    inputRecordBtn.title = mode === 'recording'
+        ? 'Stop recording input'
+        : 'Restart and record mouse, keyboard and slider input';
+    inputRecordBtn.style.color = mode === 'recording' ? '#e55' : 'var(--text-primary)';
+
+    inputReplayBtn.textContent = mode === 'replaying' ? '⏹' : '▶';
+    inputReplayBtn.title = mode === 'replaying' ? 'Stop replaying input' : 'Restart and replay the recorded input';
+    inputReplayBtn.disabled = !stream || mode === 'recording';
+
+    inputInfo.textContent = mode === 'recording' ? 'Input: recording…'
+        : stream ? `Input: ${stream.frames} frames${mode === 'replaying' ? ' (replaying)' : ''}`
+        : 'Input';
+}
+
+/**
+ * Add the bar under the timeline and follow transport and input replay changes
+ */
+export function init() {
+    const container = document.getElementById('timelineContainer');
+    if (!container) return;
+
+    container.appendChild(createBar());
+    refresh();
+    refreshInput();
+    window.addEventListener('transport-changed', refresh);
+    window.addEventListener('input-replay-changed', refreshInput);
+}
@@ -0,0 +1,223 @@
+// ============================================================================
+// Vertex Options - Draw settings bar shown above vertex pass editors
+// ============================================================================
+// Vertex count, primitive, blending, depth test and target apply from the next
+// frame; none of them needs a recompile. Particle passes show their particle count
+// instead of the vertex count, plus the state layout, which does recompile.
+
+import * as channels from '../channels.js';
+import { state, logStatus } from '../core.js';
+import { isBufferChannel, getChannelNumber } from '../tab-config.js';
+import { markDirty } from '../shader-management.js';
+
+let bar = null;
+let countInput = null;
+let primitiveSelect = null;
+let blendSelect = null;
+let depthToggle = null;
+let clearToggle = null;
+let clearLabel = null;
+let targetSelect = null;
+let countControls = [];
+let particleCountInput = null;
+let attributesInput = null;
+let particleControls = [];
+let channelNumber = null;
+
+const SELECT_STYLE = `
+    padding: 2px 4px;
+    border-radius: 4px;
+    border: 1px solid var(--border-color);
+    background: var(--bg-primary);
+    color: var(--text-primary);
+    font-size: 11px;
+`;
+
+function createLabel(text) {
+    const label = document.createElement('span');
+    label.style.cssText = 'font-size: 11px; color: var(--text-secondary);';
+    label.textContent = text;
+    return label;
+}
+
+function createSelect(options, key) {
+    const select = document.createElement('select');
+    select.style.cssText = SELECT_STYLE;
+    Object.entries(options).forEach(([value, label]) => {
+        select.appendChild(new Option(label, value));
+    });
+    select.addEventListener('change', () => applyOptions({ [key]: select.value }));
+    return select;
+}
+
+function createToggle(text, key) {
+    const label = document.createElement('label');
+    label.style.cssText = 'display: flex; align-items: center; gap: 3px; font-size: 11px; color: var(--text-secondary); cursor: pointer;';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.addEventListener('change', () => applyOptions({ [key]: input.checked }));
+    label.append(input, text);
+    return { label, input };
+}
+
+// "position:4 velocity:4" <-> [{ name: 'position', size: 4 }, ...]
+function formatAttributes(attributes) {
+    return attributes.map(a => `${a.name}:${a.size}`).join(' ');
+}
+
+function parseAttributes(text) {
+    return text.split(/[\s,]+/).filter(Boolean).map(part => {
+        const [name, size = '4'] = part.split(':');
+        return { name, size: Number(size) };
+    });
+}
+
+function applyParticleAttributes() {
+    if (channelNumber === null) return;
+    const attributes = parseAttributes(attributesInput.value);
+    const problem = channels.validateParticleAttributes(attributes);
+    if (problem) {
+        logStatus(`✗ ${problem}`, 'error');
+        refresh();
+        return;
+    }
+    if (channels.setParticleOptions(channelNumber, { attributes })) {
+        markDirty();
+        // The stage headers declare the attributes, so the pass has to be rebuilt
+        window.reloadShader?.();
+    }
+    refresh();
+}
+
+function createBar() {
+    bar = document.createElement('div');
+    bar.id = 'vertexOptionsBar';
+    bar.style.cssText = `
+        display: none;
+        align-items: center;
+        flex-wrap: wrap;
+        gap: 6px;
+        padding: 4px 8px;
+        background: var(--bg-secondary);
+        border: 1px solid var(--border-color);
+        border-bottom: none;
+        flex-shrink: 0;
+    `;
+
+    countInput = document.createElement('input');
+    countInput.type = 'number';
+    countInput.min = '1';
+    countInput.max = String(channels.MAX_VERTEX_COUNT);
+    countInput.title = 'Vertices drawn per frame (vertexCount)';
+    countInput.style.cssText = SELECT_STYLE + 'width: 72px;';
+    countInput.addEventListener('change', () => applyOptions({ vertexCount: countInput.value }));
+
+    primitiveSelect = createSelect(channels.VERTEX_PRIMITIVES, 'primitive');
+    blendSelect = createSelect(channels.VERTEX_BLEND_MODES, 'blend');
+    targetSelect = createSelect(channels.VERTEX_TARGETS, 'target');
+    targetSelect.title = 'Main image draws over the main pass output after it runs';
+
+    particleCountInput = document.createElement('input');
+    particleCountInput.type = 'number';
+    particleCountInput.min = '1';
+    particleCountInput.max = String(channels.MAX_PARTICLE_COUNT);
+    particleCountInput.title = 'Particles simulated and drawn per frame (particleCount); changing it restarts them';
+    particleCountInput.style.cssText = SELECT_STYLE + 'width: 72px;';
+    particleCountInput.addEventListener('change', () => {
+        if (channelNumber !== null && channels.setParticleOptions(channelNumber, { count: particleCountInput.value })) {
+            markDirty();
+        }
+        refresh();
+    });
+
+    attributesInput = document.createElement('input');
+    attributesInput.type = 'text';
+    attributesInput.title = 'Particle state as name:components (1-4), read as name and written as nameOut';
+    attributesInput.style.cssText = SELECT_STYLE + 'width: 180px; font-family: monospace;';
+    attributesInput.addEventListener('change', applyParticleAttributes);
+
+    const depth = createToggle('Depth test', 'depthTest');
+    depthToggle = depth.input;
+    const clear = createToggle('Clear', 'clear');
+    clearToggle = clear.input;
+    clearLabel = clear.label;
+    clearLabel.title = 'Off: draw over the previous frame (trails)';
+
+    const countLabel = createLabel('Vertices');
+    countControls = [countLabel, countInput];
+    const particleCountLabel = createLabel('Particles');
+    const attributesLabel = createLabel('State');
+    particleControls = [particleCountLabel, particleCountInput, attributesLabel, attributesInput];
+
+    bar.append(
+        countLabel, countInput,
+        particleCountLabel, particleCountInput,
+        attributesLabel, attributesInput,
+        primitiveSelect, blendSelect,
+        depth.label, clear.label,
+        createLabel('Draw to'), targetSelect
+    );
+
+    const graphicsContainer = document.getElementById('graphicsContainer');
+    graphicsContainer.parentNode.insertBefore(bar, graphicsContainer);
+}
+
+function applyOptions(options) {
+    if (channelNumber === null) return;
+    if (channels.setVertexOptions(channelNumber, options)) {
+        markDirty();
+    }
+    refresh();
+}
+
+function refresh() {
+    const channel = channels.getChannel(channelNumber);
+    const options = channel?.vertex;
+    if (!options) return;
+
+    const particles = channel.particles;
+    countControls.forEach(el => {
+        el.style.display = particles ? 'none' : '';
+    });
+    particleControls.forEach(el => {
+        el.style.display = particles ? '' : 'none';
+    });
+    if (particles) {
+        particleCountInput.value = String(particles.count);
+        attributesInput.value = formatAttributes(particles.attributes);
+    }
+
+    countInput.value = String(options.vertexCount);
+    primitiveSelect.value = options.primitive;
+    blendSelect.value = options.blend;
+    depthToggle.checked = options.depthTest;
+    clearToggle.checked = options.clear;
+    targetSelect.value = options.target;
+    // The main image is never cleared by a vertex pass
+    clearLabel.style.display = options.target === 'main' ? 'none' : 'flex';
+}
+
+/**
+ * Show the bar for vertex and particle pass tabs, hide it for everything else
+ * @param {string} tabName - Tab being shown
+ */
+export function updateVertexOptionsBar(tabName) {
+    const channel = isBufferChannel(tabName) ? channels.getChannel(getChannelNumber(tabName)) : null;
+
+    if (!channel?.vertex) {
+        channelNumber = null;
+        if (bar) bar.style.display = 'none';
+        return;
+    }
+
+    if (!bar) {
+        createBar();
+        window.addEventListener('channels-changed', () => {
+            if (channelNumber !== null) updateVertexOptionsBar(state.currentTab);
+        });
+    }
+
+    channelNumber = channel.number;
+    bar.style.display = 'flex';
+    refresh();
+}
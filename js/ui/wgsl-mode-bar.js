@@ -0,0 +1,91 @@
+// ============================================================================
+// WGSL Mode Bar - Boilerplate mode picker shown above WGSL pass editors
+// ============================================================================
+// The mode applies to every WGSL pass of the shader, so the bar shows on the
+// graphics tab and on WGSL buffer tabs. Changing it recompiles.
+
+import { state } from '../core.js';
+import { isBufferChannel } from '../tab-config.js';
+import { markDirty } from '../shader-management.js';
+import { getBoilerplate } from '../examples.js';
+import { WGSL_BOILERPLATE_MODES } from '../wgsl-boilerplate.js';
+
+const MODE_HINTS = {
+    raw: 'Original declarations; write graphics_main yourself',
+    regular: 'Uniforms struct with all 85 custom floats, 10 ints and 5 bools; write graphics_main yourself',
+    stoy: 'Write fn mainImage(fragCoord: vec2f) -> vec4f; iResolution, iTime, iTimeDelta, iFrame and iMouse are set for you'
+};
+
+let bar = null;
+let modeSelect = null;
+let hint = null;
+
+function createBar() {
+    bar = document.createElement('div');
+    bar.id = 'wgslModeBar';
+    bar.style.cssText = `
+        display: none;
+        align-items: center;
+        gap: 6px;
+        padding: 4px 8px;
+        background: var(--bg-secondary);
+        border: 1px solid var(--border-color);
+        border-bottom: none;
+        flex-shrink: 0;
+    `;
+
+    const label = document.createElement('span');
+    label.style.cssText = 'font-size: 11px; color: var(--text-secondary);';
+    label.textContent = 'Boilerplate';
+
+    modeSelect = document.createElement('select');
+    modeSelect.style.cssText = `
+        padding: 2px 4px;
+        border-radius: 4px;
+        border: 1px solid var(--border-color);
+        background: var(--bg-primary);
+        color: var(--text-primary);
+        font-size: 11px;
+    `;
+    Object.entries(WGSL_BOILERPLATE_MODES).forEach(([value, text]) => {
+        modeSelect.appendChild(new Option(text, value));
+    });
+    modeSelect.addEventListener('change', () => setMode(modeSelect.value));
+
+    hint = document.createElement('span');
+    hint.style.cssText = 'font-size: 11px; color: var(--text-secondary); margin-left: auto;';
+
+    bar.append(label, modeSelect, hint);
+
+    const graphicsContainer = document.getElementById('graphicsContainer');
+    graphicsContainer.parentNode.insertBefore(bar, graphicsContainer);
+}
+
+function refresh() {
+    modeSelect.value = state.wgslBoilerplateMode;
+    hint.textContent = MODE_HINTS[state.wgslBoilerplateMode] || '';
+}
+
+function setMode(mode) {
+    if (mode === state.wgslBoilerplateMode) return;
+    state.wgslBoilerplateMode = mode;
+    state.boilerplateEditor?.setValue(getBoilerplate());
+    markDirty();
+    refresh();
+    window.reloadShader?.();
+}
+
+/**
+ * Show the bar for the WGSL graphics tab and WGSL buffer tabs, hide it for everything else
+ * @param {string} tabName - Tab being shown
+ */
+export function updateWGSLModeBar(tabName) {
+    const isWgslPass = state.activeTabs.includes('graphics') && (tabName === 'graphics' || isBufferChannel(tabName));
+    if (!isWgslPass) {
+        if (bar) bar.style.display = 'none';
+        return;
+    }
+    if (!bar) createBar();
+    bar.style.display = 'flex';
+    refresh();
+}
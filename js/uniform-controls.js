@@ -13,6 +13,9 @@ let isVisible = false;
 // Active sliders configuration
 let activeSliders = [];
 
+// Slider config -> function that shows its current value, for updates without a rebuild
+const sliderDisplays = new WeakMap();
+
 // Default starting configuration (1 float slider)
 const defaultConfig = {
     sliders: [
@@ -139,6 +142,37 @@ export function loadUniformConfig(config) {
     }
 }
 
+/**
+ * Current slider values keyed by uniform slot (e.g. "float0", "int2", "bool1")
+ * @returns {Object}
+ */
+export function getSliderValues() {
+    const values = {};
+    activeSliders.forEach(slider => {
+        values[`${slider.type}${slider.index}`] = slider.value;
+    });
+    return values;
+}
+
+/**
+ * Set slider values by uniform slot, e.g. from a recorded input stream
+ * Slots without a slider are ignored
+ * @param {Object} values - As returned by getSliderValues()
+ */
+export function setSliderValues(values) {
+    const changed = activeSliders.filter(slider => {
+        const key = `${slider.type}${slider.index}`;
+        if (!(key in values) || values[key] === slider.value) return false;
+        slider.value = values[key];
+        return true;
+    });
+    if (changed.length === 0) return;
+    
+    // Replay changes values every frame; only structural changes need rebuildPanel()
+    applyAllUniformValues();
+    changed.forEach(slider => sliderDisplays.get(slider)?.());
+}
+
 /**
  * Create the panel DOM structure
  */
@@ -427,6 +461,11 @@ function createFloatSlider(sliderConfig, listIndex, container) {
         sliderConfig.max = parseFloat(maxInput.value);
         slider.oninput();
     };
+    sliderDisplays.set(sliderConfig, () => {
+        const t = (sliderConfig.value - sliderConfig.min) / (sliderConfig.max - sliderConfig.min);
+        slider.value = Math.round(t * 1000).toString();
+        valueSpan.textContent = sliderConfig.value.toFixed(3);
+    });
     
     container.appendChild(row);
     return container;
@@ -512,6 +551,11 @@ function createIntSlider(sliderConfig, listIndex, container) {
         sliderConfig.max = parseInt(maxInput.value);
         slider.oninput();
     };
+    sliderDisplays.set(sliderConfig, () => {
+        const t = (sliderConfig.value - sliderConfig.min) / (sliderConfig.max - sliderConfig.min);
+        slider.value = Math.round(t * 100).toString();
+        valueSpan.textContent = sliderConfig.value.toString();
+    });
     
     container.appendChild(row);
     return container;
@@ -569,6 +613,11 @@ function createBoolSlider(sliderConfig, listIndex, container) {
     removeBtn.onclick = () => removeSlider(listIndex);
     row.appendChild(removeBtn);
     
+    sliderDisplays.set(sliderConfig, () => {
+        checkbox.checked = sliderConfig.value;
+        valueSpan.textContent = sliderConfig.value ? 'true' : 'false';
+    });
+    
     container.appendChild(row);
     return container;
 }
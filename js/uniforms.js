@@ -25,10 +25,14 @@ export class UniformBuilder {
             mouseHover: [0, 0],
             pixel: 1,
             date: [0, 0, 0, 0],
+            timeDelta: 1 / 60,
+            frameRate: 60,
+            sampleRate: 48000,
         };
         
         // Raw buffer for WebGPU (expanded for 85 floats + 10 ints + 5 bools)
-        // Layout: [0-6]=built-in, [7-91]=floats(85), [92-101]=ints(10), [102-106]=bools(5)
+        // Layout: [0-6]=built-in, [7-91]=floats(85), [92-101]=ints(10), [102-106]=bools(5),
+        //         [107]=frame, [108]=timeDelta, [109-110]=mouse click (WGSL S-Toy iFrame, iTimeDelta, iMouse.zw)
         // IMPORTANT: If you change this size, also update the GPU buffer size in
         // js/backends/webgpu.js (createGPUResources -> state.uniformBuffer)
         this.buffer = new ArrayBuffer(512);
@@ -66,6 +70,8 @@ export class UniformBuilder {
 
     setMouseClick(x = 0, y = 0) {
         this.data.mouseClick = [x, y];
+        this.f32[109] = x;
+        this.f32[110] = y;
     }
 
     setMouseHover(pixelX = 0, pixelY = 0, normX = 0, normY = 0) {
@@ -76,7 +82,7 @@ export class UniformBuilder {
     
     setFrame(value) {
         this.data.frame = value;
-        // Frame counter isn't in the uniform buffer for WGSL, but GLSL needs it
+        this.i32[107] = value;
     }
 
     setPixelSize(value = 1) {
@@ -87,6 +93,19 @@ export class UniformBuilder {
     setDate(yearMinusOne, monthMinusOne, day, seconds) {
         this.data.date = [yearMinusOne, monthMinusOne, day, seconds];
     }
+
+    setTimeDelta(value) {
+        this.data.timeDelta = value;
+        this.f32[108] = value;
+    }
+
+    setFrameRate(value) {
+        this.data.frameRate = value;
+    }
+
+    setSampleRate(value) {
+        this.data.sampleRate = value;
+    }
     
     /**
      * Apply uniforms to WebGPU backend
@@ -135,6 +154,15 @@ export class UniformBuilder {
             const d = this.data.date || [0, 0, 0, 0];
             gl.uniform4f(locations.u_date, d[0], d[1], d[2], d[3]);
         }
+        if (locations.u_timeDelta) {
+            gl.uniform1f(locations.u_timeDelta, this.data.timeDelta);
+        }
+        if (locations.u_frameRate) {
+            gl.uniform1f(locations.u_frameRate, this.data.frameRate);
+        }
+        if (locations.u_sampleRate) {
+            gl.uniform1f(locations.u_sampleRate, this.data.sampleRate);
+        }
         
         // Custom uniforms (u_custom0 to u_custom84 map to buffer indices 7-91)
         for (let i = 0; i < 85; i++) {
@@ -56,6 +56,8 @@ export async function loadVideoChannel(gl, videoPath) {
         video.muted = true; // Always muted (we ignore video audio)
         video.preload = 'auto';
         video.playsInline = true; // Important for mobile
+        // Play at the transport's rate (loading resets playbackRate to the default)
+        video.defaultPlaybackRate = state.playbackRate;
         
         let isResolved = false;
         
@@ -182,6 +184,32 @@ export function restartVideoChannel(channel) {
     console.log('✓ Video restarted (seeked to 0)');
 }
 
+/**
+ * Seek video to a shader time (wrapped if the video loops)
+ * @param {Object} channel - Channel with videoData
+ * @param {number} seconds - Shader time
+ */
+export function seekVideoChannel(channel, seconds) {
+    if (!channel.videoData || !channel.videoData.video) {
+        return;
+    }
+    
+    const video = channel.videoData.video;
+    video.currentTime = getMediaTime(video, seconds);
+}
+
+/**
+ * Position in a media element for a shader time
+ * @param {HTMLMediaElement} media
+ * @param {number} seconds
+ * @returns {number}
+ */
+export function getMediaTime(media, seconds) {
+    const duration = media.duration;
+    if (!Number.isFinite(duration) || duration <= 0) return seconds;
+    return media.loop ? seconds % duration : Math.min(seconds, duration);
+}
+
 /**
  * Set video loop state
  * @param {Object} channel - Channel with videoData
@@ -242,13 +242,13 @@ export async function createWebcamChannel(gl, deviceId = null) {
 }
 
 /**
- * Update webcam texture with current frame
+ * Draw the current webcam frame into the channel's canvas buffer
  * Uses canvas as intermediate buffer to normalize webcam data from various formats
- * @param {WebGL2RenderingContext} gl - WebGL context
  * @param {Object} webcamData - Webcam channel data
+ * @returns {HTMLCanvasElement|null} Canvas with the frame, or null if no frame is ready
  */
-export function updateWebcamTexture(gl, webcamData) {
-    if (!webcamData || !webcamData.active || !webcamData.video) return;
+export function drawWebcamFrame(webcamData) {
+    if (!webcamData || !webcamData.active || !webcamData.video) return null;
     
     const video = webcamData.video;
     
@@ -284,6 +284,20 @@ export function updateWebcamTexture(gl, webcamData) {
             webcamData.canvasCtx.drawImage(video, 0, 0, webcamData.width, webcamData.height);
         }
         
+        return webcamData.canvas;
+    }
+    
+    return null;
+}
+
+/**
+ * Update webcam texture with current frame
+ * @param {WebGL2RenderingContext} gl - WebGL context
+ * @param {Object} webcamData - Webcam channel data
+ */
+export function updateWebcamTexture(gl, webcamData) {
+    const canvas = drawWebcamFrame(webcamData);
+    if (canvas) {
         // Upload canvas to texture
         gl.bindTexture(gl.TEXTURE_2D, webcamData.texture);
         gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
@@ -293,7 +307,7 @@ export function updateWebcamTexture(gl, webcamData) {
             gl.RGBA,
             gl.RGBA,
             gl.UNSIGNED_BYTE,
-            webcamData.canvas
+            canvas
         );
         gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
         gl.bindTexture(gl.TEXTURE_2D, null);
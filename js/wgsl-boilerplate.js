@@ -0,0 +1,107 @@
+// ============================================================================
+// WGSL Boilerplate Modes
+// ============================================================================
+// The WGSL graphics tab can run in three modes (saved with the shader):
+// - Raw: the original declarations, kept unchanged so older shaders still compile
+// - Regular: a Uniforms struct with every slot UniformBuilder writes
+// - S-Toy: Regular plus a graphics_main that calls mainImage(fragCoord) -> vec4f
+// The mode's declarations follow the shared constants in getBoilerplate() and are
+// shown in the boilerplate editor, whose line count the WGSL error mapping subtracts.
+
+import { CUSTOM_FLOAT_COUNT, CUSTOM_INT_COUNT, CUSTOM_BOOL_COUNT } from './glsl-boilerplate.js';
+
+export const WGSL_BOILERPLATE_MODES = {
+    raw: 'Raw',
+    regular: 'Regular',
+    stoy: 'S-Toy'
+};
+
+// First custom float slot in UniformBuilder.buffer (after the 7 built-ins)
+const CUSTOM_FLOAT_SLOT = 7;
+
+/**
+ * @param {string} mode - Saved mode (may be missing or unknown)
+ * @returns {string} A key of WGSL_BOILERPLATE_MODES
+ */
+export function normalizeWGSLBoilerplateMode(mode) {
+    return Object.prototype.hasOwnProperty.call(WGSL_BOILERPLATE_MODES, mode) ? mode : 'raw';
+}
+
+function generateUniformStruct() {
+    const intSlot = CUSTOM_FLOAT_SLOT + CUSTOM_FLOAT_COUNT;
+    const boolSlot = intSlot + CUSTOM_INT_COUNT;
+
+    let struct = `struct Uniforms {
+    time: f32,              // 0  - auto-set
+    audioCurrentTime: f32,  // 1  - auto-set
+    audioPlayTime: f32,     // 2  - auto-set
+    audioFractTime: f32,    // 3  - auto-set
+    audioFrame: i32,        // 4  - auto-set
+    mouseX: f32,            // 5  - auto-set (0-1)
+    mouseY: f32,            // 6  - auto-set (0-1, bottom = 0)
+
+    // Slots ${CUSTOM_FLOAT_SLOT}-${intSlot - 1}: api.uniforms.setCustomFloat(0-${CUSTOM_FLOAT_COUNT - 1}, value)
+`;
+    for (let i = 0; i < CUSTOM_FLOAT_COUNT; i++) {
+        struct += `    custom${i}: f32,\n`;
+    }
+    struct += `\n    // Slots ${intSlot}-${boolSlot - 1}: api.uniforms.setCustomInt(0-${CUSTOM_INT_COUNT - 1}, value)\n`;
+    for (let i = 0; i < CUSTOM_INT_COUNT; i++) {
+        struct += `    customInt${i}: i32,\n`;
+    }
+    struct += `\n    // Slots ${boolSlot}-${boolSlot + CUSTOM_BOOL_COUNT - 1}: api.uniforms.setCustomBool(0-${CUSTOM_BOOL_COUNT - 1}, value), 0 or 1\n`;
+    for (let i = 0; i < CUSTOM_BOOL_COUNT; i++) {
+        struct += `    customBool${i}: i32,\n`;
+    }
+    const extraSlot = boolSlot + CUSTOM_BOOL_COUNT;
+    struct += `
+    frame: i32,             // ${extraSlot} - auto-set
+    timeDelta: f32,         // ${extraSlot + 1} - auto-set (seconds)
+    mouseClickX: f32,       // ${extraSlot + 2} - auto-set (pixels, negative when released)
+    mouseClickY: f32,       // ${extraSlot + 3} - auto-set (pixels, negative unless just clicked)
+`;
+    return struct + '}\n';
+}
+
+const REGULAR_DECLARATIONS = `${generateUniformStruct()}
+@binding(0) @group(0) var<uniform> uniforms: Uniforms;
+@binding(1) @group(0) var<storage, read_write> computeBuffer: array<f32>;
+@binding(2) @group(0) var<storage, read_write> audioBuffer: array<f32>;
+@binding(3) @group(0) var screenTexture: texture_storage_2d<rgba16float, write>;
+@binding(4) @group(0) var<storage, read_write> phaseState: array<f32>;
+`;
+
+// Row 0 of screenTexture is the top of the canvas; fragCoord counts from the bottom like Shadertoy
+const STOY_WRAPPER = `
+// === Shadertoy-style inputs (set before mainImage runs) ===
+var<private> iResolution: vec3f;
+var<private> iTime: f32;
+var<private> iTimeDelta: f32;
+var<private> iFrame: i32;
+var<private> iMouse: vec4f;
+
+// Define fn mainImage(fragCoord: vec2f) -> vec4f in the graphics tab
+@compute @workgroup_size(8, 8)
+fn graphics_main(@builtin(global_invocation_id) id: vec3u) {
+    let size = textureDimensions(screenTexture);
+    if (id.x >= size.x || id.y >= size.y) {
+        return;
+    }
+    iResolution = vec3f(vec2f(size), 1.0);
+    iTime = uniforms.time;
+    iTimeDelta = uniforms.timeDelta;
+    iFrame = uniforms.frame;
+    iMouse = vec4f(uniforms.mouseX * f32(size.x), uniforms.mouseY * f32(size.y), uniforms.mouseClickX, uniforms.mouseClickY);
+    let fragCoord = vec2f(f32(id.x) + 0.5, f32(size.y - id.y) - 0.5);
+    textureStore(screenTexture, id.xy, mainImage(fragCoord));
+}
+`;
+
+/**
+ * Uniform struct, bindings and (S-Toy) entry point for a non-raw mode
+ * @param {string} mode - 'regular' or 'stoy'
+ * @returns {string}
+ */
+export function getWGSLModeDeclarations(mode) {
+    return mode === 'stoy' ? REGULAR_DECLARATIONS + STOY_WRAPPER : REGULAR_DECLARATIONS;
+}
@@ -0,0 +1,405 @@
+// ============================================================================
+// WGSL Preprocessor - compute.toys directives and entry point discovery
+// ============================================================================
+// Lets compute.toys shaders be pasted in. Directive lines are blanked in place
+// (never removed), so WGSL error lines still match the editor:
+//   #workgroup_count NAME X Y Z   fixed dispatch size for entry point NAME
+//   #dispatch_once NAME           run NAME only on the first frame
+//   #dispatch_count NAME N        run NAME N times per frame
+//   #storage NAME TYPE            read_write storage buffer that persists across frames
+//   #include <std>                compute.toys prelude: type aliases (float4, int2, ...),
+//                                 time, mouse, custom, dispatch, keyDown, screen,
+//                                 pass_in/pass_out (passLoad/passStore), channel0/1, samplers
+// Every @compute function except audio_main is dispatched, in source order.
+// Generated declarations are appended after the user code (see buildToysDeclarations).
+
+// compute.toys sizes runtime-sized storage arrays to a fixed allocation
+const RUNTIME_STORAGE_BYTES = 128 * 1024 * 1024;
+
+// Bindings in @group(2): the #include <std> resources, then one per #storage buffer
+export const TOYS_TIME_BINDING = 0;
+export const TOYS_MOUSE_BINDING = 1;
+export const TOYS_CUSTOM_BINDING = 2;
+export const TOYS_DISPATCH_BINDING = 3;
+export const TOYS_KEYBOARD_BINDING = 4;
+export const TOYS_PASS_IN_BINDING = 5;
+export const TOYS_PASS_OUT_BINDING = 6;
+export const TOYS_CHANNEL_BINDING_START = 7;
+export const TOYS_SAMPLER_BINDING_START = 9;
+export const TOYS_STORAGE_BINDING_START = 16;
+
+// compute.toys std names, in TOYS_SAMPLER_BINDING_START order
+export const TOYS_SAMPLERS = ['nearest', 'bilinear', 'trilinear', 'nearest_repeat', 'bilinear_repeat', 'trilinear_repeat'];
+export const TOYS_CHANNEL_COUNT = 2;
+export const TOYS_PASS_COUNT = 4;
+
+// compute.toys std type aliases
+const TOYS_ALIASES = { int: 'i32', uint: 'u32', float: 'f32' };
+[2, 3, 4].forEach(n => {
+    TOYS_ALIASES[`int${n}`] = `vec${n}<i32>`;
+    TOYS_ALIASES[`uint${n}`] = `vec${n}<u32>`;
+    TOYS_ALIASES[`float${n}`] = `vec${n}<f32>`;
+    TOYS_ALIASES[`bool${n}`] = `vec${n}<bool>`;
+});
+[2, 3, 4].forEach(n => [2, 3, 4].forEach(m => {
+    TOYS_ALIASES[`float${n}x${m}`] = `mat${n}x${m}<f32>`;
+}));
+
+const WGSL_KEYWORDS = new Set([
+    'alias', 'break', 'case', 'const', 'const_assert', 'continue', 'continuing', 'default', 'diagnostic',
+    'discard', 'else', 'enable', 'false', 'fn', 'for', 'if', 'let', 'loop', 'override', 'requires',
+    'return', 'struct', 'switch', 'true', 'var', 'while'
+]);
+
+const DIRECTIVE = /^\s*#\s*(workgroup_count|dispatch_once|dispatch_count|storage)\b(.*)$/;
+const STD_INCLUDE = /^\s*#\s*include\s*<std>\s*(?:\/\/.*)?$/;
+
+const SCALAR_SIZES = { f32: 4, i32: 4, u32: 4, f16: 2 };
+const SHORTHAND_SCALARS = { f: 'f32', i: 'i32', u: 'u32', h: 'f16' };
+
+// Comments become spaces, keeping newlines so match offsets map to lines
+function stripComments(code) {
+    return code
+        .replace(/\/\*[\s\S]*?\*\//g, match => match.replace(/[^\n]/g, ' '))
+        .replace(/\/\/.*$/gm, match => ' '.repeat(match.length));
+}
+
+function lineAt(code, index) {
+    return code.slice(0, index).split('\n').length;
+}
+
+function roundUp(align, size) {
+    return Math.ceil(size / align) * align;
+}
+
+// ============================================================================
+// Directives
+// ============================================================================
+
+/**
+ * Strip compute.toys directives from WGSL source
+ * @param {string} source - Graphics or buffer pass source
+ * @returns {{success: boolean, code: string, dispatch: Object, storage: Array, usesStd: boolean, error?: {lineNum: number, message: string}}}
+ *   dispatch maps entry point names to { workgroupCount, once, count, lineNum };
+ *   storage is [{ name, type, lineNum }] in declaration order
+ */
+export function preprocessWGSL(source) {
+    const lines = (source || '').split('\n');
+    const dispatch = {};
+    const storage = [];
+    let usesStd = false;
+
+    const fail = (lineNum, message) => ({ success: false, code: source, dispatch, storage, usesStd, error: { lineNum, message } });
+    const entryOptions = (name, lineNum) => (dispatch[name] ??= { workgroupCount: null, once: false, count: 1, lineNum });
+
+    for (let i = 0; i < lines.length; i++) {
+        const lineNum = i + 1;
+        if (STD_INCLUDE.test(lines[i])) {
+            usesStd = true;
+            lines[i] = '';
+            continue;
+        }
+        const match = lines[i].match(DIRECTIVE);
+        if (!match) continue;
+
+        const [, directive, rest] = match;
+        const args = rest.replace(/\/\/.*$/, '').trim();
+        const words = args.split(/\s+/).filter(Boolean);
+        lines[i] = '';
+
+        if (directive === 'workgroup_count') {
+            const counts = words.slice(1).map(Number);
+            if (words.length < 2 || words.length > 4 || !counts.every(n => Number.isInteger(n) && n > 0)) {
+                return fail(lineNum, '#workgroup_count expects an entry point name and 1-3 positive integers');
+            }
+            entryOptions(words[0], lineNum).workgroupCount = [counts[0], counts[1] ?? 1, counts[2] ?? 1];
+        } else if (directive === 'dispatch_once') {
+            if (words.length !== 1) {
+                return fail(lineNum, '#dispatch_once expects an entry point name');
+            }
+            entryOptions(words[0], lineNum).once = true;
+        } else if (directive === 'dispatch_count') {
+            const count = Number(words[1]);
+            if (words.length !== 2 || !Number.isInteger(count) || count < 1) {
+                return fail(lineNum, '#dispatch_count expects an entry point name and a positive integer');
+            }
+            entryOptions(words[0], lineNum).count = count;
+        } else {
+            const nameMatch = args.match(/^(\w+)\s+(.+)$/);
+            if (!nameMatch) {
+                return fail(lineNum, '#storage expects a name and a type');
+            }
+            if (storage.some(s => s.name === nameMatch[1])) {
+                return fail(lineNum, `#storage "${nameMatch[1]}" is declared twice`);
+            }
+            storage.push({ name: nameMatch[1], type: nameMatch[2].trim(), lineNum });
+        }
+    }
+
+    return { success: true, code: lines.join('\n'), dispatch, storage, usesStd };
+}
+
+// ============================================================================
+// Entry Points
+// ============================================================================
+
+function parseConsts(code) {
+    const consts = {};
+    const pattern = /\bconst\s+(\w+)\s*(?::\s*\w+\s*)?=\s*(\d+)[iu]?\s*;/g;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        consts[match[1]] = parseInt(match[2], 10);
+    }
+    return consts;
+}
+
+function resolveCount(text, consts) {
+    const value = text.trim().replace(/^(\d+)[iu]$/, '$1');
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return consts[value] ?? null;
+}
+
+/**
+ * @compute functions in source order, with their workgroup sizes
+ * @param {string} code - Module body (includes expanded)
+ * @returns {Array<{name: string, workgroupSize: number[], lineNum: number}>}
+ */
+export function findComputeEntryPoints(code) {
+    const src = stripComments(code || '');
+    const consts = parseConsts(src);
+    const entries = [];
+    const pattern = /((?:@\w+(?:\s*\([^)]*\))?\s*)+)fn\s+(\w+)/g;
+    let match;
+    while ((match = pattern.exec(src)) !== null) {
+        const attributes = match[1];
+        if (!/@compute\b/.test(attributes)) continue;
+        const sizeMatch = attributes.match(/@workgroup_size\s*\(([^)]*)\)/);
+        const sizes = sizeMatch
+            ? sizeMatch[1].split(',').filter(s => s.trim()).map(s => resolveCount(s, consts) || 1)
+            : [];
+        entries.push({
+            name: match[2],
+            workgroupSize: [sizes[0] ?? 1, sizes[1] ?? 1, sizes[2] ?? 1],
+            lineNum: lineAt(src, match.index + attributes.length)
+        });
+    }
+    return entries;
+}
+
+// ============================================================================
+// Storage Layout
+// ============================================================================
+
+// Parse "array<vec4<f32>, 16>" into { name, params } nodes
+function parseType(text) {
+    const tokens = text.match(/\w+|[<>,]/g) || [];
+    let pos = 0;
+    function node() {
+        const name = tokens[pos++];
+        const params = [];
+        if (tokens[pos] === '<') {
+            pos++;
+            while (pos < tokens.length && tokens[pos] !== '>') {
+                params.push(node());
+                if (tokens[pos] === ',') pos++;
+            }
+            pos++;
+        }
+        return { name, params };
+    }
+    return tokens.length ? node() : null;
+}
+
+function parseAliases(code) {
+    const aliases = { ...TOYS_ALIASES };
+    const pattern = /\balias\s+(\w+)\s*=\s*([^;]+);/g;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        aliases[match[1]] = match[2].trim();
+    }
+    return aliases;
+}
+
+function parseStructs(code) {
+    const structs = {};
+    const pattern = /\bstruct\s+(\w+)\s*\{([^}]*)\}/g;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        // Split members on top-level commas (array<T, N> has its own)
+        const members = [];
+        let depth = 0;
+        let current = '';
+        for (const ch of match[2]) {
+            if (ch === '<') depth++;
+            if (ch === '>') depth--;
+            if (ch === ',' && depth === 0) {
+                members.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        members.push(current);
+        structs[match[1]] = members.map(m => m.trim()).filter(Boolean).map(member => ({
+            align: parseInt(member.match(/@align\s*\(\s*(\d+)\s*\)/)?.[1], 10) || null,
+            size: parseInt(member.match(/@size\s*\(\s*(\d+)\s*\)/)?.[1], 10) || null,
+            type: member.replace(/@\w+\s*\([^)]*\)/g, '').split(':').slice(1).join(':').trim()
+        }));
+    }
+    return structs;
+}
+
+// WGSL host-shareable layout: { size, align, runtime } (runtime = ends in a runtime-sized array)
+function getLayout(type, context, seen = []) {
+    if (!type) throw new Error('missing type');
+    const { name, params } = type;
+
+    if (context.aliases[name] && !seen.includes(name)) {
+        return getLayout(parseType(context.aliases[name]), context, [...seen, name]);
+    }
+    if (SCALAR_SIZES[name]) {
+        return { size: SCALAR_SIZES[name], align: SCALAR_SIZES[name], runtime: false };
+    }
+    if (name === 'atomic') {
+        return getLayout(params[0], context, seen);
+    }
+
+    const vec = name.match(/^vec([234])([fiuh])?$/);
+    if (vec) {
+        const n = Number(vec[1]);
+        const scalar = vec[2] ? SCALAR_SIZES[SHORTHAND_SCALARS[vec[2]]] : getLayout(params[0], context, seen).size;
+        return { size: n * scalar, align: (n === 3 ? 4 : n) * scalar, runtime: false };
+    }
+
+    const mat = name.match(/^mat([234])x([234])([fh])?$/);
+    if (mat) {
+        const scalar = mat[3] ? SCALAR_SIZES[SHORTHAND_SCALARS[mat[3]]] : getLayout(params[0], context, seen).size;
+        const rows = Number(mat[2]);
+        const columnAlign = (rows === 3 ? 4 : rows) * scalar;
+        return { size: Number(mat[1]) * roundUp(columnAlign, rows * scalar), align: columnAlign, runtime: false };
+    }
+
+    if (name === 'array') {
+        const element = getLayout(params[0], context, seen);
+        const stride = roundUp(element.align, element.size);
+        if (!params[1]) {
+            return { size: stride, align: element.align, runtime: true };
+        }
+        const count = resolveCount(params[1].name, context.consts);
+        if (!count) throw new Error(`array length "${params[1].name}" is not a constant integer`);
+        return { size: count * stride, align: element.align, runtime: false };
+    }
+
+    const members = context.structs[name];
+    if (members) {
+        if (seen.includes(name)) throw new Error(`struct ${name} contains itself`);
+        let offset = 0;
+        let align = 1;
+        let runtime = false;
+        members.forEach(member => {
+            const layout = getLayout(parseType(member.type), context, [...seen, name]);
+            const memberAlign = member.align || layout.align;
+            offset = roundUp(memberAlign, offset) + (member.size || layout.size);
+            align = Math.max(align, memberAlign);
+            runtime = layout.runtime;
+        });
+        return { size: roundUp(align, offset), align, runtime };
+    }
+
+    throw new Error(`unknown type "${name}"`);
+}
+
+/**
+ * Work out the byte size of each #storage buffer
+ * @param {Array} storage - From preprocessWGSL()
+ * @param {string} code - Module body, for the structs and consts the types use
+ * @returns {{success: boolean, storage?: Array<{name: string, type: string, size: number}>, error?: {lineNum: number, message: string}}}
+ */
+export function resolveStorageSizes(storage, code) {
+    const src = stripComments(code || '');
+    const context = { structs: parseStructs(src), consts: parseConsts(src), aliases: parseAliases(src) };
+    const sized = [];
+    for (const entry of storage) {
+        try {
+            const layout = getLayout(parseType(entry.type), context);
+            const size = layout.runtime ? Math.max(layout.size, RUNTIME_STORAGE_BYTES) : layout.size;
+            sized.push({ ...entry, size: roundUp(4, size) });
+        } catch (err) {
+            return { success: false, error: { lineNum: entry.lineNum, message: `#storage ${entry.name}: ${err.message}` } };
+        }
+    }
+    return { success: true, storage: sized };
+}
+
+// ============================================================================
+// Declarations
+// ============================================================================
+
+/**
+ * compute.toys `custom` struct fields, one per float slider
+ * @param {Array<{title: string, index: number}>} sliders - Float sliders in panel order
+ * @returns {Array<{name: string, index: number}>} index is the slider's float uniform index
+ */
+export function getToysCustomFields(sliders) {
+    const fields = [];
+    (sliders || []).forEach(slider => {
+        let name = String(slider.title || '').trim().replace(/\W+/g, '_');
+        if (/^\d/.test(name)) name = '_' + name;
+        if (!name || name === '_' || WGSL_KEYWORDS.has(name) || name.startsWith('__')) return;
+        if (fields.some(f => f.name === name)) return;
+        fields.push({ name, index: slider.index });
+    });
+    return fields;
+}
+
+function buildStdDeclarations(customFields) {
+    const custom = customFields.length ? customFields.map(f => `${f.name}: f32`).join(', ') : '_unused: f32';
+    const lines = Object.entries(TOYS_ALIASES).map(([name, type]) => `alias ${name} = ${type};`);
+    lines.push(
+        'struct Time { elapsed: f32, delta: f32, frame: u32 }',
+        'struct Mouse { pos: vec2u, click: i32 }',
+        'struct DispatchInfo { id: u32 }',
+        `struct Custom { ${custom} }`,
+        `@group(2) @binding(${TOYS_TIME_BINDING}) var<uniform> time: Time;`,
+        `@group(2) @binding(${TOYS_MOUSE_BINDING}) var<uniform> mouse: Mouse;`,
+        `@group(2) @binding(${TOYS_CUSTOM_BINDING}) var<uniform> custom: Custom;`,
+        `@group(2) @binding(${TOYS_DISPATCH_BINDING}) var<uniform> dispatch: DispatchInfo;`,
+        `@group(2) @binding(${TOYS_KEYBOARD_BINDING}) var<uniform> _keyboard: array<vec4u, 2>;`,
+        `@group(2) @binding(${TOYS_PASS_IN_BINDING}) var pass_in: texture_2d_array<f32>;`,
+        `@group(2) @binding(${TOYS_PASS_OUT_BINDING}) var pass_out: texture_storage_2d_array<rgba16float, write>;`
+    );
+    for (let i = 0; i < TOYS_CHANNEL_COUNT; i++) {
+        lines.push(`@group(2) @binding(${TOYS_CHANNEL_BINDING_START + i}) var channel${i}: texture_2d<f32>;`);
+    }
+    TOYS_SAMPLERS.forEach((name, i) => {
+        lines.push(`@group(2) @binding(${TOYS_SAMPLER_BINDING_START + i}) var ${name}: sampler;`);
+    });
+    lines.push(
+        // Same texture as screenTexture under its compute.toys name
+        '@group(0) @binding(3) var screen: texture_storage_2d<rgba16float, write>;',
+        'fn keyDown(keycode: u32) -> bool { return ((_keyboard[keycode / 128u][(keycode % 128u) / 32u] >> (keycode % 32u)) & 1u) == 1u; }',
+        'fn passStore(pass_index: i32, coord: vec2i, value: vec4f) { textureStore(pass_out, coord, pass_index, value); }',
+        'fn passLoad(pass_index: i32, coord: vec2i, lod: i32) -> vec4f { return textureLoad(pass_in, coord, pass_index, lod); }',
+        'fn passSampleLevelBilinearRepeat(pass_index: i32, uv: vec2f, lod: f32) -> vec4f { return textureSampleLevel(pass_in, bilinear, fract(uv), pass_index, lod); }'
+    );
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Declarations for #include <std> and #storage buffers (bound at @group(2))
+ * @param {Array} storage - Storage entries from preprocessWGSL()
+ * @param {boolean} usesStd - Whether the source has #include <std>
+ * @param {Array} [customFields] - From getToysCustomFields(), for the `custom` uniform
+ * @returns {string} Declarations to append after the pass source
+ */
+export function buildToysDeclarations(storage, usesStd, customFields = []) {
+    if (!usesStd && !storage.length) return '';
+    let decls = '\n\n// === compute.toys declarations (auto-generated) ===\n';
+    if (usesStd) {
+        decls += buildStdDeclarations(customFields);
+    }
+    storage.forEach((entry, i) => {
+        decls += `@group(2) @binding(${TOYS_STORAGE_BINDING_START + i}) var<storage, read_write> ${entry.name}: ${entry.type};\n`;
+    });
+    return decls;
+}
@@ -0,0 +1,98 @@
+-- ============================================================================
+-- Shader Libraries - Versioned GLSL/WGSL snippets shared between shaders
+-- ============================================================================
+-- This migration adds:
+-- 1. shader_libraries table (one immutable row per published version)
+-- 2. Trigger that assigns version numbers and keeps a name to one owner
+-- 3. Row Level Security policies
+--
+-- Shaders include a library with #include "name" or #include "name@version".
+-- Versions are never edited in place, so a shader saved against version N
+-- keeps compiling the same code after the author publishes N+1.
+-- ============================================================================
+
+-- ============================================================================
+-- 1. Library Versions
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS shader_libraries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+
+    -- Include name, e.g. 'noise' or 'alice/raymarch' ('sl/' is reserved for built-ins)
+    name TEXT NOT NULL CHECK (
+        name ~ '^[a-z0-9][a-z0-9_-]*(/[a-z0-9_-]+)*$' AND
+        name NOT LIKE 'sl/%'
+    ),
+    version INT NOT NULL,
+    language TEXT NOT NULL CHECK (language IN ('glsl', 'wgsl')),
+    code TEXT NOT NULL,
+    description TEXT,
+    visibility TEXT NOT NULL DEFAULT 'published' CHECK (visibility IN ('private', 'published')),
+    creator_name TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE(name, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shader_libraries_name ON shader_libraries(name, version DESC);
+CREATE INDEX IF NOT EXISTS idx_shader_libraries_user_id ON shader_libraries(user_id);
+
+-- ============================================================================
+-- 2. Version Assignment
+-- ============================================================================
+-- Clients never pick a version: each insert becomes latest + 1.
+-- The first publisher of a name owns it; other users get an error.
+CREATE OR REPLACE FUNCTION assign_shader_library_version()
+RETURNS TRIGGER AS $$
+DECLARE
+    owner_id UUID;
+BEGIN
+    -- Serialise publishes of the same name
+    PERFORM pg_advisory_xact_lock(hashtext(NEW.name));
+
+    SELECT user_id INTO owner_id
+    FROM shader_libraries
+    WHERE name = NEW.name
+    LIMIT 1;
+
+    IF owner_id IS NOT NULL AND owner_id <> NEW.user_id THEN
+        RAISE EXCEPTION 'Library name "%" belongs to another user', NEW.name;
+    END IF;
+
+    SELECT COALESCE(MAX(version), 0) + 1 INTO NEW.version
+    FROM shader_libraries
+    WHERE name = NEW.name;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS shader_libraries_assign_version ON shader_libraries;
+CREATE TRIGGER shader_libraries_assign_version
+    BEFORE INSERT ON shader_libraries
+    FOR EACH ROW
+    EXECUTE FUNCTION assign_shader_library_version();
+
+-- ============================================================================
+-- 3. Row Level Security
+-- ============================================================================
+ALTER TABLE shader_libraries ENABLE ROW LEVEL SECURITY;
+
+-- Anyone can read published libraries; owners can read their private ones
+DROP POLICY IF EXISTS "Published libraries are readable" ON shader_libraries;
+CREATE POLICY "Published libraries are readable"
+    ON shader_libraries FOR SELECT
+    USING (visibility = 'published' OR auth.uid() = user_id);
+
+-- Users publish versions under their own account
+DROP POLICY IF EXISTS "Users can publish libraries" ON shader_libraries;
+CREATE POLICY "Users can publish libraries"
+    ON shader_libraries FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+-- No UPDATE policy: published versions are immutable.
+-- Deleting is allowed, but shaders pinned to a deleted version will stop compiling.
+DROP POLICY IF EXISTS "Users can delete own libraries" ON shader_libraries;
+CREATE POLICY "Users can delete own libraries"
+    ON shader_libraries FOR DELETE
+    USING (auth.uid() = user_id);
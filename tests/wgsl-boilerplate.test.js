@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as naga from 'naga-wasm';
+import { getWGSLModeDeclarations } from '../js/wgsl-boilerplate.js';
+
+test('S-Toy mainImage can use iFrame, iTimeDelta and iMouse.zw', () => {
+    const code = getWGSLModeDeclarations('stoy') + `
+fn mainImage(fragCoord: vec2f) -> vec4f {
+    let clicked = select(0.0, 1.0, iMouse.z > 0.0);
+    let pulse = fract(f32(iFrame) * iTimeDelta);
+    return vec4f(fragCoord / iResolution.xy, pulse, clicked + iMouse.w * 0.0 + iTime * 0.0);
+}
+`;
+    try {
+        naga.validate(naga.parseWgsl(code));
+    } catch (err) {
+        assert.fail(err.formatted || String(err));
+    }
+});
+
+test('the Regular Uniforms struct fits the 512-byte uniform buffer', () => {
+    const fields = getWGSLModeDeclarations('regular').match(/struct Uniforms \{([\s\S]*?)\n\}/)[1]
+        .split('\n').filter(line => /^\s*\w+: (f32|i32),/.test(line));
+    assert.equal(fields.length, 111);
+    assert.ok(fields.length * 4 <= 512);
+    assert.match(fields[107], /frame: i32/);
+    assert.match(fields[110], /mouseClickY: f32/);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as naga from 'naga-wasm';
+import { getWGSLModeDeclarations } from '../js/wgsl-boilerplate.js';
+import {
+    preprocessWGSL,
+    findComputeEntryPoints,
+    resolveStorageSizes,
+    buildToysDeclarations,
+    getToysCustomFields
+} from '../js/wgsl-preprocess.js';
+
+// A compute.toys shader as it would be pasted in: std aliases, custom sliders,
+// pass_in/pass_out feedback, keyboard, channel0 and a #dispatch_count loop
+const TOYS_EXAMPLE = `#include <std>
+
+#storage particles array<float4, 1024>
+#dispatch_once init
+#workgroup_count init 4 1 1
+#dispatch_count simulate 3
+
+const DAMPING = 0.98;
+
+@compute @workgroup_size(256)
+fn init(@builtin(global_invocation_id) id: uint3) {
+    particles[id.x] = float4(float(id.x), 0.0, 0.0, 1.0);
+}
+
+@compute @workgroup_size(16, 16)
+fn simulate(@builtin(global_invocation_id) id: uint3) {
+    let screen_size = int2(textureDimensions(screen));
+    if (id.x >= uint(screen_size.x) || id.y >= uint(screen_size.y)) { return; }
+    let coord = int2(id.xy);
+    var previous = passLoad(0, coord, 0);
+    if (dispatch.id == 0u && keyDown(32u)) {
+        previous = float4(0.0);
+    }
+    let m = float2(mouse.pos) / float2(screen_size);
+    let uv = float2(coord) / float2(screen_size);
+    let blur = passSampleLevelBilinearRepeat(0, uv + custom.Spread * 0.01, 0.0);
+    let glow = textureSampleLevel(channel0, bilinear, uv, 0.0).rgb * custom.Glow;
+    let fade: float2x2 = float2x2(DAMPING, 0.0, 0.0, DAMPING);
+    let mixed = mix(previous, blur, 0.5) + float4(glow, 0.0) * step(distance(uv, m), 0.1);
+    passStore(0, coord, float4((fade * mixed.xy), mixed.zw));
+}
+
+@compute @workgroup_size(16, 16)
+fn main_image(@builtin(global_invocation_id) id: uint3) {
+    let screen_size = textureDimensions(screen);
+    if (id.x >= screen_size.x || id.y >= screen_size.y) { return; }
+    let p = particles[id.x % 1024u];
+    let col = passLoad(0, int2(id.xy), 0).rgb + p.rgb * 0.0 + float3(time.elapsed * 0.0);
+    textureStore(screen, id.xy, float4(col, 1.0));
+}
+`;
+
+const SLIDERS = [
+    { title: 'Spread', index: 0 },
+    { title: 'Glow', index: 1 },
+    { title: 'Glow', index: 2 },
+    { title: 'loop', index: 3 }
+];
+
+function assemble(source) {
+    const directives = preprocessWGSL(source);
+    assert.ok(directives.success, directives.error?.message);
+    const customFields = getToysCustomFields(SLIDERS);
+    return {
+        directives,
+        customFields,
+        code: getWGSLModeDeclarations('regular') + '\n' + directives.code
+            + buildToysDeclarations(directives.storage, directives.usesStd, customFields)
+    };
+}
+
+function validate(code) {
+    try {
+        naga.validate(naga.parseWgsl(code));
+    } catch (err) {
+        assert.fail(err.formatted || String(err));
+    }
+}
+
+test('a compute.toys example compiles against the std prelude', () => {
+    const { code } = assemble(TOYS_EXAMPLE);
+    validate(code);
+});
+
+test('directives become dispatch options and sized storage', () => {
+    const { directives } = assemble(TOYS_EXAMPLE);
+    assert.deepEqual(directives.dispatch.simulate.count, 3);
+    assert.equal(directives.dispatch.init.once, true);
+    assert.deepEqual(directives.dispatch.init.workgroupCount, [4, 1, 1]);
+    assert.deepEqual(findComputeEntryPoints(directives.code).map(e => e.name), ['init', 'simulate', 'main_image']);
+
+    const sized = resolveStorageSizes(directives.storage, directives.code);
+    assert.ok(sized.success, sized.error?.message);
+    assert.equal(sized.storage[0].size, 1024 * 16);
+});
+
+test('mouse.pos is uint2 like compute.toys', () => {
+    const { code } = assemble(TOYS_EXAMPLE);
+    assert.match(code, /struct Mouse \{ pos: vec2u, click: i32 \}/);
+    validate(code + '\nfn check_mouse() -> uint2 { return mouse.pos; }\n');
+});
+
+test('custom fields skip duplicate and reserved slider names', () => {
+    assert.deepEqual(getToysCustomFields(SLIDERS), [
+        { name: 'Spread', index: 0 },
+        { name: 'Glow', index: 1 }
+    ]);
+    assert.deepEqual(getToysCustomFields([{ title: '2 fast', index: 4 }]), [{ name: '_2_fast', index: 4 }]);
+});
+
+test('shaders without #include <std> get no prelude', () => {
+    const { code } = assemble('@compute @workgroup_size(1)\nfn main_image() {}\n');
+    assert.doesNotMatch(code, /alias float4/);
+    validate(code);
+});